@@ -52,6 +52,44 @@ function isValidSolanaAddress(address) {
     return solanaAddressRegex.test(address);
 }
 
+/**
+ * An AI response the app can't use - code is AI_REQUEST_FAILED, AI_PARSE_FAILED
+ * or AI_SCHEMA_INVALID (see netlify/lib/ai-response.js), details lists what was wrong
+ */
+class AiResponseError extends Error {
+    constructor(message, code, details = []) {
+        super(message);
+        this.name = 'AiResponseError';
+        this.code = code;
+        this.details = Array.isArray(details) ? details : [];
+    }
+}
+
+/**
+ * Turn a function's error body ({ error, code, details }) into an Error
+ * @param {Object} body - Parsed error response
+ * @param {string} fallbackMessage - Message when the body has none
+ * @returns {Error} - AiResponseError when the body carries a code
+ */
+function toResponseError(body, fallbackMessage) {
+    const message = body?.error || fallbackMessage;
+    return body?.code ? new AiResponseError(message, body.code, body.details) : new Error(message);
+}
+
+/**
+ * Validate an AI response against a shared/ai-schema.js schema before rendering it
+ * @param {Object} data - The response
+ * @param {Object} schema - AiSchema.NARRATIVE_ANALYSIS or AiSchema.TOKEN_INTEL
+ * @returns {Object} - The normalized response
+ */
+function validateAiResponse(data, schema) {
+    const check = AiSchema.validate(data, schema);
+    if (!check.valid) {
+        throw new AiResponseError('AI response failed validation', 'AI_SCHEMA_INVALID', AiSchema.describeErrors(check.errors));
+    }
+    return check.value;
+}
+
 // ============================================
 // NETWORK BACKGROUND ANIMATION
 // ============================================
@@ -240,15 +278,30 @@ class NarrativeAlpha {
             risks: document.getElementById('risks'),
             timeline: document.getElementById('timeline'),
             actionable: document.getElementById('actionable'),
-            signalsFeed: document.getElementById('signalsFeed')
+            signalsFeed: document.getElementById('signalsFeed'),
+            traceCard: document.getElementById('traceCard'),
+            traceMeta: document.getElementById('traceMeta'),
+            traceCalls: document.getElementById('traceCalls'),
+            threadCard: document.getElementById('threadCard'),
+            threadMeta: document.getElementById('threadMeta'),
+            threadMessages: document.getElementById('threadMessages'),
+            threadInput: document.getElementById('threadInput'),
+            threadAskBtn: document.getElementById('threadAskBtn'),
+            savedThreads: document.getElementById('savedThreads')
         };
 
+        // Follow-up threads - one per analysis, saved locally and resumable
+        this.threads = this.loadThreads();
+        this.activeThreadId = null;
+        this.isAskingFollowUp = false;
+
         this.init();
     }
 
     init() {
         this.setupEventListeners();
         this.animateMetrics();
+        this.renderSavedThreads();
         // Signals are now populated by LiveDataService with real data
     }
 
@@ -263,6 +316,27 @@ class NarrativeAlpha {
             }
         });
 
+        // Follow-up questions on the current analysis
+        this.elements.threadAskBtn?.addEventListener('click', () => this.askFollowUp());
+        this.elements.threadInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.askFollowUp();
+            }
+        });
+
+        // Saved threads - resume or delete
+        this.elements.savedThreads?.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('[data-delete-thread]');
+            if (deleteBtn) {
+                this.deleteThread(deleteBtn.dataset.deleteThread);
+                return;
+            }
+            const item = e.target.closest('[data-thread-id]');
+            if (item) {
+                this.resumeThread(item.dataset.threadId);
+            }
+        });
+
         // Hint tags
         document.querySelectorAll('.hint-tag').forEach(tag => {
             tag.addEventListener('click', () => {
@@ -329,20 +403,33 @@ class NarrativeAlpha {
                 await window.liveDataService.fetchAllData();
             }
 
-            const response = await this.callAPI(query);
-            this.displayResults(response);
+            this.renderedFields = null; // set by beginStreamingResults() once the stream starts
+            this.activeThreadId = null;
+            this.renderThread();
+            this.renderToolTrace([]);
+
+            // The same snapshot is kept with the thread, so follow-ups see what the analysis saw
+            const liveData = this.getLiveDataContext();
+            const response = await this.callAPIStream(query, liveData);
+            // Live-data tools the model called on the way - kept with the thread for auditing
+            const toolCalls = Array.isArray(response?.tool_calls) ? response.tool_calls : [];
+            const result = validateAiResponse(response, AiSchema.NARRATIVE_ANALYSIS);
+            this.displayResults(result, { streamed: true });
+            this.renderToolTrace(toolCalls);
+            this.startThread(query, liveData, result, toolCalls);
         } catch (error) {
             console.error('Analysis error:', error);
-            this.displayError(error.message);
+            this.displayError(error);
         } finally {
+            this.elements.resultsSection.classList.remove('streaming');
             this.isAnalyzing = false;
             this.elements.analyzeBtn.classList.remove('loading');
             this.elements.analyzeBtn.disabled = false;
         }
     }
 
-    async callAPI(query) {
-        // Get live token data to provide context for the analysis
+    // Top 10 live movers (minus scams / dead tokens) sent as context for the analysis
+    getLiveDataContext() {
         const liveTokens = window.liveDataService?.lastTokens || [];
         const topMovers = liveTokens
             .filter(t => {
@@ -369,6 +456,10 @@ class NarrativeAlpha {
                 liquidity: t.liquidity
             }));
 
+        return topMovers.length > 0 ? topMovers : null;
+    }
+
+    async callAPI(query, liveData = this.getLiveDataContext()) {
         // Call the Netlify serverless function
         const response = await fetch('/.netlify/functions/analyze', {
             method: 'POST',
@@ -377,72 +468,216 @@ class NarrativeAlpha {
             },
             body: JSON.stringify({
                 query,
-                liveData: topMovers.length > 0 ? topMovers : null
+                liveData
             })
         });
 
         if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Analysis request failed');
+            const error = await response.json().catch(() => ({}));
+            throw toResponseError(error, 'Analysis request failed');
         }
 
         return await response.json();
     }
 
-    displayResults(data) {
-        // Show results section
+    // Streams the analysis from analyze-stream (server-sent events), rendering fields and tool
+    // calls as they arrive; falls back to the buffered analyze function when streaming isn't available
+    async callAPIStream(query, liveData = this.getLiveDataContext()) {
+        let response;
+        try {
+            response = await fetch('/.netlify/functions/analyze-stream', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream'
+                },
+                body: JSON.stringify({ query, liveData })
+            });
+        } catch (error) {
+            console.warn('Analysis stream unavailable:', error.message);
+            return this.callAPI(query, liveData);
+        }
+
+        const isStream = (response.headers.get('Content-Type') || '').includes('text/event-stream');
+        if (response.status === 404 || (response.ok && (!isStream || !response.body?.getReader))) {
+            return this.callAPI(query, liveData);
+        }
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw toResponseError(error, 'Analysis request failed');
+        }
+
+        this.beginStreamingResults();
+
+        let result = null;
+        const toolCalls = [];
+        await this.readEventStream(response, (event, data) => {
+            if (event === 'tool_call') {
+                toolCalls.push({ ...data, pending: true });
+                this.renderToolTrace(toolCalls);
+            } else if (event === 'tool_result') {
+                const index = toolCalls.findIndex(call => call.id === data.id);
+                if (index >= 0) toolCalls[index] = { input: toolCalls[index].input, ...data };
+                this.renderToolTrace(toolCalls);
+            } else if (event === 'field') {
+                this.streamingResult[data.name] = data.value;
+                this.renderResultField(data.name, this.streamingResult);
+            } else if (event === 'repair') {
+                // The streamed reply failed validation - the repaired result replaces it on done
+                this.renderedFields = {};
+                this.elements.mainPrediction.innerHTML = '<p class="stream-pending">Response failed validation, repairing...</p>';
+            } else if (event === 'done') {
+                result = { ...data.result, tool_calls: data.tool_calls || toolCalls };
+            } else if (event === 'error') {
+                throw toResponseError(data, 'Analysis stream failed');
+            }
+        });
+
+        if (!result) {
+            throw new Error('Analysis stream ended early');
+        }
+        return result;
+    }
+
+    // Feeds each server-sent event ({ event, data }) to onEvent until the stream closes
+    async readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            const frames = buffer.replace(/\r\n/g, '\n').split('\n\n');
+            buffer = frames.pop();
+            frames.forEach(frame => {
+                let event = 'message';
+                let data = '';
+                frame.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) data += line.slice(5).trim();
+                });
+                if (data) onEvent(event, JSON.parse(data));
+            });
+        }
+    }
+
+    // Show the results card empty, ready to fill in as fields stream in
+    beginStreamingResults() {
+        this.streamingResult = {};
+        this.renderedFields = {};
+        this.showResultsSection();
+        this.elements.resultsSection.classList.add('streaming');
+
+        this.elements.mainPrediction.innerHTML = '<p class="stream-pending">Reading the narrative...</p>';
+        this.elements.confidenceValue.textContent = '--';
+        this.elements.velocityValue.textContent = '--';
+        this.elements.velocityFill.style.width = '0%';
+        ['catalysts', 'tickers', 'risks', 'timeline', 'actionable'].forEach(key => {
+            this.elements[key].innerHTML = '';
+        });
+    }
+
+    // timestamp: when the analysis ran (a resumed thread shows its original time)
+    showResultsSection(timestamp = Date.now()) {
         this.elements.resultsSection.classList.remove('hidden');
 
         // Scroll to results
         this.elements.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
 
         // Update timestamp
-        this.elements.resultTimestamp.textContent = new Date().toLocaleString('en-US', {
+        this.elements.resultTimestamp.textContent = new Date(timestamp).toLocaleString('en-US', {
             hour: '2-digit',
             minute: '2-digit',
             second: '2-digit',
             hour12: false
         }) + ' UTC';
+    }
 
-        // Main prediction (escape AI-generated content to prevent XSS)
-        this.elements.mainPrediction.innerHTML = `
-            <h3 style="color: var(--accent-cyan); margin-bottom: 0.75rem; font-size: 1.25rem;">${escapeHtml(data.narrative_name)}</h3>
-            <p>${escapeHtml(data.summary)}</p>
-        `;
+    // streamed: fields were already rendered as they arrived - only fill in what changed
+    // timestamp: when the analysis ran, for a resumed thread
+    displayResults(data, options = {}) {
+        if (!options.streamed || !this.renderedFields) {
+            this.renderedFields = {};
+            this.showResultsSection(options.timestamp);
+        }
 
-        // Alert level (use textContent which is safe, validate value)
-        const alertLevel = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'].includes(data.alert_level)
-            ? data.alert_level
-            : 'MEDIUM';
-        this.elements.alertLevel.textContent = alertLevel;
-        this.elements.alertLevel.className = 'card-badge ' + alertLevel.toLowerCase();
+        ['narrative_name', 'alert_level', 'confidence', 'velocity_score', 'catalysts',
+            'suggested_tickers', 'risk_vectors', 'timeline', 'actionable_intel']
+            .forEach(name => this.renderResultField(name, data, { final: true }));
+    }
+
+    // Render one field of an analysis (escape AI-generated content to prevent XSS)
+    renderResultField(name, data, options = {}) {
+        // narrative_name and summary share the main prediction card
+        const key = name === 'summary' ? 'narrative_name' : name;
+        const fingerprint = JSON.stringify(key === 'narrative_name' ? [data.narrative_name, data.summary] : [data[key]]);
+        if (this.renderedFields?.[key] === fingerprint) return;
+        if (this.renderedFields) this.renderedFields[key] = fingerprint;
+
+        switch (key) {
+            case 'narrative_name':
+                this.elements.mainPrediction.innerHTML = `
+                    <h3 style="color: var(--accent-cyan); margin-bottom: 0.75rem; font-size: 1.25rem;">${escapeHtml(data.narrative_name || '')}</h3>
+                    <p>${escapeHtml(data.summary || '')}</p>
+                `;
+                break;
+
+            case 'alert_level': {
+                // Use textContent which is safe, validate value
+                const alertLevel = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'].includes(data.alert_level)
+                    ? data.alert_level
+                    : 'MEDIUM';
+                // A partial "MED" streams in before "MEDIUM" - wait for a valid value
+                if (!options.final && alertLevel !== data.alert_level) {
+                    delete this.renderedFields[key];
+                    return;
+                }
+                this.elements.alertLevel.textContent = alertLevel;
+                this.elements.alertLevel.className = 'card-badge ' + alertLevel.toLowerCase();
+                break;
+            }
 
-        // Confidence gauge (ensure numeric)
-        const confidence = Math.min(100, Math.max(0, parseInt(data.confidence) || 50));
-        this.animateConfidence(confidence);
+            case 'confidence': {
+                // Confidence gauge (ensure numeric)
+                const confidence = Math.min(100, Math.max(0, parseInt(data.confidence) || 50));
+                this.animateConfidence(confidence);
+                break;
+            }
 
-        // Velocity (ensure numeric)
-        const velocity = Math.min(10, Math.max(0, parseFloat(data.velocity_score) || 1.0));
-        this.elements.velocityValue.textContent = velocity.toFixed(1) + 'x';
-        const velocityPercent = Math.min((velocity / 10) * 100, 100);
-        this.elements.velocityFill.style.width = velocityPercent + '%';
+            case 'velocity_score': {
+                // Velocity (ensure numeric)
+                const velocity = Math.min(10, Math.max(0, parseFloat(data.velocity_score) || 1.0));
+                this.elements.velocityValue.textContent = velocity.toFixed(1) + 'x';
+                const velocityPercent = Math.min((velocity / 10) * 100, 100);
+                this.elements.velocityFill.style.width = velocityPercent + '%';
+                break;
+            }
 
-        // Catalysts (escape each item)
-        this.elements.catalysts.innerHTML = this.formatList(data.catalysts || []);
+            case 'catalysts':
+                this.elements.catalysts.innerHTML = this.formatList(data.catalysts || []);
+                break;
 
-        // Tickers (escape each ticker)
-        this.elements.tickers.innerHTML = (data.suggested_tickers || [])
-            .map(t => `<span class="ticker-tag">$${escapeHtml(t)}</span>`)
-            .join('');
+            case 'suggested_tickers':
+                this.elements.tickers.innerHTML = (data.suggested_tickers || [])
+                    .map(t => `<span class="ticker-tag">$${escapeHtml(t)}</span>`)
+                    .join('');
+                break;
 
-        // Risks (escape each item)
-        this.elements.risks.innerHTML = this.formatList(data.risk_vectors || []);
+            case 'risk_vectors':
+                this.elements.risks.innerHTML = this.formatList(data.risk_vectors || []);
+                break;
 
-        // Timeline (escape AI-generated content)
-        this.elements.timeline.innerHTML = `<p>${escapeHtml(data.timeline || 'Analysis in progress...')}</p>`;
+            case 'timeline':
+                this.elements.timeline.innerHTML = `<p>${escapeHtml(data.timeline || 'Analysis in progress...')}</p>`;
+                break;
 
-        // Actionable intel (escape AI-generated content)
-        this.elements.actionable.innerHTML = `<p>${escapeHtml(data.actionable_intel || 'No specific actions recommended at this time.')}</p>`;
+            case 'actionable_intel':
+                this.elements.actionable.innerHTML = `<p>${escapeHtml(data.actionable_intel || 'No specific actions recommended at this time.')}</p>`;
+                break;
+        }
     }
 
     animateConfidence(value) {
@@ -478,14 +713,79 @@ class NarrativeAlpha {
         return '<ul>' + items.map(item => `<li>${escapeHtml(item)}</li>`).join('') + '</ul>';
     }
 
-    displayError(message) {
+    // One line per tool call: what was asked, how it went, and the data the model got back
+    renderToolTrace(calls) {
+        if (!this.elements.traceCard) return;
+        this.elements.traceCard.classList.toggle('hidden', calls.length === 0);
+        if (calls.length === 0) {
+            this.elements.traceCalls.innerHTML = '';
+            this.elements.traceMeta.textContent = '';
+            return;
+        }
+
+        const failed = calls.filter(call => !call.pending && !call.ok).length;
+        this.elements.traceMeta.textContent = `${calls.length} call${calls.length === 1 ? '' : 's'}${failed > 0 ? ` · ${failed} failed` : ''}`;
+
+        this.elements.traceCalls.innerHTML = calls.map(call => {
+            const status = call.pending ? 'pending' : call.ok ? 'ok' : 'error';
+            const input = call.input && Object.keys(call.input).length > 0 ? JSON.stringify(call.input) : '';
+            const output = call.pending ? '' : call.ok ? JSON.stringify(call.result, null, 2) : call.error;
+            return `
+                <details class="trace-call ${status}">
+                    <summary>
+                        <span class="trace-status"></span>
+                        <span class="trace-name">${escapeHtml(call.name || 'unknown')}</span>
+                        ${input ? `<code class="trace-input">${escapeHtml(input)}</code>` : ''}
+                        <span class="trace-outcome">${escapeHtml(this.describeToolCall(call))}</span>
+                        ${Number.isFinite(call.ms) ? `<span class="trace-ms">${call.ms}ms</span>` : ''}
+                    </summary>
+                    ${output ? `<pre class="trace-output">${escapeHtml(String(output).slice(0, 4000))}</pre>` : ''}
+                </details>
+            `;
+        }).join('');
+    }
+
+    // Short outcome shown next to each tool call
+    describeToolCall(call) {
+        if (call.pending) return 'running...';
+        if (!call.ok) return call.error || 'failed';
+        const result = call.result || {};
+        const pairs = count => `${count} pair${count === 1 ? '' : 's'}`;
+        switch (call.name) {
+            case 'search_tokens':
+                return pairs((result.results || []).length);
+            case 'get_token_pairs':
+                return pairs(result.pairCount || 0);
+            case 'get_trench_scan':
+                return `${(result.gems || []).length} gems · ${(result.watchlist || []).length} watch · ${(result.risky || []).length} risky`;
+            case 'get_narrative_radar':
+                return `${(result.narratives || []).length} narratives${result.stale ? ' (stale)' : ''}`;
+            case 'get_holder_data':
+                return `${result.holderCount ?? '?'} holders · top 10 ${result.top10Share ?? '?'}%`;
+            default:
+                return 'ok';
+        }
+    }
+
+    // error: Error / AiResponseError, or a message string
+    displayError(error) {
+        const message = typeof error === 'string' ? error : (error?.message || 'Analysis failed');
+        const isAiError = error instanceof AiResponseError;
+        const isRejected = isAiError && error.code !== 'AI_REQUEST_FAILED';
+        const details = isAiError && error.details.length > 0
+            ? `<ul class="ai-error-details">${error.details.map(d => `<li>${escapeHtml(d)}</li>`).join('')}</ul>`
+            : '';
+
         this.elements.resultsSection.classList.remove('hidden');
+        this.elements.alertLevel.textContent = isRejected ? 'INVALID' : 'ERROR';
+        this.elements.alertLevel.className = 'card-badge urgent';
         this.elements.mainPrediction.innerHTML = `
             <div style="color: var(--accent-red);">
-                <h3 style="margin-bottom: 0.5rem;">Analysis Error</h3>
-                <p>${message}</p>
+                <h3 style="margin-bottom: 0.5rem;">${isRejected ? 'AI Response Rejected' : 'Analysis Error'}</h3>
+                <p>${escapeHtml(message)}${isAiError ? ` <span class="ai-error-code">${escapeHtml(error.code)}</span>` : ''}</p>
+                ${details}
                 <p style="margin-top: 1rem; color: var(--text-muted);">
-                    Please try again in a moment.
+                    ${isRejected ? 'The model returned data that did not match the expected format, even after a repair attempt, so it was discarded.' : 'Please try again in a moment.'}
                 </p>
             </div>
         `;
@@ -499,6 +799,194 @@ class NarrativeAlpha {
         this.elements.timeline.innerHTML = '';
         this.elements.actionable.innerHTML = '';
     }
+
+    // ============================================
+    // FOLLOW-UP THREADS
+    // ============================================
+
+    loadThreads() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('na_threads') || '[]');
+            // Saved results are shown again - hold them to the same schema as fresh ones
+            return Array.isArray(saved)
+                ? saved.filter(t => t && t.id && typeof t.query === 'string' && Array.isArray(t.turns) &&
+                    AiSchema.validate(t.result, AiSchema.NARRATIVE_ANALYSIS).valid &&
+                    t.turns.every(turn => typeof turn?.question === 'string' && AiSchema.validate(turn.answer, AiSchema.FOLLOW_UP).valid))
+                : [];
+        } catch (e) {
+            console.warn('Could not load threads');
+            return [];
+        }
+    }
+
+    saveThreads() {
+        try {
+            localStorage.setItem('na_threads', JSON.stringify(this.threads));
+        } catch (e) {
+            console.warn('Could not save threads');
+        }
+    }
+
+    getActiveThread() {
+        return this.threads.find(t => t.id === this.activeThreadId) || null;
+    }
+
+    // Most recently used first, capped at 12 - each one carries its liveData snapshot
+    // and the tool calls behind the analysis
+    startThread(query, liveData, result, toolCalls = []) {
+        const now = Date.now();
+        const thread = {
+            id: `T${now.toString(36).toUpperCase()}`,
+            query,
+            liveData,
+            result,
+            toolCalls,
+            turns: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        this.threads = [thread, ...this.threads].slice(0, 12);
+        this.activeThreadId = thread.id;
+        this.saveThreads();
+        this.renderThread();
+        this.renderSavedThreads();
+    }
+
+    // Sends the original query, its liveData snapshot, the analysis and the last 10 answers
+    async askFollowUp() {
+        const thread = this.getActiveThread();
+        const question = this.elements.threadInput.value.trim();
+        if (!thread || this.isAskingFollowUp) return;
+        if (question.length < 3) {
+            this.elements.threadInput.focus();
+            return;
+        }
+
+        this.isAskingFollowUp = true;
+        this.elements.threadAskBtn.disabled = true;
+        this.elements.threadInput.value = '';
+        this.renderThread({ pending: question });
+
+        try {
+            const response = await fetch('/.netlify/functions/analyze', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    query: question,
+                    liveData: thread.liveData,
+                    thread: {
+                        query: thread.query,
+                        result: thread.result,
+                        turns: thread.turns.slice(-10).map(t => ({ question: t.question, answer: t.answer }))
+                    }
+                })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw toResponseError(error, 'Follow-up request failed');
+            }
+
+            const answer = validateAiResponse(await response.json(), AiSchema.FOLLOW_UP);
+            thread.turns.push({ question, answer, askedAt: Date.now() });
+            thread.updatedAt = Date.now();
+            this.threads = [thread, ...this.threads.filter(t => t.id !== thread.id)];
+            this.saveThreads();
+            this.renderSavedThreads();
+            if (this.activeThreadId === thread.id) {
+                this.renderThread();
+            }
+        } catch (error) {
+            console.error('Follow-up error:', error);
+            if (this.activeThreadId === thread.id) {
+                this.renderThread({ failed: question, error });
+                this.elements.threadInput.value = question;
+            }
+        } finally {
+            this.isAskingFollowUp = false;
+            this.elements.threadAskBtn.disabled = false;
+        }
+    }
+
+    // state: { pending } while a question is out, { failed, error } when it failed
+    renderThread(state = {}) {
+        const thread = this.getActiveThread();
+        if (!this.elements.threadCard) return;
+        this.elements.threadCard.classList.toggle('hidden', !thread);
+        if (!thread) return;
+
+        const count = thread.turns.length;
+        this.elements.threadMeta.textContent = count > 0 ? `${count} follow-up${count === 1 ? '' : 's'}` : '';
+
+        const turn = (question, answerHtml, answerClass = '') => `
+            <div class="thread-turn">
+                <div class="thread-question">${escapeHtml(question)}</div>
+                <div class="thread-answer ${answerClass}">${answerHtml}</div>
+            </div>
+        `;
+
+        let html = thread.turns.map(t => turn(t.question, `
+            <p>${escapeHtml(t.answer.answer)}</p>
+            ${t.answer.referenced_tickers?.length > 0 ? `
+                <div class="thread-tickers">
+                    ${t.answer.referenced_tickers.map(ticker => `<span class="ticker-tag">$${escapeHtml(ticker)}</span>`).join('')}
+                </div>
+            ` : ''}
+        `)).join('');
+
+        if (state.pending) {
+            html += turn(state.pending, '<p class="stream-pending">Thinking...</p>');
+        }
+        if (state.failed) {
+            const code = state.error instanceof AiResponseError ? ` <span class="ai-error-code">${escapeHtml(state.error.code)}</span>` : '';
+            html += turn(state.failed, `<p>${escapeHtml(state.error?.message || 'Follow-up failed')}${code}</p>`, 'error');
+        }
+        if (!html) {
+            html = '<p class="thread-empty">Ask anything about this read - the original query, its live data snapshot and earlier answers are kept as context.</p>';
+        }
+
+        this.elements.threadMessages.innerHTML = html;
+        this.elements.threadMessages.scrollTop = this.elements.threadMessages.scrollHeight;
+    }
+
+    renderSavedThreads() {
+        const el = this.elements.savedThreads;
+        if (!el) return;
+
+        el.classList.toggle('hidden', this.threads.length === 0);
+        el.innerHTML = '<span class="saved-threads-label">RECENT THREADS</span>' + this.threads.map(t => `
+            <span class="saved-thread ${t.id === this.activeThreadId ? 'active' : ''}" data-thread-id="${escapeHtml(t.id)}" title="${escapeHtml(t.query)}">
+                ${escapeHtml(t.result.narrative_name || t.query.slice(0, 40))}
+                <span class="saved-thread-meta">${t.turns.length} · ${new Date(t.updatedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false })}</span>
+                <button class="saved-thread-delete" data-delete-thread="${escapeHtml(t.id)}" title="Delete thread">&times;</button>
+            </span>
+        `).join('');
+    }
+
+    // Show a saved analysis again and continue its thread
+    resumeThread(id) {
+        const thread = this.threads.find(t => t.id === id);
+        if (!thread || this.isAnalyzing) return;
+
+        this.activeThreadId = thread.id;
+        this.elements.queryInput.value = thread.query;
+        this.displayResults(thread.result, { timestamp: thread.createdAt });
+        this.renderToolTrace(Array.isArray(thread.toolCalls) ? thread.toolCalls : []);
+        this.renderThread();
+        this.renderSavedThreads();
+    }
+
+    deleteThread(id) {
+        this.threads = this.threads.filter(t => t.id !== id);
+        if (this.activeThreadId === id) {
+            this.activeThreadId = null;
+            this.renderThread();
+        }
+        this.saveThreads();
+        this.renderSavedThreads();
+    }
 }
 
 
@@ -552,9 +1040,14 @@ class NavigationController {
                 document.querySelectorAll('.pulse-content').forEach(c => c.classList.remove('active'));
                 tab.classList.add('active');
                 const tabType = tab.dataset.tab;
-                const targetId = tabType === 'market' ? 'pulseMarket' :
-                                 tabType === 'alpha' ? 'pulseAlpha' : 'pulseSocial';
-                document.getElementById(targetId)?.classList.add('active');
+                const targetIds = {
+                    market: 'pulseMarket',
+                    alpha: 'pulseAlpha',
+                    social: 'pulseSocial',
+                    trench: 'pulseTrench',
+                    kol: 'pulseKol'
+                };
+                document.getElementById(targetIds[tabType] || 'pulseMarket')?.classList.add('active');
             });
         });
 
@@ -653,6 +1146,524 @@ class NavigationController {
 }
 
 
+// ============================================
+// PRICE CHART - native canvas candles + signal markers
+// ============================================
+
+class PriceChart {
+    constructor(container) {
+        this.container = container;
+        this.candles = [];
+        this.markers = [];
+        this.timeframe = null;
+        this.hoverIndex = null;
+
+        this.colors = {
+            up: '#00ff88',
+            down: '#ff3366',
+            grid: 'rgba(255, 255, 255, 0.05)',
+            axis: 'rgba(255, 255, 255, 0.45)',
+            crosshair: 'rgba(0, 240, 255, 0.35)',
+            volumeUp: 'rgba(0, 255, 136, 0.18)',
+            volumeDown: 'rgba(255, 51, 102, 0.18)',
+            positive: '#00ff88',
+            negative: '#ff3366',
+            alert: '#ff9500'
+        };
+
+        this.container.innerHTML = `
+            <div class="price-chart">
+                <canvas class="price-chart-canvas"></canvas>
+                <div class="price-chart-tooltip"></div>
+                <div class="price-chart-status"></div>
+            </div>
+        `;
+        this.canvas = this.container.querySelector('.price-chart-canvas');
+        this.tooltip = this.container.querySelector('.price-chart-tooltip');
+        this.status = this.container.querySelector('.price-chart-status');
+        this.ctx = this.canvas.getContext ? this.canvas.getContext('2d') : null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('mousemove', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const index = this.indexAt(e.clientX - rect.left);
+            if (index !== this.hoverIndex) {
+                this.hoverIndex = index;
+                this.render();
+            }
+        });
+
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hoverIndex = null;
+            this.render();
+        });
+
+        // Re-render when the section becomes visible or the layout changes
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.render()).observe(this.container);
+        } else {
+            window.addEventListener('resize', () => this.render());
+        }
+    }
+
+    setStatus(text) {
+        this.status.textContent = text || '';
+        this.status.classList.toggle('visible', !!text);
+    }
+
+    // candles oldest first; markers already placed with Candles.placeMarkers()
+    setData({ candles = [], markers = [], timeframe = null } = {}) {
+        this.candles = candles;
+        this.markers = markers;
+        this.timeframe = timeframe;
+        this.hoverIndex = null;
+        this.setStatus(candles.length === 0 ? 'No candle data for this token yet' : '');
+        this.render();
+    }
+
+    // Layout in CSS pixels; price pane on top, volume strip underneath
+    layout() {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight || CONFIG.UI.CHART_HEIGHT;
+        const axisWidth = 72;
+        const plotWidth = Math.max(0, width - axisWidth);
+        const slot = 8; // px per candle incl. gap
+        const visible = Math.max(1, Math.min(this.candles.length, Math.floor(plotWidth / slot)));
+
+        return {
+            width,
+            height,
+            plotWidth,
+            priceTop: 24,
+            priceBottom: height * 0.78,
+            volumeTop: height * 0.82,
+            volumeBottom: height - 22,
+            start: this.candles.length - visible,
+            visible,
+            slot: plotWidth / visible
+        };
+    }
+
+    indexAt(x) {
+        if (this.candles.length === 0) return null;
+        const l = this.layout();
+        if (x < 0 || x > l.plotWidth) return null;
+        return Math.min(this.candles.length - 1, l.start + Math.floor(x / l.slot));
+    }
+
+    render() {
+        if (!this.ctx) return;
+        const l = this.layout();
+        if (l.width === 0) return; // hidden section - the resize observer renders once shown
+
+        const dpr = window.devicePixelRatio || 1;
+        this.canvas.width = l.width * dpr;
+        this.canvas.height = l.height * dpr;
+        this.canvas.style.width = `${l.width}px`;
+        this.canvas.style.height = `${l.height}px`;
+
+        const ctx = this.ctx;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, l.width, l.height);
+        this.tooltip.classList.remove('visible');
+
+        const candles = this.candles.slice(l.start);
+        if (candles.length === 0) return;
+
+        // Pad the price range so markers have room above / below the extremes
+        let low = Math.min(...candles.map(c => c.low));
+        let high = Math.max(...candles.map(c => c.high));
+        if (high === low) {
+            high *= 1.01;
+            low *= 0.99;
+        }
+        const pad = (high - low) * 0.08;
+        low -= pad;
+        high += pad;
+
+        const y = price => l.priceTop + (high - price) / (high - low) * (l.priceBottom - l.priceTop);
+        const x = i => (i - l.start) * l.slot + l.slot / 2;
+        const maxVolume = Math.max(...candles.map(c => c.volume || 0));
+        const bodyWidth = Math.max(1, l.slot * 0.65);
+
+        // Grid + price axis
+        ctx.font = '10px "JetBrains Mono", monospace';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 4; i++) {
+            const price = low + (high - low) * (i / 4);
+            const py = y(price);
+            ctx.strokeStyle = this.colors.grid;
+            ctx.beginPath();
+            ctx.moveTo(0, py);
+            ctx.lineTo(l.plotWidth, py);
+            ctx.stroke();
+            ctx.fillStyle = this.colors.axis;
+            ctx.fillText(formatSmallPrice(price), l.plotWidth + 6, py);
+        }
+
+        // Time axis - a label roughly every 120px
+        const labelEvery = Math.max(1, Math.round(120 / l.slot));
+        ctx.textBaseline = 'alphabetic';
+        candles.forEach((c, i) => {
+            if (i % labelEvery !== 0) return;
+            ctx.fillStyle = this.colors.axis;
+            ctx.fillText(this.formatTime(c.time), x(l.start + i) - 14, l.height - 6);
+        });
+
+        // Candles + volume
+        candles.forEach((c, i) => {
+            const index = l.start + i;
+            const cx = x(index);
+            const up = c.close >= c.open;
+
+            if (maxVolume > 0 && c.volume > 0) {
+                const vh = (c.volume / maxVolume) * (l.volumeBottom - l.volumeTop);
+                ctx.fillStyle = up ? this.colors.volumeUp : this.colors.volumeDown;
+                ctx.fillRect(cx - bodyWidth / 2, l.volumeBottom - vh, bodyWidth, vh);
+            }
+
+            ctx.strokeStyle = up ? this.colors.up : this.colors.down;
+            ctx.fillStyle = up ? this.colors.up : this.colors.down;
+            ctx.beginPath();
+            ctx.moveTo(cx, y(c.high));
+            ctx.lineTo(cx, y(c.low));
+            ctx.stroke();
+            const top = y(Math.max(c.open, c.close));
+            const bodyHeight = Math.max(1, y(Math.min(c.open, c.close)) - top);
+            ctx.fillRect(cx - bodyWidth / 2, top, bodyWidth, bodyHeight);
+        });
+
+        // Markers - signals below the candle, alerts above; stacked when they share a candle
+        const stacks = {};
+        this.markers.filter(m => m.index >= l.start).forEach(m => {
+            const c = this.candles[m.index];
+            const cx = x(m.index);
+            const key = `${m.index}:${m.kind}`;
+            const offset = (stacks[key] = (stacks[key] || 0) + 1) * 12;
+            const my = m.kind === 'alert' ? y(c.high) - offset : y(c.low) + offset;
+
+            ctx.fillStyle = this.colors[m.tone] || this.colors.alert;
+            ctx.beginPath();
+            if (m.kind === 'alert') {
+                ctx.arc(cx, my, 4, 0, Math.PI * 2);
+            } else if (m.tone === 'negative') {
+                ctx.moveTo(cx - 4, my - 3);
+                ctx.lineTo(cx + 4, my - 3);
+                ctx.lineTo(cx, my + 4);
+            } else {
+                ctx.moveTo(cx - 4, my + 3);
+                ctx.lineTo(cx + 4, my + 3);
+                ctx.lineTo(cx, my - 4);
+            }
+            ctx.fill();
+        });
+
+        if (this.hoverIndex !== null && this.hoverIndex >= l.start) {
+            this.renderHover(l, x(this.hoverIndex));
+        }
+    }
+
+    renderHover(l, cx) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = this.colors.crosshair;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(cx, l.priceTop);
+        ctx.lineTo(cx, l.volumeBottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        const c = this.candles[this.hoverIndex];
+        const change = c.open > 0 ? ((c.close - c.open) / c.open) * 100 : 0;
+        const markers = this.markers.filter(m => m.index === this.hoverIndex);
+
+        this.tooltip.innerHTML = `
+            <div class="price-chart-tooltip-time">${escapeHtml(new Date(c.time).toLocaleString())}</div>
+            <div>O ${escapeHtml(formatSmallPrice(c.open))} H ${escapeHtml(formatSmallPrice(c.high))}</div>
+            <div>L ${escapeHtml(formatSmallPrice(c.low))} C ${escapeHtml(formatSmallPrice(c.close))}
+                <span class="${change >= 0 ? 'positive' : 'negative'}">${change >= 0 ? '+' : ''}${change.toFixed(2)}%</span></div>
+            ${c.volume > 0 ? `<div>Vol $${escapeHtml(SignalEngine.formatCompact(c.volume))}</div>` : ''}
+            ${markers.map(m => `
+                <div class="price-chart-marker ${escapeHtml(m.tone)}">
+                    <strong>${m.kind === 'alert' ? 'ALERT' : 'SIGNAL'}: ${escapeHtml(m.label)}</strong>
+                    ${m.detail ? `<span>${escapeHtml(m.detail)}</span>` : ''}
+                </div>
+            `).join('')}
+        `;
+        // Keep the tooltip on the opposite side of the cursor
+        const left = cx > l.plotWidth / 2 ? 8 : l.plotWidth - 228;
+        this.tooltip.style.left = `${Math.max(8, left)}px`;
+        this.tooltip.classList.add('visible');
+    }
+
+    formatTime(ms) {
+        const d = new Date(ms);
+        const daily = this.timeframe === '1d' || this.timeframe === '12h';
+        return daily
+            ? `${d.getMonth() + 1}/${d.getDate()}`
+            : `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+    }
+}
+
+
+// ============================================
+// SNAPSHOT STORE - IndexedDB token history
+// ============================================
+
+class SnapshotStore {
+    constructor(options = {}) {
+        const settings = CONFIG.SNAPSHOTS || {};
+        this.dbName = options.dbName || settings.DB_NAME || 'na_snapshots';
+        this.dbVersion = options.dbVersion || settings.DB_VERSION || 1;
+        this.maxAgeMs = options.maxAgeMs || settings.MAX_AGE_MS || 7 * 24 * 60 * 60 * 1000;
+        this.maxPerToken = options.maxPerToken || settings.MAX_PER_TOKEN || 500;
+        this.pruneInterval = options.pruneInterval || settings.PRUNE_INTERVAL || 10 * 60 * 1000;
+        this.storeName = 'snapshots';
+        this.lifecycleStoreName = 'lifecycle'; // Narrative radar lifecycle history (one record)
+        this.lastPruneTime = 0;
+        this.dbPromise = null;
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('IndexedDB not available'));
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    // Compound key keeps each token's rows contiguous and time-ordered
+                    const store = db.createObjectStore(this.storeName, { keyPath: ['address', 'timestamp'] });
+                    store.createIndex('timestamp', 'timestamp');
+                }
+                if (!db.objectStoreNames.contains(this.lifecycleStoreName)) {
+                    db.createObjectStore(this.lifecycleStoreName, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a retry on the next call if opening failed
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+        return this.dbPromise;
+    }
+
+    // Flatten a processed token into a storable row
+    toSnapshot(token, timestamp) {
+        return {
+            address: token.address,
+            timestamp,
+            symbol: token.symbol,
+            name: token.name,
+            price: token.price,
+            priceChange5m: token.priceChange5m,
+            priceChange1h: token.priceChange1h,
+            priceChange6h: token.priceChange6h,
+            priceChange24h: token.priceChange24h,
+            volume5m: token.volume5m,
+            volume1h: token.volume1h,
+            volume6h: token.volume6h,
+            volume24h: token.volume24h,
+            liquidity: token.liquidity,
+            marketCap: token.marketCap,
+            txns24h: token.txns24h,
+            txns1h: token.txns1h || 0,
+            buyRatio: token.buyRatio,
+            pairAddress: token.pairAddress,
+            dexId: token.dexId,
+            url: token.url,
+            createdAt: token.createdAt || null,
+            signalType: token.signalType,
+            isUrgent: !!token.isUrgent,
+            confidence: token.confidence,
+            heatScore: token.heatScore,
+            scamScore: token.scamCheck?.scamScore || 0
+        };
+    }
+
+    // Write one row per token, all sharing the same timestamp
+    async record(tokens, timestamp = Date.now()) {
+        if (!Array.isArray(tokens) || tokens.length === 0) return 0;
+
+        const db = await this.open();
+        const rows = tokens
+            .filter(t => t && t.address)
+            .map(t => this.toSnapshot(t, timestamp));
+
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readwrite');
+            const store = tx.objectStore(this.storeName);
+            rows.forEach(row => store.put(row));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+
+        if (timestamp - this.lastPruneTime > this.pruneInterval) {
+            this.lastPruneTime = timestamp;
+            this.prune(timestamp).catch(e => console.warn('[Snapshots] Prune failed:', e.message));
+        }
+
+        return rows.length;
+    }
+
+    // Snapshots for one token between two timestamps (inclusive), oldest first
+    async getRange(address, from = 0, to = Date.now()) {
+        const db = await this.open();
+        const range = IDBKeyRange.bound([address, from], [address, to]);
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .getAll(range);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Most recent N snapshots for one token, newest first
+    async getLatest(address, limit = 1) {
+        const db = await this.open();
+        const range = IDBKeyRange.bound([address, 0], [address, Infinity]);
+
+        return new Promise((resolve, reject) => {
+            const results = [];
+            const request = db.transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .openCursor(range, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && results.length < limit) {
+                    results.push(cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve(results);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Latest N snapshots for every stored token, keyed by address
+    async getLatestPerToken(limit = 1) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const byToken = {};
+            const request = db.transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .openCursor(null, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(byToken);
+                    return;
+                }
+                const row = cursor.value;
+                const rows = byToken[row.address] || (byToken[row.address] = []);
+                if (rows.length < limit) rows.push(row);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Dump everything in a range (used for exporting backtest fixtures)
+    async exportAll(from = 0, to = Date.now()) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .index('timestamp')
+                .getAll(IDBKeyRange.bound(from, to));
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Drop rows older than the retention window and trim each token to maxPerToken
+    async prune(now = Date.now()) {
+        const db = await this.open();
+        const cutoff = now - this.maxAgeMs;
+
+        return new Promise((resolve, reject) => {
+            let removed = 0;
+            const counts = {};
+            const tx = db.transaction(this.storeName, 'readwrite');
+            const request = tx.objectStore(this.storeName).openCursor(null, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                const { address, timestamp } = cursor.value;
+                counts[address] = (counts[address] || 0) + 1;
+                if (timestamp < cutoff || counts[address] > this.maxPerToken) {
+                    cursor.delete();
+                    removed++;
+                }
+                cursor.continue();
+            };
+            tx.oncomplete = () => resolve(removed);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // Narrative lifecycle history as the radar last returned it (null when none is stored)
+    async getLifecycleHistory() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(this.lifecycleStoreName, 'readonly')
+                .objectStore(this.lifecycleStoreName)
+                .get('radar');
+            request.onsuccess = () => resolve(request.result ? request.result.history : null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveLifecycleHistory(history) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.lifecycleStoreName, 'readwrite');
+            tx.objectStore(this.lifecycleStoreName).put({ id: 'radar', history, savedAt: Date.now() });
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async clearLifecycleHistory() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.lifecycleStoreName, 'readwrite');
+            tx.objectStore(this.lifecycleStoreName).delete('radar');
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async clear() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readwrite');
+            tx.objectStore(this.storeName).clear();
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
+
 // ============================================
 // LIVE DATA SERVICE - DEX Screener & PumpFun Integration
 // ============================================
@@ -667,6 +1678,10 @@ class LiveDataService {
         this.currentTokenAddress = null;
         this.cachedTrendingTokens = [];
         this.cachedPumpFunTokens = [];
+        this.lastDexPairs = []; // Raw pairs behind the DEX tokens - re-processed when scam rules change
+        // Copycat groups (shared/copycat-detector.js) - from the Signals feed and the last name search
+        this.feedCopycats = CopycatDetector.detect([]);
+        this.searchCopycats = CopycatDetector.detect([]);
         this.lastFetchTime = 0;
         this.lastDexFetchTime = 0;
         this.minFetchInterval = 60000; // Minimum 60s between DEX fetches
@@ -683,17 +1698,61 @@ class LiveDataService {
         // Watchlist - stored in localStorage
         this.watchlist = this.loadWatchlist();
 
+        // Scam rules - defaults plus user overrides from localStorage
+        this.scamRuleOverrides = this.loadScamRuleOverrides();
+        this.scamRules = RuleEngine.mergeRules(RiskScoring.SCAM_RULES, this.scamRuleOverrides);
+
+        // Token history - every processed token is snapshotted on refresh
+        this.snapshotStore = new SnapshotStore();
+
         // Sound Alerts
         this.soundEnabled = localStorage.getItem('na_sound_enabled') !== 'false';
-        this.lastAlertTime = 0;
         this.alertSound = null;
         this.initAlertSound();
 
-        this.elements = {
-            signalsFeed: document.getElementById('signalsFeed'),
-            lastUpdateTime: document.getElementById('lastUpdateTime'),
-            trendingTokensList: document.getElementById('trendingTokensList'),
+        // Alert rules - user-defined, evaluated every refresh cycle
+        this.alertRules = this.loadAlertRules();
+        this.alertState = { lastFired: {}, trenchBuckets: null, narrativeRanks: null };
+        this.editingAlertRuleId = null;
+
+        // Custom narrative categories - sent to the radar with every fetch
+        this.customCategories = this.loadCustomCategories();
+        this.editingCustomCategoryId = null;
+
+        // Alert inbox - fired alerts persist until cleared
+        this.alertInbox = this.loadAlertInbox();
+        this.desktopNotificationsEnabled = localStorage.getItem('na_desktop_notifications') === 'true';
+
+        // KOL tracker - leaderboard plus which tracked wallets hold which mints
+        this.kolTraders = [];
+        this.kolPositions = {};
+        this.kolCheckedMints = new Set();
+        this.kolPulseData = null;
+
+        // Followed wallets - swaps are polled and fed to the activity feed, signal cards and alerts
+        this.followedWallets = this.loadFollowedWallets();
+        this.kolActivity = [];
+        this.kolActivitySeen = null; // Set of event keys; null until the first poll
+
+        // Portfolio - loaded for the connected wallet
+        this.portfolioLoading = false;
+
+        // Narrative intel - cached by address + market state (shared/intel-cache.js)
+        this.intelCache = this.loadIntelCache();
+        this.intelRequest = null; // { pair, address, boostInfo } of the panel's token, for re-analyze
+
+        // Token Analysis chart
+        this.priceChart = null;
+        this.chartTimeframe = CONFIG.UI.CHART_TIMEFRAMES[0];
+        this.chartPairAddress = null;
+        this.chartRequestId = 0; // Drops responses for a token / timeframe that's no longer shown
+
+        this.elements = {
+            signalsFeed: document.getElementById('signalsFeed'),
+            lastUpdateTime: document.getElementById('lastUpdateTime'),
+            trendingTokensList: document.getElementById('trendingTokensList'),
             tokenSearchInput: document.getElementById('tokenSearchInput'),
+            tokenSearchResults: document.getElementById('tokenSearchResults'),
             searchTokenBtn: document.getElementById('searchTokenBtn'),
             tokenOverview: document.getElementById('tokenOverview'),
             chartEmbed: document.getElementById('chartEmbed')
@@ -706,11 +1765,18 @@ class LiveDataService {
         this.setupEventListeners();
         this.setupWatchlistUI();
         this.setupSoundAlertUI();
+        this.setupRuleSettingsUI();
+        this.setupAlertRulesUI();
+        this.setupCustomCategoriesUI();
+        this.setupAlertInboxUI();
+        this.setupKolFollowUI();
+        this.setupPortfolioUI();
         // Load data
-        this.fetchAllData();
+        this.fetchAllData().then(() => this.fetchKolTracker()); // KOL holdings need the trending list
         this.fetchSocialTrends();
         this.fetchNarrativeRadar(); // Fetch emerging narratives (faster refresh)
         this.fetchTrenchAgent(); // Fetch fresh PumpFun launches
+        this.fetchKolActivity(); // Followed wallet swaps
         this.startAutoRefresh();
     }
 
@@ -730,13 +1796,21 @@ class LiveDataService {
             });
         }
 
-        // Timeframe buttons
+        // Timeframe buttons (from CONFIG.UI.CHART_TIMEFRAMES)
+        const timeframesEl = document.getElementById('chartTimeframes');
+        if (timeframesEl) {
+            timeframesEl.innerHTML = CONFIG.UI.CHART_TIMEFRAMES
+                .filter(tf => Candles.isTimeframe(tf))
+                .map(tf => `<button class="tf-btn ${tf === this.chartTimeframe ? 'active' : ''}" data-tf="${tf}">${tf.toUpperCase()}</button>`)
+                .join('');
+        }
         document.querySelectorAll('.tf-btn').forEach(btn => {
             btn.addEventListener('click', () => {
                 document.querySelectorAll('.tf-btn').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
+                this.chartTimeframe = btn.dataset.tf;
                 if (this.currentTokenAddress) {
-                    this.updateChartEmbed(this.currentTokenAddress);
+                    this.loadChart();
                 }
             });
         });
@@ -746,6 +1820,16 @@ class LiveDataService {
         if (copyBtn) {
             copyBtn.addEventListener('click', () => this.copyAddress());
         }
+
+        // Re-analyze skips both the local and the server intel cache
+        const reanalyzeBtn = document.getElementById('intelReanalyzeBtn');
+        if (reanalyzeBtn) {
+            reanalyzeBtn.addEventListener('click', () => {
+                if (!this.intelRequest) return;
+                const { pair, address, boostInfo } = this.intelRequest;
+                this.fetchNarrativeIntel(pair, address, boostInfo, { refresh: true });
+            });
+        }
     }
 
     startAutoRefresh() {
@@ -775,6 +1859,28 @@ class LiveDataService {
         this.trenchIntervalId = setInterval(() => {
             this.fetchTrenchAgent();
         }, 90000);
+
+        // KOL Pulse refresh every 3 minutes (matches the function's cache)
+        this.kolIntervalId = setInterval(() => {
+            this.fetchKolTracker();
+        }, 180000);
+
+        // Followed wallet activity every minute
+        this.kolActivityIntervalId = setInterval(() => {
+            this.fetchKolActivity();
+        }, 60000);
+
+        // Chart refresh every minute while Token Analysis is open (new candles + markers)
+        this.chartIntervalId = setInterval(() => {
+            if (this.currentTokenAddress && document.getElementById('chart')?.classList.contains('active')) {
+                this.loadChart({ quiet: true });
+            }
+        }, 60000);
+
+        // Portfolio refresh every 2 minutes while a wallet is connected
+        this.portfolioIntervalId = setInterval(() => {
+            if (window.connectedWallet) this.fetchPortfolio();
+        }, 120000);
     }
 
     stopAutoRefresh() {
@@ -783,6 +1889,10 @@ class LiveDataService {
         if (this.socialTrendsIntervalId) clearInterval(this.socialTrendsIntervalId);
         if (this.narrativeIntervalId) clearInterval(this.narrativeIntervalId);
         if (this.trenchIntervalId) clearInterval(this.trenchIntervalId);
+        if (this.kolIntervalId) clearInterval(this.kolIntervalId);
+        if (this.kolActivityIntervalId) clearInterval(this.kolActivityIntervalId);
+        if (this.portfolioIntervalId) clearInterval(this.portfolioIntervalId);
+        if (this.chartIntervalId) clearInterval(this.chartIntervalId);
     }
 
     updateLastUpdateTime(fromCache = false) {
@@ -860,19 +1970,22 @@ class LiveDataService {
         console.log(`[Signals] Total tokens before dedup: ${allTokens.length}`);
 
         if (allTokens.length > 0) {
-            // Deduplicate by address
-            const seen = new Set();
-            const uniqueTokens = allTokens.filter(t => {
-                if (seen.has(t.address)) return false;
-                seen.add(t.address);
-                return true;
-            });
+            const uniqueTokens = this.combineSignalTokens(allTokens);
 
-            // Sort by heat score
-            uniqueTokens.sort((a, b) => b.heatScore - a.heatScore);
+            // Same ticker / near-identical name - label the later launches as copycats
+            this.feedCopycats = CopycatDetector.detect(uniqueTokens);
 
             this.cachedTrendingTokens = uniqueTokens.slice(0, 50);
+            this.recordSnapshots(uniqueTokens);
             this.renderSignalsFeed(this.cachedTrendingTokens);
+            // Watchlisted tokens that dropped out of trending are looked up so their rules still run
+            this.fetchWatchlistTokens(uniqueTokens).then(watched => {
+                this.evaluateAlerts('token', AlertRules.tokenSubjects([...uniqueTokens, ...watched], { watchlist: this.watchlist }));
+            }).catch(error => {
+                // Trending-token rules still run without the watchlisted extras
+                console.warn('Watchlist alert lookup failed:', error);
+                this.evaluateAlerts('token', AlertRules.tokenSubjects(uniqueTokens, { watchlist: this.watchlist }));
+            });
             this.renderTrendingTokens(this.cachedTrendingTokens.slice(0, 8));
             this.updateLastUpdateTime(false);
         } else if (this.cachedTrendingTokens.length > 0) {
@@ -885,6 +1998,60 @@ class LiveDataService {
         }
     }
 
+    // Current market data for watchlisted tokens missing from `batch` (same fields as pairMetrics)
+    async fetchWatchlistTokens(batch) {
+        const inBatch = new Set(batch.map(t => t.address));
+        const missing = this.watchlist
+            .map(t => t.address)
+            .filter(address => isValidSolanaAddress(address) && !inBatch.has(address));
+        if (missing.length === 0) return [];
+
+        const pairsByMint = await this.fetchPairsForMints(missing);
+        return Object.values(pairsByMint).map(pair => {
+            const token = SignalEngine.pairMetrics(pair);
+            token.scamCheck = this.detectScamIndicators(token);
+            token.riskLevel = token.scamCheck.riskLevel;
+            return token;
+        });
+    }
+
+    // Deduplicate by address (first source wins) and sort by heat score
+    combineSignalTokens(tokens) {
+        const seen = new Set();
+        return tokens
+            .filter(t => {
+                if (seen.has(t.address)) return false;
+                seen.add(t.address);
+                return true;
+            })
+            .sort((a, b) => b.heatScore - a.heatScore);
+    }
+
+    // Persist processed tokens to history (non-blocking)
+    recordSnapshots(tokens) {
+        if (!this.snapshotStore.isSupported()) return;
+        this.snapshotStore.record(tokens).catch(e => {
+            console.warn('[Snapshots] Record failed:', e.message);
+        });
+    }
+
+    // Download recorded history as a backtest fixture (scripts/backtest.js)
+    async exportSnapshots(from = 0, to = Date.now()) {
+        try {
+            const snapshots = await this.snapshotStore.exportAll(from, to);
+            const blob = new Blob([JSON.stringify({ exportedAt: Date.now(), snapshots })], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `na-snapshots-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+            this.showNotification(`Exported ${snapshots.length} snapshots`);
+        } catch (e) {
+            console.warn('[Snapshots] Export failed:', e.message);
+            this.showNotification('Snapshot export failed', 'error');
+        }
+    }
+
     // Fetch from DEX Screener - using multiple strategies
     async fetchDexScreener() {
         const now = Date.now();
@@ -979,6 +2146,7 @@ class LiveDataService {
             this.lastDexFetchTime = now;
 
             if (allPairs.length > 0) {
+                this.lastDexPairs = allPairs;
                 return this.processTokenData(allPairs);
             }
 
@@ -1245,181 +2413,7 @@ class LiveDataService {
     }
 
     processTokenData(pairs) {
-        // Filter for Solana pairs and deduplicate by base token
-        const seenTokens = new Set();
-        const processed = [];
-
-        for (const pair of pairs) {
-            if (!pair.baseToken || seenTokens.has(pair.baseToken.address)) continue;
-
-            // Only include Solana tokens
-            if (pair.chainId !== 'solana') continue;
-
-            seenTokens.add(pair.baseToken.address);
-
-            const priceChange24h = parseFloat(pair.priceChange?.h24 || 0);
-            const priceChange6h = parseFloat(pair.priceChange?.h6 || 0);
-            const priceChange1h = parseFloat(pair.priceChange?.h1 || 0);
-            const priceChange5m = parseFloat(pair.priceChange?.m5 || 0);
-            const volume24h = parseFloat(pair.volume?.h24 || 0);
-            const volume6h = parseFloat(pair.volume?.h6 || 0);
-            const volume1h = parseFloat(pair.volume?.h1 || 0);
-            const volume5m = parseFloat(pair.volume?.m5 || 0);
-            const liquidity = parseFloat(pair.liquidity?.usd || 0);
-            const marketCap = parseFloat(pair.fdv || pair.marketCap || 0);
-            const txns24h = (pair.txns?.h24?.buys || 0) + (pair.txns?.h24?.sells || 0);
-            const txns1h = (pair.txns?.h1?.buys || 0) + (pair.txns?.h1?.sells || 0);
-            const buyRatio = pair.txns?.h24?.buys && pair.txns?.h24?.sells
-                ? pair.txns.h24.buys / (pair.txns.h24.buys + pair.txns.h24.sells)
-                : 0.5;
-
-            // Detect PumpFun tokens early (before filtering)
-            const dexIdLower = (pair.dexId || '').toLowerCase();
-            const ageMs = pair.pairCreatedAt ? (Date.now() - pair.pairCreatedAt) : Infinity;
-            const ageHours = ageMs / (1000 * 60 * 60);
-            const isPumpFunToken = (
-                dexIdLower === 'pumpfun' ||
-                dexIdLower === 'pumpswap' ||
-                (pair.url || '').toLowerCase().includes('pump.fun') ||
-                (pair.baseToken?.address || '').endsWith('pump')
-            );
-
-            // MC/Liq ratio check - filter out extremely high ratios (likely manipulation)
-            const mcLiqRatio = liquidity > 0 ? marketCap / liquidity : 0;
-            if (mcLiqRatio > 500) continue; // Skip tokens with MC 500x+ liquidity
-
-            // Skip tokens with very low liquidity or no volume
-            // PumpFun tokens get lighter filtering to show more signals
-            if (isPumpFunToken) {
-                // Minimal filters for PumpFun - show most tokens
-                if (volume24h < 500 && volume1h < 100) continue;
-            } else {
-                if (liquidity < 1000 || volume24h < 500) continue;
-            }
-
-            // Calculate signal type based on metrics
-            let signalType = 'neutral';
-            let isUrgent = false;
-
-            // Bullish: Price up with good volume and buy pressure
-            if (priceChange24h > 10 && volume24h > 50000 && buyRatio > 0.45) {
-                signalType = 'bullish';
-                // Urgent: Massive moves or very high volume with recent momentum
-                if ((priceChange24h > 50 && priceChange1h > 5) || volume24h > 500000 || (priceChange5m > 10 && volume1h > 50000)) {
-                    isUrgent = true;
-                }
-            } else if (priceChange24h < -15 || (priceChange24h < -5 && buyRatio < 0.35)) {
-                signalType = 'bearish';
-            }
-
-            // Calculate confidence based on multiple factors
-            let confidence = 45;
-
-            // Liquidity score (safety)
-            if (liquidity > 500000) confidence += 25;
-            else if (liquidity > 100000) confidence += 18;
-            else if (liquidity > 50000) confidence += 10;
-
-            // Volume score (interest)
-            if (volume24h > 500000) confidence += 15;
-            else if (volume24h > 100000) confidence += 10;
-            else if (volume24h > 50000) confidence += 5;
-
-            // Market cap score (maturity)
-            if (marketCap > 10000000) confidence += 10;
-            else if (marketCap > 1000000) confidence += 5;
-
-            // Transaction count score (real activity)
-            if (txns24h > 5000) confidence += 5;
-            else if (txns24h > 1000) confidence += 3;
-
-            // Buy pressure bonus
-            if (buyRatio > 0.6) confidence += 5;
-
-            confidence = Math.min(confidence, 95);
-
-            // Calculate velocity (volume/liquidity ratio weighted by recent momentum)
-            const baseVelocity = liquidity > 0 ? volume24h / liquidity : 0;
-            const momentumMultiplier = priceChange1h > 0 ? 1 + (priceChange1h / 100) : 1;
-            const velocity = Math.min(baseVelocity * momentumMultiplier * 2, 10).toFixed(1);
-
-            // Calculate a "heat score" for sorting - prioritizes recent momentum
-            const heatScore = (
-                (Math.abs(priceChange5m) * 5) +
-                (Math.abs(priceChange1h) * 3) +
-                (Math.abs(priceChange6h) * 1.5) +
-                (volume24h / 10000) +
-                (txns24h / 100) +
-                (liquidity > 100000 ? 20 : 0) +
-                (isUrgent ? 50 : 0)
-            );
-
-            // Detect if this is a PumpFun-style token (includes graduated tokens)
-            const isPumpFunStyle = (
-                isPumpFunToken || // Direct PumpFun listing (detected earlier)
-                (dexIdLower === 'raydium' && ageHours < 168 && liquidity < 500000) // Graduated from PumpFun
-            );
-
-            const tokenData = {
-                address: pair.baseToken.address,
-                name: pair.baseToken.name || 'Unknown',
-                symbol: pair.baseToken.symbol || '???',
-                price: parseFloat(pair.priceUsd || 0),
-                priceChange24h,
-                priceChange6h,
-                priceChange1h,
-                priceChange5m,
-                volume24h,
-                volume6h,
-                volume1h,
-                volume5m,
-                liquidity,
-                marketCap,
-                txns24h,
-                buyRatio,
-                pairAddress: pair.pairAddress,
-                dexId: pair.dexId,
-                isPumpFunStyle,
-                ageHours,
-                signalType,
-                isUrgent,
-                confidence,
-                velocity,
-                heatScore,
-                createdAt: pair.pairCreatedAt,
-                url: pair.url,
-                info: pair.info || {}
-            };
-
-            // Run scam detection
-            const scamCheck = this.detectScamIndicators(tokenData);
-
-            // Filter obvious scams entirely
-            if (scamCheck.shouldFilter) {
-                continue;
-            }
-
-            // Add scam info to token data
-            tokenData.scamCheck = scamCheck;
-            tokenData.isHighRisk = scamCheck.isHighRisk;
-            tokenData.isPotentialHoneypot = scamCheck.isPotentialHoneypot;
-
-            // Adjust confidence based on scam score - tiered reduction
-            if (scamCheck.scamScore >= 60) {
-                tokenData.confidence = Math.max(10, tokenData.confidence - 50);
-            } else if (scamCheck.scamScore >= 40) {
-                tokenData.confidence = Math.max(10, tokenData.confidence - 35);
-            } else if (scamCheck.scamScore >= 20) {
-                tokenData.confidence = Math.max(10, tokenData.confidence - 20);
-            } else if (scamCheck.scamScore > 0) {
-                tokenData.confidence = Math.max(10, tokenData.confidence - 10);
-            }
-
-            processed.push(tokenData);
-        }
-
-        // Sort by heat score (most momentum first) - this prioritizes active pumps
-        return processed.sort((a, b) => b.heatScore - a.heatScore).slice(0, 50);
+        return SignalEngine.processTokenData(pairs, Date.now(), { scamRules: this.scamRules });
     }
 
     renderSignalsFeed(tokens) {
@@ -1470,12 +2464,6 @@ class LiveDataService {
             });
         });
 
-        // Play sound alert if there are urgent signals
-        const urgentCount = tokens.filter(t => t.isUrgent).length;
-        if (urgentCount > 0 && this.soundEnabled) {
-            this.playAlertSound();
-        }
-
         // Update system stats with real data
         this.updateSystemStats(tokens);
     }
@@ -2035,17 +3023,51 @@ class LiveDataService {
     // NARRATIVE RADAR (EARLY ALPHA)
     // ============================================
 
+    // Sends the lifecycle history kept in IndexedDB along, so the radar's phases survive its
+    // cold starts, and stores the merged history it returns. A stored history the radar
+    // refuses is dropped, or every refresh would send it again
     async fetchNarrativeRadar() {
         try {
-            const response = await fetch('/.netlify/functions/narrative-radar');
+            const categories = CustomCategories.toParam(this.customCategories);
+            const url = `/.netlify/functions/narrative-radar${categories ? `?categories=${encodeURIComponent(categories)}` : ''}`;
+            const post = history => fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ history })
+            });
+
+            const history = await this.loadLifecycleHistory();
+            let response = await post(history);
+            if (response.status === 400 && history) {
+                console.warn('[Snapshots] Radar refused the stored lifecycle history, starting over');
+                this.lifecycleHistory = null;
+                if (this.snapshotStore.isSupported()) {
+                    await this.snapshotStore.clearLifecycleHistory()
+                        .catch(e => console.warn('[Snapshots] Lifecycle clear failed:', e.message));
+                }
+                response = await post(null);
+            }
 
             if (!response.ok) {
                 throw new Error('Narrative radar fetch failed');
             }
 
             const data = await response.json();
+            if (data.lifecycle?.history) {
+                this.lifecycleHistory = data.lifecycle.history;
+                if (this.snapshotStore.isSupported()) {
+                    this.snapshotStore.saveLifecycleHistory(this.lifecycleHistory)
+                        .catch(e => console.warn('[Snapshots] Lifecycle save failed:', e.message));
+                }
+            }
             this.displayNarratives(data);
 
+            const { subjects, ranks } = AlertRules.narrativeSubjects(data.narratives, this.alertState.narrativeRanks);
+            this.alertState.narrativeRanks = ranks;
+            this.evaluateAlerts('narrative', subjects);
+
             return data;
         } catch (error) {
             console.warn('Narrative radar error:', error);
@@ -2058,10 +3080,23 @@ class LiveDataService {
         }
     }
 
+    // In memory after the first read; without IndexedDB it lasts for the page only
+    async loadLifecycleHistory() {
+        if (this.lifecycleHistory === undefined) {
+            this.lifecycleHistory = this.snapshotStore.isSupported()
+                ? await this.snapshotStore.getLifecycleHistory().catch(() => null)
+                : null;
+        }
+        return this.lifecycleHistory;
+    }
+
     displayNarratives(data) {
         const listEl = document.getElementById('narrativeList');
         if (!listEl) return;
 
+        this.displayNarrativeLifecycle(data.lifecycle);
+        this.displayNarrativeClusters(data.clusters);
+
         const narratives = data.narratives || [];
 
         if (narratives.length === 0) {
@@ -2072,7 +3107,6 @@ class LiveDataService {
         const html = narratives.slice(0, 8).map((narrative, i) => {
             // Determine category styling
             const categoryClass = (narrative.category || 'EMERGING').toLowerCase().replace('_', '-');
-            const categoryLabel = this.formatCategory(narrative.category);
 
             // Determine engagement level
             const engagementClass = narrative.engagement === 'viral' ? 'viral' :
@@ -2134,6 +3168,17 @@ class LiveDataService {
                 ? `<span class="age-badge fresh">${narrative.ageHours < 1 ? '<1h' : Math.floor(narrative.ageHours) + 'h'} old</span>`
                 : '';
 
+            // Same ticker held by other tokens in this scan - usually copycats
+            const collision = narrative.tickerCollision;
+            const collisionBadge = collision
+                ? `<span class="collision-badge" title="${escapeHtml(`$${collision.symbol} is also used by: ${(collision.others || []).map(o => o.name || o.address || 'unknown').join(', ')}`)}">TICKER x${parseInt(collision.count) || 2}</span>`
+                : '';
+
+            // Lifecycle across radar refreshes
+            const lifecycleHtml = narrative.lifecycle
+                ? `${this.renderPhaseBadge(narrative.lifecycle)}${this.renderSparkline(narrative.lifecycle.points)}`
+                : '';
+
             return `
                 <div class="narrative-item ${engagementClass} ${narrative.address ? 'clickable' : ''}"
                      data-category="${categoryClass}"
@@ -2145,7 +3190,9 @@ class LiveDataService {
                     <div class="narrative-content">
                         <div class="narrative-text">${escapeHtml(narrative.text || '')}</div>
                         <div class="narrative-meta">
-                            <span class="narrative-category ${categoryClass}">${categoryLabel}</span>
+                            ${this.renderCategoryLabels(narrative)}
+                            ${lifecycleHtml}
+                            ${collisionBadge}
                             ${ageBadge}
                             ${tokenStatus}
                             <span class="narrative-sources">${sourceIcons}</span>
@@ -2237,13 +3284,692 @@ class LiveDataService {
         }
     }
 
+    // Category phases across radar refreshes, strongest category first
+    displayNarrativeLifecycle(lifecycle) {
+        const stripEl = document.getElementById('narrativeLifecycle');
+        if (!stripEl) return;
+
+        const categories = lifecycle?.categories || [];
+        stripEl.classList.toggle('hidden', categories.length === 0);
+        if (categories.length === 0) {
+            stripEl.innerHTML = '';
+            return;
+        }
+
+        const scans = parseInt(lifecycle.scans) || 0;
+        stripEl.innerHTML = `
+            <div class="lifecycle-header">
+                <span class="lifecycle-title">NARRATIVE LIFECYCLE</span>
+                <span class="lifecycle-scans">${scans} scan${scans === 1 ? '' : 's'}</span>
+            </div>
+            <div class="lifecycle-categories">
+                ${categories.map(c => `
+                    <div class="lifecycle-category" title="${escapeHtml(`${this.formatCategory(c.category)}: ${parseInt(c.narrativeCount) || 0} narratives, score ${c.scoreDelta >= 0 ? '+' : ''}${parseInt(c.scoreDelta) || 0} vs recent`)}">
+                        <span class="lifecycle-category-name">${escapeHtml(this.formatCategory(c.category))}</span>
+                        ${this.renderPhaseBadge(c)}
+                        ${this.renderSparkline(c.points)}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Groups of uncategorized tokens riffing on the same thing (netlify/lib/narrative-clusters.js)
+    displayNarrativeClusters(clusters) {
+        const stripEl = document.getElementById('narrativeClusters');
+        if (!stripEl) return;
+
+        const list = Array.isArray(clusters) ? clusters : [];
+        stripEl.classList.toggle('hidden', list.length === 0);
+        if (list.length === 0) {
+            stripEl.innerHTML = '';
+            return;
+        }
+
+        stripEl.innerHTML = `
+            <div class="lifecycle-header">
+                <span class="lifecycle-title">EMERGING CLUSTERS</span>
+                <span class="lifecycle-scans">uncategorized tokens, last hour</span>
+            </div>
+            ${list.map(cluster => {
+                const size = parseInt(cluster.size) || 0;
+                const fresh = parseInt(cluster.newLastHour) || 0;
+                const volume = this.formatCompactNumber(Number(cluster.volume24h) || 0);
+                const members = (cluster.members || []).map(m => {
+                    const label = `$${escapeHtml(m.symbol || '?')}${m.name ? ` <span class="cluster-member-name">${escapeHtml(m.name)}</span>` : ''}`;
+                    const memberVolume = this.formatCompactNumber(Number(m.volume24h) || 0);
+                    const meta = [
+                        memberVolume ? `${memberVolume} vol` : '',
+                        Number.isFinite(m.ageHours) ? `${m.ageHours < 1 ? '&lt;1h' : `${Math.floor(m.ageHours)}h`} old` : ''
+                    ].filter(Boolean).join(' · ');
+                    return isValidSolanaAddress(m.address)
+                        ? `<a class="cluster-member" href="https://dexscreener.com/solana/${m.address}" target="_blank" rel="noopener">${label}<span class="cluster-member-meta">${meta}</span></a>`
+                        : `<span class="cluster-member">${label}<span class="cluster-member-meta">${meta}</span></span>`;
+                }).join('');
+                return `
+                    <details class="narrative-cluster">
+                        <summary>
+                            <span class="cluster-name">"${escapeHtml(cluster.name || 'unnamed')}"</span>
+                            <span class="cluster-stats">${size} tokens${fresh ? ` · ${fresh} new in 1h` : ''}${volume ? ` · ${volume} vol` : ''}</span>
+                        </summary>
+                        <div class="cluster-members">${members}</div>
+                    </details>
+                `;
+            }).join('')}
+        `;
+    }
+
+    // Top two classifier labels with confidence; falls back to the single category
+    renderCategoryLabels(narrative) {
+        const labels = Array.isArray(narrative.categories) && narrative.categories.length > 0
+            ? narrative.categories.slice(0, 2)
+            : [{ category: narrative.category || 'EMERGING', confidence: null }];
+
+        return labels.map((label, i) => {
+            const category = String(label.category || 'EMERGING').replace(/[^A-Z0-9_]/g, '') || 'EMERGING';
+            const confidence = Number.isFinite(label.confidence) ? Math.round(label.confidence * 100) : null;
+            const title = confidence === null ? '' : ` title="${confidence}% classifier confidence"`;
+            const custom = CustomCategories.isCustom(category) ? ' custom' : '';
+            return `<span class="narrative-category ${category.toLowerCase().replace('_', '-')}${custom}${i > 0 ? ' secondary' : ''}"${title}>${escapeHtml(this.formatCategory(category))}${confidence === null ? '' : `<span class="category-confidence">${confidence}%</span>`}</span>`;
+        }).join('');
+    }
+
+    renderPhaseBadge(lifecycle) {
+        const phase = ['EMERGING', 'ACCELERATING', 'PEAKING', 'FADING'].includes(lifecycle?.phase) ? lifecycle.phase : 'EMERGING';
+        return `<span class="phase-badge ${phase.toLowerCase()}">${phase}</span>`;
+    }
+
+    // Inline SVG line of a score series (oldest first); nothing for fewer than 2 points
+    renderSparkline(values, width = 56, height = 16) {
+        const points = (Array.isArray(values) ? values : []).map(v => Number(v) || 0);
+        if (points.length < 2) return '';
+
+        const max = Math.max(...points, 1);
+        const step = width / (points.length - 1);
+        const coords = points
+            .map((v, i) => `${(i * step).toFixed(1)},${(height - 1 - (v / max) * (height - 2)).toFixed(1)}`)
+            .join(' ');
+        const trend = points[points.length - 1] >= points[0] ? 'up' : 'down';
+        return `<svg class="sparkline ${trend}" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" preserveAspectRatio="none"><polyline points="${coords}" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>`;
+    }
+
     // ============================================
     // TRENCH AGENT - Fresh PumpFun Scanner
     // ============================================
 
+    // ===== KOL PULSE =====
+
+    // Mints to check KOL holdings for - trending tokens plus whatever is on the chart
+    getKolTrackedMints() {
+        const mints = this.cachedTrendingTokens.slice(0, 30).map(t => t.address);
+        if (this.currentTokenAddress && !mints.includes(this.currentTokenAddress)) {
+            mints.pop();
+            mints.unshift(this.currentTokenAddress);
+        }
+        return mints.filter(m => m && isValidSolanaAddress(m));
+    }
+
+    async fetchKolTracker(mints = this.getKolTrackedMints()) {
+        try {
+            const query = mints.length > 0 ? `?mints=${mints.join(',')}` : '';
+            const response = await fetch(`/.netlify/functions/kol-tracker${query}`);
+
+            if (!response.ok) {
+                throw new Error('KOL tracker fetch failed');
+            }
+
+            const data = await response.json();
+            this.kolTraders = data.traders || [];
+
+            // Only trust positions when the function actually checked holdings
+            if (data.positions) {
+                mints.forEach(mint => {
+                    this.kolCheckedMints.add(mint);
+                    this.kolPositions[mint] = data.positions[mint] || [];
+                });
+            }
+
+            this.kolPulseData = data;
+            this.displayKolPulse(data);
+            return data;
+        } catch (error) {
+            console.warn('KOL tracker error:', error);
+            const listEl = document.getElementById('kolList');
+            if (listEl && this.kolTraders.length === 0) {
+                listEl.innerHTML = '<div class="trend-item empty">KOL tracker temporarily unavailable</div>';
+            }
+            return null;
+        }
+    }
+
+    // Trending tokens each KOL currently holds, keyed by wallet
+    getKolHoldingsByWallet() {
+        const byWallet = {};
+        this.cachedTrendingTokens.forEach(token => {
+            (this.kolPositions[token.address] || []).forEach(position => {
+                (byWallet[position.wallet] = byWallet[position.wallet] || []).push(token);
+            });
+        });
+        return byWallet;
+    }
+
+    displayKolPulse(data) {
+        const listEl = document.getElementById('kolList');
+        const updateTimeEl = document.getElementById('kolUpdateTime');
+        if (!listEl) return;
+
+        if (updateTimeEl) {
+            updateTimeEl.textContent = data.stale ? 'Stale' : data.cached ? 'Cached' : 'Live';
+        }
+
+        const traders = this.kolTraders.slice(0, 10);
+        if (traders.length === 0) {
+            listEl.innerHTML = '<div class="trend-item empty">No KOL data available</div>';
+            return;
+        }
+
+        const holdingsByWallet = this.getKolHoldingsByWallet();
+
+        listEl.innerHTML = traders.map((trader, i) => {
+            const wallet = isValidSolanaAddress(trader.wallet) ? trader.wallet : '';
+            const shortWallet = wallet ? `${wallet.slice(0, 4)}...${wallet.slice(-4)}` : '--';
+            const pnlSol = Number(trader.pnlSol) || 0;
+            const pnlUsd = Number(trader.pnlUsd) || 0;
+            const pnlClass = pnlSol >= 0 ? 'positive' : 'negative';
+            const pnlText = `${pnlSol >= 0 ? '+' : ''}${pnlSol.toFixed(1)} SOL`;
+            // kolscan gives a profile URL (sometimes a bare handle)
+            const twitterHandle = String(trader.twitter || '').replace(/^https?:\/\/(www\.)?(x|twitter)\.com\//, '').replace(/\/.*$/, '');
+            const twitter = /^[A-Za-z0-9_]{1,15}$/.test(twitterHandle) ? twitterHandle : null;
+            const holdings = (holdingsByWallet[wallet] || []).slice(0, 4);
+
+            const holdingChips = holdings.map(token => `
+                <button class="kol-holding" data-address="${escapeHtml(token.address)}" title="Open chart">$${escapeHtml(token.symbol)}</button>
+            `).join('');
+
+            return `
+                <div class="trend-item kol-item ${i < 3 ? 'hot' : ''}">
+                    <div class="trend-rank">${Number(trader.rank) || i + 1}</div>
+                    <div class="trend-info">
+                        <span class="trend-symbol">${escapeHtml(trader.name || shortWallet)}</span>
+                        <span class="trend-name">
+                            ${wallet ? `<a href="https://solscan.io/account/${wallet}" target="_blank" rel="noopener" class="kol-wallet" title="View wallet on Solscan">${shortWallet}</a>` : shortWallet}
+                            · ${Number(trader.wins) || 0}W/${Number(trader.losses) || 0}L (${Number(trader.winRate) || 0}%)
+                        </span>
+                        ${holdingChips ? `<div class="kol-holdings">${holdingChips}</div>` : ''}
+                    </div>
+                    <button class="kol-follow-btn ${this.isFollowingWallet(wallet) ? 'active' : ''}" data-wallet="${wallet}" data-name="${escapeHtml(trader.name || '')}" title="${this.isFollowingWallet(wallet) ? 'Unfollow wallet' : 'Follow wallet activity'}">
+                        <svg viewBox="0 0 24 24" fill="${this.isFollowingWallet(wallet) ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2" width="14" height="14">
+                            <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>
+                        </svg>
+                    </button>
+                    <div class="kol-pnl">
+                        <span class="trend-change ${pnlClass}">${pnlText}</span>
+                        <span class="kol-pnl-usd">${pnlUsd >= 0 ? '+' : '-'}$${this.formatCompact(Math.abs(pnlUsd))}</span>
+                    </div>
+                    ${twitter ? `
+                    <div class="trend-actions">
+                        <a href="https://x.com/${twitter}" target="_blank" rel="noopener" class="trend-link twitter" title="@${twitter} on X">
+                            <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14"><path d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z"/></svg>
+                        </a>
+                    </div>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        listEl.querySelectorAll('.kol-follow-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const wallet = btn.dataset.wallet;
+                if (!wallet) return;
+                if (this.isFollowingWallet(wallet)) {
+                    this.unfollowWallet(wallet);
+                } else {
+                    this.followWallet(wallet, btn.dataset.name);
+                }
+            });
+        });
+
+        listEl.querySelectorAll('.kol-holding').forEach(chip => {
+            chip.addEventListener('click', () => {
+                const address = chip.dataset.address;
+                if (!isValidSolanaAddress(address)) return;
+                this.loadTokenDetails(address);
+                document.querySelector('.nav-link[data-section="chart"]')?.click();
+            });
+        });
+    }
+
+    // Trending-reason line naming the tracked KOLs holding a token
+    kolHoldersInsight(mint) {
+        const holders = this.kolPositions[mint] || [];
+        if (holders.length === 0) return null;
+        const names = holders.slice(0, 5).map(h => escapeHtml(h.name || `${h.wallet.slice(0, 4)}...`)).join(', ');
+        const more = holders.length > 5 ? ` +${holders.length - 5} more` : '';
+        return `<span class="positive">KOL WALLETS:</span> Held by ${holders.length} tracked KOL${holders.length > 1 ? 's' : ''} - ${names}${more}. Smart money is in - or about to be exit liquidity.`;
+    }
+
+    // ===== FOLLOWED WALLETS =====
+
+    loadFollowedWallets() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('na_followed_wallets') || '[]');
+            return Array.isArray(saved) ? saved.filter(f => f && isValidSolanaAddress(f.wallet)) : [];
+        } catch (e) {
+            console.warn('Could not load followed wallets');
+            return [];
+        }
+    }
+
+    saveFollowedWallets() {
+        localStorage.setItem('na_followed_wallets', JSON.stringify(this.followedWallets));
+    }
+
+    isFollowingWallet(wallet) {
+        return this.followedWallets.some(f => f.wallet === wallet);
+    }
+
+    followWallet(wallet, name) {
+        if (!isValidSolanaAddress(wallet)) {
+            this.showNotification('Invalid wallet address', 'error');
+            return false;
+        }
+        if (this.isFollowingWallet(wallet)) return false;
+        if (this.followedWallets.length >= 10) {
+            this.showNotification('You can follow up to 10 wallets', 'error');
+            return false;
+        }
+
+        const label = String(name || '').trim().slice(0, 24) || `${wallet.slice(0, 4)}...${wallet.slice(-4)}`;
+        this.followedWallets.push({ wallet, name: label, addedAt: Date.now() });
+        this.saveFollowedWallets();
+        this.showNotification(`Following ${label}`);
+        this.onFollowedWalletsChanged();
+        return true;
+    }
+
+    unfollowWallet(wallet) {
+        const entry = this.followedWallets.find(f => f.wallet === wallet);
+        this.followedWallets = this.followedWallets.filter(f => f.wallet !== wallet);
+        this.kolActivity = this.kolActivity.filter(e => e.wallet !== wallet);
+        this.saveFollowedWallets();
+        if (entry) this.showNotification(`Unfollowed ${entry.name}`);
+        this.onFollowedWalletsChanged();
+    }
+
+    onFollowedWalletsChanged() {
+        this.renderFollowedWallets();
+        this.renderKolActivity();
+        if (this.kolPulseData) this.displayKolPulse(this.kolPulseData);
+        this.fetchKolActivity();
+    }
+
+    // Display name for a followed wallet
+    getWalletName(wallet) {
+        const followed = this.followedWallets.find(f => f.wallet === wallet);
+        if (followed) return followed.name;
+        const trader = this.kolTraders.find(t => t.wallet === wallet);
+        return trader?.name || `${wallet.slice(0, 4)}...${wallet.slice(-4)}`;
+    }
+
+    setupKolFollowUI() {
+        const addressInput = document.getElementById('kolFollowAddress');
+        const nameInput = document.getElementById('kolFollowName');
+        const followBtn = document.getElementById('kolFollowBtn');
+
+        const submit = () => {
+            const wallet = addressInput?.value.trim();
+            if (this.followWallet(wallet, nameInput?.value)) {
+                addressInput.value = '';
+                if (nameInput) nameInput.value = '';
+            }
+        };
+
+        followBtn?.addEventListener('click', submit);
+        addressInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') submit();
+        });
+
+        this.renderFollowedWallets();
+    }
+
+    renderFollowedWallets() {
+        const listEl = document.getElementById('kolFollowedList');
+        const countEl = document.getElementById('kolFollowCount');
+        if (countEl) countEl.textContent = this.followedWallets.length;
+        if (!listEl) return;
+
+        listEl.innerHTML = this.followedWallets.map(f => `
+            <span class="kol-followed-chip" title="${escapeHtml(f.wallet)}">
+                ${escapeHtml(f.name)}
+                <button class="kol-unfollow" data-wallet="${escapeHtml(f.wallet)}" title="Unfollow">&times;</button>
+            </span>
+        `).join('');
+
+        listEl.querySelectorAll('.kol-unfollow').forEach(btn => {
+            btn.addEventListener('click', () => this.unfollowWallet(btn.dataset.wallet));
+        });
+    }
+
+    async fetchKolActivity() {
+        if (this.followedWallets.length === 0) {
+            this.renderKolActivity();
+            return null;
+        }
+
+        try {
+            const wallets = this.followedWallets.map(f => f.wallet).join(',');
+            const response = await fetch(`/.netlify/functions/kol-activity?wallets=${wallets}`);
+
+            if (!response.ok) {
+                throw new Error('KOL activity fetch failed');
+            }
+
+            const data = await response.json();
+            const events = (data.events || []).filter(e => this.isFollowingWallet(e.wallet));
+            const eventKey = e => `${e.signature}:${e.mint}`;
+
+            // Nothing counts as new on the first poll, or from before a wallet was followed - just the backlog
+            const seen = this.kolActivitySeen;
+            const followedAt = {};
+            this.followedWallets.forEach(f => { followedAt[f.wallet] = (f.addedAt || 0) / 1000; });
+            const fresh = seen
+                ? events.filter(e => !seen.has(eventKey(e)) && (e.blockTime || 0) >= followedAt[e.wallet])
+                : [];
+            this.kolActivitySeen = new Set([...(seen || []), ...events.map(eventKey)]);
+
+            const known = new Set(this.kolActivity.map(eventKey));
+            this.kolActivity = [...this.kolActivity, ...events.filter(e => !known.has(eventKey(e)))]
+                .sort((a, b) => (b.blockTime || 0) - (a.blockTime || 0))
+                .slice(0, 50);
+
+            this.renderKolActivity();
+
+            if (fresh.length > 0) {
+                const names = {};
+                this.followedWallets.forEach(f => { names[f.wallet] = f.name; });
+                this.evaluateAlerts('kol', AlertRules.kolSubjects(fresh, names));
+
+                // Surface the KOL badge on any signal card for a token they just bought
+                const trending = new Set(this.cachedTrendingTokens.map(t => t.address));
+                if (fresh.some(e => e.side === 'buy' && trending.has(e.mint))) {
+                    this.renderSignalsFeed(this.cachedTrendingTokens);
+                }
+            }
+
+            return data;
+        } catch (error) {
+            console.warn('KOL activity error:', error);
+            return null;
+        }
+    }
+
+    // Recent followed-wallet buys of a token (last 6 hours)
+    getKolBuysFor(address) {
+        const cutoff = Date.now() / 1000 - 6 * 3600;
+        return this.kolActivity.filter(e => e.mint === address && e.side === 'buy' && (e.blockTime || 0) >= cutoff);
+    }
+
+    renderKolActivity() {
+        const feedEl = document.getElementById('kolActivityFeed');
+        if (!feedEl) return;
+
+        if (this.followedWallets.length === 0) {
+            feedEl.innerHTML = '<div class="trend-item empty">Follow a KOL to see their buys and sells</div>';
+            return;
+        }
+        if (this.kolActivity.length === 0) {
+            feedEl.innerHTML = '<div class="trend-item empty">No recent swaps from followed wallets</div>';
+            return;
+        }
+
+        feedEl.innerHTML = this.kolActivity.slice(0, 15).map(e => {
+            const safeMint = isValidSolanaAddress(e.mint) ? e.mint : '';
+            const symbol = escapeHtml(e.symbol || e.mint.slice(0, 6));
+            const amount = e.quote === 'SOL'
+                ? `${Number(e.quoteAmount).toFixed(2)} SOL`
+                : `${this.formatCompact(e.quoteAmount)} ${escapeHtml(e.quote)}`;
+            const verb = e.side === 'buy' ? 'bought' : 'sold';
+            const timeAgo = e.blockTime ? this.getTimeAgo(e.blockTime * 1000) : '';
+
+            return `
+                <div class="kol-activity-item ${e.side}" data-address="${safeMint}">
+                    <span class="kol-activity-side ${e.side}">${e.side.toUpperCase()}</span>
+                    <span class="kol-activity-text">
+                        <strong>${escapeHtml(this.getWalletName(e.wallet))}</strong> ${verb} <strong>$${symbol}</strong> for ${amount}
+                    </span>
+                    <span class="kol-activity-meta">
+                        ${escapeHtml(e.venue || '')} · ${timeAgo}
+                        <a href="https://solscan.io/tx/${encodeURIComponent(e.signature)}" target="_blank" rel="noopener" class="kol-activity-tx" title="View transaction">tx</a>
+                    </span>
+                </div>
+            `;
+        }).join('');
+
+        feedEl.querySelectorAll('.kol-activity-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                if (e.target.closest('.kol-activity-tx')) return;
+                const address = item.dataset.address;
+                if (!address) return;
+                this.loadTokenDetails(address);
+                document.querySelector('.nav-link[data-section="chart"]')?.click();
+            });
+        });
+    }
+
+    // ===== PORTFOLIO =====
+
+    setupPortfolioUI() {
+        document.getElementById('portfolioRefreshBtn')?.addEventListener('click', () => this.fetchPortfolio());
+
+        document.addEventListener('na:walletchange', (e) => {
+            if (e.detail?.wallet) {
+                this.fetchPortfolio();
+            } else {
+                this.renderPortfolioDisconnected();
+            }
+        });
+    }
+
+    renderPortfolioDisconnected() {
+        const walletEl = document.getElementById('portfolioWallet');
+        const refreshBtn = document.getElementById('portfolioRefreshBtn');
+        const holdingsEl = document.getElementById('portfolioHoldings');
+        if (walletEl) walletEl.textContent = 'Not connected';
+        if (refreshBtn) refreshBtn.disabled = true;
+        ['portfolioValue', 'portfolioSol', 'portfolioPositions', 'portfolioCost', 'portfolioUnrealized', 'portfolioRealized'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) {
+                el.textContent = '--';
+                el.className = 'metric-value-lg';
+            }
+        });
+        if (holdingsEl) {
+            holdingsEl.innerHTML = '<tr><td colspan="7" class="portfolio-empty">Connect your wallet to load your positions</td></tr>';
+        }
+    }
+
+    // Most liquid DEX Screener pair per mint (batches of 30, same endpoint as loadTokenDetails)
+    // Used for portfolio pricing and watchlist alert checks
+    async fetchPairsForMints(mints) {
+        const pairsByMint = {};
+        for (let i = 0; i < mints.length; i += 30) {
+            const batch = mints.slice(i, i + 30);
+            try {
+                const response = await fetch(`${this.dexScreenerBaseUrl}/tokens/v1/solana/${batch.join(',')}`);
+                if (!response.ok) continue;
+                const data = await response.json();
+                const pairs = Array.isArray(data) ? data : (data.pairs || []);
+                pairs.forEach(pair => {
+                    const mint = pair.baseToken?.address;
+                    if (!batch.includes(mint)) return;
+                    if (!pairsByMint[mint] || (pair.liquidity?.usd || 0) > (pairsByMint[mint].liquidity?.usd || 0)) {
+                        pairsByMint[mint] = pair;
+                    }
+                });
+            } catch (error) {
+                console.warn('Pair lookup failed:', error);
+            }
+        }
+        return pairsByMint;
+    }
+
+    async fetchPortfolio() {
+        const wallet = window.connectedWallet;
+        if (!wallet || !isValidSolanaAddress(wallet) || this.portfolioLoading) return null;
+
+        const walletEl = document.getElementById('portfolioWallet');
+        const updateTimeEl = document.getElementById('portfolioUpdateTime');
+        const refreshBtn = document.getElementById('portfolioRefreshBtn');
+        if (walletEl) walletEl.textContent = `${wallet.slice(0, 4)}...${wallet.slice(-4)}`;
+        if (refreshBtn) refreshBtn.disabled = false;
+        if (updateTimeEl) updateTimeEl.textContent = 'Loading...';
+
+        this.portfolioLoading = true;
+        try {
+            const response = await fetch(`/.netlify/functions/portfolio?wallet=${wallet}`);
+            if (!response.ok) {
+                throw new Error('Portfolio fetch failed');
+            }
+            const data = await response.json();
+
+            // Wallet switched while loading - the next load will render
+            if (window.connectedWallet !== wallet) return null;
+
+            // Price the largest balances first; skip the long tail of dust / airdrops.
+            // With WSOL that's three fetchPairsForMints batches of 30
+            const WSOL = 'So11111111111111111111111111111111111111112';
+            const MAX_PRICED_MINTS = 89;
+            const mints = Object.keys(data.holdings || {})
+                .filter(m => m !== WSOL && isValidSolanaAddress(m))
+                .sort((a, b) => data.holdings[b] - data.holdings[a])
+                .slice(0, MAX_PRICED_MINTS);
+            const pairsByMint = await this.fetchPairsForMints([WSOL, ...mints]);
+            const solPriceUsd = parseFloat(pairsByMint[WSOL]?.priceUsd || 0);
+
+            const prices = {};
+            Object.entries(pairsByMint).forEach(([mint, pair]) => {
+                prices[mint] = {
+                    priceUsd: parseFloat(pair.priceUsd || 0),
+                    symbol: pair.baseToken?.symbol,
+                    name: pair.baseToken?.name
+                };
+            });
+
+            const holdings = { ...data.holdings };
+            delete holdings[WSOL];
+            const { positions, totals } = Portfolio.buildPositions({
+                holdings,
+                trades: data.trades || [],
+                prices,
+                solPriceUsd
+            });
+
+            // Current risk from the same scam rules as the signal feed
+            positions.forEach(position => {
+                const pair = pairsByMint[position.mint];
+                position.risk = pair ? this.detectScamIndicators(SignalEngine.pairMetrics(pair)) : null;
+            });
+
+            this.renderPortfolio(data, positions, totals, solPriceUsd);
+            if (updateTimeEl) updateTimeEl.textContent = data.cached ? 'Cached' : 'Live';
+            return { positions, totals };
+        } catch (error) {
+            console.warn('Portfolio error:', error);
+            if (updateTimeEl) updateTimeEl.textContent = 'Unavailable';
+            const holdingsEl = document.getElementById('portfolioHoldings');
+            if (holdingsEl) {
+                holdingsEl.innerHTML = '<tr><td colspan="7" class="portfolio-empty">Could not load wallet data - try again shortly</td></tr>';
+            }
+            return null;
+        } finally {
+            this.portfolioLoading = false;
+        }
+    }
+
+    renderPortfolio(data, positions, totals, solPriceUsd) {
+        const formatSol = (value, signed = false) => {
+            if (value === null || value === undefined) return '--';
+            const sign = signed && value > 0 ? '+' : value < 0 ? '-' : '';
+            return `${sign}${Math.abs(value).toFixed(Math.abs(value) >= 100 ? 1 : 3)} SOL`;
+        };
+        const pnlClass = value => (value > 0 ? 'positive' : value < 0 ? 'negative' : '');
+        const setMetric = (id, text, className = '') => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.textContent = text;
+            el.className = `metric-value-lg ${className}`.trim();
+        };
+
+        const totalValueUsd = totals.valueUsd + (data.solBalance || 0) * solPriceUsd;
+        setMetric('portfolioValue', `$${this.formatCompact(totalValueUsd)}`);
+        setMetric('portfolioSol', formatSol(data.solBalance || 0));
+        setMetric('portfolioPositions', String(totals.positions));
+        setMetric('portfolioCost', formatSol(totals.costSol));
+        setMetric('portfolioUnrealized', formatSol(totals.unrealizedSol, true), pnlClass(totals.unrealizedSol));
+        setMetric('portfolioRealized', formatSol(totals.realizedSol, true), pnlClass(totals.realizedSol));
+
+        const noteEl = document.getElementById('portfolioNote');
+        if (noteEl && !data.historyAvailable) {
+            noteEl.textContent = 'Trade history unavailable from the RPC - showing balances and risk only.';
+        }
+
+        const holdingsEl = document.getElementById('portfolioHoldings');
+        if (!holdingsEl) return;
+
+        if (positions.length === 0) {
+            holdingsEl.innerHTML = '<tr><td colspan="7" class="portfolio-empty">No SPL token positions in this wallet</td></tr>';
+            return;
+        }
+
+        holdingsEl.innerHTML = positions.map(p => {
+            const safeMint = isValidSolanaAddress(p.mint) ? p.mint : '';
+            const symbol = escapeHtml(p.symbol || `${p.mint.slice(0, 4)}...${p.mint.slice(-4)}`);
+            const risk = p.risk;
+            const riskLevel = risk?.riskLevel || 'UNKNOWN';
+            const riskTitle = risk ? escapeHtml((risk.firedRules || []).map(r => r.label).join(', ') || 'No risk rules fired') : 'No market data';
+            const partialBasis = p.balance > 0 && p.basisCoverage > 0 && p.basisCoverage < 0.99;
+
+            return `
+                <tr class="portfolio-row ${p.balance === 0 ? 'closed' : ''}" data-address="${safeMint}">
+                    <td>
+                        <span class="portfolio-symbol">$${symbol}</span>
+                        <span class="portfolio-name">${escapeHtml(p.name || (p.balance === 0 ? 'Closed' : 'No market'))}</span>
+                    </td>
+                    <td class="mono">${this.formatCompact(p.balance)}</td>
+                    <td class="mono">${p.valueUsd !== null ? `$${this.formatCompact(p.valueUsd)}` : '--'}</td>
+                    <td class="mono" title="${partialBasis ? `Basis covers ${Math.round(p.basisCoverage * 100)}% of balance` : ''}">
+                        ${p.avgCostSol !== null ? `${this.formatNumber(p.avgCostSol)} SOL${partialBasis ? '*' : ''}` : '--'}
+                    </td>
+                    <td class="mono ${pnlClass(p.unrealizedSol)}">
+                        ${formatSol(p.unrealizedSol, true)}
+                        ${p.unrealizedPct !== null ? `<span class="portfolio-pct">${p.unrealizedPct >= 0 ? '+' : ''}${p.unrealizedPct.toFixed(0)}%</span>` : ''}
+                    </td>
+                    <td class="mono ${pnlClass(p.realizedSol)}">${p.realizedSol ? formatSol(p.realizedSol, true) : '--'}</td>
+                    <td>
+                        <span class="portfolio-risk ${riskLevel.toLowerCase()}" title="${riskTitle}">
+                            ${escapeHtml(riskLevel)}${risk ? ` · ${risk.scamScore}` : ''}
+                        </span>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        holdingsEl.querySelectorAll('.portfolio-row').forEach(row => {
+            row.addEventListener('click', () => {
+                const address = row.dataset.address;
+                if (!address) return;
+                this.loadTokenDetails(address);
+                document.querySelector('.nav-link[data-section="chart"]')?.click();
+            });
+        });
+    }
+
     async fetchTrenchAgent() {
         try {
-            const response = await fetch('/.netlify/functions/trench-agent');
+            // Same scam rule overrides as the Signals feed
+            const rules = Object.keys(this.scamRuleOverrides).length > 0
+                ? `?rules=${encodeURIComponent(JSON.stringify(this.scamRuleOverrides))}`
+                : '';
+            const response = await fetch(`/.netlify/functions/trench-agent${rules}`);
 
             if (!response.ok) {
                 throw new Error('Trench agent fetch failed');
@@ -2252,6 +3978,10 @@ class LiveDataService {
             const data = await response.json();
             this.displayTrenchResults(data);
 
+            const { subjects, buckets } = AlertRules.trenchSubjects(data, this.alertState.trenchBuckets);
+            this.alertState.trenchBuckets = buckets;
+            this.evaluateAlerts('trench', subjects);
+
             return data;
         } catch (error) {
             console.warn('Trench agent error:', error);
@@ -2349,6 +4079,22 @@ class LiveDataService {
                </div>`
             : '';
 
+        // On-chain bundle evidence - wallets involved and how much of supply they took
+        const bundle = token.bundleRisk;
+        const bundleEvidence = bundle?.onChain && bundle.likelihood !== 'LOW'
+            ? `<div class="trench-bundle-evidence">
+                ${(bundle.indicators || []).map(line => `<div class="bundle-evidence-line">${escapeHtml(line)}</div>`).join('')}
+                <div class="bundle-wallets">
+                    ${(bundle.wallets || []).slice(0, 3).map(w => `
+                        <a href="https://solscan.io/account/${encodeURIComponent(w.wallet)}" target="_blank" class="bundle-wallet" title="${escapeHtml(w.flags.join(', '))}">
+                            ${escapeHtml(w.wallet.slice(0, 4))}…${escapeHtml(w.wallet.slice(-4))}
+                            <span class="bundle-wallet-share">${w.boughtShare.toFixed(1)}%${typeof w.currentShare === 'number' ? ` → ${w.currentShare.toFixed(1)}%` : ''}</span>
+                        </a>
+                    `).join('')}
+                </div>
+               </div>`
+            : '';
+
         // Build risk indicators
         const risks = (token.risks || []).slice(0, 2).map(r => {
             const severityClass = (r.severity || 'low').toLowerCase();
@@ -2367,6 +4113,8 @@ class LiveDataService {
                 <span title="Buy Ratio">B:${metrics.buyRatio || 0}%</span>
                 <span title="MC/Liquidity Ratio">MC/L:${metrics.mcLiqRatio || 0}x</span>
                 <span title="Total Transactions">Txns:${metrics.totalTxns || 0}</span>
+                ${typeof metrics.top10Share === 'number' ? `<span title="Top 10 wallets (on-chain)">T10:${Math.round(metrics.top10Share)}%</span>` : ''}
+                ${typeof metrics.devShare === 'number' ? `<span title="Dev wallet share (on-chain)">Dev:${metrics.devShare.toFixed(1)}%</span>` : ''}
             </div>
         `;
 
@@ -2394,6 +4142,7 @@ class LiveDataService {
                         <span class="trench-risk-level ${riskClass}">${token.riskLevel || 'LOW'}</span>
                     </div>
                     ${metricsRow}
+                    ${bundleEvidence}
                     <div class="trench-signals">
                         ${risks}
                         ${positives}
@@ -2418,7 +4167,7 @@ class LiveDataService {
         // Click on item opens DEX
         container.querySelectorAll('.trench-item[data-dex]').forEach(item => {
             item.addEventListener('click', (e) => {
-                if (e.target.closest('.trench-actions')) return;
+                if (e.target.closest('.trench-actions, .bundle-wallet')) return;
                 const dexUrl = item.dataset.dex;
                 if (dexUrl) window.open(dexUrl, '_blank');
             });
@@ -2448,6 +4197,10 @@ class LiveDataService {
     }
 
     formatCategory(category) {
+        if (CustomCategories.isCustom(category)) {
+            const custom = this.customCategories.find(c => c.id === category);
+            return custom ? custom.name : category.slice(CustomCategories.ID_PREFIX.length).replace(/_/g, ' ');
+        }
         const labels = {
             'AI_TECH': 'AI/Tech',
             'AI_AGENTS': 'AI Agent',
@@ -2540,43 +4293,34 @@ class LiveDataService {
         }
     }
 
-    playAlertSound() {
-        if (!this.soundEnabled || !this.audioContext) return;
+    // Tones: [frequency, start offset (s), duration (s)]
+    playAlertSound(sound = 'beep') {
+        if (!this.soundEnabled || !this.audioContext || sound === 'none') return;
 
-        // Prevent sound spam - minimum 30 seconds between alerts
-        const now = Date.now();
-        if (now - this.lastAlertTime < 30000) return;
-        this.lastAlertTime = now;
+        const tones = {
+            beep: [[880, 0, 0.5], [1100, 0.15, 0.3]],
+            chime: [[660, 0, 0.35], [880, 0.12, 0.35], [1320, 0.24, 0.5]],
+            alarm: [[1200, 0, 0.15], [900, 0.18, 0.15], [1200, 0.36, 0.15], [900, 0.54, 0.15]]
+        };
 
         try {
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-
-            oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
+            const start = this.audioContext.currentTime;
+            (tones[sound] || tones.beep).forEach(([frequency, offset, duration]) => {
+                const oscillator = this.audioContext.createOscillator();
+                const gainNode = this.audioContext.createGain();
 
-            oscillator.frequency.value = 880; // A5 note
-            oscillator.type = 'sine';
+                oscillator.connect(gainNode);
+                gainNode.connect(this.audioContext.destination);
 
-            gainNode.gain.setValueAtTime(0.3, this.audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.5);
+                oscillator.frequency.value = frequency;
+                oscillator.type = 'sine';
 
-            oscillator.start(this.audioContext.currentTime);
-            oscillator.stop(this.audioContext.currentTime + 0.5);
+                gainNode.gain.setValueAtTime(0.3, start + offset);
+                gainNode.gain.exponentialRampToValueAtTime(0.01, start + offset + duration);
 
-            // Second beep
-            setTimeout(() => {
-                const osc2 = this.audioContext.createOscillator();
-                const gain2 = this.audioContext.createGain();
-                osc2.connect(gain2);
-                gain2.connect(this.audioContext.destination);
-                osc2.frequency.value = 1100;
-                osc2.type = 'sine';
-                gain2.gain.setValueAtTime(0.3, this.audioContext.currentTime);
-                gain2.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.3);
-                osc2.start(this.audioContext.currentTime);
-                osc2.stop(this.audioContext.currentTime + 0.3);
-            }, 150);
+                oscillator.start(start + offset);
+                oscillator.stop(start + offset + duration);
+            });
         } catch (e) {
             console.warn('Could not play alert sound');
         }
@@ -2626,335 +4370,898 @@ class LiveDataService {
         }
     }
 
-    showNotification(message, type = 'success') {
-        // Create temporary notification
-        const notification = document.createElement('div');
-        notification.className = `na-notification ${type}`;
-        notification.textContent = message;
-        document.body.appendChild(notification);
+    // ============================================
+    // SCAM RULE SETTINGS
+    // ============================================
 
-        setTimeout(() => notification.classList.add('show'), 10);
-        setTimeout(() => {
-            notification.classList.remove('show');
-            setTimeout(() => notification.remove(), 300);
-        }, 3000);
+    // Per-rule overrides ({ [ruleId]: { enabled, score } }) on top of RiskScoring.SCAM_RULES
+    loadScamRuleOverrides() {
+        try {
+            const saved = localStorage.getItem('na_scam_rules');
+            return saved ? JSON.parse(saved) : {};
+        } catch (e) {
+            return {};
+        }
     }
 
-    // Validate if a token has genuine trading activity (not dead)
-    validateTokenActivity(token) {
-        const volume1h = token.volume1h || 0;
-        const txns1h = token.txns1h || (token.txns24h ? Math.floor(token.txns24h / 24) : 0);
-        const buyRatio = token.buyRatio || 0.5;
-        const priceChange1h = token.priceChange1h || 0;
-
-        const thresholds = CONFIG?.VALIDATION || {
-            DEAD_VOLUME_THRESHOLD: 500,
-            DEAD_TXNS_THRESHOLD: 5,
-            MIN_VOLUME_1H: 1000,
-            MIN_TXNS_1H: 10
-        };
+    saveScamRuleOverrides() {
+        localStorage.setItem('na_scam_rules', JSON.stringify(this.scamRuleOverrides));
+        this.scamRules = RuleEngine.mergeRules(RiskScoring.SCAM_RULES, this.scamRuleOverrides);
+        // Trench scores server-side - refetch so it uses the same rules as the Signals feed
+        this.fetchTrenchAgent();
+    }
+
+    setupRuleSettingsUI() {
+        const openBtn = document.getElementById('ruleSettingsBtn');
+        const modal = document.getElementById('ruleSettingsModal');
+        if (!openBtn || !modal) return;
+
+        openBtn.addEventListener('click', () => {
+            this.renderRuleSettings();
+            modal.classList.remove('hidden');
+        });
+
+        modal.querySelectorAll('[data-close-modal]').forEach(el => {
+            el.addEventListener('click', () => modal.classList.add('hidden'));
+        });
+
+        document.getElementById('saveRuleSettings')?.addEventListener('click', () => {
+            this.applyRuleSettings();
+            modal.classList.add('hidden');
+        });
+
+        document.getElementById('resetRuleSettings')?.addEventListener('click', () => {
+            this.scamRuleOverrides = {};
+            this.saveScamRuleOverrides();
+            this.renderRuleSettings();
+            this.rescoreCachedTokens();
+            this.showNotification('Scam rules reset to defaults');
+        });
+    }
+
+    renderRuleSettings() {
+        const list = document.getElementById('ruleSettingsList');
+        if (!list) return;
+
+        list.innerHTML = this.scamRules.map(rule => {
+            const defaults = RiskScoring.SCAM_RULES.find(r => r.id === rule.id) || rule;
+            const modified = rule.enabled !== defaults.enabled || rule.score !== defaults.score;
+            return `
+                <div class="rule-setting ${rule.enabled ? '' : 'disabled'}" data-rule-id="${escapeHtml(rule.id)}">
+                    <label class="rule-setting-toggle">
+                        <input type="checkbox" class="rule-enabled" ${rule.enabled ? 'checked' : ''}>
+                        <span class="rule-chip ${escapeHtml(rule.severity)}">${escapeHtml(rule.label)}</span>
+                    </label>
+                    <span class="rule-setting-desc">${escapeHtml(rule.description || '')}${modified ? ' <em>(modified)</em>' : ''}</span>
+                    <input type="number" class="rule-score" min="0" max="100" step="5" value="${rule.score}" title="Score added when this rule fires (default ${defaults.score})">
+                </div>
+            `;
+        }).join('');
+    }
+
+    applyRuleSettings() {
+        const list = document.getElementById('ruleSettingsList');
+        if (!list) return;
+
+        const overrides = {};
+        list.querySelectorAll('.rule-setting').forEach(row => {
+            const id = row.dataset.ruleId;
+            const defaults = RiskScoring.SCAM_RULES.find(r => r.id === id);
+            if (!defaults) return;
+
+            const enabled = row.querySelector('.rule-enabled').checked;
+            const score = Math.max(0, Math.min(100, parseInt(row.querySelector('.rule-score').value, 10) || 0));
+
+            // Only persist what differs from the defaults
+            if (enabled !== defaults.enabled || score !== defaults.score) {
+                overrides[id] = { enabled, score };
+            }
+        });
+
+        this.scamRuleOverrides = overrides;
+        this.saveScamRuleOverrides();
+        this.rescoreCachedTokens();
+        this.showNotification('Scam rules saved');
+    }
+
+    // Re-run risk scoring on the current feed so rule changes show immediately.
+    // DEX tokens are rebuilt from their raw pairs, so the scam filter and the confidence cuts
+    // follow the new rules too - a token only a now-disabled rule filtered out comes back
+    rescoreCachedTokens() {
+        if (this.cachedTrendingTokens.length === 0) return;
+
+        const dexTokens = this.lastDexPairs.length > 0 ? this.processTokenData(this.lastDexPairs) : null;
+        const tokens = dexTokens
+            ? this.combineSignalTokens([...dexTokens, ...this.cachedPumpFunTokens])
+            : this.cachedTrendingTokens;
+
+        // PumpFun-style tokens (and the whole feed without raw pairs) keep their place and only
+        // get a fresh risk report
+        const rebuilt = new Set(dexTokens || []);
+        tokens.forEach(token => {
+            if (rebuilt.has(token)) return;
+            const scamCheck = this.detectScamIndicators(token);
+            token.scamCheck = scamCheck;
+            token.isHighRisk = scamCheck.isHighRisk;
+            token.isPotentialHoneypot = scamCheck.isPotentialHoneypot;
+            token.riskLevel = scamCheck.riskLevel;
+        });
+
+        this.feedCopycats = CopycatDetector.detect(tokens);
+        this.cachedTrendingTokens = tokens.slice(0, 50);
+        this.renderSignalsFeed(this.cachedTrendingTokens);
+    }
+
+    // ============================================
+    // ALERT RULES
+    // ============================================
+
+    loadAlertRules() {
+        try {
+            const saved = localStorage.getItem('na_alert_rules');
+            const rules = saved ? AlertRules.sanitizeRules(JSON.parse(saved)) : null;
+            if (rules) return rules;
+        } catch (e) {
+            console.warn('Could not load alert rules');
+        }
+        return AlertRules.DEFAULT_RULES.map(rule => ({ ...rule }));
+    }
+
+    saveAlertRules() {
+        localStorage.setItem('na_alert_rules', JSON.stringify(this.alertRules));
+    }
+
+    // Run the alert rules for one source and surface whatever fired
+    evaluateAlerts(source, subjects) {
+        const fired = AlertRules.evaluate(this.alertRules, source, subjects, this.alertState);
+        if (fired.length > 0) this.dispatchAlerts(fired);
+        return fired;
+    }
+
+    dispatchAlerts(alerts) {
+        // One sound per batch - the first rule that asked for one wins
+        const sound = alerts.map(a => a.sound).find(s => s && s !== 'none');
+        if (sound) this.playAlertSound(sound);
+
+        // Group by style so a busy cycle shows one toast, not a stack
+        ['toast', 'sticky'].forEach(style => {
+            const group = alerts.filter(a => a.style === style);
+            if (group.length === 0) return;
+            const message = group.length === 1
+                ? group[0].message
+                : `${group[0].message} (+${group.length - 1} more)`;
+            this.showNotification(message, 'alert', style === 'sticky' ? 0 : 5000);
+        });
+
+        // Silent rules are sound-only; everything else is kept in the inbox
+        const visible = alerts.filter(a => a.style !== 'silent');
+        if (visible.length > 0) {
+            const entries = this.addToAlertInbox(visible);
+            this.sendDesktopNotifications(entries);
+        }
+
+        const outbound = alerts.filter(a => a.webhook);
+        if (outbound.length > 0) this.sendAlertWebhooks(outbound);
+    }
+
+    // Fan alerts out to the team's Discord / Telegram / JSON webhooks (configured server-side)
+    async sendAlertWebhooks(alerts) {
+        const headers = { 'Content-Type': 'application/json' };
+        const key = localStorage.getItem('na_alert_webhook_key');
+        if (key) headers['X-Alert-Key'] = key;
+
+        try {
+            const response = await fetch('/.netlify/functions/alert-webhook', {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    alerts: alerts.map(alert => ({
+                        ruleId: alert.ruleId,
+                        label: alert.label,
+                        source: alert.source,
+                        message: alert.message,
+                        timestamp: alert.timestamp,
+                        snapshot: alert.facts
+                    }))
+                })
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        } catch (error) {
+            console.warn('Alert webhook failed:', error.message);
+        }
+    }
+
+    setupAlertRulesUI() {
+        const openBtn = document.getElementById('alertRulesBtn');
+        const modal = document.getElementById('alertRulesModal');
+        if (!openBtn || !modal) return;
+
+        openBtn.addEventListener('click', () => {
+            this.renderAlertRulesList();
+            this.resetAlertRuleForm();
+            modal.classList.remove('hidden');
+        });
+
+        modal.querySelectorAll('[data-close-modal]').forEach(el => {
+            el.addEventListener('click', () => modal.classList.add('hidden'));
+        });
+
+        const sourceSelect = document.getElementById('alertRuleSource');
+        if (sourceSelect) {
+            sourceSelect.innerHTML = Object.entries(AlertRules.SOURCES)
+                .map(([id, source]) => `<option value="${id}">${escapeHtml(source.label)}</option>`)
+                .join('');
+            // Facts differ per source - start the conditions over
+            sourceSelect.addEventListener('change', () => {
+                document.getElementById('alertRuleConditions').innerHTML = '';
+                this.addAlertConditionRow();
+            });
+        }
+
+        document.getElementById('alertRuleSound').innerHTML = AlertRules.SOUNDS
+            .map(sound => `<option value="${sound}">${sound.toUpperCase()}</option>`).join('');
+        document.getElementById('alertRuleStyle').innerHTML = AlertRules.STYLES
+            .map(style => `<option value="${style}">${style.toUpperCase()}</option>`).join('');
+
+        document.getElementById('addAlertCondition')?.addEventListener('click', () => this.addAlertConditionRow());
+
+        document.getElementById('testAlertSound')?.addEventListener('click', () => {
+            if (this.audioContext?.state === 'suspended') this.audioContext.resume();
+            this.playAlertSound(document.getElementById('alertRuleSound').value);
+        });
+
+        document.getElementById('saveAlertRule')?.addEventListener('click', () => this.saveAlertRuleForm());
+
+        const webhookKeyInput = document.getElementById('alertWebhookKey');
+        if (webhookKeyInput) {
+            webhookKeyInput.value = localStorage.getItem('na_alert_webhook_key') || '';
+            webhookKeyInput.addEventListener('change', () => {
+                const key = webhookKeyInput.value.trim();
+                if (key) {
+                    localStorage.setItem('na_alert_webhook_key', key);
+                } else {
+                    localStorage.removeItem('na_alert_webhook_key');
+                }
+            });
+        }
+        document.getElementById('newAlertRule')?.addEventListener('click', () => this.resetAlertRuleForm());
+
+        document.getElementById('resetAlertRules')?.addEventListener('click', () => {
+            this.alertRules = AlertRules.DEFAULT_RULES.map(rule => ({ ...rule }));
+            this.saveAlertRules();
+            this.renderAlertRulesList();
+            this.resetAlertRuleForm();
+            this.showNotification('Alert rules reset to defaults');
+        });
+
+        // Row actions (toggle / edit / delete)
+        document.getElementById('alertRulesList')?.addEventListener('click', (e) => {
+            const row = e.target.closest('.rule-setting');
+            if (!row) return;
+            const rule = this.alertRules.find(r => r.id === row.dataset.ruleId);
+            if (!rule) return;
+
+            if (e.target.closest('.alert-rule-edit')) {
+                this.fillAlertRuleForm(rule);
+            } else if (e.target.closest('.alert-rule-delete')) {
+                this.alertRules = this.alertRules.filter(r => r.id !== rule.id);
+                if (this.editingAlertRuleId === rule.id) this.resetAlertRuleForm();
+                this.saveAlertRules();
+                this.renderAlertRulesList();
+            }
+        });
+
+        document.getElementById('alertRulesList')?.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('rule-enabled')) return;
+            const rule = this.alertRules.find(r => r.id === e.target.closest('.rule-setting').dataset.ruleId);
+            if (!rule) return;
+            rule.enabled = e.target.checked;
+            this.saveAlertRules();
+            this.renderAlertRulesList();
+        });
+    }
+
+    renderAlertRulesList() {
+        const list = document.getElementById('alertRulesList');
+        if (!list) return;
+
+        if (this.alertRules.length === 0) {
+            list.innerHTML = '<div class="rule-setting-desc">No alert rules yet - build one below.</div>';
+            return;
+        }
+
+        list.innerHTML = this.alertRules.map(rule => {
+            const cooldown = rule.cooldownSec >= 60 ? `${Math.round(rule.cooldownSec / 60)}m` : `${rule.cooldownSec}s`;
+            return `
+                <div class="rule-setting alert-rule ${rule.enabled ? '' : 'disabled'}" data-rule-id="${escapeHtml(rule.id)}">
+                    <label class="rule-setting-toggle">
+                        <input type="checkbox" class="rule-enabled" ${rule.enabled ? 'checked' : ''}>
+                        <span class="rule-chip">${escapeHtml(rule.label)}</span>
+                    </label>
+                    <span class="rule-setting-desc">
+                        ${escapeHtml(AlertRules.SOURCES[rule.source].label)}: ${escapeHtml(AlertRules.describeCondition(rule.condition))}
+                        <em>${cooldown} cooldown · ${escapeHtml(rule.sound)} · ${escapeHtml(rule.style)}${rule.webhook ? ' · webhook' : ''}</em>
+                    </span>
+                    <div class="alert-rule-actions">
+                        <button class="alert-rule-edit" title="Edit rule">EDIT</button>
+                        <button class="alert-rule-delete" title="Delete rule">&times;</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    addAlertConditionRow(condition = null) {
+        const container = document.getElementById('alertRuleConditions');
+        const source = document.getElementById('alertRuleSource').value;
+        if (!container || !AlertRules.SOURCES[source]) return;
+        const facts = AlertRules.factsFor(source, { customCategories: this.customCategories });
+
+        const row = document.createElement('div');
+        row.className = 'alert-condition';
+        row.innerHTML = `
+            <select class="alert-condition-fact">
+                ${facts.map(f => `<option value="${f.fact}">${escapeHtml(f.label)}</option>`).join('')}
+            </select>
+            <select class="alert-condition-op">
+                ${Object.keys(RuleEngine.OPERATORS).map(op => `<option value="${op}">${escapeHtml(op)}</option>`).join('')}
+            </select>
+            <span class="alert-condition-value"></span>
+            <button class="alert-condition-remove" title="Remove condition">&times;</button>
+        `;
+        container.appendChild(row);
+
+        const factSelect = row.querySelector('.alert-condition-fact');
+        const opSelect = row.querySelector('.alert-condition-op');
+        if (condition) {
+            factSelect.value = condition.fact;
+            opSelect.value = condition.op;
+        }
+
+        const renderValueInput = (value) => {
+            const fact = facts.find(f => f.fact === factSelect.value) || facts[0];
+            const slot = row.querySelector('.alert-condition-value');
+            if (fact.type === 'boolean') {
+                slot.innerHTML = '<select class="rule-score"><option value="true">true</option><option value="false">false</option></select>';
+            } else if (fact.options) {
+                slot.innerHTML = `<select class="rule-score">${fact.options.map(o => `<option value="${escapeHtml(o)}">${escapeHtml(o)}</option>`).join('')}</select>`;
+            } else {
+                slot.innerHTML = `<input class="rule-score" type="${fact.type === 'number' ? 'number' : 'text'}" step="any">`;
+            }
+            if (value !== undefined && value !== null) slot.firstElementChild.value = String(value);
+        };
+
+        renderValueInput(condition?.value);
+        factSelect.addEventListener('change', () => renderValueInput());
+        row.querySelector('.alert-condition-remove').addEventListener('click', () => row.remove());
+    }
+
+    resetAlertRuleForm() {
+        this.editingAlertRuleId = null;
+        document.getElementById('alertRuleName').value = '';
+        document.getElementById('alertRuleSource').value = 'token';
+        document.getElementById('alertRuleMatch').value = 'all';
+        document.getElementById('alertRuleCooldown').value = 15;
+        document.getElementById('alertRuleSound').value = 'beep';
+        document.getElementById('alertRuleStyle').value = 'toast';
+        document.getElementById('alertRuleWebhook').checked = false;
+        document.getElementById('alertRuleMessage').value = '';
+        document.getElementById('alertRuleConditions').innerHTML = '';
+        document.getElementById('saveAlertRule').textContent = 'ADD RULE';
+        this.addAlertConditionRow();
+    }
+
+    fillAlertRuleForm(rule) {
+        this.editingAlertRuleId = rule.id;
+        const match = Array.isArray(rule.condition.any) ? 'any' : 'all';
+        const leaves = rule.condition[match] || [rule.condition];
+
+        document.getElementById('alertRuleName').value = rule.label;
+        document.getElementById('alertRuleSource').value = rule.source;
+        document.getElementById('alertRuleMatch').value = match;
+        document.getElementById('alertRuleCooldown').value = Math.round(rule.cooldownSec / 60 * 10) / 10;
+        document.getElementById('alertRuleSound').value = rule.sound;
+        document.getElementById('alertRuleStyle').value = rule.style;
+        document.getElementById('alertRuleWebhook').checked = !!rule.webhook;
+        document.getElementById('alertRuleMessage').value = rule.message || '';
+        document.getElementById('alertRuleConditions').innerHTML = '';
+        // The builder edits flat conditions only
+        leaves.filter(c => c.fact).forEach(c => this.addAlertConditionRow(c));
+        document.getElementById('saveAlertRule').textContent = 'UPDATE RULE';
+    }
+
+    saveAlertRuleForm() {
+        const source = document.getElementById('alertRuleSource').value;
+        const facts = AlertRules.factsFor(source, { customCategories: this.customCategories });
+
+        const conditions = [...document.querySelectorAll('#alertRuleConditions .alert-condition')].map(row => {
+            const fact = facts.find(f => f.fact === row.querySelector('.alert-condition-fact').value);
+            const raw = row.querySelector('.alert-condition-value').firstElementChild.value;
+            let value = raw;
+            if (fact.type === 'number') value = parseFloat(raw);
+            if (fact.type === 'boolean') value = raw === 'true';
+            return { fact: fact.fact, op: row.querySelector('.alert-condition-op').value, value };
+        });
+
+        if (conditions.length === 0 || conditions.some(c => typeof c.value === 'number' && !Number.isFinite(c.value))) {
+            this.showNotification('Every condition needs a value', 'error');
+            return;
+        }
+
+        const label = document.getElementById('alertRuleName').value.trim() || 'Custom alert';
+        const match = document.getElementById('alertRuleMatch').value === 'any' ? 'any' : 'all';
+        const cooldownMin = Math.max(0, parseFloat(document.getElementById('alertRuleCooldown').value) || 0);
+        const rule = {
+            id: this.editingAlertRuleId || `CUSTOM_${Date.now().toString(36).toUpperCase()}`,
+            label,
+            enabled: true,
+            source,
+            condition: { [match]: conditions },
+            cooldownSec: Math.round(cooldownMin * 60),
+            sound: document.getElementById('alertRuleSound').value,
+            style: document.getElementById('alertRuleStyle').value,
+            webhook: document.getElementById('alertRuleWebhook').checked,
+            message: document.getElementById('alertRuleMessage').value.trim() ||
+                (source === 'narrative' ? `${label}: {category} #{rank}` : `${label}: \${symbol}`)
+        };
+
+        const index = this.alertRules.findIndex(r => r.id === rule.id);
+        if (index >= 0) {
+            rule.enabled = this.alertRules[index].enabled;
+            this.alertRules[index] = rule;
+        } else {
+            this.alertRules.push(rule);
+        }
+
+        this.saveAlertRules();
+        this.renderAlertRulesList();
+        this.resetAlertRuleForm();
+        this.showNotification(index >= 0 ? 'Alert rule updated' : 'Alert rule added');
+    }
+
+    // ============================================
+    // CUSTOM NARRATIVE CATEGORIES
+    // ============================================
+
+    loadCustomCategories() {
+        try {
+            const saved = localStorage.getItem('na_custom_categories');
+            return saved ? CustomCategories.sanitizeCategories(JSON.parse(saved)) : [];
+        } catch (e) {
+            console.warn('Could not load custom categories');
+            return [];
+        }
+    }
+
+    // Saves and re-runs the radar so the new categories show right away
+    saveCustomCategories() {
+        localStorage.setItem('na_custom_categories', JSON.stringify(this.customCategories));
+        this.fetchNarrativeRadar();
+    }
+
+    setupCustomCategoriesUI() {
+        const openBtn = document.getElementById('customCategoriesBtn');
+        const modal = document.getElementById('customCategoriesModal');
+        if (!openBtn || !modal) return;
+
+        openBtn.addEventListener('click', () => {
+            this.renderCustomCategoriesList();
+            this.resetCustomCategoryForm();
+            modal.classList.remove('hidden');
+        });
 
-        const result = {
-            isValid: true,
-            isDead: false,
-            isLowActivity: false,
-            warnings: [],
-            adjustedConfidence: token.confidence || 50
-        };
+        modal.querySelectorAll('[data-close-modal]').forEach(el => {
+            el.addEventListener('click', () => modal.classList.add('hidden'));
+        });
 
-        // Check for dead token (price moving but no volume/activity)
-        if (volume1h < thresholds.DEAD_VOLUME_THRESHOLD || txns1h < thresholds.DEAD_TXNS_THRESHOLD) {
-            result.isDead = true;
-            result.isValid = false;
-            result.warnings.push('NO_ACTIVITY');
-            result.adjustedConfidence = Math.max(10, result.adjustedConfidence - 40);
-        }
-        // Check for low activity
-        else if (volume1h < thresholds.MIN_VOLUME_1H || txns1h < thresholds.MIN_TXNS_1H) {
-            result.isLowActivity = true;
-            result.warnings.push('LOW_ACTIVITY');
-            result.adjustedConfidence = Math.max(20, result.adjustedConfidence - 20);
-        }
+        document.getElementById('saveCustomCategory')?.addEventListener('click', () => this.saveCustomCategoryForm());
+        document.getElementById('newCustomCategory')?.addEventListener('click', () => this.resetCustomCategoryForm());
+        document.getElementById('exportCustomCategories')?.addEventListener('click', () => this.exportCustomCategories());
 
-        // Cross-validate buy ratio with price direction
-        if (priceChange1h > 20 && buyRatio < 0.4) {
-            result.warnings.push('BUY_PRICE_MISMATCH');
-            result.adjustedConfidence = Math.max(15, result.adjustedConfidence - 25);
-        }
+        const fileInput = document.getElementById('customCategoriesFile');
+        document.getElementById('importCustomCategories')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) this.importCustomCategories(await file.text());
+        });
 
-        if (priceChange1h < -20 && buyRatio > 0.7) {
-            result.warnings.push('SELL_PRICE_MISMATCH');
-            result.adjustedConfidence = Math.max(15, result.adjustedConfidence - 25);
-        }
+        // Row actions (toggle / edit / delete)
+        const list = document.getElementById('customCategoriesList');
+        list?.addEventListener('click', (e) => {
+            const row = e.target.closest('.rule-setting');
+            const category = row && this.customCategories.find(c => c.id === row.dataset.categoryId);
+            if (!category) return;
+
+            if (e.target.closest('.alert-rule-edit')) {
+                this.fillCustomCategoryForm(category);
+            } else if (e.target.closest('.alert-rule-delete')) {
+                this.customCategories = this.customCategories.filter(c => c.id !== category.id);
+                if (this.editingCustomCategoryId === category.id) this.resetCustomCategoryForm();
+                this.saveCustomCategories();
+                this.renderCustomCategoriesList();
+            }
+        });
 
-        return result;
+        list?.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('rule-enabled')) return;
+            const category = this.customCategories.find(c => c.id === e.target.closest('.rule-setting').dataset.categoryId);
+            if (!category) return;
+            category.enabled = e.target.checked;
+            this.saveCustomCategories();
+            this.renderCustomCategoriesList();
+        });
     }
 
-    // Detect potential honeypot/scam tokens
-    detectScamIndicators(token) {
-        const thresholds = CONFIG?.VALIDATION || {
-            MCAP_LIQ_WARNING: 50,
-            MCAP_LIQ_CRITICAL: 100,
-            HONEYPOT_BUY_RATIO: 0.95,
-            SCAM_SCORE_FILTER: 70,
-            SCAM_SCORE_HIGH_RISK: 40
-        };
+    renderCustomCategoriesList() {
+        const list = document.getElementById('customCategoriesList');
+        if (!list) return;
 
-        const result = {
-            isScam: false,
-            isPotentialHoneypot: false,
-            isHighRisk: false,
-            scamScore: 0,
-            warnings: [],
-            shouldFilter: false
-        };
+        if (this.customCategories.length === 0) {
+            list.innerHTML = '<div class="rule-setting-desc">No custom categories yet - add one below or import a pack.</div>';
+            return;
+        }
 
-        const mcap = token.marketCap || 0;
-        const liquidity = token.liquidity || 0;
-        const volume24h = token.volume24h || 0;
-        const volume1h = token.volume1h || 0;
-        const buyRatio = token.buyRatio || 0.5;
-        const txns24h = token.txns24h || 0;
-        const priceChange1h = token.priceChange1h || 0;
-        const ageHours = token.ageHours || (token.createdAt ? (Date.now() - token.createdAt) / 3600000 : 999);
+        list.innerHTML = this.customCategories.map(category => `
+            <div class="rule-setting alert-rule ${category.enabled ? '' : 'disabled'}" data-category-id="${escapeHtml(category.id)}">
+                <label class="rule-setting-toggle">
+                    <input type="checkbox" class="rule-enabled" ${category.enabled ? 'checked' : ''}>
+                    <span class="rule-chip">${escapeHtml(category.name)}</span>
+                </label>
+                <span class="rule-setting-desc">
+                    ${escapeHtml(category.keywords.join(', '))}${category.exclude.length ? ` - not ${escapeHtml(category.exclude.join(', '))}` : ''}
+                    <em>priority ${category.priority} · ${category.scoreBonus >= 0 ? '+' : ''}${category.scoreBonus} score</em>
+                </span>
+                <div class="alert-rule-actions">
+                    <button class="alert-rule-edit" title="Edit category">EDIT</button>
+                    <button class="alert-rule-delete" title="Delete category">&times;</button>
+                </div>
+            </div>
+        `).join('');
+    }
 
-        // 1. EXTREME MCAP/LIQUIDITY RATIO (potential rug)
-        if (mcap > 0 && liquidity > 0) {
-            const mcapLiqRatio = mcap / liquidity;
+    resetCustomCategoryForm() {
+        this.editingCustomCategoryId = null;
+        document.getElementById('customCategoryName').value = '';
+        document.getElementById('customCategoryKeywords').value = '';
+        document.getElementById('customCategoryExclude').value = '';
+        document.getElementById('customCategoryPriority').value = 50;
+        document.getElementById('customCategoryBonus').value = 10;
+        document.getElementById('saveCustomCategory').textContent = 'ADD CATEGORY';
+    }
 
-            if (mcapLiqRatio > thresholds.MCAP_LIQ_CRITICAL) {
-                result.warnings.push({
-                    type: 'EXTREME_MCAP_LIQ',
-                    severity: 'critical',
-                    message: `MC/Liq ${mcapLiqRatio.toFixed(0)}x - EXIT IMPOSSIBLE`
-                });
-                result.scamScore += 40;
-                result.isHighRisk = true;
-            } else if (mcapLiqRatio > thresholds.MCAP_LIQ_WARNING) {
-                result.warnings.push({
-                    type: 'HIGH_MCAP_LIQ',
-                    severity: 'warning',
-                    message: `MC/Liq ${mcapLiqRatio.toFixed(0)}x - thin liquidity`
-                });
-                result.scamScore += 20;
-            }
-        }
+    fillCustomCategoryForm(category) {
+        this.editingCustomCategoryId = category.id;
+        document.getElementById('customCategoryName').value = category.name;
+        document.getElementById('customCategoryKeywords').value = category.keywords.join(', ');
+        document.getElementById('customCategoryExclude').value = category.exclude.join(', ');
+        document.getElementById('customCategoryPriority').value = category.priority;
+        document.getElementById('customCategoryBonus').value = category.scoreBonus;
+        document.getElementById('saveCustomCategory').textContent = 'UPDATE CATEGORY';
+    }
 
-        // 2. HONEYPOT PATTERN: High buys but no price movement
-        if (buyRatio > thresholds.HONEYPOT_BUY_RATIO && Math.abs(priceChange1h) < 2 && txns24h > 100) {
-            result.warnings.push({
-                type: 'HONEYPOT_PATTERN',
-                severity: 'critical',
-                message: `${Math.round(buyRatio * 100)}% buys but price flat - HONEYPOT`
-            });
-            result.scamScore += 50;
-            result.isPotentialHoneypot = true;
+    saveCustomCategoryForm() {
+        const [category] = CustomCategories.sanitizeCategories([{
+            name: document.getElementById('customCategoryName').value,
+            keywords: document.getElementById('customCategoryKeywords').value,
+            exclude: document.getElementById('customCategoryExclude').value,
+            priority: document.getElementById('customCategoryPriority').value,
+            scoreBonus: document.getElementById('customCategoryBonus').value
+        }]);
+        if (!category) {
+            this.showNotification('A category needs a name and at least one keyword', 'error');
+            return;
         }
 
-        // 3. ZERO RECENT TRANSACTIONS
-        const txns1h = token.txns1h || Math.floor(txns24h / 24);
-        if (txns1h === 0 && volume1h === 0 && mcap > 10000) {
-            result.warnings.push({
-                type: 'ZERO_ACTIVITY',
-                severity: 'warning',
-                message: 'No transactions in last hour'
-            });
-            result.scamScore += 15;
+        const editing = this.customCategories.find(c => c.id === this.editingCustomCategoryId);
+        if (this.customCategories.some(c => c.id === category.id && c !== editing)) {
+            this.showNotification(`A category named "${category.name}" already exists`, 'error');
+            return;
         }
-
-        // 4. EXTREME BUY/SELL IMBALANCE with volume
-        if (buyRatio > 0.98 && volume24h > 10000) {
-            result.warnings.push({
-                type: 'SELL_BLOCKED',
-                severity: 'critical',
-                message: '99%+ buys - sells blocked'
-            });
-            result.scamScore += 35;
-            result.isPotentialHoneypot = true;
+        if (!editing && this.customCategories.length >= CustomCategories.LIMITS.categories) {
+            this.showNotification(`At most ${CustomCategories.LIMITS.categories} custom categories`, 'error');
+            return;
         }
 
-        // 5. MICRO LIQUIDITY with high mcap claims
-        if (liquidity < 1000 && mcap > 100000) {
-            result.warnings.push({
-                type: 'FAKE_MCAP',
-                severity: 'critical',
-                message: `$${this.formatCompact(mcap)} MC but $${this.formatCompact(liquidity)} liq`
-            });
-            result.scamScore += 45;
-            result.isHighRisk = true;
+        if (editing) {
+            category.enabled = editing.enabled;
+            this.customCategories = this.customCategories.map(c => (c === editing ? category : c));
+        } else {
+            this.customCategories.push(category);
         }
 
-        // 6. INSTANT PUMP PATTERN (coordinated launch scam)
-        if (ageHours < 0.5 && priceChange1h > 500 && buyRatio > 0.9) {
-            result.warnings.push({
-                type: 'COORDINATED_PUMP',
-                severity: 'warning',
-                message: 'Coordinated launch pump'
-            });
-            result.scamScore += 25;
-        }
+        this.saveCustomCategories();
+        this.renderCustomCategoriesList();
+        this.resetCustomCategoryForm();
+        this.showNotification(editing ? 'Category updated' : 'Category added');
+    }
 
-        // 7. SLOW-BLEED HONEYPOT: High buys but consistent price decline
-        const priceChange6h = token.priceChange6h || 0;
-        const priceChange24h = token.priceChange24h || 0;
-        if (buyRatio > 0.55 && priceChange1h < -5 && priceChange6h < -10 && priceChange24h < -15) {
-            result.warnings.push({
-                type: 'SLOW_BLEED',
-                severity: 'critical',
-                message: `${Math.round(buyRatio * 100)}% buys but -${Math.abs(priceChange24h).toFixed(0)}% 24h - sell tax likely`
-            });
-            result.scamScore += 25;
-            result.isPotentialHoneypot = true;
+    exportCustomCategories() {
+        if (this.customCategories.length === 0) {
+            this.showNotification('No custom categories to export', 'error');
+            return;
         }
+        const pack = CustomCategories.toPack(this.customCategories);
+        const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `na-categories-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        this.showNotification(`Exported ${pack.categories.length} categories`);
+    }
 
-        // 8. SELL-TAX INDICATOR: Very high buys with significant price drop
-        if (buyRatio > 0.75 && priceChange1h < -10 && txns24h > 50) {
-            result.warnings.push({
-                type: 'SELL_TAX',
-                severity: 'warning',
-                message: `${Math.round(buyRatio * 100)}% buys but -${Math.abs(priceChange1h).toFixed(0)}% 1h - potential sell tax`
-            });
-            result.scamScore += 20;
+    // Same-named categories are replaced by the pack's version
+    importCustomCategories(text) {
+        try {
+            const incoming = CustomCategories.fromPack(text);
+            this.customCategories = CustomCategories.merge(this.customCategories, incoming);
+            this.saveCustomCategories();
+            this.renderCustomCategoriesList();
+            this.showNotification(`Imported ${incoming.length} categories`);
+        } catch (e) {
+            this.showNotification(`Import failed: ${e instanceof SyntaxError ? 'not valid JSON' : e.message}`, 'error');
         }
+    }
 
-        // Determine overall status
-        if (result.scamScore >= thresholds.SCAM_SCORE_FILTER) {
-            result.isScam = true;
-            result.shouldFilter = true;
-        } else if (result.scamScore >= thresholds.SCAM_SCORE_HIGH_RISK) {
-            result.isHighRisk = true;
+    // ============================================
+    // ALERT INBOX & DESKTOP NOTIFICATIONS
+    // ============================================
+
+    loadAlertInbox() {
+        try {
+            const saved = localStorage.getItem('na_alert_inbox');
+            const inbox = saved ? JSON.parse(saved) : [];
+            return Array.isArray(inbox) ? inbox : [];
+        } catch (e) {
+            return [];
         }
+    }
 
-        return result;
+    saveAlertInbox() {
+        try {
+            localStorage.setItem('na_alert_inbox', JSON.stringify(this.alertInbox));
+        } catch (e) {
+            console.warn('Could not save alert inbox');
+        }
     }
 
-    // Generate specific, actionable signal description based on data patterns
-    generateSignalEdge(token) {
-        const { priceChange5m, priceChange1h, priceChange24h, volume24h, volume1h, liquidity, buyRatio, txns24h, marketCap } = token;
+    // Store fired alerts newest first - the facts double as the token snapshot
+    addToAlertInbox(alerts) {
+        const entries = alerts.map(alert => ({
+            id: `${alert.ruleId}:${alert.subjectKey}:${alert.timestamp}`,
+            ruleId: alert.ruleId,
+            label: alert.label,
+            source: alert.source,
+            message: alert.message,
+            timestamp: alert.timestamp,
+            read: false,
+            snapshot: { ...alert.facts, name: alert.item?.name || null }
+        }));
+
+        this.alertInbox = [...entries, ...this.alertInbox].slice(0, 200);
+        this.saveAlertInbox();
+        this.updateAlertInboxBadge();
+        return entries;
+    }
 
-        const ageHours = token.createdAt ? (Date.now() - token.createdAt) / (1000 * 60 * 60) : 999;
-        const volumeVelocity = liquidity > 0 ? volume24h / liquidity : 0;
-        const avgTxSize = txns24h > 0 ? volume24h / txns24h : 0;
-        const txns1h = token.txns1h || Math.floor(txns24h / 24);
+    desktopNotificationsAvailable() {
+        return typeof Notification !== 'undefined';
+    }
 
-        // Validate token activity first
-        const validation = this.validateTokenActivity(token);
+    // Desktop notifications only while the tab is in the background - toasts cover the rest
+    sendDesktopNotifications(entries) {
+        if (!this.desktopNotificationsEnabled || !this.desktopNotificationsAvailable()) return;
+        if (Notification.permission !== 'granted' || !document.hidden) return;
 
-        // DEAD TOKEN CHECK - Override any positive signal
-        if (validation.isDead) {
-            if (Math.abs(priceChange1h) > 10) {
-                return {
-                    edge: `${priceChange1h > 0 ? '+' : ''}${priceChange1h.toFixed(0)}% but no volume ($${this.formatCompact(volume1h || 0)} 1h) - suspicious`,
-                    tag: 'DEAD',
-                    confidence: validation.adjustedConfidence
+        entries.slice(0, 3).forEach(entry => {
+            try {
+                const notification = new Notification(entry.label, {
+                    body: entry.message,
+                    tag: entry.id,
+                    icon: 'assets/narr-icon-100x100.svg'
+                });
+                notification.onclick = () => {
+                    window.focus();
+                    this.openAlertInboxEntry(entry.id);
+                    notification.close();
                 };
+            } catch (e) {
+                console.warn('Desktop notification failed:', e.message);
             }
-            return {
-                edge: `Dead: $${this.formatCompact(volume1h || 0)} vol, ${txns1h} txns - no activity`,
-                tag: 'DEAD',
-                confidence: validation.adjustedConfidence
-            };
-        }
-
-        // LOW ACTIVITY CHECK
-        if (validation.isLowActivity && Math.abs(priceChange1h) < 20) {
-            return {
-                edge: `Low activity: $${this.formatCompact(volume1h || 0)} vol, ${txns1h} txns/h - illiquid`,
-                tag: 'LOW ACTIVITY',
-                confidence: validation.adjustedConfidence
-            };
-        }
-
-        // Priority-ordered pattern detection
+        });
 
-        // LAUNCH SIGNALS
-        if (ageHours < 1) {
-            if (priceChange5m > 20 && (volume1h || 0) > 1000) return { edge: `Just launched +${priceChange5m.toFixed(0)}% in 5m`, tag: 'NEW LAUNCH' };
-            if (liquidity > 50000) return { edge: `Fresh launch, $${this.formatCompact(liquidity)} liquidity`, tag: 'NEW LAUNCH' };
-            return { edge: `${Math.round(ageHours * 60)}m old - early entry`, tag: 'NEW LAUNCH' };
+        if (entries.length > 3) {
+            try {
+                new Notification('NarrativeAlpha', { body: `${entries.length - 3} more alerts in your inbox`, tag: 'na-alert-overflow' });
+            } catch (e) {
+                // Overflow summary is best-effort
+            }
         }
+    }
 
-        if (ageHours < 6 && priceChange1h > 30) {
-            return { edge: `Young token +${priceChange1h.toFixed(0)}% 1h - still early`, tag: 'EARLY MOVER' };
+    async toggleDesktopNotifications() {
+        if (!this.desktopNotificationsAvailable()) {
+            this.showNotification('Desktop notifications are not supported in this browser', 'error');
+            return;
         }
 
-        // MOMENTUM SIGNALS - validate with volume
-        if (priceChange5m > 15 && priceChange1h > 20) {
-            // Validate with volume before PUMPING tag
-            if ((volume1h || 0) > 5000 && txns1h > 20 && buyRatio > 0.45) {
-                return { edge: `Accelerating +${priceChange5m.toFixed(0)}% 5m, +${priceChange1h.toFixed(0)}% 1h | $${this.formatCompact(volume1h || 0)} vol`, tag: 'PUMPING' };
-            } else {
-                // Price spiking without volume
-                return { edge: `+${priceChange1h.toFixed(0)}% but weak vol ($${this.formatCompact(volume1h || 0)}) - verify`, tag: 'VERIFY' };
+        if (this.desktopNotificationsEnabled) {
+            this.desktopNotificationsEnabled = false;
+        } else {
+            const permission = Notification.permission === 'default'
+                ? await Notification.requestPermission()
+                : Notification.permission;
+            if (permission !== 'granted') {
+                this.showNotification('Notifications are blocked - allow them in your browser settings', 'error');
+                return;
             }
+            this.desktopNotificationsEnabled = true;
         }
 
-        if (priceChange1h > 50) {
-            // Validate mooning with volume
-            if ((volume1h || 0) > 10000 && txns1h > 30) {
-                return { edge: `Parabolic +${priceChange1h.toFixed(0)}% 1h | $${this.formatCompact(volume1h || 0)} vol`, tag: 'MOONING' };
-            } else {
-                return { edge: `+${priceChange1h.toFixed(0)}% spike, low vol ($${this.formatCompact(volume1h || 0)}) - verify`, tag: 'VERIFY' };
+        localStorage.setItem('na_desktop_notifications', this.desktopNotificationsEnabled.toString());
+        this.updateDesktopNotificationsUI();
+    }
+
+    updateDesktopNotificationsUI() {
+        const btn = document.getElementById('desktopNotificationsBtn');
+        if (!btn) return;
+        btn.classList.toggle('active', this.desktopNotificationsEnabled);
+        btn.textContent = this.desktopNotificationsEnabled ? 'DESKTOP: ON' : 'DESKTOP: OFF';
+    }
+
+    setupAlertInboxUI() {
+        const openBtn = document.getElementById('alertInboxBtn');
+        const modal = document.getElementById('alertInboxModal');
+        if (!openBtn || !modal) return;
+
+        openBtn.addEventListener('click', () => {
+            this.renderAlertInbox();
+            modal.classList.remove('hidden');
+        });
+
+        modal.querySelectorAll('[data-close-modal]').forEach(el => {
+            el.addEventListener('click', () => modal.classList.add('hidden'));
+        });
+
+        document.getElementById('desktopNotificationsBtn')?.addEventListener('click', () => this.toggleDesktopNotifications());
+
+        document.getElementById('markAlertsRead')?.addEventListener('click', () => {
+            this.alertInbox.forEach(entry => { entry.read = true; });
+            this.saveAlertInbox();
+            this.renderAlertInbox();
+            this.updateAlertInboxBadge();
+        });
+
+        document.getElementById('clearAlertInbox')?.addEventListener('click', () => {
+            this.alertInbox = [];
+            this.saveAlertInbox();
+            this.renderAlertInbox();
+            this.updateAlertInboxBadge();
+        });
+
+        document.getElementById('alertInboxList')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.alert-inbox-item');
+            if (!item) return;
+
+            if (e.target.closest('.alert-inbox-toggle')) {
+                const entry = this.alertInbox.find(a => a.id === item.dataset.alertId);
+                if (!entry) return;
+                entry.read = !entry.read;
+                this.saveAlertInbox();
+                this.renderAlertInbox();
+                this.updateAlertInboxBadge();
+                return;
             }
-        }
 
-        if (priceChange24h > 100 && priceChange1h > 5) {
-            return { edge: `Runner +${priceChange24h.toFixed(0)}% day, +${priceChange1h.toFixed(0)}% 1h`, tag: 'RUNNER' };
-        }
+            this.openAlertInboxEntry(item.dataset.alertId);
+        });
 
-        // REVERSAL SIGNALS
-        if (priceChange24h < -25 && priceChange1h > 10 && buyRatio > 0.55) {
-            return { edge: `Bouncing +${priceChange1h.toFixed(0)}% off ${priceChange24h.toFixed(0)}% drop`, tag: 'REVERSAL' };
-        }
+        this.updateDesktopNotificationsUI();
+        this.updateAlertInboxBadge();
+    }
 
-        if (priceChange24h < -20 && priceChange5m > 5 && buyRatio > 0.6) {
-            return { edge: `Dip buying: ${Math.round(buyRatio*100)}% buys after ${priceChange24h.toFixed(0)}% drop`, tag: 'DIP BUY' };
-        }
+    // Mark read and deep-link to the token overview when the alert has a token
+    openAlertInboxEntry(id) {
+        const entry = this.alertInbox.find(a => a.id === id);
+        if (!entry) return;
 
-        // ACCUMULATION SIGNALS
-        if (buyRatio > 0.65 && priceChange1h < 5 && priceChange1h > -5) {
-            return { edge: `${Math.round(buyRatio*100)}% buys, price flat - accumulation`, tag: 'ACCUMULATING' };
-        }
+        entry.read = true;
+        this.saveAlertInbox();
+        this.updateAlertInboxBadge();
 
-        if (volumeVelocity > 5 && priceChange1h < 10 && priceChange1h > -10) {
-            return { edge: `High rotation ${volumeVelocity.toFixed(1)}x vol/liq - consolidating`, tag: 'COILING' };
+        const address = entry.snapshot?.address;
+        if (address) {
+            document.getElementById('alertInboxModal')?.classList.add('hidden');
+            this.loadTokenDetails(address);
+            document.querySelector('.nav-link[data-section="chart"]')?.click();
+        } else {
+            this.renderAlertInbox();
         }
+    }
 
-        // VOLUME SIGNALS
-        if (volume1h > 100000 && priceChange1h > 10) {
-            return { edge: `Volume spike $${this.formatCompact(volume1h)} 1h, +${priceChange1h.toFixed(0)}%`, tag: 'VOL SURGE' };
-        }
+    updateAlertInboxBadge() {
+        const badge = document.getElementById('alertInboxBadge');
+        if (!badge) return;
+        const unread = this.alertInbox.filter(a => !a.read).length;
+        badge.textContent = unread > 99 ? '99+' : String(unread);
+        badge.classList.toggle('hidden', unread === 0);
+    }
 
-        if (avgTxSize > 5000 && priceChange1h > 5) {
-            return { edge: `Large buys: $${this.formatCompact(avgTxSize)} avg tx, +${priceChange1h.toFixed(0)}%`, tag: 'WHALES' };
-        }
+    renderAlertInbox() {
+        const list = document.getElementById('alertInboxList');
+        if (!list) return;
 
-        // WARNING SIGNALS
-        if (priceChange24h > 50 && priceChange1h < -10) {
-            return { edge: `Profit taking: -${Math.abs(priceChange1h).toFixed(0)}% 1h after +${priceChange24h.toFixed(0)}% run`, tag: 'DISTRIBUTION' };
+        if (this.alertInbox.length === 0) {
+            list.innerHTML = '<div class="alert-inbox-empty">No alerts yet. Alerts from your rules land here.</div>';
+            return;
         }
 
-        if (buyRatio < 0.35 && priceChange1h < -5) {
-            return { edge: `Sell pressure: ${Math.round(buyRatio*100)}% buys, down ${Math.abs(priceChange1h).toFixed(0)}%`, tag: 'SELLING' };
-        }
+        list.innerHTML = this.alertInbox.map(entry => {
+            const snap = entry.snapshot || {};
+            const mcap = snap.marketCap ?? snap.mcap;
+            const details = [
+                typeof snap.price === 'number' && snap.price > 0 ? `$${snap.price < 0.01 ? snap.price.toExponential(2) : snap.price.toFixed(4)}` : null,
+                typeof snap.priceChange1h === 'number' ? `1h ${snap.priceChange1h >= 0 ? '+' : ''}${snap.priceChange1h.toFixed(1)}%` : null,
+                mcap ? `${this.formatCompactNumber(mcap)} MC` : null,
+                typeof snap.safetyScore === 'number' ? `Safety ${snap.safetyScore}` : null,
+                typeof snap.rank === 'number' ? `Rank #${snap.rank}` : null
+            ].filter(Boolean).join(' · ');
 
-        if (priceChange1h < -15) {
-            return { edge: `Dumping ${priceChange1h.toFixed(0)}% 1h`, tag: 'DUMPING' };
-        }
+            return `
+                <div class="alert-inbox-item ${entry.read ? 'read' : 'unread'} ${snap.address ? 'linked' : ''}" data-alert-id="${escapeHtml(entry.id)}">
+                    <button class="alert-inbox-toggle" title="${entry.read ? 'Mark unread' : 'Mark read'}"></button>
+                    <div class="alert-inbox-body">
+                        <div class="alert-inbox-head">
+                            <span class="rule-chip">${escapeHtml(entry.label)}</span>
+                            <span class="alert-inbox-time">${this.getTimeAgo(entry.timestamp)}</span>
+                        </div>
+                        <div class="alert-inbox-message">${escapeHtml(entry.message)}</div>
+                        ${details ? `<div class="alert-inbox-snapshot">${escapeHtml(details)}</div>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
 
-        // STABLE/HOLDING SIGNALS
-        if (priceChange24h > 30 && Math.abs(priceChange1h) < 5) {
-            return { edge: `Holding gains: +${priceChange24h.toFixed(0)}% 24h, consolidating`, tag: 'HOLDING' };
-        }
+    // duration 0 keeps the notification up until it's clicked
+    showNotification(message, type = 'success', duration = 3000) {
+        // Create temporary notification
+        const notification = document.createElement('div');
+        notification.className = `na-notification ${type}`;
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        const dismiss = () => {
+            notification.classList.remove('show');
+            setTimeout(() => notification.remove(), 300);
+        };
 
-        // DEFAULT
-        if (priceChange1h > 0) {
-            return { edge: `+${priceChange1h.toFixed(0)}% 1h | ${Math.round(buyRatio*100)}% buys | $${this.formatCompact(volume24h)} vol`, tag: 'ACTIVE' };
+        setTimeout(() => notification.classList.add('show'), 10);
+        if (duration > 0) {
+            setTimeout(dismiss, duration);
         } else {
-            return { edge: `${priceChange1h.toFixed(0)}% 1h | ${Math.round(buyRatio*100)}% buys | $${this.formatCompact(volume24h)} vol`, tag: 'WATCHING' };
+            notification.classList.add('sticky');
+            notification.title = 'Click to dismiss';
+            notification.addEventListener('click', dismiss);
         }
     }
 
+    // Validate if a token has genuine trading activity (not dead)
+    validateTokenActivity(token) {
+        return SignalEngine.validateTokenActivity(token);
+    }
+
+    // Detect potential honeypot/scam tokens
+    detectScamIndicators(token) {
+        return SignalEngine.detectScamIndicators(token, Date.now(), { scamRules: this.scamRules });
+    }
+
+    // Generate specific, actionable signal description based on data patterns
+    generateSignalEdge(token) {
+        return SignalEngine.generateSignalEdge(token);
+    }
+
     createSignalCard(token) {
         const priceChange24hClass = token.priceChange24h >= 0 ? 'positive' : 'negative';
         const priceChange24hSign = token.priceChange24h >= 0 ? '+' : '';
@@ -3037,6 +5344,18 @@ class LiveDataService {
         if (validation.isDead) {
             warningBadges += '<span class="scam-badge dead-badge" title="No trading activity">DEAD</span>';
         }
+        warningBadges += this.copycatBadge(token.address);
+        const kolBuys = this.getKolBuysFor(token.address);
+        if (kolBuys.length > 0) {
+            const buyers = [...new Set(kolBuys.map(e => this.getWalletName(e.wallet)))].join(', ');
+            warningBadges += `<span class="kol-buy-badge" title="Bought by ${escapeHtml(buyers)}">KOL BUY</span>`;
+        }
+
+        // Show which scam rules fired
+        const ruleChips = (scamCheck.firedRules || []).length > 0 ? `
+                <div class="signal-rule-chips">
+                    ${scamCheck.firedRules.map(r => `<span class="rule-chip ${escapeHtml(r.severity)}" title="${escapeHtml(r.message)} (+${r.score})">${escapeHtml(r.label)}</span>`).join('')}
+                </div>` : '';
 
         // Stats layout - same for all tokens now (showing useful trading data)
         const statsHtml = isPumpFun ? `
@@ -3130,11 +5449,61 @@ class LiveDataService {
                     <span class="token-price">$${this.formatNumber(token.price)}</span>
                 </div>
                 <div class="signal-edge">${safeEdge}</div>
+                ${ruleChips}
                 ${statsHtml}
             </div>
         `;
     }
 
+    // Copycat group a token belongs to - the feed's first, they follow every refresh. The last
+    // name search (it saw the whole ticker) covers the rest while its results are open or one
+    // of them is loaded; it's dropped when the results close or another token is loaded
+    getCopycatEntry(address) {
+        if (!address) return null;
+        return this.feedCopycats.byAddress[address] || this.searchCopycats.byAddress[address] || null;
+    }
+
+    // "15m after" / "2h before" - how a copycat's launch relates to the original's
+    describeLaunchGap(ms) {
+        if (ms === null || ms === undefined) return 'after';
+        const direction = ms < 0 ? 'before' : 'after';
+        const minutes = Math.round(Math.abs(ms) / 60000);
+        if (minutes < 60) return `${minutes}m ${direction}`;
+        if (minutes < 60 * 48) return `${Math.round(minutes / 60)}h ${direction}`;
+        return `${Math.round(minutes / 1440)}d ${direction}`;
+    }
+
+    // Signal card badge: COPYCAT on later launches, ORIGINAL on the first when it has been cloned
+    copycatBadge(address) {
+        const entry = this.getCopycatEntry(address);
+        if (!entry) return '';
+        const { group, role } = entry;
+        const original = group.original;
+        if (role === 'original') {
+            const copies = group.copycats.length;
+            return `<span class="copycat-badge original" title="${escapeHtml(`First ${original.symbol ? '$' + original.symbol : original.name} launch - ${copies} later token${copies > 1 ? 's copy' : ' copies'} its ticker or name`)}">ORIGINAL</span>`;
+        }
+        const copy = group.copycats.find(c => c.address === address);
+        const title = `Copy of ${original.symbol ? `$${original.symbol} ` : ''}(${original.name || 'unknown'}, ${original.address.slice(0, 4)}...${original.address.slice(-4)}) - launched ${this.describeLaunchGap(copy?.launchedAfterMs)}`;
+        return `<span class="copycat-badge" title="${escapeHtml(title)}">COPYCAT</span>`;
+    }
+
+    // Trending-reason line for a token in a copycat group
+    copycatInsight(address) {
+        const entry = this.getCopycatEntry(address);
+        if (!entry) return null;
+        const { group, role } = entry;
+        const original = group.original;
+        const ticker = escapeHtml(original.symbol ? `$${original.symbol}` : original.name || 'this ticker');
+        if (role === 'original') {
+            const copies = group.copycats.length;
+            return `<span class="positive">ORIGINAL:</span> Earliest ${ticker} launch with real liquidity - ${copies} later token${copies > 1 ? 's copy' : ' copies'} the ticker or name. Make sure holders are buying this contract.`;
+        }
+        const copy = group.copycats.find(c => c.address === address);
+        const originalName = escapeHtml(original.name || `${original.address.slice(0, 4)}...`);
+        return `<span class="negative">COPYCAT:</span> Launched ${this.describeLaunchGap(copy?.launchedAfterMs)} ${ticker} (${originalName}, liq $${this.formatCompact(original.liquidity)}). Ticker squatters ride the original's hype - usually dumped fast.`;
+    }
+
     renderTrendingTokens(tokens) {
         if (!this.elements.trendingTokensList) return;
 
@@ -3193,17 +5562,39 @@ class LiveDataService {
     }
 
     async searchTokenByName(query) {
+        this.hideTokenSearchResults();
         try {
             // Use correct search endpoint per docs
             const response = await fetch(`${this.dexScreenerBaseUrl}/latest/dex/search?q=${encodeURIComponent(query)}`);
             if (!response.ok) throw new Error('Search failed');
 
             const data = await response.json();
-            const solanaPairs = (data.pairs || []).filter(p => p.chainId === 'solana');
-
-            if (solanaPairs.length > 0) {
-                // Load the first result
-                await this.loadTokenDetails(solanaPairs[0].baseToken.address);
+            const solanaPairs = (data.pairs || []).filter(p => p.chainId === 'solana' && isValidSolanaAddress(p.baseToken?.address));
+
+            // One entry per token, from its most liquid pair
+            const byAddress = new Map();
+            solanaPairs.forEach(pair => {
+                const existing = byAddress.get(pair.baseToken.address);
+                if (!existing || (pair.liquidity?.usd || 0) > existing.liquidity) {
+                    byAddress.set(pair.baseToken.address, {
+                        address: pair.baseToken.address,
+                        symbol: pair.baseToken.symbol || '???',
+                        name: pair.baseToken.name || 'Unknown',
+                        createdAt: pair.pairCreatedAt || null,
+                        liquidity: parseFloat(pair.liquidity?.usd || 0),
+                        volume24h: parseFloat(pair.volume?.h24 || 0),
+                        marketCap: parseFloat(pair.fdv || pair.marketCap || 0)
+                    });
+                }
+            });
+            const tokens = [...byAddress.values()];
+            this.searchCopycats = CopycatDetector.detect(tokens);
+
+            if (tokens.length === 1) {
+                await this.loadTokenDetails(tokens[0].address);
+            } else if (tokens.length > 1) {
+                // Several tokens answer to this name - let the user pick instead of guessing
+                this.renderTokenSearchResults(query, tokens);
             } else {
                 alert('No Solana tokens found for that search. Try a contract address.');
             }
@@ -3213,8 +5604,80 @@ class LiveDataService {
         }
     }
 
+    // Name search results: copycat groups (original first) then the unrelated matches
+    renderTokenSearchResults(query, tokens) {
+        const container = this.elements.tokenSearchResults;
+        if (!container) return;
+
+        const row = (member, role) => {
+            const token = tokens.find(t => t.address === member.address) || member;
+            const age = token.createdAt ? this.getTimeAgo(token.createdAt) : 'age unknown';
+            const label = role === 'original' ? '<span class="copycat-badge original">ORIGINAL</span>'
+                : role === 'copycat' ? `<span class="copycat-badge">COPYCAT</span><span class="search-result-gap">${this.describeLaunchGap(member.launchedAfterMs)}</span>`
+                : '';
+            return `
+                <div class="search-result ${role || ''}" data-address="${token.address}">
+                    ${label}
+                    <strong>$${escapeHtml(token.symbol)}</strong>
+                    <span class="search-result-name">${escapeHtml(token.name)}</span>
+                    <span class="search-result-meta">Liq $${this.formatCompact(token.liquidity || 0)} | Vol $${this.formatCompact(token.volume24h || 0)} | ${escapeHtml(age)}</span>
+                    <span class="search-result-address">${token.address.slice(0, 4)}...${token.address.slice(-4)}</span>
+                </div>
+            `;
+        };
+
+        const { groups, byAddress } = this.searchCopycats;
+        const groupsHtml = groups.map(group => `
+            <div class="search-result-group">
+                <div class="search-result-group-title">
+                    ${escapeHtml(group.symbol ? `$${group.symbol}` : group.name || '')} - ${group.size} tokens share this ${group.matchedBy === 'name' ? 'name' : 'ticker'}
+                </div>
+                ${row(group.original, 'original')}
+                ${group.copycats.map(copy => row(copy, 'copycat')).join('')}
+            </div>
+        `).join('');
+        const others = tokens.filter(token => !byAddress[token.address]);
+        const othersHtml = others.length > 0 ? `
+            <div class="search-result-group">
+                <div class="search-result-group-title">Other matches</div>
+                ${others.map(token => row(token, null)).join('')}
+            </div>
+        ` : '';
+
+        container.innerHTML = `
+            <div class="search-results-header">
+                <span>${tokens.length} tokens match "${escapeHtml(query)}"</span>
+                <button class="rule-reset-btn" id="tokenSearchResultsClose">CLOSE</button>
+            </div>
+            ${groupsHtml}
+            ${othersHtml}
+        `;
+        container.classList.remove('hidden');
+
+        container.querySelector('#tokenSearchResultsClose')?.addEventListener('click', () => this.hideTokenSearchResults());
+        container.querySelectorAll('.search-result').forEach(result => {
+            result.addEventListener('click', () => {
+                const address = result.dataset.address;
+                if (!isValidSolanaAddress(address)) return;
+                this.hideTokenSearchResults({ keepCopycats: true });
+                this.loadTokenDetails(address);
+            });
+        });
+    }
+
+    hideTokenSearchResults({ keepCopycats = false } = {}) {
+        if (!keepCopycats) this.searchCopycats = CopycatDetector.detect([]);
+        const container = this.elements.tokenSearchResults;
+        if (!container) return;
+        container.classList.add('hidden');
+        container.innerHTML = '';
+    }
+
     async loadTokenDetails(address) {
         this.currentTokenAddress = address;
+        if (!this.searchCopycats.byAddress[address]) {
+            this.searchCopycats = CopycatDetector.detect([]);
+        }
 
         try {
             // Fetch token data from DEX Screener using correct endpoint per docs
@@ -3239,7 +5702,7 @@ class LiveDataService {
             const boostInfo = await this.checkTokenBoost(address);
 
             this.updateTokenDisplay(primaryPair, pairs, boostInfo);
-            this.updateChartEmbed(address, primaryPair.pairAddress);
+            this.updateChart(address, primaryPair.pairAddress);
             this.updateExternalLinks(address, primaryPair);
 
             // Update search input
@@ -3247,6 +5710,9 @@ class LiveDataService {
                 this.elements.tokenSearchInput.value = address;
             }
 
+            // Fetch on-chain holder data (async - replaces buy/txn placeholders)
+            this.fetchHolderData(address);
+
             // Fetch AI narrative analysis (async - doesn't block UI)
             this.fetchNarrativeIntel(primaryPair, address, boostInfo);
 
@@ -3256,6 +5722,38 @@ class LiveDataService {
         }
     }
 
+    // Fetch holder count, top 10 share and dev wallet share from the holders function
+    async fetchHolderData(address) {
+        try {
+            const response = await fetch(`/.netlify/functions/holders?mint=${encodeURIComponent(address)}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            // Ignore late responses for a token the user already navigated away from
+            if (this.currentTokenAddress !== address) return;
+
+            this.updateHolderDisplay(data);
+        } catch (error) {
+            console.warn('Holder data fetch failed:', error.message);
+        }
+    }
+
+    updateHolderDisplay(data) {
+        const holdersEl = document.getElementById('tokenHolders');
+        const topHoldersEl = document.getElementById('tokenTopHolders');
+
+        if (holdersEl && typeof data.holderCount === 'number') {
+            holdersEl.textContent = this.formatCompact(data.holderCount);
+        }
+
+        if (topHoldersEl && typeof data.top10Share === 'number') {
+            const t = CONFIG.VALIDATION;
+            const shareClass = data.top10Share > t.TOP10_SHARE_HIGH ? 'negative' : data.top10Share > t.TOP10_SHARE_MODERATE ? '' : 'positive';
+            const devNote = typeof data.devShare === 'number' ? `Dev wallet: ${data.devShare.toFixed(1)}%` : 'Dev wallet unknown';
+            topHoldersEl.innerHTML = `<span class="${shareClass}" title="${escapeHtml(devNote)} (pools excluded)">${data.top10Share.toFixed(1)}%</span>`;
+        }
+    }
+
     // Check if token is boosted/paid on DEX Screener
     async checkTokenBoost(address) {
         try {
@@ -3285,11 +5783,59 @@ class LiveDataService {
         }
     }
 
+    // ===== NARRATIVE INTEL CACHE =====
+
+    loadIntelCache() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('na_intel_cache') || '{}');
+            const cache = {};
+            Object.entries(saved && typeof saved === 'object' ? saved : {}).forEach(([key, entry]) => {
+                if (entry?.intel && IntelCache.isFresh(entry)) cache[key] = entry;
+            });
+            return cache;
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // Keep the newest entries only - each one is a full intel object
+    saveIntelCache(key, intel, generatedAt) {
+        this.intelCache[key] = { intel, generatedAt };
+        const keep = Object.entries(this.intelCache)
+            .filter(([, entry]) => IntelCache.isFresh(entry))
+            .sort((a, b) => b[1].generatedAt - a[1].generatedAt)
+            .slice(0, 50);
+        this.intelCache = Object.fromEntries(keep);
+        try {
+            localStorage.setItem('na_intel_cache', JSON.stringify(this.intelCache));
+        } catch (e) {
+            console.warn('Could not save intel cache');
+        }
+    }
+
+    // "Generated 4m ago" plus where it came from; empty while loading / on fallback
+    updateIntelMeta(meta, loading = false) {
+        const ageEl = document.getElementById('intelCacheAge');
+        const reanalyzeBtn = document.getElementById('intelReanalyzeBtn');
+        if (ageEl) {
+            ageEl.textContent = meta ? `${meta.cached ? 'Cached' : 'Generated'} ${this.getTimeAgo(meta.generatedAt)}` : '';
+            ageEl.title = meta ? new Date(meta.generatedAt).toLocaleString() : '';
+        }
+        if (reanalyzeBtn) {
+            reanalyzeBtn.classList.toggle('hidden', !this.intelRequest);
+            reanalyzeBtn.disabled = loading;
+        }
+    }
+
     // Fetch AI-powered narrative intelligence
-    async fetchNarrativeIntel(pair, address, boostInfo) {
+    // refresh: skip the cached read (local and server) for this token
+    async fetchNarrativeIntel(pair, address, boostInfo, options = {}) {
         const reasonsEl = document.getElementById('trendingReasons');
         if (!reasonsEl) return;
 
+        this.intelRequest = { pair, address, boostInfo };
+        this.updateIntelMeta(null, true);
+
         // Show loading state
         reasonsEl.innerHTML = `
             <div class="narrative-loading">
@@ -3325,27 +5871,55 @@ class LiveDataService {
                 boostInfo: boostInfo || null
             };
 
+            // Same token, same market state, read recently - no model call
+            const cacheKey = IntelCache.cacheKey(address, tokenData);
+            const cached = this.intelCache[cacheKey];
+            if (!options.refresh && IntelCache.isFresh(cached)) {
+                this.displayNarrativeIntel(validateAiResponse(cached.intel, AiSchema.TOKEN_INTEL));
+                this.updateIntelMeta({ generatedAt: cached.generatedAt, cached: true });
+                return;
+            }
+
             const response = await fetch('/.netlify/functions/token-intel', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(tokenData)
+                body: JSON.stringify({ ...tokenData, refresh: !!options.refresh })
             });
 
             if (!response.ok) {
-                throw new Error('Failed to fetch narrative intel');
+                const error = await response.json().catch(() => ({}));
+                throw toResponseError(error, 'Failed to fetch narrative intel');
             }
 
-            const intel = await response.json();
+            const data = await response.json();
+            const intel = validateAiResponse(data.intel, AiSchema.TOKEN_INTEL);
+            const generatedAt = Number(data.generatedAt) || Date.now();
+            this.saveIntelCache(cacheKey, intel, generatedAt);
+
+            // Ignore late responses for a token the user already navigated away from
+            if (this.intelRequest?.address !== address) return;
             this.displayNarrativeIntel(intel);
+            this.updateIntelMeta({ generatedAt, cached: !!data.cached });
 
         } catch (error) {
+            if (this.intelRequest?.address !== address) return;
             console.error('Narrative intel error:', error);
             // Fall back to basic analysis
             this.updateTrendingReasons(pair);
+            this.updateIntelMeta(null);
+
+            // Say why the AI read is missing when the model's answer was rejected
+            if (error instanceof AiResponseError && error.code !== 'AI_REQUEST_FAILED') {
+                reasonsEl.insertAdjacentHTML('afterbegin', `
+                    <div class="intel-error" title="${escapeHtml(error.details.join('\n'))}">
+                        AI intel rejected (${escapeHtml(error.code)}) - showing on-chain read instead
+                    </div>
+                `);
+            }
         }
     }
 
-    // Display AI-generated narrative intelligence
+    // Display AI-generated narrative intelligence (validated, but still escaped - it's model output)
     displayNarrativeIntel(intel) {
         const reasonsEl = document.getElementById('trendingReasons');
         if (!reasonsEl) return;
@@ -3357,53 +5931,53 @@ class LiveDataService {
             <div class="narrative-intel">
                 <div class="intel-hook">
                     <span class="intel-label">THE HOOK</span>
-                    <p>${intel.narrative_hook || 'No clear narrative detected'}</p>
+                    <p>${escapeHtml(intel.narrative_hook || 'No clear narrative detected')}</p>
                 </div>
 
                 <div class="intel-row">
                     <div class="intel-item">
                         <span class="intel-label">ORIGIN</span>
-                        <p>${intel.likely_origin || 'Unknown'}</p>
+                        <p>${escapeHtml(intel.likely_origin || 'Unknown')}</p>
                     </div>
                     <div class="intel-item">
                         <span class="intel-label">NARRATIVE</span>
-                        <p>${intel.narrative_fit || 'Uncategorized'}</p>
+                        <p>${escapeHtml(intel.narrative_fit || 'Uncategorized')}</p>
                     </div>
                     <div class="intel-item">
                         <span class="intel-label">TIMING</span>
-                        <p class="${timingClass}">${intel.timing_read || 'UNKNOWN'}</p>
+                        <p class="${timingClass}">${escapeHtml(intel.timing_read || 'UNKNOWN')}</p>
                     </div>
                 </div>
 
                 ${intel.social_signals?.length > 0 ? `
                 <div class="intel-section">
                     <span class="intel-label">SOCIAL SIGNALS</span>
-                    <ul>${intel.social_signals.map(s => `<li>${s}</li>`).join('')}</ul>
+                    <ul>${intel.social_signals.map(s => `<li>${escapeHtml(s)}</li>`).join('')}</ul>
                 </div>
                 ` : ''}
 
                 <div class="intel-section">
                     <span class="intel-label">THE PLAY</span>
-                    <p class="the-play">${intel.the_play || 'No clear trade thesis'}</p>
+                    <p class="the-play">${escapeHtml(intel.the_play || 'No clear trade thesis')}</p>
                 </div>
 
                 ${intel.red_flags?.length > 0 ? `
                 <div class="intel-section red-flags">
                     <span class="intel-label">RED FLAGS</span>
-                    <ul>${intel.red_flags.map(r => `<li>${r}</li>`).join('')}</ul>
+                    <ul>${intel.red_flags.map(r => `<li>${escapeHtml(r)}</li>`).join('')}</ul>
                 </div>
                 ` : ''}
 
                 ${intel.similar_plays?.length > 0 ? `
                 <div class="intel-section">
                     <span class="intel-label">SIMILAR PLAYS</span>
-                    <ul>${intel.similar_plays.map(s => `<li>${s}</li>`).join('')}</ul>
+                    <ul>${intel.similar_plays.map(s => `<li>${escapeHtml(s)}</li>`).join('')}</ul>
                 </div>
                 ` : ''}
 
                 <div class="intel-section alpha-take">
                     <span class="intel-label">ALPHA TAKE</span>
-                    <p>${intel.alpha_take || 'Insufficient data for assessment'}</p>
+                    <p>${escapeHtml(intel.alpha_take || 'Insufficient data for assessment')}</p>
                 </div>
             </div>
         `;
@@ -3621,37 +6195,107 @@ class LiveDataService {
             }
         }
 
+        // 8. KOL WALLETS - tracked traders holding this token
+        const mint = pair.baseToken?.address;
+        const kolInsight = mint ? this.kolHoldersInsight(mint) : null;
+        if (kolInsight) {
+            insights.unshift(kolInsight);
+        }
+
+        // 9. COPYCATS - same ticker or near-identical name as another token
+        const copycatInsight = mint ? this.copycatInsight(mint) : null;
+        if (copycatInsight) {
+            insights.unshift(copycatInsight);
+        }
+
         if (insights.length === 0) {
             insights.push('No clear edge signals. Choppy action - wait for setup or find better opportunity.');
         }
 
         reasonsEl.innerHTML = '<ul>' + insights.map(i => `<li>${i}</li>`).join('') + '</ul>';
+
+        // Holdings not checked for this token yet - look them up and add the line when they arrive
+        if (mint && isValidSolanaAddress(mint) && !this.kolCheckedMints.has(mint)) {
+            this.fetchKolTracker([mint]).then(() => {
+                const insight = this.kolHoldersInsight(mint);
+                if (!insight || this.currentTokenAddress !== mint) return;
+                reasonsEl.querySelector('ul')?.insertAdjacentHTML('afterbegin', `<li>${insight}</li>`);
+            });
+        }
     }
 
-    updateChartEmbed(tokenAddress, pairAddress) {
+    updateChart(tokenAddress, pairAddress) {
         if (!this.elements.chartEmbed) return;
 
-        // Validate addresses before embedding to prevent injection
-        const validPairAddress = pairAddress && isValidSolanaAddress(pairAddress) ? pairAddress : null;
-        const validTokenAddress = tokenAddress && isValidSolanaAddress(tokenAddress) ? tokenAddress : null;
-
-        if (!validPairAddress && !validTokenAddress) {
+        // Validate addresses before requesting candles
+        this.chartPairAddress = pairAddress && isValidSolanaAddress(pairAddress) ? pairAddress : null;
+        if (!tokenAddress || !isValidSolanaAddress(tokenAddress)) {
+            this.priceChart = null;
             this.elements.chartEmbed.innerHTML = '<div class="chart-error">Invalid token address</div>';
             return;
         }
 
-        // Use DEX Screener embed with validated address
-        const embedUrl = validPairAddress
-            ? `https://dexscreener.com/solana/${validPairAddress}?embed=1&theme=dark&trades=0&info=0`
-            : `https://dexscreener.com/solana/${validTokenAddress}?embed=1&theme=dark&trades=0&info=0`;
+        this.loadChart();
+    }
+
+    // Pool candles from GeckoTerminal (via /ohlcv), falling back to our own snapshots,
+    // with markers where signal tags changed and alert rules fired
+    async loadChart(options = {}) {
+        const address = this.currentTokenAddress;
+        const timeframe = this.chartTimeframe;
+        const interval = Candles.TIMEFRAMES[timeframe]?.ms;
+        if (!address || !interval || !this.elements.chartEmbed) return;
 
-        this.elements.chartEmbed.innerHTML = `
-            <iframe
-                src="${embedUrl}"
-                title="DEX Screener Chart"
-                loading="lazy"
-            ></iframe>
-        `;
+        if (!this.priceChart) {
+            this.priceChart = new PriceChart(this.elements.chartEmbed);
+        }
+        const requestId = ++this.chartRequestId;
+        if (!options.quiet) this.priceChart.setStatus('Loading chart...');
+
+        let candles = [];
+        let source = 'geckoterminal';
+        if (this.chartPairAddress) {
+            try {
+                const response = await fetch(`/.netlify/functions/ohlcv?pool=${this.chartPairAddress}&timeframe=${timeframe}`);
+                if (response.ok) {
+                    const data = await response.json();
+                    candles = Array.isArray(data.candles) ? data.candles : [];
+                }
+            } catch (error) {
+                console.warn('OHLCV fetch failed:', error.message);
+            }
+        }
+
+        // Snapshots give signal markers, and candles when the pool isn't indexed yet
+        let snapshots = [];
+        if (this.snapshotStore.isSupported()) {
+            const from = candles.length > 0 ? candles[0].time : Date.now() - interval * 200;
+            snapshots = await this.snapshotStore.getRange(address, from).catch(() => []);
+        }
+        if (candles.length < 2) {
+            candles = Candles.fromSnapshots(snapshots, timeframe);
+            source = 'snapshots';
+        }
+
+        if (requestId !== this.chartRequestId) return;
+
+        const markers = [
+            ...Candles.signalMarkers(snapshots),
+            ...Candles.alertMarkers(this.alertInbox, address)
+        ];
+        this.priceChart.setData({
+            candles,
+            markers: Candles.placeMarkers(markers, candles, timeframe),
+            timeframe
+        });
+
+        const sourceEl = document.getElementById('chartSource');
+        if (sourceEl) {
+            const count = `${candles.length} candle${candles.length === 1 ? '' : 's'}`;
+            sourceEl.textContent = candles.length === 0 ? '' : source === 'snapshots'
+                ? `NarrativeAlpha snapshots · ${count}`
+                : `GeckoTerminal · ${count}`;
+        }
     }
 
     updateExternalLinks(address, pair) {
@@ -3739,10 +6383,7 @@ class LiveDataService {
     }
 
     formatCompact(num) {
-        if (num >= 1e9) return (num / 1e9).toFixed(2) + 'B';
-        if (num >= 1e6) return (num / 1e6).toFixed(2) + 'M';
-        if (num >= 1e3) return (num / 1e3).toFixed(1) + 'K';
-        return num.toFixed(0);
+        return SignalEngine.formatCompact(num);
     }
 
     getTimeAgo(timestamp) {
@@ -3824,12 +6465,19 @@ function initWalletConnect() {
         }
     };
 
+    // Publish the connected wallet - the Portfolio section listens for this
+    const setConnectedWallet = (pubkey) => {
+        if (window.connectedWallet === pubkey) return;
+        window.connectedWallet = pubkey;
+        document.dispatchEvent(new CustomEvent('na:walletchange', { detail: { wallet: pubkey } }));
+    };
+
     // Update UI when connected
     const updateWalletUI = (pubkey) => {
         const short = pubkey.slice(0, 4) + '...' + pubkey.slice(-4);
         walletText.textContent = short;
         connectBtn.classList.add('connected');
-        window.connectedWallet = pubkey;
+        setConnectedWallet(pubkey);
     };
 
     // Connect handler
@@ -3847,7 +6495,7 @@ function initWalletConnect() {
                 await provider.disconnect();
                 walletText.textContent = 'Connect';
                 connectBtn.classList.remove('connected');
-                window.connectedWallet = null;
+                setConnectedWallet(null);
             } else {
                 // Connect
                 const resp = await provider.connect();
@@ -3867,6 +6515,7 @@ function initWalletConnect() {
             } else {
                 walletText.textContent = 'Connect';
                 connectBtn.classList.remove('connected');
+                setConnectedWallet(null);
             }
         });
     }
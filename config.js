@@ -14,8 +14,6 @@ const CONFIG = {
     // API Settings
     API: {
         ANTHROPIC_BASE_URL: 'https://api.anthropic.com/v1',
-        DEFAULT_MODEL: 'claude-sonnet-4-20250514',
-        MAX_TOKENS: 1500,
         // DEX Screener API (no key required for public endpoints)
         DEX_SCREENER_BASE: 'https://api.dexscreener.com/latest/dex',
         // Birdeye API (optional - requires API key for advanced features)
@@ -24,6 +22,41 @@ const CONFIG = {
         SOLSCAN_BASE: 'https://public-api.solscan.io'
     },
 
+    // AI Model Settings (server-side, netlify/lib/llm-provider.js)
+    // Environment overrides: LLM_PROVIDER, and <TASK>_MODEL, <TASK>_FALLBACK_MODEL,
+    // <TASK>_MAX_TOKENS, <TASK>_TIMEOUT_MS, <TASK>_MAX_TOOL_ROUNDS for TASK = ANALYZE | FOLLOW_UP | TOKEN_INTEL
+    LLM: {
+        PROVIDER: 'anthropic',        // 'anthropic' | 'mock' (offline, deterministic)
+        // Netlify stops synchronous functions (analyze, token-intel) at 10s. Their model calls,
+        // fallback and repair pass included, share this budget; the primary gets at most half
+        SYNC_BUDGET_MS: 9000,
+        // TIMEOUT_MS is per attempt - in a synchronous function it is also capped by the budget
+        TASKS: {
+            // Deep narrative analysis (analyze-stream; analyze.js answers without tools)
+            ANALYZE: {
+                MODEL: 'claude-sonnet-4-20250514',
+                FALLBACK_MODEL: 'claude-3-5-haiku-20241022', // Used when the primary times out / is overloaded
+                MAX_TOKENS: 1500,
+                TIMEOUT_MS: 25000,
+                MAX_TOOL_ROUNDS: 4 // Rounds of live-data tool calls before it must answer (0 = no tools)
+            },
+            // Follow-up questions on an analysis thread - short answers
+            FOLLOW_UP: {
+                MODEL: 'claude-sonnet-4-20250514',
+                FALLBACK_MODEL: 'claude-3-5-haiku-20241022',
+                MAX_TOKENS: 800,
+                TIMEOUT_MS: 4500 // Synchronous only - primary + fallback fit in SYNC_BUDGET_MS
+            },
+            // Per-token intel panel - runs on every token view, so the cheaper model
+            TOKEN_INTEL: {
+                MODEL: 'claude-3-5-haiku-20241022',
+                FALLBACK_MODEL: 'claude-sonnet-4-20250514',
+                MAX_TOKENS: 1000,
+                TIMEOUT_MS: 4500 // Synchronous only - primary + fallback fit in SYNC_BUDGET_MS
+            }
+        }
+    },
+
     // Live Data Settings
     LIVE_DATA: {
         REFRESH_INTERVAL: 30000, // 30 seconds
@@ -91,11 +124,25 @@ const CONFIG = {
         DEAD_TXNS_THRESHOLD: 2,       // Below this txns/hour = DEAD (only truly dead)
         MCAP_LIQ_WARNING: 75,         // MC/Liq ratio warning threshold (raised - normal for memecoins)
         MCAP_LIQ_CRITICAL: 150,       // MC/Liq ratio critical threshold (raised)
+        MCAP_LIQ_HEALTHY: 30,         // Below this MC/Liq ratio = good liquidity
+        ONE_SIDED_BUY_RATIO: 0.92,    // Above this 24h buy ratio = dump setup risk
+        TOP10_SHARE_HIGH: 50,         // On-chain top 10 wallets hold more than this % = concentrated
+        TOP10_SHARE_MODERATE: 30,     // On-chain top 10 share warning level
+        DEV_SHARE_HIGH: 10,           // Dev wallet holding more than this % of supply
         HONEYPOT_BUY_RATIO: 0.98,     // Above this with no price move = honeypot (raised)
         SCAM_SCORE_FILTER: 80,        // Score above this = filter from feed (raised)
         SCAM_SCORE_HIGH_RISK: 50      // Score above this = high risk badge (raised)
     },
 
+    // Token Snapshot History (IndexedDB)
+    SNAPSHOTS: {
+        DB_NAME: 'na_snapshots',
+        DB_VERSION: 2,                        // 2: adds the narrative lifecycle store
+        MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000, // Keep 7 days of history
+        MAX_PER_TOKEN: 500,                   // Cap rows per token address
+        PRUNE_INTERVAL: 10 * 60 * 1000        // Prune at most every 10 minutes
+    },
+
     // Query suggestions
     QUERY_HINTS: [
         {
@@ -124,9 +171,11 @@ const CONFIG = {
 // Freeze config to prevent accidental modifications
 Object.freeze(CONFIG);
 Object.freeze(CONFIG.API);
+Object.freeze(CONFIG.LLM);
 Object.freeze(CONFIG.UI);
 Object.freeze(CONFIG.NETWORK);
 Object.freeze(CONFIG.ALERTS);
+Object.freeze(CONFIG.SNAPSHOTS);
 
 // Export for module environments
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,146 @@
+// Netlify Serverless Function for outbound alert delivery
+// Accepts fired alert events from the dashboard and fans them out to the configured
+// Discord / Telegram / JSON webhooks (see netlify/lib/webhook-delivery.js for env vars)
+
+const WebhookDelivery = require('../lib/webhook-delivery.js');
+
+const MAX_ALERTS = 25;
+const SOURCES = ['token', 'trench', 'narrative', 'kol'];
+const SNAPSHOT_NUMBERS = ['price', 'priceChange5m', 'priceChange1h', 'priceChange24h', 'marketCap', 'mcap', 'volume1h', 'volume24h', 'liquidity', 'safetyScore', 'rank', 'solAmount', 'usdAmount'];
+const SNAPSHOT_STRINGS = ['symbol', 'name', 'address', 'riskLevel', 'category', 'walletName', 'wallet', 'side', 'venue'];
+
+// Per-client request limit - protects the team channels from a runaway tab
+const RATE_LIMIT = parseInt(process.env.ALERT_RATE_LIMIT || '20', 10); // requests per window
+const RATE_WINDOW = 60000; // 1 minute
+const requestLog = new Map();
+
+const JSON_HEADERS = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
+
+function clientKey(event) {
+    const headers = event.headers || {};
+    return headers['x-nf-client-connection-ip'] || (headers['x-forwarded-for'] || '').split(',')[0].trim() || 'unknown';
+}
+
+// Sliding window; returns seconds until the next request is allowed, or 0
+function checkRateLimit(key, now) {
+    const recent = (requestLog.get(key) || []).filter(t => now - t < RATE_WINDOW);
+    if (recent.length >= RATE_LIMIT) {
+        requestLog.set(key, recent);
+        return Math.ceil((recent[0] + RATE_WINDOW - now) / 1000);
+    }
+    recent.push(now);
+    requestLog.set(key, recent);
+
+    // Drop idle clients so the map doesn't grow forever
+    if (requestLog.size > 500) {
+        for (const [k, times] of requestLog) {
+            if (times.every(t => now - t >= RATE_WINDOW)) requestLog.delete(k);
+        }
+    }
+    return 0;
+}
+
+// Keep only the fields the formatters use, with sane lengths
+function sanitizeAlert(alert) {
+    if (!alert || typeof alert.label !== 'string' || typeof alert.message !== 'string') return null;
+
+    const snapshot = {};
+    const raw = alert.snapshot && typeof alert.snapshot === 'object' ? alert.snapshot : {};
+    SNAPSHOT_NUMBERS.forEach(key => {
+        if (typeof raw[key] === 'number' && isFinite(raw[key])) snapshot[key] = raw[key];
+    });
+    SNAPSHOT_STRINGS.forEach(key => {
+        if (typeof raw[key] === 'string') snapshot[key] = raw[key].slice(0, 64);
+    });
+
+    return {
+        ruleId: String(alert.ruleId || 'ALERT').slice(0, 64),
+        label: alert.label.slice(0, 80),
+        message: alert.message.slice(0, 500),
+        source: SOURCES.includes(alert.source) ? alert.source : 'token',
+        timestamp: Number.isFinite(alert.timestamp) ? alert.timestamp : Date.now(),
+        snapshot
+    };
+}
+
+exports.handler = async (event, context) => {
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    // Optional shared key so only our dashboard can post
+    const secret = process.env.ALERT_WEBHOOK_SECRET;
+    const providedKey = (event.headers || {})['x-alert-key'];
+    if (secret && providedKey !== secret) {
+        return {
+            statusCode: 401,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ error: 'Invalid alert key' })
+        };
+    }
+
+    const retryAfter = checkRateLimit(clientKey(event), Date.now());
+    if (retryAfter > 0) {
+        return {
+            statusCode: 429,
+            headers: { ...JSON_HEADERS, 'Retry-After': String(retryAfter) },
+            body: JSON.stringify({ error: 'Too many alert requests', retryAfter })
+        };
+    }
+
+    let parsedBody;
+    try {
+        parsedBody = JSON.parse(event.body);
+    } catch (e) {
+        return {
+            statusCode: 400,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ error: 'Invalid JSON body' })
+        };
+    }
+
+    const alerts = (Array.isArray(parsedBody?.alerts) ? parsedBody.alerts : [])
+        .slice(0, MAX_ALERTS)
+        .map(sanitizeAlert)
+        .filter(Boolean);
+
+    if (alerts.length === 0) {
+        return {
+            statusCode: 400,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ error: 'At least one alert with a label and message is required' })
+        };
+    }
+
+    const destinations = WebhookDelivery.getDestinations();
+    if (destinations.length === 0) {
+        return {
+            statusCode: 503,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ error: 'No alert destinations configured' })
+        };
+    }
+
+    try {
+        const results = await WebhookDelivery.deliverAll(alerts, destinations);
+        const delivered = results.filter(r => r.ok).length;
+        results.filter(r => !r.ok).forEach(r => console.warn(`Alert delivery to ${r.destination} failed:`, r.error));
+
+        return {
+            statusCode: delivered > 0 ? 200 : 502,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ alerts: alerts.length, delivered, results })
+        };
+    } catch (error) {
+        console.error('Alert webhook error:', error);
+        return {
+            statusCode: 500,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ error: 'Alert delivery failed' })
+        };
+    }
+};
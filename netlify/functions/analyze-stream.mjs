@@ -0,0 +1,121 @@
+// Netlify Function (v2) for streaming narrative analysis
+// Same request as analyze.js, answered as server-sent events while the model is still writing:
+//   event: start       { provider, model, tools }
+//   event: tool_call   { id, name, input }                       - the model asked for live data
+//   event: tool_result { id, name, ok, result | error, ms }
+//   event: field       { name, value, complete }  - a top-level field appeared or grew
+//   event: repair      { code }                   - the reply failed validation; the model is correcting it
+//   event: done        { result, tool_calls }     - the full analysis, validated against the schema
+//   event: error       { error, code, details }
+// Streaming responses need the v2 (Request -> Response) signature, hence ESM here.
+
+import AnalyzePrompt from '../lib/analyze-prompt.js';
+import LlmProvider from '../lib/llm-provider.js';
+import AnalystAgent from '../lib/analyst-agent.js';
+import PartialJson from '../lib/partial-json.js';
+import AiResponse from '../lib/ai-response.js';
+import AiSchema from '../../shared/ai-schema.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), { status, headers: JSON_HEADERS });
+
+export default async (req, context) => {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405 });
+    }
+
+    let parsedBody;
+    try {
+        parsedBody = await req.json();
+    } catch (e) {
+        return jsonResponse(400, { error: 'Invalid JSON body' });
+    }
+
+    const { query, liveData } = parsedBody || {};
+    const queryError = AnalyzePrompt.validateQuery(query);
+    if (queryError) {
+        return jsonResponse(400, { error: queryError });
+    }
+
+    let provider;
+    try {
+        provider = LlmProvider.createProvider('ANALYZE');
+    } catch (error) {
+        return jsonResponse(500, { error: error.message });
+    }
+    const tools = provider.settings.maxToolRounds > 0;
+    const system = AnalyzePrompt.buildSystemPrompt(liveData, { tools });
+    const messages = AnalyzePrompt.buildMessages(query, liveData);
+
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        async start(controller) {
+            const send = (event, data) => {
+                controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+            };
+
+            send('start', { provider: provider.name, model: provider.settings.model, tools });
+
+            let text = '';
+            const sent = {}; // field -> last JSON sent, so unchanged fields aren't repeated
+            const streamFields = delta => {
+                text += delta;
+                const partial = PartialJson.parsePartialJson(text);
+                Object.entries(partial.value || {}).forEach(([name, value]) => {
+                    const complete = !!partial.fields[name];
+                    const serialized = JSON.stringify([value, complete]);
+                    if (sent[name] === serialized) return;
+                    sent[name] = serialized;
+                    send('field', { name, value, complete });
+                });
+            };
+
+            try {
+                const { text: reply, calls } = await AnalystAgent.runAnalyst({
+                    provider,
+                    system,
+                    messages,
+                    context: { query, liveData },
+                    onEvent: ({ type, ...data }) => {
+                        if (type === 'turn') text = ''; // Only the last turn's text is the answer
+                        else if (type === 'text') streamFields(data.text);
+                        else send(type, data);
+                    }
+                });
+
+                // Fields already streamed stay on screen; the repaired result replaces them on done
+                const result = await AiResponse.validateOrRepair({
+                    provider,
+                    system,
+                    messages,
+                    context: { query, liveData },
+                    schema: AiSchema.NARRATIVE_ANALYSIS,
+                    content: reply,
+                    onRepair: error => send('repair', { code: error.code })
+                });
+
+                send('done', { result, tool_calls: calls });
+            } catch (error) {
+                console.error('Analyze stream error:', error);
+                send('error', {
+                    error: error.message || 'Internal server error',
+                    code: error.code || 'AI_REQUEST_FAILED',
+                    details: error.details || []
+                });
+            } finally {
+                controller.close();
+            }
+        }
+    });
+
+    return new Response(body, {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Access-Control-Allow-Origin': '*'
+        }
+    });
+};
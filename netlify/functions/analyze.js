@@ -1,5 +1,17 @@
 // Netlify Serverless Function for NarrativeAlpha
-// This function proxies requests to the Anthropic API
+// This function proxies requests to the configured LLM provider (netlify/lib/llm-provider.js)
+// analyze-stream.mjs serves the same analysis as server-sent events
+// With a thread ({ query, result, turns }) the query is a follow-up question on that analysis
+// Netlify stops this function at 10s, so every model call here shares CONFIG.LLM.SYNC_BUDGET_MS
+// and the analysis is answered without tools - the tool-using analysis (live-data tool calls,
+// analyst-agent.js) runs in analyze-stream.mjs; tool_calls here is always empty
+
+const CONFIG = require('../../config.js');
+const AnalyzePrompt = require('../lib/analyze-prompt.js');
+const AiResponse = require('../lib/ai-response.js');
+const LlmProvider = require('../lib/llm-provider.js');
+const AnalystAgent = require('../lib/analyst-agent.js');
+const AiSchema = require('../../shared/ai-schema.js');
 
 exports.handler = async (event, context) => {
     // Only allow POST requests
@@ -10,16 +22,6 @@ exports.handler = async (event, context) => {
         };
     }
 
-    // Get API key from environment variable
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-
-    if (!apiKey) {
-        return {
-            statusCode: 500,
-            body: JSON.stringify({ error: 'API key not configured' })
-        };
-    }
-
     try {
         let parsedBody;
         try {
@@ -31,122 +33,77 @@ exports.handler = async (event, context) => {
             };
         }
 
-        const { query, liveData } = parsedBody;
+        const { query, liveData, thread } = parsedBody;
 
         // Validate query - must be string, reasonable length
-        if (!query || typeof query !== 'string') {
+        const queryError = AnalyzePrompt.validateQuery(query);
+        if (queryError) {
             return {
                 statusCode: 400,
-                body: JSON.stringify({ error: 'Query is required' })
+                body: JSON.stringify({ error: queryError })
             };
         }
 
-        if (query.length < 3 || query.length > 2000) {
+        const threadError = thread !== undefined ? AnalyzePrompt.validateThread(thread) : null;
+        if (threadError) {
             return {
                 statusCode: 400,
-                body: JSON.stringify({ error: 'Query must be between 3 and 2000 characters' })
+                body: JSON.stringify({ error: threadError })
             };
         }
 
-        // Build live data context if available
-        let liveDataContext = '';
-        if (liveData && liveData.length > 0) {
-            liveDataContext = `\n\nCURRENT LIVE TOKEN DATA (Top movers from DEX Screener):\n`;
-            liveData.forEach((token, i) => {
-                liveDataContext += `${i + 1}. $${token.symbol} (${token.name})\n`;
-                liveDataContext += `   Price: $${token.price} | 1h: ${token.priceChange1h > 0 ? '+' : ''}${token.priceChange1h?.toFixed(1) || 0}% | 24h: ${token.priceChange24h > 0 ? '+' : ''}${token.priceChange24h?.toFixed(1) || 0}%\n`;
-                liveDataContext += `   Vol: $${(token.volume24h || 0).toLocaleString()} | MCap: $${(token.marketCap || 0).toLocaleString()}\n`;
-            });
-            liveDataContext += `\nUse this REAL data to inform your analysis. Reference specific tokens that are actually moving.`;
-        }
-
-        const systemPrompt = `You are NarrativeAlpha, an expert AI system specialized in detecting emerging memecoin narratives and crypto market trends. Your role is to analyze social signals, identify potential narrative plays, and provide actionable intelligence.
-
-Your analysis style:
-- Be direct and punchy, like CT (Crypto Twitter) alpha calls
-- Focus on actionable insights, not generic advice
-- Identify specific narrative themes, potential tickers, and timing
-- Assess risk vectors honestly
-- Use crypto-native terminology
-${liveData ? '- When live data is provided, reference ACTUAL tokens that are moving' : ''}
-
-IMPORTANT: Respond ONLY with valid JSON. No markdown, no code blocks, just raw JSON.
-
-Response format:
-{
-    "narrative_name": "Short catchy name for the narrative",
-    "confidence": 0-100,
-    "velocity_score": 1.0-10.0,
-    "alert_level": "LOW|MEDIUM|HIGH|URGENT",
-    "summary": "2-3 sentence explanation of the narrative and why it matters",
-    "catalysts": ["catalyst 1", "catalyst 2", "catalyst 3"],
-    "suggested_tickers": ["TICKER1", "TICKER2", "TICKER3"],
-    "risk_vectors": ["risk 1", "risk 2", "risk 3"],
-    "timeline": "Expected window for this narrative (e.g., '24-48 hours', '1-2 weeks')",
-    "actionable_intel": "Specific actionable advice for traders"
-}`;
-
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': apiKey,
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: 'claude-sonnet-4-20250514',
-                max_tokens: 1500,
-                messages: [
-                    {
-                        role: 'user',
-                        content: `Analyze this narrative query and provide intelligence:\n\n${query}${liveDataContext}`
-                    }
-                ],
-                system: systemPrompt
-            })
+        // Provider, model and limits come from CONFIG.LLM.TASKS.<task> / environment
+        const provider = LlmProvider.createProvider(thread ? 'FOLLOW_UP' : 'ANALYZE', {
+            budgetMs: CONFIG.LLM.SYNC_BUDGET_MS,
+            maxToolRounds: 0
         });
 
-        if (!response.ok) {
-            const error = await response.json();
+        if (thread) {
+            const answer = await AiResponse.completeJson({
+                provider,
+                system: AnalyzePrompt.buildFollowUpSystemPrompt(liveData),
+                messages: AnalyzePrompt.buildThreadMessages(thread, query, liveData),
+                context: { query, liveData, thread },
+                schema: AiSchema.FOLLOW_UP
+            });
+
             return {
-                statusCode: response.status,
-                body: JSON.stringify({ error: error.error?.message || 'API request failed' })
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(answer)
             };
         }
 
-        const data = await response.json();
-        const content = data.content[0].text;
+        const system = AnalyzePrompt.buildSystemPrompt(liveData, { tools: provider.settings.maxToolRounds > 0 });
+        const messages = AnalyzePrompt.buildMessages(query, liveData);
+        const { text, calls } = await AnalystAgent.runAnalyst({
+            provider,
+            system,
+            messages,
+            context: { query, liveData }
+        });
 
-        // Parse JSON response
-        let result;
-        try {
-            let jsonStr = content;
-            if (content.includes('```json')) {
-                jsonStr = content.split('```json')[1].split('```')[0];
-            } else if (content.includes('```')) {
-                jsonStr = content.split('```')[1].split('```')[0];
-            }
-            result = JSON.parse(jsonStr.trim());
-        } catch (e) {
-            return {
-                statusCode: 500,
-                body: JSON.stringify({ error: 'Failed to parse AI response' })
-            };
-        }
+        // Validated against the analysis schema, with one repair pass on a bad reply
+        const result = await AiResponse.validateOrRepair({
+            provider,
+            system,
+            messages,
+            context: { query, liveData },
+            schema: AiSchema.NARRATIVE_ANALYSIS,
+            content: text
+        });
 
         return {
             statusCode: 200,
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(result)
+            body: JSON.stringify({ ...result, tool_calls: calls })
         };
 
     } catch (error) {
-        console.error('Function error:', error);
-        return {
-            statusCode: 500,
-            body: JSON.stringify({ error: error.message || 'Internal server error' })
-        };
+        return AiResponse.errorResponse(error);
     }
 };
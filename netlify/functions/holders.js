@@ -0,0 +1,67 @@
+// Netlify Serverless Function for on-chain holder data
+// Queries a Solana RPC (SOLANA_RPC_URL) for holder count, top-10 share and dev wallet share
+
+const SolanaRpc = require('../lib/solana-rpc.js');
+
+// Per-mint cache - holder data moves slowly and RPC calls are expensive
+const cache = new Map();
+const CACHE_TTL = 300000; // 5 minutes
+const MAX_CACHE_ENTRIES = 200;
+
+exports.handler = async (event, context) => {
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    const mint = event.queryStringParameters?.mint;
+    if (!SolanaRpc.isValidMint(mint)) {
+        return {
+            statusCode: 400,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
+            body: JSON.stringify({ error: 'Valid mint address required' })
+        };
+    }
+
+    // Check cache
+    const now = Date.now();
+    const cached = cache.get(mint);
+    if (cached && (now - cached.timestamp) < CACHE_TTL) {
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
+            body: JSON.stringify({ ...cached.data, cached: true })
+        };
+    }
+
+    try {
+        const summary = await SolanaRpc.getHolderSummary(mint);
+        const result = { ...summary, lastUpdated: new Date().toISOString() };
+
+        if (cache.size >= MAX_CACHE_ENTRIES) {
+            cache.delete(cache.keys().next().value);
+        }
+        cache.set(mint, { data: result, timestamp: now });
+
+        return {
+            statusCode: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Cache-Control': 'public, max-age=300'
+            },
+            body: JSON.stringify(result)
+        };
+
+    } catch (error) {
+        console.error('Holders function error:', error);
+        return {
+            statusCode: 502,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
+            body: JSON.stringify({ error: 'Holder data unavailable', mint })
+        };
+    }
+};
@@ -0,0 +1,144 @@
+// Netlify Serverless Function for followed KOL wallet activity
+// Polls recent signatures for the requested wallets, decodes swaps and returns buy / sell events
+// RPC endpoint: KOL_RPC_URL if set (polling is heavy - point it at a private RPC), else SOLANA_RPC_URL
+
+const SolanaRpc = require('../lib/solana-rpc.js');
+const SwapDecoder = require('../lib/swap-decoder.js');
+
+const MAX_WALLETS = 10;
+const DEFAULT_LIMIT = 10; // Signatures per wallet
+const MAX_LIMIT = 25;
+const CONCURRENCY = 4;
+
+// Token symbols / prices from DEX Screener
+const tokenCache = new Map();
+const TOKEN_CACHE_TTL = 300000; // 5 minutes
+
+const JSON_HEADERS = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
+
+function rpcOptions() {
+    return process.env.KOL_RPC_URL ? { url: process.env.KOL_RPC_URL } : {};
+}
+
+exports.handler = async (event, context) => {
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    const params = event.queryStringParameters || {};
+    const wallets = [...new Set((params.wallets || '').split(',').map(w => w.trim()))]
+        .filter(SolanaRpc.isValidMint)
+        .slice(0, MAX_WALLETS);
+
+    if (wallets.length === 0) {
+        return {
+            statusCode: 400,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ error: 'At least one valid wallet address required' })
+        };
+    }
+
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(params.limit, 10) || DEFAULT_LIMIT));
+    const since = parseInt(params.since, 10) || 0; // unix seconds
+
+    try {
+        const options = rpcOptions();
+        const walletResults = await SolanaRpc.mapLimit(wallets, CONCURRENCY, wallet =>
+            SwapDecoder.fetchWalletSwaps(wallet, { limit, since, concurrency: CONCURRENCY }, options)
+        );
+
+        const events = [];
+        const status = wallets.map((wallet, i) => {
+            const result = walletResults[i];
+            if (result.status !== 'fulfilled') {
+                console.warn(`KOL activity for ${wallet} failed:`, result.reason?.message);
+                return { wallet, ok: false };
+            }
+            events.push(...result.value);
+            return { wallet, ok: true, swaps: result.value.length };
+        });
+
+        if (status.every(s => !s.ok)) {
+            throw new Error('All wallet lookups failed');
+        }
+
+        const tokens = await getTokenInfo([...new Set(events.map(e => e.mint))]);
+        events.forEach(e => {
+            const info = tokens[e.mint];
+            e.symbol = info?.symbol || null;
+            e.name = info?.name || null;
+            e.priceUsd = info?.priceUsd ?? null;
+            e.marketCap = info?.marketCap ?? null;
+        });
+
+        events.sort((a, b) => (b.blockTime || 0) - (a.blockTime || 0));
+
+        return {
+            statusCode: 200,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({
+                events,
+                wallets: status,
+                lastUpdated: new Date().toISOString()
+            })
+        };
+
+    } catch (error) {
+        console.error('KOL activity function error:', error);
+        return {
+            statusCode: 502,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ error: 'Failed to fetch wallet activity' })
+        };
+    }
+};
+
+// Symbol, name, price and market cap per mint (best effort)
+async function getTokenInfo(mints) {
+    const now = Date.now();
+    const info = {};
+    const missing = [];
+
+    mints.forEach(mint => {
+        const cached = tokenCache.get(mint);
+        if (cached && (now - cached.timestamp) < TOKEN_CACHE_TTL) {
+            info[mint] = cached.data;
+        } else {
+            missing.push(mint);
+        }
+    });
+
+    // DEX Screener takes up to 30 addresses per call
+    for (let i = 0; i < missing.length; i += 30) {
+        const batch = missing.slice(i, i + 30);
+        try {
+            const response = await fetch(`https://api.dexscreener.com/tokens/v1/solana/${batch.join(',')}`);
+            if (!response.ok) continue;
+
+            const pairs = await response.json();
+            for (const pair of (Array.isArray(pairs) ? pairs : [])) {
+                const mint = pair.baseToken?.address;
+                // Keep the most liquid pair per token
+                if (!batch.includes(mint) || (info[mint] && info[mint].liquidity >= (pair.liquidity?.usd || 0))) continue;
+                info[mint] = {
+                    symbol: pair.baseToken.symbol,
+                    name: pair.baseToken.name,
+                    priceUsd: parseFloat(pair.priceUsd) || null,
+                    marketCap: pair.marketCap || pair.fdv || null,
+                    liquidity: pair.liquidity?.usd || 0
+                };
+            }
+            batch.forEach(mint => {
+                if (info[mint]) tokenCache.set(mint, { data: info[mint], timestamp: now });
+            });
+        } catch (error) {
+            console.warn('Token info fetch error:', error.message);
+        }
+    }
+
+    return info;
+}
@@ -1,5 +1,9 @@
 // Netlify Serverless Function for KOL (Key Opinion Leader) Tracking
 // Fetches top memecoin trader data from kolscan.io
+// ?mints= positions need SOLANA_RPC_URL - one holdings lookup per KOL wallet is too much for
+// the public RPC, so without it positions are left out (the app then shows none)
+
+const SolanaRpc = require('../lib/solana-rpc.js');
 
 // Cache to avoid excessive requests
 let cache = {
@@ -8,6 +12,10 @@ let cache = {
     ttl: 180000 // 3 minute cache
 };
 
+// KOL wallet holdings (mint -> amount), refreshed on the same cadence as the leaderboard
+const holdingsCache = new Map();
+const MAX_POSITION_MINTS = 30;
+
 exports.handler = async (event, context) => {
     // Only allow GET requests
     if (event.httpMethod !== 'GET') {
@@ -17,16 +25,25 @@ exports.handler = async (event, context) => {
         };
     }
 
+    // Optional ?mints=a,b,c - report which tracked KOL wallets hold these tokens
+    const mints = (event.queryStringParameters?.mints || '')
+        .split(',')
+        .map(m => m.trim())
+        .filter(SolanaRpc.isValidMint)
+        .slice(0, MAX_POSITION_MINTS);
+    const checkPositions = mints.length > 0 && !!process.env.SOLANA_RPC_URL;
+
     // Check cache
     const now = Date.now();
     if (cache.data && (now - cache.timestamp) < cache.ttl) {
+        const positions = checkPositions ? await getKolPositions(cache.data.traders, mints) : undefined;
         return {
             statusCode: 200,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
-            body: JSON.stringify({ ...cache.data, cached: true })
+            body: JSON.stringify({ ...cache.data, positions, cached: true })
         };
     }
 
@@ -61,6 +78,8 @@ exports.handler = async (event, context) => {
         cache.data = result;
         cache.timestamp = now;
 
+        const positions = checkPositions ? await getKolPositions(traders, mints) : undefined;
+
         return {
             statusCode: 200,
             headers: {
@@ -68,7 +87,7 @@ exports.handler = async (event, context) => {
                 'Access-Control-Allow-Origin': '*',
                 'Cache-Control': 'public, max-age=180'
             },
-            body: JSON.stringify(result)
+            body: JSON.stringify({ ...result, positions })
         };
 
     } catch (error) {
@@ -93,6 +112,43 @@ exports.handler = async (event, context) => {
     }
 };
 
+// Token holdings for one KOL wallet (cached)
+async function getWalletHoldings(wallet) {
+    const now = Date.now();
+    const cached = holdingsCache.get(wallet);
+    if (cached && (now - cached.timestamp) < cache.ttl) {
+        return cached.holdings;
+    }
+
+    const holdings = await SolanaRpc.getWalletTokenMints(wallet);
+    holdingsCache.set(wallet, { holdings, timestamp: now });
+    return holdings;
+}
+
+// Which tracked KOL wallets hold each requested mint: { mint: [{ name, wallet, amount }] }
+async function getKolPositions(traders, mints) {
+    const positions = {};
+    const results = await Promise.allSettled(traders.map(t => getWalletHoldings(t.wallet)));
+
+    results.forEach((result, i) => {
+        if (result.status !== 'fulfilled') {
+            console.warn('KOL holdings failed:', result.reason?.message);
+            return;
+        }
+        mints.forEach(mint => {
+            const amount = result.value[mint];
+            if (!amount) return;
+            (positions[mint] = positions[mint] || []).push({
+                name: traders[i].name,
+                wallet: traders[i].wallet,
+                amount
+            });
+        });
+    });
+
+    return positions;
+}
+
 // Parse trader data from kolscan.io HTML (Next.js RSC format)
 function parseKolscanData(html) {
     const traders = [];
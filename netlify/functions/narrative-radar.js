@@ -1,59 +1,61 @@
 // Netlify Serverless Function for Early Narrative Detection
 // Pulls from: PumpFun (new launches), X/Twitter (social buzz), DEX Screener (trending)
+// Each scan is also recorded in a lifecycle history (netlify/lib/narrative-lifecycle.js), so
+// narratives and categories carry a phase and a score sparkline across refreshes.
+// That history is lost on a cold start, so the app POSTs { history } - its own copy, kept in
+// IndexedDB - and gets the merged history back in lifecycle.history. A plain GET gets the
+// instance's history only.
+// Categories come from the trained narrative classifier (shared/narrative-classifier.js,
+// model retrained with scripts/train-classifier.js). Tokens it can't place are pooled with
+// the trench scan's and grouped into emerging clusters (netlify/lib/narrative-clusters.js).
+// Entries for the same token from different sources are merged by shared/token-identity.js
+// (contract address first, then ticker + name), and tickers held by several tokens are
+// flagged as collisions - usually copycats.
+// ?categories= carries the user's own categories (shared/custom-categories.js); they're applied
+// per request on top of the cached scan, so they never touch the shared lifecycle history
+
+const NarrativeLifecycle = require('../lib/narrative-lifecycle.js');
+const NarrativeClusters = require('../lib/narrative-clusters.js');
+const NarrativeClassifier = require('../../shared/narrative-classifier.js');
+const CustomCategories = require('../../shared/custom-categories.js');
+const TokenIdentity = require('../../shared/token-identity.js');
+const TrenchAgent = require('./trench-agent.js');
+const narrativeModel = NarrativeClassifier.validateModel(require('../../shared/narrative-model.json'));
+
+const SECOND_CATEGORY_MIN = 0.1; // Runner-up category shown from this confidence
+const TRENCH_BUDGET_MS = 6000;   // Trench scan feeds clustering only - don't hold the radar for it
+const MAX_HISTORY_LENGTH = 384 * 1024; // Lifecycle history taken from and returned to a client
+
+const lifecycle = NarrativeLifecycle.createHistory();
+const clusterPool = NarrativeClusters.createPool();
 
 let cache = {
     data: null,
+    scored: [],     // Every scored narrative of the cached scan, for custom categories
     timestamp: 0,
     ttl: 120000 // 2 minute cache
 };
 
-// CT-Native Narrative Categories - understand degen culture
-const NARRATIVE_CATEGORIES = {
-    // AI/Tech Meta (huge in 2024-2025)
-    'AI_AGENTS': ['ai', 'agent', 'gpt', 'llm', 'neural', 'virtual', 'autonomous', 'sentient', 'claude', 'openai', 'terminal', 'truth_terminal', 'zerebro', 'goat', 'act', 'fartcoin', 'arc'],
-
-    // Political/Culture War (always pumps on news)
-    'POLITICAL': ['trump', 'biden', 'maga', 'election', 'president', 'melania', 'barron', 'political', 'america', 'freedom', 'patriot', 'government', 'congress'],
-
-    // Celebrity/Influencer plays
-    'CELEBRITY': ['elon', 'musk', 'kanye', 'ye', 'drake', 'snoop', 'celebrity', 'famous', 'influencer', 'andrew', 'tate', 'logan', 'paul', 'mr beast', 'pewdiepie'],
-
-    // Classic CT Meme Culture
-    'MEME_CULTURE': ['meme', 'viral', 'based', 'cope', 'wojak', 'pepe', 'npc', 'degen', 'ape', 'moon', 'pump', 'wagmi', 'ngmi', 'gm', 'ser', 'anon', 'fren', 'jeet', 'rug', 'chad', 'gigachad', 'sigma', 'ratio'],
-
-    // Animal Coins (evergreen meta)
-    'ANIMAL_DOG': ['dog', 'doge', 'shib', 'shiba', 'inu', 'wif', 'bonk', 'pup', 'puppy', 'doggo', 'floki', 'cheems', 'dogwifhat'],
-    'ANIMAL_CAT': ['cat', 'kitty', 'meow', 'popcat', 'mew', 'nyan', 'kitten', 'pussy', 'felix'],
-    'ANIMAL_FROG': ['frog', 'pepe', 'kek', 'ribbit', 'toad', 'rare pepe', 'feels'],
-    'ANIMAL_OTHER': ['monkey', 'ape', 'gorilla', 'bear', 'bull', 'penguin', 'bird', 'owl', 'eagle', 'lion', 'tiger', 'dragon', 'fish', 'whale', 'shark', 'crab'],
-
-    // Food/Object memes (sometimes pump randomly)
-    'FOOD_OBJECT': ['pizza', 'burger', 'banana', 'apple', 'peanut', 'butter', 'bread', 'cheese', 'taco', 'sushi', 'ramen', 'coffee', 'beer', 'water', 'rock', 'paper', 'hat', 'glasses'],
-
-    // Gaming/Metaverse
-    'GAMING': ['game', 'gaming', 'esports', 'twitch', 'streamer', 'play', 'gamer', 'pixel', 'retro', '8bit', 'arcade', 'minecraft', 'fortnite', 'roblox'],
-
-    // DeFi/Infrastructure (less degen but still trades)
-    'DEFI': ['swap', 'yield', 'stake', 'farm', 'lend', 'borrow', 'vault', 'protocol', 'bridge', 'liquid', 'staking'],
-
-    // Breaking News/Events
-    'NEWS_EVENT': ['breaking', 'just in', 'happening', 'news', 'announcement', 'revealed', 'confirmed', 'leaked', 'exclusive', 'urgent'],
-
-    // CT Insider/Alpha terms
-    'ALPHA_CALL': ['alpha', 'call', 'gem', 'lowcap', 'microcap', 'early', '100x', '1000x', 'moonshot', 'hidden', 'stealth', 'presale', 'fairlaunch', 'cabal'],
-
-    // Solana specific
-    'SOLANA_META': ['sol', 'solana', 'raydium', 'jupiter', 'jup', 'bonk', 'jito', 'marinade', 'orca', 'phantom', 'backpack']
-};
-
 exports.handler = async (event, context) => {
-    if (event.httpMethod !== 'GET') {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
         return {
             statusCode: 405,
             body: JSON.stringify({ error: 'Method not allowed' })
         };
     }
 
+    let customCategories;
+    let priorHistory = null;
+    try {
+        customCategories = CustomCategories.parseParam(event.queryStringParameters?.categories);
+        if (event.httpMethod === 'POST') priorHistory = parsePriorHistory(event.body);
+    } catch (e) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: e.message })
+        };
+    }
+
     const now = Date.now();
     if (cache.data && (now - cache.timestamp) < cache.ttl) {
         return {
@@ -62,16 +64,18 @@ exports.handler = async (event, context) => {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
-            body: JSON.stringify({ ...cache.data, cached: true })
+            body: JSON.stringify({ ...present(cache.data, cache.scored, customCategories, priorHistory), cached: true })
         };
     }
 
     try {
-        // Fetch from PumpFun, X trends proxy, and DEX Screener in parallel
-        const [pumpFunData, xTrendsData, dexScreenerData] = await Promise.allSettled([
+        // Fetch from PumpFun, X trends proxy, and DEX Screener in parallel (plus fresh trench
+        // launches for clustering)
+        const [pumpFunData, xTrendsData, dexScreenerData, trenchData] = await Promise.allSettled([
             fetchPumpFunTrending(),
             fetchXTrends(),
-            fetchDexScreenerTrending()
+            fetchDexScreenerTrending(),
+            fetchTrenchTokens()
         ]);
 
         // Combine all trends
@@ -90,22 +94,37 @@ exports.handler = async (event, context) => {
         // Score and rank narratives
         const scoredNarratives = scoreNarratives(allTrends);
 
+        // Every scored narrative is tracked, so ones sliding down the ranking keep their history
+        NarrativeLifecycle.recordScan(lifecycle, scoredNarratives, now);
+
+        // Uncategorized tokens from this scan join the last hour's pool for clustering
+        NarrativeClusters.recordTokens(clusterPool, [
+            ...allTrends,
+            ...(trenchData.status === 'fulfilled' ? trenchData.value : [])
+        ], now);
+
+        // Lifecycle is attached before custom categories can change a narrative's category
+        const annotated = NarrativeLifecycle.annotate(lifecycle, scoredNarratives);
+
         // Get emerging narratives
-        const emergingNarratives = scoredNarratives
-            .filter(n => n.relevanceScore > 20)
-            .slice(0, 12);
+        const emergingNarratives = topNarratives(annotated);
 
         const result = {
             narratives: emergingNarratives,
+            lifecycle: lifecycleSummary(lifecycle),
+            clusters: NarrativeClusters.findClusters(clusterPool, now),
+            tickerCollisions: summarizeCollisions(annotated),
             lastUpdated: new Date().toISOString(),
             sources: {
                 pumpfun: pumpFunData.status === 'fulfilled' ? (pumpFunData.value?.length || 0) : 0,
                 twitter: xTrendsData.status === 'fulfilled' ? (xTrendsData.value?.length || 0) : 0,
-                dexscreener: dexScreenerData.status === 'fulfilled' ? (dexScreenerData.value?.length || 0) : 0
+                dexscreener: dexScreenerData.status === 'fulfilled' ? (dexScreenerData.value?.length || 0) : 0,
+                trench: trenchData.status === 'fulfilled' ? (trenchData.value?.length || 0) : 0
             }
         };
 
         cache.data = result;
+        cache.scored = annotated;
         cache.timestamp = now;
 
         return {
@@ -115,7 +134,7 @@ exports.handler = async (event, context) => {
                 'Access-Control-Allow-Origin': '*',
                 'Cache-Control': 'public, max-age=120'
             },
-            body: JSON.stringify(result)
+            body: JSON.stringify(present(result, annotated, customCategories, priorHistory))
         };
 
     } catch (error) {
@@ -128,7 +147,7 @@ exports.handler = async (event, context) => {
                     'Content-Type': 'application/json',
                     'Access-Control-Allow-Origin': '*'
                 },
-                body: JSON.stringify({ ...cache.data, stale: true })
+                body: JSON.stringify({ ...present(cache.data, cache.scored, customCategories, priorHistory), stale: true })
             };
         }
 
@@ -147,6 +166,126 @@ exports.handler = async (event, context) => {
     }
 };
 
+// { history } from a POST body, as a lifecycle history; null when the client has none yet.
+// One grown past MAX_HISTORY_LENGTH is trimmed rather than refused, since the client would
+// keep sending the same stored copy
+function parsePriorHistory(body) {
+    let parsed;
+    try {
+        parsed = JSON.parse(body || '{}');
+    } catch (e) {
+        throw new Error('Invalid JSON body');
+    }
+    if (!parsed || !parsed.history) return null;
+    return NarrativeLifecycle.trimHistory(NarrativeLifecycle.importHistory(parsed.history), MAX_HISTORY_LENGTH);
+}
+
+// The response for one request: the client's prior history merged into a copy of the
+// instance's (so it never touches the shared history), then the user's categories
+function present(result, scored, customCategories, priorHistory) {
+    if (!priorHistory) return withCustomCategories(result, scored, customCategories);
+
+    const history = NarrativeLifecycle.mergeHistory(lifecycle, priorHistory);
+    const annotated = NarrativeLifecycle.annotate(history, scored);
+    const summary = lifecycleSummary(history);
+    // Trimmed after scoring, so only the copy the client stores loses series
+    NarrativeLifecycle.trimHistory(history, MAX_HISTORY_LENGTH);
+    return withCustomCategories({
+        ...result,
+        narratives: topNarratives(annotated),
+        lifecycle: {
+            ...summary,
+            history: NarrativeLifecycle.exportHistory(history)
+        }
+    }, annotated, customCategories);
+}
+
+function lifecycleSummary(history) {
+    return {
+        categories: NarrativeLifecycle.categorySummaries(history),
+        scans: history.scans,
+        trackedSince: history.trackedSince ? new Date(history.trackedSince).toISOString() : null
+    };
+}
+
+// Tickers held by more than one token in this scan, with each token's standing
+function summarizeCollisions(scored) {
+    const bySymbol = new Map();
+    scored.forEach(n => {
+        if (!n.tickerCollision) return;
+        const symbol = n.tickerCollision.symbol;
+        const tokens = bySymbol.get(symbol) || [];
+        tokens.push({
+            address: n.address || null,
+            name: n.name || null,
+            relevanceScore: n.relevanceScore,
+            volume24h: n.volume24h || 0,
+            sources: n.sources
+        });
+        bySymbol.set(symbol, tokens);
+    });
+    return [...bySymbol].map(([symbol, tokens]) => ({ symbol, tokens }));
+}
+
+function topNarratives(scored) {
+    return scored.filter(n => n.relevanceScore > 20).slice(0, 12);
+}
+
+// Re-ranks the scan with the user's categories: a match takes over the category (the
+// classifier's top label stays as the runner-up) and adds its score bonus
+function withCustomCategories(result, scored, customCategories) {
+    if (customCategories.length === 0) return result;
+
+    const rescored = scored.map(n => {
+        const hit = CustomCategories.match(n, customCategories);
+        if (!hit) return n;
+        const { category } = hit;
+        return {
+            ...n,
+            category: category.id,
+            categoryConfidence: null,
+            categories: [
+                { category: category.id, confidence: null },
+                ...(n.categories || []).slice(0, 1)
+            ],
+            customCategory: { id: category.id, name: category.name, keyword: hit.keyword },
+            ctCategory: category.name,
+            relevanceScore: Math.max(0, Math.min(100, n.relevanceScore + category.scoreBonus))
+        };
+    });
+
+    return {
+        ...result,
+        narratives: topNarratives(rescored.sort((a, b) => b.relevanceScore - a.relevanceScore)),
+        customCategories: customCategories.map(category => ({
+            id: category.id,
+            name: category.name,
+            matches: rescored.filter(n => n.category === category.id).length
+        }))
+    };
+}
+
+// Fresh launches from the trench sources (TrenchAgent.fetchLaunches - no RPC enrichment or
+// scoring, clustering only needs the tokens), categorized like radar trends. Requests still
+// out after TRENCH_BUDGET_MS are aborted and the radar goes on with what had arrived
+async function fetchTrenchTokens() {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TRENCH_BUDGET_MS);
+    try {
+        const tokens = await TrenchAgent.fetchLaunches({ signal: controller.signal });
+        return tokens.map(token => ({
+            ...token,
+            ...categorizeNarrative(token),
+            source: 'trench'
+        }));
+    } catch (e) {
+        console.warn('Trench scan for clustering failed:', e.message);
+        return [];
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
 // Fetch PumpFun-style tokens via DEX Screener (direct PumpFun API is blocked)
 // Finds fresh Solana memecoins that match PumpFun launch patterns
 async function fetchPumpFunTrending() {
@@ -205,7 +344,7 @@ async function fetchPumpFunTrending() {
                 trends.push({
                     text: `$${pair.baseToken.symbol} - ${pair.baseToken.name}`,
                     source: 'pumpfun',
-                    category: categorizeNarrative(pair.baseToken.name + ' ' + pair.baseToken.symbol),
+                    ...categorizeNarrative(pair.baseToken),
                     engagement,
                     symbol: pair.baseToken.symbol,
                     name: pair.baseToken.name,
@@ -305,12 +444,12 @@ async function fetchXTrends() {
                             engagement = 'medium';
                         }
 
-                        const category = categorizeNarrative((name || '') + ' ' + (symbol || '') + ' ' + (profile.description || ''));
+                        const categories = categorizeNarrative({ name, symbol, description: profile.description });
 
                         trends.push({
                             text: ctText,
                             source: 'twitter',
-                            category,
+                            ...categories,
                             engagement,
                             address: profile.tokenAddress,
                             symbol,
@@ -343,7 +482,7 @@ async function fetchXTrends() {
                 coins.slice(0, 5).forEach(item => {
                     const coin = item.item;
                     if (coin && !trends.find(t => t.symbol?.toLowerCase() === coin.symbol?.toLowerCase())) {
-                        const category = categorizeNarrative(coin.name + ' ' + coin.symbol);
+                        const categories = categorizeNarrative(coin);
 
                         // CT-native messaging based on rank
                         let ctText = '';
@@ -358,7 +497,7 @@ async function fetchXTrends() {
                         trends.push({
                             text: ctText,
                             source: 'twitter',
-                            category,
+                            ...categories,
                             engagement: coin.score < 3 ? 'viral' : coin.score < 6 ? 'high' : 'medium',
                             symbol: coin.symbol,
                             name: coin.name,
@@ -432,7 +571,7 @@ async function fetchDexScreenerTrending() {
                         trends.push({
                             text: `$${pair.baseToken.symbol} pumping on DEX`,
                             source: 'dexscreener',
-                            category: categorizeNarrative(pair.baseToken.name + ' ' + pair.baseToken.symbol),
+                            ...categorizeNarrative(pair.baseToken),
                             engagement,
                             symbol: pair.baseToken.symbol,
                             name: pair.baseToken.name,
@@ -462,7 +601,7 @@ async function fetchDexScreenerTrending() {
                         trends.push({
                             text: `New: ${profile.description?.slice(0, 50) || 'Solana token'}`,
                             source: 'dexscreener',
-                            category: categorizeNarrative(profile.description || ''),
+                            ...categorizeNarrative({ description: profile.description }),
                             engagement: 'medium',
                             address: profile.tokenAddress,
                             tokenExists: true,
@@ -483,42 +622,19 @@ async function fetchDexScreenerTrending() {
     return trends.slice(0, 6);
 }
 
-// CT-native categorization - understands degen culture
-function categorizeNarrative(text) {
-    if (!text) return 'EMERGING';
-    const lowerText = text.toLowerCase();
-
-    // Priority order matters - check more specific categories first
-    const categoryPriority = [
-        'AI_AGENTS',      // AI meta is huge rn
-        'POLITICAL',      // Political plays pump hard
-        'CELEBRITY',      // Celebrity coins can moon
-        'ALPHA_CALL',     // Alpha/gem calls
-        'ANIMAL_DOG',     // Dog coins (biggest animal meta)
-        'ANIMAL_CAT',     // Cat coins
-        'ANIMAL_FROG',    // Frog/Pepe meta
-        'ANIMAL_OTHER',   // Other animals
-        'SOLANA_META',    // SOL ecosystem specific
-        'NEWS_EVENT',     // Breaking news
-        'GAMING',         // Gaming/streamer plays
-        'FOOD_OBJECT',    // Random object memes
-        'DEFI',           // DeFi plays
-        'MEME_CULTURE'    // General meme culture (catch-all)
-    ];
-
-    for (const category of categoryPriority) {
-        const keywords = NARRATIVE_CATEGORIES[category];
-        if (keywords && keywords.some(kw => lowerText.includes(kw))) {
-            return category;
-        }
-    }
-
-    // Check for common CT patterns that might not match keywords
-    if (/\$[A-Z]{2,10}/.test(text)) {
-        return 'MEME_CULTURE'; // Has ticker format = likely memecoin
-    }
-
-    return 'EMERGING';
+// CT-native categorization - fields: { name, symbol, description }
+// Returns { category, categoryConfidence, categories } - categories holds the top two labels
+// with their confidence (empty when nothing was recognised and the category is EMERGING)
+function categorizeNarrative(fields) {
+    const result = NarrativeClassifier.classify(fields, narrativeModel, { limit: 2 });
+    const categories = result.category === NarrativeClassifier.FALLBACK
+        ? []
+        : result.labels.filter((label, i) => i === 0 || label.confidence >= SECOND_CATEGORY_MIN);
+    return {
+        category: result.category,
+        categoryConfidence: result.confidence,
+        categories
+    };
 }
 
 // Generate description for a narrative category
@@ -543,38 +659,52 @@ function getCTDescription(category, token) {
     return descriptions[category] || 'Emerging';
 }
 
-// Score narratives for CT relevance - prioritize actionable alpha
-function scoreNarratives(trends) {
-    const narrativeMap = new Map();
-
-    for (const trend of trends) {
-        // Use symbol as primary key if available, else text
-        const textKey = trend.symbol?.toLowerCase() ||
-            (trend.text?.slice(0, 25) || '').toLowerCase().replace(/[^a-z0-9]/g, '');
-        const key = trend.category + '_' + textKey;
-
-        if (narrativeMap.has(key)) {
-            const existing = narrativeMap.get(key);
-            existing.mentions++;
-            existing.sources.add(trend.source);
-            // Keep best price data
-            if (trend.priceChange1h && (!existing.priceChange1h || trend.priceChange1h > existing.priceChange1h)) {
-                existing.priceChange1h = trend.priceChange1h;
-            }
-            if (trend.volume24h && (!existing.volume24h || trend.volume24h > existing.volume24h)) {
-                existing.volume24h = trend.volume24h;
-            }
-        } else {
-            narrativeMap.set(key, {
-                ...trend,
-                mentions: 1,
-                sources: new Set([trend.source])
-            });
+// One narrative per token: entries the identity resolver linked (same contract address, or
+// same ticker and name) are merged, keeping the best price data and the most confident category
+function mergeIdentity(group) {
+    const [first, ...rest] = group.members;
+    const merged = { ...first, mentions: group.members.length, sources: new Set([first.source]) };
+
+    rest.forEach(trend => {
+        merged.sources.add(trend.source);
+        // Fill what the first source didn't have (profiles have no ticker, CoinGecko no address)
+        Object.keys(trend).forEach(field => {
+            if (merged[field] === undefined || merged[field] === null || merged[field] === '') merged[field] = trend[field];
+        });
+        // Keep best price data
+        if (trend.priceChange1h && (!merged.priceChange1h || trend.priceChange1h > merged.priceChange1h)) {
+            merged.priceChange1h = trend.priceChange1h;
         }
+        if (trend.volume24h && (!merged.volume24h || trend.volume24h > merged.volume24h)) {
+            merged.volume24h = trend.volume24h;
+        }
+        if ((trend.categoryConfidence || 0) > (merged.categoryConfidence || 0)) {
+            merged.category = trend.category;
+            merged.categoryConfidence = trend.categoryConfidence;
+            merged.categories = trend.categories;
+        }
+    });
+
+    merged.identity = { key: group.key, resolvedBy: group.resolvedBy, ambiguous: group.ambiguous };
+    if (group.collision) {
+        merged.tickerCollision = {
+            symbol: group.collision.symbol,
+            count: group.collision.tokens.length,
+            others: group.collision.tokens
+                .filter(token => token.key !== group.key)
+                .map(({ address, name }) => ({ address, name }))
+        };
     }
+    return merged;
+}
+
+// Score narratives for CT relevance - prioritize actionable alpha
+function scoreNarratives(trends) {
+    const { groups } = TokenIdentity.resolve(trends);
+    const merged = groups.map(mergeIdentity);
 
     // Calculate CT relevance scores
-    const scored = Array.from(narrativeMap.values()).map(n => {
+    const scored = merged.map(n => {
         let score = 0;
 
         // Multi-source validation (huge signal - means CT is talking)
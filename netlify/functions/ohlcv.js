@@ -0,0 +1,102 @@
+// Netlify Serverless Function for pool OHLCV candles
+// Proxies GeckoTerminal's public pool OHLCV API (no key, ~30 calls/min) for the Token Analysis chart
+// Pools GeckoTerminal hasn't indexed yet return 404 - the browser falls back to snapshot candles
+
+const SolanaRpc = require('../lib/solana-rpc.js');
+const Candles = require('../../shared/candles.js');
+
+const GECKO_BASE = 'https://api.geckoterminal.com/api/v2/networks/solana/pools';
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+// Per pool + timeframe cache - shared by everyone viewing the same token
+const cache = new Map();
+const CACHE_TTL = 60000; // 1 minute
+const MAX_CACHE_ENTRIES = 300;
+
+const JSON_HEADERS = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
+
+exports.handler = async (event, context) => {
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    const params = event.queryStringParameters || {};
+    const pool = params.pool;
+    const timeframe = params.timeframe || '5m';
+
+    if (!SolanaRpc.isValidMint(pool) || !Candles.isTimeframe(timeframe)) {
+        return {
+            statusCode: 400,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ error: 'Valid pool address and timeframe required', timeframes: Object.keys(Candles.TIMEFRAMES) })
+        };
+    }
+
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(params.limit, 10) || DEFAULT_LIMIT));
+    const cacheKey = `${pool}:${timeframe}:${limit}`;
+
+    // Check cache
+    const now = Date.now();
+    const cached = cache.get(cacheKey);
+    if (cached && (now - cached.timestamp) < CACHE_TTL) {
+        return {
+            statusCode: 200,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ ...cached.data, cached: true })
+        };
+    }
+
+    try {
+        const { unit, aggregate } = Candles.TIMEFRAMES[timeframe];
+        const response = await fetch(`${GECKO_BASE}/${pool}/ohlcv/${unit}?aggregate=${aggregate}&limit=${limit}&currency=usd`, {
+            headers: { 'Accept': 'application/json;version=20230302' }
+        });
+
+        if (response.status === 404) {
+            return {
+                statusCode: 404,
+                headers: JSON_HEADERS,
+                body: JSON.stringify({ error: 'Pool not indexed', pool })
+            };
+        }
+        if (!response.ok) {
+            throw new Error(`GeckoTerminal returned ${response.status}`);
+        }
+
+        const data = await response.json();
+        const result = {
+            pool,
+            timeframe,
+            candles: Candles.fromGecko(data?.data?.attributes?.ohlcv_list),
+            source: 'geckoterminal',
+            lastUpdated: new Date().toISOString()
+        };
+
+        if (cache.size >= MAX_CACHE_ENTRIES) {
+            cache.delete(cache.keys().next().value);
+        }
+        cache.set(cacheKey, { data: result, timestamp: now });
+
+        return {
+            statusCode: 200,
+            headers: {
+                ...JSON_HEADERS,
+                'Cache-Control': 'public, max-age=60'
+            },
+            body: JSON.stringify(result)
+        };
+
+    } catch (error) {
+        console.error('OHLCV function error:', error);
+        return {
+            statusCode: 502,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ error: 'Candle data unavailable', pool })
+        };
+    }
+};
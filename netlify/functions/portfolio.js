@@ -0,0 +1,91 @@
+// Netlify Serverless Function for connected-wallet portfolio data
+// Returns the wallet's SOL + SPL token balances and its decoded swap history;
+// pricing, cost basis and risk scoring happen in the browser (shared/portfolio.js)
+
+const SolanaRpc = require('../lib/solana-rpc.js');
+const SwapDecoder = require('../lib/swap-decoder.js');
+
+// Signatures scanned for trade history - each one is a getTransaction call, so on the public
+// mainnet RPC only a short history is read. PORTFOLIO_HISTORY_LIMIT applies with SOLANA_RPC_URL set
+const PUBLIC_RPC_HISTORY_LIMIT = 25;
+const HISTORY_LIMIT = process.env.SOLANA_RPC_URL
+    ? Math.min(1000, parseInt(process.env.PORTFOLIO_HISTORY_LIMIT || '200', 10))
+    : PUBLIC_RPC_HISTORY_LIMIT;
+
+// Per-wallet cache - balances move with every trade, so keep it short
+const cache = new Map();
+const CACHE_TTL = 60000; // 1 minute
+const MAX_CACHE_ENTRIES = 100;
+
+const JSON_HEADERS = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
+
+exports.handler = async (event, context) => {
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    const wallet = event.queryStringParameters?.wallet;
+    if (!SolanaRpc.isValidMint(wallet)) {
+        return {
+            statusCode: 400,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ error: 'Valid wallet address required' })
+        };
+    }
+
+    // Check cache
+    const now = Date.now();
+    const cached = cache.get(wallet);
+    if (cached && (now - cached.timestamp) < CACHE_TTL) {
+        return {
+            statusCode: 200,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ ...cached.data, cached: true })
+        };
+    }
+
+    try {
+        const [solBalance, holdings, trades] = await Promise.all([
+            SolanaRpc.getSolBalance(wallet),
+            SolanaRpc.getWalletTokenMints(wallet),
+            SwapDecoder.fetchWalletSwaps(wallet, { limit: HISTORY_LIMIT, concurrency: 6 }).catch(error => {
+                // Balances are still useful without history - PnL just shows as unknown
+                console.warn('Portfolio history failed:', error.message);
+                return null;
+            })
+        ]);
+
+        const result = {
+            wallet,
+            solBalance,
+            holdings,
+            trades: (trades || []).reverse(), // oldest first
+            historyAvailable: trades !== null,
+            historyLimit: HISTORY_LIMIT,
+            lastUpdated: new Date().toISOString()
+        };
+
+        if (cache.size >= MAX_CACHE_ENTRIES) {
+            cache.delete(cache.keys().next().value);
+        }
+        cache.set(wallet, { data: result, timestamp: now });
+
+        return {
+            statusCode: 200,
+            headers: JSON_HEADERS,
+            body: JSON.stringify(result)
+        };
+
+    } catch (error) {
+        console.error('Portfolio function error:', error);
+        return {
+            statusCode: 502,
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ error: 'Failed to load wallet portfolio' })
+        };
+    }
+};
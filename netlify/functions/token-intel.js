@@ -1,6 +1,16 @@
 // Netlify Serverless Function for Token Intelligence Analysis
 // Generates narrative context and social intel for specific tokens
 
+const CONFIG = require('../../config.js');
+const AiResponse = require('../lib/ai-response.js');
+const LlmProvider = require('../lib/llm-provider.js');
+const AiSchema = require('../../shared/ai-schema.js');
+const IntelCache = require('../../shared/intel-cache.js');
+
+// Intel by address + market-state fingerprint (shared/intel-cache.js)
+const cache = new Map();
+const MAX_CACHE_ENTRIES = 300;
+
 exports.handler = async (event, context) => {
     if (event.httpMethod !== 'POST') {
         return {
@@ -9,12 +19,15 @@ exports.handler = async (event, context) => {
         };
     }
 
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-
-    if (!apiKey) {
+    // Runs on every token view - CONFIG.LLM.TASKS.TOKEN_INTEL defaults to a cheaper model than analyze.
+    // Synchronous, so the model calls have to fit in CONFIG.LLM.SYNC_BUDGET_MS
+    let provider;
+    try {
+        provider = LlmProvider.createProvider('TOKEN_INTEL', { budgetMs: CONFIG.LLM.SYNC_BUDGET_MS });
+    } catch (error) {
         return {
             statusCode: 500,
-            body: JSON.stringify({ error: 'API key not configured' })
+            body: JSON.stringify({ error: error.message })
         };
     }
 
@@ -53,6 +66,21 @@ exports.handler = async (event, context) => {
         tokenData.name = sanitize(tokenData.name, 100);
         tokenData.description = sanitize(tokenData.description, 500);
         tokenData.symbol = sanitize(tokenData.symbol, 20);
+        tokenData.address = sanitize(tokenData.address, 64);
+
+        // Reuse a recent read for the same token in the same market state;
+        // refresh: true (the panel's re-analyze action) skips the lookup
+        const cacheKey = tokenData.address ? IntelCache.cacheKey(tokenData.address, tokenData) : null;
+        const cached = cacheKey ? cache.get(cacheKey) : null;
+        if (cached && !tokenData.refresh && IntelCache.isFresh(cached)) {
+            return {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ intel: cached.intel, generatedAt: cached.generatedAt, cached: true })
+            };
+        }
 
         const systemPrompt = `You are NarrativeAlpha's Token Intelligence module. You analyze Solana memecoins and provide REAL narrative context for degens - not generic financial advice.
 
@@ -186,54 +214,27 @@ ${tokenData.replyCount ? `PumpFun Reply Count: ${tokenData.replyCount} (indicate
 
 Based on the token name, symbol, metrics, age, and social presence - analyze what narrative this token is playing, who likely launched it, and whether CT degens would ape this.`;
 
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': apiKey,
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: 'claude-sonnet-4-20250514',
-                max_tokens: 1000,
-                messages: [
-                    {
-                        role: 'user',
-                        content: tokenContext
-                    }
-                ],
-                system: systemPrompt
-            })
+        // Validated against the token intel schema, with one repair pass on a bad reply
+        const intel = await AiResponse.completeJson({
+            provider,
+            system: systemPrompt,
+            messages: [
+                {
+                    role: 'user',
+                    content: tokenContext
+                }
+            ],
+            context: tokenData,
+            schema: AiSchema.TOKEN_INTEL
         });
 
-        if (!response.ok) {
-            const error = await response.json();
-            return {
-                statusCode: response.status,
-                body: JSON.stringify({ error: error.error?.message || 'API request failed' })
-            };
-        }
-
-        const data = await response.json();
-        const content = data.content[0].text;
-
-        // Parse JSON response
-        let result;
-        try {
-            let jsonStr = content;
-            if (content.includes('```json')) {
-                jsonStr = content.split('```json')[1].split('```')[0];
-            } else if (content.includes('```')) {
-                jsonStr = content.split('```')[1].split('```')[0];
+        const generatedAt = Date.now();
+        if (cacheKey) {
+            cache.delete(cacheKey);
+            if (cache.size >= MAX_CACHE_ENTRIES) {
+                cache.delete(cache.keys().next().value);
             }
-            result = JSON.parse(jsonStr.trim());
-        } catch (e) {
-            // Log error server-side but don't expose raw content to client
-            console.error('Failed to parse AI response:', e.message);
-            return {
-                statusCode: 500,
-                body: JSON.stringify({ error: 'Failed to parse AI response' })
-            };
+            cache.set(cacheKey, { intel, generatedAt });
         }
 
         return {
@@ -241,14 +242,10 @@ Based on the token name, symbol, metrics, age, and social presence - analyze wha
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(result)
+            body: JSON.stringify({ intel, generatedAt, cached: false })
         };
 
     } catch (error) {
-        console.error('Function error:', error);
-        return {
-            statusCode: 500,
-            body: JSON.stringify({ error: error.message || 'Internal server error' })
-        };
+        return AiResponse.errorResponse(error);
     }
 };
@@ -1,113 +1,70 @@
 // Trench Agent - Real trench scanner for PumpFun with bundle detection & insider tracking
 // Analyzes fresh launches for: bundle activity, holder concentration, dev behavior, fresh wallets
 
+// Risk weights and thresholds are shared with the Signals feed
+const RiskScoring = require('../../shared/scoring.js');
+const RuleEngine = require('../../shared/rule-engine.js');
+const SolanaRpc = require('../lib/solana-rpc.js');
+const BundleAnalyzer = require('../lib/bundle-analyzer.js');
+
+// On-chain enrichment (only when a dedicated RPC is configured)
+const HOLDER_ENRICH_LIMIT = parseInt(process.env.TRENCH_HOLDER_LIMIT || '8', 10);
+const BUNDLE_ANALYZE_LIMIT = parseInt(process.env.TRENCH_BUNDLE_LIMIT || '4', 10);
+const ENRICH_BUDGET_MS = 5000; // Stay well inside the function timeout
+
+// Bundle analysis is expensive and launch history never changes - keep results across scans
+const bundleCache = new Map();
+const BUNDLE_CACHE_TTL = 600000; // 10 minutes
+
+const MAX_RULES_PARAM = 4000; // Serialized ?rules= overrides
+
 let cache = {
-    data: null,
+    scan: null,
     timestamp: 0,
     ttl: 45000 // 45 second cache - faster for trenching
 };
 
-// Risk scoring weights
-const RISK_WEIGHTS = {
-    BUNDLE_DETECTED: 35,        // Multiple buys in same slot = major red flag
-    HIGH_HOLDER_CONCENTRATION: 25, // Top 10 hold >50%
-    DEV_DUMPING: 30,            // Dev wallet selling
-    FRESH_WALLET_BUYS: 15,      // Many buys from new wallets
-    ONE_SIDED_BUYS: 20,         // >90% buys = setup for dump
-    LOW_LIQUIDITY_RATIO: 15,    // MC/Liq > 100x
-    RAPID_PUMP: 10              // >500% in 1h = likely manipulation
-};
-
-// Positive signals
-const LEGIT_SIGNALS = {
-    ORGANIC_DISTRIBUTION: 20,   // Good holder spread
-    HEALTHY_TRADING: 15,        // Balanced buy/sell
-    GROWING_COMMUNITY: 15,      // Increasing unique traders
-    HAS_SOCIALS: 10,            // Twitter/TG presence
-    GOOD_LIQUIDITY: 15,         // MC/Liq < 30x
-    STABLE_GROWTH: 10,          // Steady price action
-    DEV_HOLDING: 15             // Dev still holding (skin in game)
-};
-
 exports.handler = async (event, context) => {
     if (event.httpMethod !== 'GET') {
         return { statusCode: 405, body: JSON.stringify({ error: 'Method not allowed' }) };
     }
 
+    // ?rules= carries the user's scam rule overrides, so Trench scores with the same rule set
+    // as their Signals feed. Applied per request on top of the cached scan
+    let scamRules;
+    try {
+        scamRules = parseRuleOverrides(event.queryStringParameters?.rules);
+    } catch (e) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: e.message })
+        };
+    }
+
     const now = Date.now();
-    if (cache.data && (now - cache.timestamp) < cache.ttl) {
+    if (cache.scan && (now - cache.timestamp) < cache.ttl) {
         return {
             statusCode: 200,
             headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
-            body: JSON.stringify({ ...cache.data, cached: true })
+            body: JSON.stringify({ ...scoreScan(cache.scan, scamRules), cached: true })
         };
     }
 
     try {
-        // Fetch fresh PumpFun tokens from multiple sources
-        const [pumpFunFresh, trendingNew, boosteds] = await Promise.allSettled([
-            fetchPumpFunLaunches(),
-            fetchNewSolanaTokens(),
-            fetchBoostedTokens()
-        ]);
-
-        let allTokens = [];
-
-        if (pumpFunFresh.status === 'fulfilled') allTokens.push(...(pumpFunFresh.value || []));
-        if (trendingNew.status === 'fulfilled') allTokens.push(...(trendingNew.value || []));
-        if (boosteds.status === 'fulfilled') allTokens.push(...(boosteds.value || []));
-
-        // Deduplicate
-        const seen = new Set();
-        const uniqueTokens = allTokens.filter(t => {
-            if (!t.address || seen.has(t.address)) return false;
-            seen.add(t.address);
-            return true;
-        });
+        const { candidates, totalScanned } = await fetchLaunchCandidates();
 
-        // Enhanced analysis with bundle detection and holder tracking
-        const analyzedTokens = await Promise.all(
-            uniqueTokens.slice(0, 30).map(token => analyzeTokenDeep(token))
-        );
+        // Real holder data for the freshest candidates replaces the concentration heuristic
+        await Promise.all([
+            withBudget(signal => enrichWithHolderData(candidates, signal), ENRICH_BUDGET_MS),
+            withBudget(signal => enrichWithBundleAnalysis(candidates, signal), ENRICH_BUDGET_MS)
+        ]);
 
-        // Sort by safety score (higher = safer)
-        analyzedTokens.sort((a, b) => b.safetyScore - a.safetyScore);
-
-        // Categorize results
-        const result = {
-            // Clean gems - low risk, good metrics
-            gems: analyzedTokens.filter(t =>
-                t.safetyScore >= 65 &&
-                t.riskLevel !== 'CRITICAL' &&
-                !t.bundleDetected &&
-                t.ageHours < 12
-            ).slice(0, 6),
-
-            // Watchlist - moderate risk, needs monitoring
-            watchlist: analyzedTokens.filter(t =>
-                t.safetyScore >= 40 &&
-                t.safetyScore < 65 &&
-                t.riskLevel !== 'CRITICAL'
-            ).slice(0, 6),
-
-            // Risky - high risk indicators, trade with caution
-            risky: analyzedTokens.filter(t =>
-                t.safetyScore < 40 ||
-                t.riskLevel === 'CRITICAL' ||
-                t.bundleDetected
-            ).slice(0, 6),
-
-            // Stats
-            scanStats: {
-                totalScanned: uniqueTokens.length,
-                bundlesDetected: analyzedTokens.filter(t => t.bundleDetected).length,
-                highRisk: analyzedTokens.filter(t => t.riskLevel === 'CRITICAL' || t.riskLevel === 'HIGH').length,
-                avgSafetyScore: Math.round(analyzedTokens.reduce((s, t) => s + t.safetyScore, 0) / analyzedTokens.length) || 0
-            },
+        // Enriched tokens are cached unscored - scoring depends on the caller's rules
+        cache.scan = {
+            candidates,
+            totalScanned,
             lastUpdated: new Date().toISOString()
         };
-
-        cache.data = result;
         cache.timestamp = now;
 
         return {
@@ -117,7 +74,7 @@ exports.handler = async (event, context) => {
                 'Access-Control-Allow-Origin': '*',
                 'Cache-Control': 'public, max-age=45'
             },
-            body: JSON.stringify(result)
+            body: JSON.stringify(scoreScan(cache.scan, scamRules))
         };
 
     } catch (error) {
@@ -136,17 +93,127 @@ exports.handler = async (event, context) => {
     }
 };
 
+// Fresh launches without the on-chain enrichment or scoring, for callers that only need the
+// tokens (narrative-radar.js clustering): the cached scan's when it's fresh, otherwise the
+// DEX Screener sources alone. signal aborts their requests
+exports.fetchLaunches = async ({ signal } = {}) => {
+    if (cache.scan && (Date.now() - cache.timestamp) < cache.ttl) {
+        return cache.scan.candidates;
+    }
+    const { candidates } = await fetchLaunchCandidates(signal);
+    return candidates;
+};
+
+// Fetch fresh PumpFun tokens from multiple sources; the freshest 30 unique tokens are the candidates
+async function fetchLaunchCandidates(signal) {
+    const [pumpFunFresh, trendingNew, boosteds] = await Promise.allSettled([
+        fetchPumpFunLaunches(signal),
+        fetchNewSolanaTokens(signal),
+        fetchBoostedTokens(signal)
+    ]);
+
+    let allTokens = [];
+
+    if (pumpFunFresh.status === 'fulfilled') allTokens.push(...(pumpFunFresh.value || []));
+    if (trendingNew.status === 'fulfilled') allTokens.push(...(trendingNew.value || []));
+    if (boosteds.status === 'fulfilled') allTokens.push(...(boosteds.value || []));
+
+    // Deduplicate
+    const seen = new Set();
+    const uniqueTokens = allTokens.filter(t => {
+        if (!t.address || seen.has(t.address)) return false;
+        seen.add(t.address);
+        return true;
+    });
+
+    return { candidates: uniqueTokens.slice(0, 30), totalScanned: uniqueTokens.length };
+}
+
+// Score the cached scan with a rule set and sort it into gems / watchlist / risky
+function scoreScan(scan, scamRules) {
+    // Enhanced analysis with bundle detection and holder tracking
+    const analyzedTokens = scan.candidates.map(token => analyzeTokenDeep(token, scamRules));
+
+    // Sort by safety score (higher = safer)
+    analyzedTokens.sort((a, b) => b.safetyScore - a.safetyScore);
+
+    // Categorize results
+    return {
+        // Clean gems - low risk, good metrics
+        gems: analyzedTokens.filter(t =>
+            t.safetyScore >= 65 &&
+            t.riskLevel !== 'CRITICAL' &&
+            !t.bundleDetected &&
+            t.ageHours < 12
+        ).slice(0, 6),
+
+        // Watchlist - moderate risk, needs monitoring
+        watchlist: analyzedTokens.filter(t =>
+            t.safetyScore >= 40 &&
+            t.safetyScore < 65 &&
+            t.riskLevel !== 'CRITICAL'
+        ).slice(0, 6),
+
+        // Risky - high risk indicators, trade with caution
+        risky: analyzedTokens.filter(t =>
+            t.safetyScore < 40 ||
+            t.riskLevel === 'CRITICAL' ||
+            t.bundleDetected
+        ).slice(0, 6),
+
+        // Stats
+        scanStats: {
+            totalScanned: scan.totalScanned,
+            bundlesDetected: analyzedTokens.filter(t => t.bundleDetected).length,
+            highRisk: analyzedTokens.filter(t => t.riskLevel === 'CRITICAL' || t.riskLevel === 'HIGH').length,
+            avgSafetyScore: Math.round(analyzedTokens.reduce((s, t) => s + t.safetyScore, 0) / analyzedTokens.length) || 0
+        },
+        lastUpdated: scan.lastUpdated
+    };
+}
+
+// Overrides ({ [ruleId]: { enabled, score } }, as saved by the Signals rule settings) merged
+// onto the default scam rules. Throws with a message fit for a 400 response
+function parseRuleOverrides(raw) {
+    if (!raw) return RiskScoring.SCAM_RULES;
+    if (raw.length > MAX_RULES_PARAM) {
+        throw new Error('Rule overrides are too large');
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (e) {
+        throw new Error('Rule overrides must be a JSON object');
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('Rule overrides must be a JSON object');
+    }
+
+    // Known rules only; enabled and score are the only fields a user can change
+    const overrides = {};
+    RiskScoring.SCAM_RULES.forEach(rule => {
+        const override = parsed[rule.id];
+        if (!override || typeof override !== 'object') return;
+        overrides[rule.id] = {
+            enabled: typeof override.enabled === 'boolean' ? override.enabled : rule.enabled,
+            score: Number.isFinite(override.score) ? Math.max(0, Math.min(100, Math.round(override.score))) : rule.score
+        };
+    });
+    return RuleEngine.mergeRules(RiskScoring.SCAM_RULES, overrides);
+}
+
 // Fetch fresh PumpFun launches - focus on very new tokens
-async function fetchPumpFunLaunches() {
+async function fetchPumpFunLaunches(signal) {
     const tokens = [];
 
     try {
         // Get newest Solana pairs
-        const response = await fetch('https://api.dexscreener.com/latest/dex/pairs/solana?sort=createdAt&order=desc');
+        const response = await fetch('https://api.dexscreener.com/latest/dex/pairs/solana?sort=createdAt&order=desc', { signal });
 
         if (!response.ok) {
             // Fallback to search
-            return await fetchViaSearch();
+            return await fetchViaSearch(signal);
         }
 
         const data = await response.json();
@@ -159,15 +226,16 @@ async function fetchPumpFunLaunches() {
             }
         }
     } catch (error) {
+        if (signal?.aborted) return tokens;
         console.warn('PumpFun fetch error:', error.message);
-        return await fetchViaSearch();
+        return await fetchViaSearch(signal);
     }
 
     return tokens;
 }
 
 // Fallback search method
-async function fetchViaSearch() {
+async function fetchViaSearch(signal) {
     const tokens = [];
     const terms = ['pump', 'fun', 'pepe', 'dog', 'ai', 'meme'];
 
@@ -175,7 +243,7 @@ async function fetchViaSearch() {
         const results = await Promise.all(
             terms.slice(0, 3).map(async term => {
                 try {
-                    const res = await fetch(`https://api.dexscreener.com/latest/dex/search?q=${term}`);
+                    const res = await fetch(`https://api.dexscreener.com/latest/dex/search?q=${term}`, { signal });
                     if (!res.ok) return [];
                     const data = await res.json();
                     return data.pairs || [];
@@ -197,11 +265,11 @@ async function fetchViaSearch() {
 }
 
 // Fetch new Solana tokens (not just PumpFun)
-async function fetchNewSolanaTokens() {
+async function fetchNewSolanaTokens(signal) {
     const tokens = [];
 
     try {
-        const response = await fetch('https://api.dexscreener.com/token-profiles/latest/v1');
+        const response = await fetch('https://api.dexscreener.com/token-profiles/latest/v1', { signal });
         if (!response.ok) return tokens;
 
         const profiles = await response.json();
@@ -209,7 +277,7 @@ async function fetchNewSolanaTokens() {
 
         if (solana.length > 0) {
             const addresses = solana.map(p => p.tokenAddress).slice(0, 10).join(',');
-            const detailRes = await fetch(`https://api.dexscreener.com/tokens/v1/solana/${addresses}`);
+            const detailRes = await fetch(`https://api.dexscreener.com/tokens/v1/solana/${addresses}`, { signal });
 
             if (detailRes.ok) {
                 const pairs = await detailRes.json();
@@ -234,11 +302,11 @@ async function fetchNewSolanaTokens() {
 }
 
 // Fetch boosted tokens
-async function fetchBoostedTokens() {
+async function fetchBoostedTokens(signal) {
     const tokens = [];
 
     try {
-        const response = await fetch('https://api.dexscreener.com/token-boosts/latest/v1');
+        const response = await fetch('https://api.dexscreener.com/token-boosts/latest/v1', { signal });
         if (!response.ok) return tokens;
 
         const boosts = await response.json();
@@ -246,7 +314,7 @@ async function fetchBoostedTokens() {
 
         if (solana.length > 0) {
             const addresses = solana.map(b => b.tokenAddress).slice(0, 10).join(',');
-            const detailRes = await fetch(`https://api.dexscreener.com/tokens/v1/solana/${addresses}`);
+            const detailRes = await fetch(`https://api.dexscreener.com/tokens/v1/solana/${addresses}`, { signal });
 
             if (detailRes.ok) {
                 const pairs = await detailRes.json();
@@ -313,273 +381,94 @@ function extractTokenData(pair) {
     };
 }
 
-// Deep analysis with bundle detection and holder tracking
-async function analyzeTokenDeep(token) {
-    let riskScore = 0;
-    let safetyScore = 50; // Start neutral
-    const risks = [];
-    const positives = [];
-
-    // ===== BUNDLE DETECTION =====
-    // Detect coordinated buying patterns (bundle indicator)
-    const bundleAnalysis = detectBundlePatterns(token);
-    let bundleDetected = false;
-
-    if (bundleAnalysis.likelihood === 'HIGH') {
-        riskScore += RISK_WEIGHTS.BUNDLE_DETECTED;
-        risks.push({ type: 'BUNDLE', severity: 'CRITICAL', detail: bundleAnalysis.reason });
-        bundleDetected = true;
-    } else if (bundleAnalysis.likelihood === 'MEDIUM') {
-        riskScore += Math.round(RISK_WEIGHTS.BUNDLE_DETECTED * 0.5);
-        risks.push({ type: 'BUNDLE_SUSPECT', severity: 'HIGH', detail: bundleAnalysis.reason });
-    }
-
-    // ===== FRESH WALLET INDICATOR =====
-    // High buy count with low unique traders = fresh wallets/insiders
-    const freshWalletIndicator = analyzeFreshWalletActivity(token);
-    if (freshWalletIndicator.suspicious) {
-        riskScore += RISK_WEIGHTS.FRESH_WALLET_BUYS;
-        risks.push({ type: 'FRESH_WALLETS', severity: 'MEDIUM', detail: freshWalletIndicator.reason });
-    }
-
-    // ===== HOLDER CONCENTRATION =====
-    // Estimate based on transaction patterns
-    const concentrationRisk = analyzeHolderConcentration(token);
-    if (concentrationRisk.high) {
-        riskScore += RISK_WEIGHTS.HIGH_HOLDER_CONCENTRATION;
-        risks.push({ type: 'CONCENTRATION', severity: 'HIGH', detail: concentrationRisk.reason });
-    } else if (concentrationRisk.moderate) {
-        riskScore += Math.round(RISK_WEIGHTS.HIGH_HOLDER_CONCENTRATION * 0.4);
-        risks.push({ type: 'CONCENTRATION', severity: 'MEDIUM', detail: concentrationRisk.reason });
-    } else {
-        safetyScore += LEGIT_SIGNALS.ORGANIC_DISTRIBUTION;
-        positives.push('Good distribution');
-    }
-
-    // ===== DEV BEHAVIOR =====
-    const devAnalysis = analyzeDevBehavior(token);
-    if (devAnalysis.dumping) {
-        riskScore += RISK_WEIGHTS.DEV_DUMPING;
-        risks.push({ type: 'DEV_DUMP', severity: 'CRITICAL', detail: devAnalysis.reason });
-    } else if (devAnalysis.holding) {
-        safetyScore += LEGIT_SIGNALS.DEV_HOLDING;
-        positives.push('Dev holding');
-    }
-
-    // ===== BUY/SELL RATIO =====
-    const totalTxns = (token.buys24h + token.sells24h) || 1;
-    const buyRatio = token.buys24h / totalTxns;
-
-    if (buyRatio > 0.92) {
-        // Almost all buys = setup for dump (insiders loading before dump)
-        riskScore += RISK_WEIGHTS.ONE_SIDED_BUYS;
-        risks.push({ type: 'ONE_SIDED', severity: 'HIGH', detail: `${Math.round(buyRatio * 100)}% buys - potential dump setup` });
-    } else if (buyRatio >= 0.3 && buyRatio <= 0.75) {
-        safetyScore += LEGIT_SIGNALS.HEALTHY_TRADING;
-        positives.push('Healthy trading');
-    } else if (buyRatio < 0.2) {
-        risks.push({ type: 'HEAVY_SELLS', severity: 'MEDIUM', detail: 'Heavy sell pressure' });
-    }
-
-    // ===== LIQUIDITY RATIO =====
-    const mcLiqRatio = token.liquidity > 0 ? token.mcap / token.liquidity : 999;
-
-    if (mcLiqRatio > 100) {
-        riskScore += RISK_WEIGHTS.LOW_LIQUIDITY_RATIO;
-        risks.push({ type: 'LOW_LIQ', severity: 'MEDIUM', detail: `MC/Liq: ${Math.round(mcLiqRatio)}x` });
-    } else if (mcLiqRatio < 30) {
-        safetyScore += LEGIT_SIGNALS.GOOD_LIQUIDITY;
-        positives.push('Good liquidity');
-    }
-
-    // ===== PRICE ACTION =====
-    if (token.priceChange1h > 500) {
-        riskScore += RISK_WEIGHTS.RAPID_PUMP;
-        risks.push({ type: 'RAPID_PUMP', severity: 'MEDIUM', detail: `+${Math.round(token.priceChange1h)}% 1h - manipulation risk` });
-    } else if (token.priceChange1h >= -20 && token.priceChange1h <= 100) {
-        safetyScore += LEGIT_SIGNALS.STABLE_GROWTH;
-        positives.push('Stable growth');
-    }
-
-    // ===== SOCIAL PRESENCE =====
-    if (token.hasSocials || token.hasWebsite) {
-        safetyScore += LEGIT_SIGNALS.HAS_SOCIALS;
-        positives.push('Has socials');
-    } else if (token.ageHours > 6) {
-        risks.push({ type: 'NO_SOCIALS', severity: 'LOW', detail: 'No social presence' });
-    }
-
-    // ===== COMMUNITY GROWTH =====
-    const recentActivity = (token.buys1h + token.sells1h) || 0;
-    if (recentActivity > 20 && token.volume1h > 1000) {
-        safetyScore += LEGIT_SIGNALS.GROWING_COMMUNITY;
-        positives.push('Active community');
-    }
-
-    // ===== FINAL SCORING =====
-    // Adjust safety score based on risk
-    safetyScore = Math.max(0, Math.min(100, safetyScore - riskScore));
-
-    // Determine risk level
-    let riskLevel = 'LOW';
-    if (bundleDetected || riskScore >= 50) riskLevel = 'CRITICAL';
-    else if (riskScore >= 35) riskLevel = 'HIGH';
-    else if (riskScore >= 20) riskLevel = 'MEDIUM';
+// Resolve after `ms` even if the work isn't done (partial enrichment is fine), aborting the
+// signal handed to `work` so its outstanding RPC calls stop instead of running on
+function withBudget(work, ms) {
+    const controller = new AbortController();
+    let timeoutId;
+    const timeout = new Promise(resolve => {
+        timeoutId = setTimeout(() => {
+            controller.abort();
+            resolve();
+        }, ms);
+    });
+    return Promise.race([work(controller.signal), timeout]).finally(() => clearTimeout(timeoutId));
+}
 
-    // Verdict
-    let verdict = 'RISKY';
-    if (safetyScore >= 70 && riskLevel === 'LOW') verdict = 'GEM';
-    else if (safetyScore >= 55 && riskLevel !== 'CRITICAL') verdict = 'PROMISING';
-    else if (safetyScore >= 40) verdict = 'WATCH';
-    else if (riskLevel === 'CRITICAL') verdict = 'AVOID';
+// Attach on-chain launch bundle evidence - suspected bundles first, then the youngest tokens
+async function enrichWithBundleAnalysis(tokens, signal) {
+    if (!process.env.SOLANA_RPC_URL || BUNDLE_ANALYZE_LIMIT <= 0) return;
 
-    return {
-        ...token,
-        safetyScore,
-        riskScore,
-        riskLevel,
-        verdict,
-        bundleDetected,
-        bundleRisk: bundleAnalysis,
-        risks,
-        positives,
-        metrics: {
-            buyRatio: Math.round(buyRatio * 100),
-            mcLiqRatio: Math.round(mcLiqRatio),
-            totalTxns,
-            recentActivity
+    const now = Date.now();
+    const pending = [];
+
+    tokens.forEach(token => {
+        const cached = bundleCache.get(token.address);
+        if (cached && (now - cached.timestamp) < BUNDLE_CACHE_TTL) {
+            token.bundleAnalysis = cached.data;
+        } else {
+            pending.push(token);
         }
-    };
-}
-
-// Detect bundle patterns from transaction data
-function detectBundlePatterns(token) {
-    const result = { likelihood: 'LOW', reason: '', indicators: [] };
-
-    // Pattern 1: Extremely high early buying with minimal sells
-    // Bundles typically show 95%+ buy ratio in first few hours
-    if (token.ageHours < 2) {
-        const buyRatio = token.buys24h / Math.max(1, token.buys24h + token.sells24h);
-        if (buyRatio > 0.95 && token.buys24h > 10) {
-            result.indicators.push('Near-100% buy ratio');
-            result.likelihood = 'HIGH';
+    });
+
+    const suspicion = token => RiskScoring.detectBundlePatterns(RiskScoring.normalizeToken(token)).likelihood;
+    const rank = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+    const targets = pending
+        .sort((a, b) => (rank[suspicion(a)] - rank[suspicion(b)]) || (a.ageHours - b.ageHours))
+        .slice(0, BUNDLE_ANALYZE_LIMIT);
+
+    await Promise.all(targets.map(async token => {
+        try {
+            const analysis = await BundleAnalyzer.analyzeBundles(token.address, { signal });
+            bundleCache.set(token.address, { data: analysis, timestamp: Date.now() });
+            token.bundleAnalysis = analysis;
+        } catch (error) {
+            if (!signal?.aborted) console.warn('Bundle analysis failed:', error.message);
         }
-    }
-
-    // Pattern 2: Very high volume but low transaction count
-    // Bundles = few large coordinated buys vs organic = many small buys
-    const avgTxnSize = token.volume24h / Math.max(1, token.buys24h + token.sells24h);
-    const mcapPct = (avgTxnSize / token.mcap) * 100;
-
-    if (mcapPct > 2 && token.buys24h < 50) {
-        // Avg transaction > 2% of mcap with few txns = suspicious
-        result.indicators.push(`Avg txn ${mcapPct.toFixed(1)}% of mcap`);
-        if (result.likelihood !== 'HIGH') result.likelihood = 'MEDIUM';
-    }
-
-    // Pattern 3: 5m snapshot shows burst buying
-    // Bundles happen in same slot (0.4s), so 5m window should catch multiple
-    if (token.buys5m > 5 && token.sells5m === 0 && token.ageHours < 0.5) {
-        result.indicators.push(`${token.buys5m} buys, 0 sells in 5m`);
-        result.likelihood = 'HIGH';
-    }
-
-    // Pattern 4: MC jumped way above typical for age
-    // Bundled tokens often have inflated MC early
-    if (token.ageHours < 1 && token.mcap > 500000 && token.buys24h < 30) {
-        result.indicators.push('High MC with few buyers');
-        if (result.likelihood !== 'HIGH') result.likelihood = 'MEDIUM';
-    }
-
-    // Build reason string
-    if (result.indicators.length > 0) {
-        result.reason = result.indicators.join(' | ');
-    }
-
-    return result;
+    }));
 }
 
-// Analyze for fresh wallet activity
-function analyzeFreshWalletActivity(token) {
-    const result = { suspicious: false, reason: '' };
-
-    // Fresh wallet indicator: many buys but very low volume diversity
-    // Real organic = varied buy sizes, fresh wallets = similar sized buys
-
-    const avgBuySize = token.volume24h / Math.max(1, token.buys24h);
-    const avgBuyPct = (avgBuySize / token.mcap) * 100;
-
-    // If most buys are suspiciously similar size (within tight range of mcap %)
-    // This is a heuristic - real detection would need on-chain data
-    if (token.buys24h > 20 && avgBuyPct > 0.5 && avgBuyPct < 3) {
-        // Suspiciously uniform buy sizes
-        if (token.sells24h < token.buys24h * 0.1) {
-            result.suspicious = true;
-            result.reason = 'Uniform buy sizes, minimal sells';
+// Attach on-chain holder shares (top 10, dev wallet) to the youngest tokens
+async function enrichWithHolderData(tokens, signal) {
+    if (!process.env.SOLANA_RPC_URL || HOLDER_ENRICH_LIMIT <= 0) return;
+
+    const targets = [...tokens]
+        .sort((a, b) => a.ageHours - b.ageHours)
+        .slice(0, HOLDER_ENRICH_LIMIT);
+
+    const results = await Promise.allSettled(
+        targets.map(token => SolanaRpc.getHolderSummary(token.address, { skipHolderCount: true, signal }))
+    );
+    if (signal?.aborted) return;
+
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            targets[i].top10Share = result.value.top10Share;
+            targets[i].devShare = result.value.devShare;
+            targets[i].devWallet = result.value.devWallet;
+        } else {
+            console.warn('Holder enrichment failed:', result.reason?.message);
         }
-    }
-
-    // Very new token with high holder count implied = likely fresh wallets
-    if (token.ageHours < 1 && token.buys24h > 50 && token.sells24h < 5) {
-        result.suspicious = true;
-        result.reason = '50+ buys in first hour, minimal sells';
-    }
-
-    return result;
+    });
 }
 
-// Analyze holder concentration from available data
-function analyzeHolderConcentration(token) {
-    const result = { high: false, moderate: false, reason: '' };
-
-    // Heuristic: If very high volume but few transactions, concentration is high
-    const txnCount = token.buys24h + token.sells24h;
-    const avgTxn = token.volume24h / Math.max(1, txnCount);
-
-    // If average transaction is > 5% of mcap, top holders are concentrated
-    const avgTxnPct = (avgTxn / token.mcap) * 100;
-
-    if (avgTxnPct > 10) {
-        result.high = true;
-        result.reason = `Large avg txn (${avgTxnPct.toFixed(0)}% of MC) suggests top holder concentration`;
-    } else if (avgTxnPct > 5) {
-        result.moderate = true;
-        result.reason = 'Moderate holder concentration indicated';
-    }
-
-    // Low txn count for token age = concentration
-    if (token.ageHours > 6 && txnCount < 50) {
-        result.moderate = true;
-        result.reason = 'Low trader count for token age';
-    }
-
-    return result;
-}
-
-// Analyze dev behavior patterns
-function analyzeDevBehavior(token) {
-    const result = { dumping: false, holding: true, reason: '' };
-
-    // Pattern: High sell pressure in first hours = dev dumping
-    if (token.ageHours < 6) {
-        const sellRatio = token.sells24h / Math.max(1, token.buys24h + token.sells24h);
-
-        if (sellRatio > 0.4 && token.priceChange1h < -30) {
-            result.dumping = true;
-            result.holding = false;
-            result.reason = 'High early sells with price drop';
-        } else if (sellRatio < 0.15) {
-            result.holding = true;
-            result.reason = 'Minimal selling, devs likely holding';
-        }
-    }
-
-    // If price dropped significantly but buy ratio is high = insider sold large
-    if (token.priceChange24h < -50 && token.buys24h > token.sells24h * 2) {
-        result.dumping = true;
-        result.holding = false;
-        result.reason = 'Price dumped despite more buys (large insider sell)';
-    }
+// Deep analysis with bundle detection and holder tracking
+function analyzeTokenDeep(token, scamRules) {
+    const report = RiskScoring.assessRisk(token, Date.now(), { scamRules });
+    // Raw launch analysis is summarised in bundleRisk
+    const { bundleAnalysis, ...tokenData } = token;
 
-    return result;
+    return {
+        ...tokenData,
+        safetyScore: report.safetyScore,
+        riskScore: report.riskScore,
+        riskLevel: report.riskLevel,
+        verdict: report.verdict,
+        bundleDetected: report.bundleDetected,
+        bundleRisk: report.bundleRisk,
+        scamScore: report.scamScore,
+        risks: report.risks,
+        positives: report.positives,
+        metrics: report.metrics
+    };
 }
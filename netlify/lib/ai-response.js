@@ -0,0 +1,120 @@
+// Model response handling
+// Turns model text into a validated object (shared/ai-schema.js), with one repair pass:
+// when the text isn't JSON or doesn't match the schema, the model gets its own reply back
+// with the list of problems and is asked for the corrected object. Failures surface as
+// AiResponseError with a code the UI can branch on:
+//   AI_REQUEST_FAILED  - the provider call itself failed
+//   AI_PARSE_FAILED    - no JSON object in the reply (after repair)
+//   AI_SCHEMA_INVALID  - JSON, but wrong types / enums / ranges (after repair)
+
+const AiSchema = require('../../shared/ai-schema.js');
+
+const REPAIR_ECHO_LIMIT = 6000; // chars of the invalid reply sent back for repair
+
+class AiResponseError extends Error {
+    constructor(code, message, details = [], status = 502) {
+        super(message);
+        this.name = 'AiResponseError';
+        this.code = code;
+        this.details = details;
+        this.status = status;
+    }
+}
+
+// Pull the JSON object out of a reply: strips markdown fences and surrounding prose,
+// drops trailing commas. Throws AI_PARSE_FAILED
+function extractJson(content) {
+    let jsonStr = typeof content === 'string' ? content : '';
+    if (jsonStr.includes('```json')) {
+        jsonStr = jsonStr.split('```json')[1].split('```')[0];
+    } else if (jsonStr.includes('```')) {
+        jsonStr = jsonStr.split('```')[1].split('```')[0];
+    }
+
+    const start = jsonStr.indexOf('{');
+    const end = jsonStr.lastIndexOf('}');
+    if (start < 0 || end < start) {
+        throw new AiResponseError('AI_PARSE_FAILED', 'Failed to parse AI response', ['no JSON object found']);
+    }
+    jsonStr = jsonStr.slice(start, end + 1);
+
+    try {
+        return JSON.parse(jsonStr);
+    } catch (e) {
+        try {
+            return JSON.parse(jsonStr.replace(/,\s*([}\]])/g, '$1'));
+        } catch (e2) {
+            throw new AiResponseError('AI_PARSE_FAILED', 'Failed to parse AI response', [e.message]);
+        }
+    }
+}
+
+// Returns the normalized object; throws AI_PARSE_FAILED / AI_SCHEMA_INVALID
+function parseAndValidate(content, schema) {
+    const parsed = extractJson(content);
+    const check = AiSchema.validate(parsed, schema);
+    if (!check.valid) {
+        throw new AiResponseError('AI_SCHEMA_INVALID', 'AI response failed validation', AiSchema.describeErrors(check.errors));
+    }
+    return check.value;
+}
+
+// Conversation for the repair pass: original messages + the bad reply + what was wrong
+function repairMessages(messages, content, error) {
+    const reply = (typeof content === 'string' ? content : '').trim().slice(0, REPAIR_ECHO_LIMIT) || '(empty reply)';
+    const problems = (error.details || []).map(d => `- ${d}`).join('\n') || `- ${error.message}`;
+    return [
+        ...messages,
+        { role: 'assistant', content: reply },
+        {
+            role: 'user',
+            content: `Your previous reply could not be used:\n${problems}\n\nReply with ONLY the corrected JSON object in the exact response format. No markdown, no commentary.`
+        }
+    ];
+}
+
+// content: a reply already in hand (streamed, or the agent's final turn). Validates it,
+// repairing once; onRepair(error) runs before the repair call
+async function validateOrRepair({ provider, system, messages, context, schema, content, onRepair }) {
+    try {
+        return parseAndValidate(content, schema);
+    } catch (error) {
+        if (!(error instanceof AiResponseError)) throw error;
+        console.warn(`AI response invalid (${error.code}), repairing:`, error.details.join('; '));
+        if (onRepair) onRepair(error);
+        const repaired = await provider.complete({ system, messages: repairMessages(messages, content, error), context });
+        return parseAndValidate(repaired, schema);
+    }
+}
+
+// provider: llm-provider.js provider. Validates the reply, repairing once
+async function completeJson({ provider, system, messages, context, schema }) {
+    const content = await provider.complete({ system, messages, context });
+    return validateOrRepair({ provider, system, messages, context, schema, content });
+}
+
+// Lambda-style error response for any error thrown while answering
+function errorResponse(error) {
+    if (error instanceof AiResponseError) {
+        console.error(`AI response error (${error.code}):`, error.message, error.details.join('; '));
+        return {
+            statusCode: error.status,
+            body: JSON.stringify({ error: error.message, code: error.code, details: error.details })
+        };
+    }
+    console.error('Function error:', error);
+    return {
+        statusCode: 500,
+        body: JSON.stringify({ error: error.message || 'Internal server error' })
+    };
+}
+
+module.exports = {
+    AiResponseError,
+    extractJson,
+    parseAndValidate,
+    repairMessages,
+    validateOrRepair,
+    completeJson,
+    errorResponse
+};
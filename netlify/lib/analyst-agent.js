@@ -0,0 +1,82 @@
+// Analyst agent
+// Runs the narrative analysis as a tool-using conversation: the model may call the live-data
+// tools in analyst-tools.js for up to maxToolRounds rounds (CONFIG.LLM.TASKS.ANALYZE), then
+// has to answer with the analysis JSON. Shared by analyze.js and analyze-stream.mjs.
+// onEvent sees everything as it happens - the tool trace is what the UI shows for auditing:
+//   { type: 'turn', round }                        - a model turn starts; earlier text was not the answer
+//   { type: 'text', text }                         - reply text
+//   { type: 'tool_call', id, name, input }
+//   { type: 'tool_result', id, name, ok, result | error, ms }
+
+const AnalystTools = require('./analyst-tools.js');
+
+const MAX_CALLS_PER_ROUND = 4; // Extra calls in one round are answered as skipped
+
+// Returns { text, calls } - text is the final turn's reply, calls the tool trace.
+// runTool(name, input, context) executes the calls - the provider's own (the mock's canned
+// results) when it has one, otherwise the live tools
+async function runAnalyst({ provider, system, messages, context, onEvent = () => {}, runTool = provider.runTool || AnalystTools.runTool }) {
+    const maxRounds = provider.settings.maxToolRounds || 0;
+    const conversation = [...messages];
+    const calls = [];
+
+    for (let round = 0; ; round++) {
+        const canCall = round < maxRounds;
+        onEvent({ type: 'turn', round });
+
+        // Tools stay declared once tool blocks are in the history; the last round may not call them
+        const tools = maxRounds > 0 ? { tools: AnalystTools.TOOLS, toolChoice: canCall ? 'auto' : 'none' } : {};
+        let text = '';
+        let stopReason = null;
+        const toolUses = [];
+        for await (const event of provider.turn({ system, messages: conversation, context, ...tools })) {
+            if (event.type === 'text') {
+                text += event.text;
+                onEvent(event);
+            } else if (event.type === 'tool_use') {
+                toolUses.push(event);
+            } else if (event.type === 'stop') {
+                stopReason = event.reason;
+            }
+        }
+
+        if (stopReason !== 'tool_use' || toolUses.length === 0 || !canCall) {
+            return { text, calls };
+        }
+
+        const batch = toolUses.slice(0, MAX_CALLS_PER_ROUND);
+        batch.forEach(({ id, name, input }) => onEvent({ type: 'tool_call', id, name, input }));
+        const outcomes = await Promise.all(batch.map(({ name, input }) => runTool(name, input, context)));
+
+        conversation.push({
+            role: 'assistant',
+            content: [
+                ...(text.trim() ? [{ type: 'text', text }] : []),
+                ...toolUses.map(({ id, name, input }) => ({ type: 'tool_use', id, name, input }))
+            ]
+        });
+        conversation.push({
+            role: 'user',
+            content: toolUses.map((use, i) => {
+                const outcome = outcomes[i] || { ok: false, error: `Skipped - at most ${MAX_CALLS_PER_ROUND} tool calls per round` };
+                return {
+                    type: 'tool_result',
+                    tool_use_id: use.id,
+                    content: AnalystTools.toolResultContent(outcome),
+                    is_error: !outcome.ok
+                };
+            })
+        });
+
+        batch.forEach(({ id, name, input }, i) => {
+            const { ok, result, error, ms } = outcomes[i];
+            const outcome = { id, name, ok, ms, ...(ok ? { result } : { error }) };
+            calls.push({ ...outcome, input });
+            onEvent({ type: 'tool_result', ...outcome });
+        });
+    }
+}
+
+module.exports = {
+    runAnalyst
+};
@@ -0,0 +1,277 @@
+// Analyst tools
+// Live-data tools the analysis model can call while it works (analyst-agent.js), instead of
+// relying only on the top movers baked into the prompt. Each tool is a thin wrapper over a
+// public data source or one of our own functions, called in-process so it shares their caches:
+//   search_tokens        - DEX Screener search, Solana pairs only
+//   get_token_pairs      - every DEX Screener pair for one token
+//   get_trench_scan      - trench-agent.js (fresh launches, safety / bundle reads)
+//   get_narrative_radar  - narrative-radar.js (ranked emerging narratives, new-token clusters)
+//   get_holder_data      - holders.js (on-chain holder concentration, dev share)
+// Results are trimmed to the fields the model reasons with - they go back into the
+// conversation, and to the UI as the tool trace.
+
+const SolanaRpc = require('./solana-rpc.js');
+const TrenchAgent = require('../functions/trench-agent.js');
+const NarrativeRadar = require('../functions/narrative-radar.js');
+const Holders = require('../functions/holders.js');
+
+const DEX_SCREENER_URL = 'https://api.dexscreener.com';
+const TOOL_TIMEOUT_MS = 8000;
+const MAX_RESULT_CHARS = 6000; // Per tool result sent back to the model
+
+const TOOLS = [
+    {
+        name: 'search_tokens',
+        description: 'Search Solana tokens on DEX Screener by name, ticker or theme keyword. Returns up to 8 pairs sorted by liquidity with price, volume, price change, market cap and age.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Name, ticker (without $) or keyword, e.g. "pepe" or "ai agent"' }
+            },
+            required: ['query']
+        }
+    },
+    {
+        name: 'get_token_pairs',
+        description: 'Load every DEX Screener pair for one Solana token address: liquidity, volume, buy/sell counts and price change per pair.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                address: { type: 'string', description: 'Solana token mint address' }
+            },
+            required: ['address']
+        }
+    },
+    {
+        name: 'get_trench_scan',
+        description: 'Latest scan of fresh PumpFun / Solana launches, split into gems, watchlist and risky, with safety score, risk level, bundle detection and holder concentration.',
+        input_schema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'get_narrative_radar',
+        description: 'Emerging narratives ranked by CT relevance, merged from PumpFun, X trends and DEX Screener, with category, sources and lifecycle phase (EMERGING, ACCELERATING, PEAKING, FADING) per narrative and per category, ticker collisions (other tokens using the same ticker, often copycats), plus clusters of new uncategorized tokens that reference the same meme.',
+        input_schema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'get_holder_data',
+        description: 'On-chain holder data for one Solana token: holder count, top-10 wallet share, dev wallet and dev share.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                address: { type: 'string', description: 'Solana token mint address' }
+            },
+            required: ['address']
+        }
+    }
+];
+
+const round = (value, digits = 2) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.round(n * 10 ** digits) / 10 ** digits : null;
+};
+
+const ageHours = createdAt => createdAt ? round((Date.now() - createdAt) / 3600000, 1) : null;
+
+function summarizePair(pair) {
+    return {
+        address: pair.baseToken?.address,
+        symbol: pair.baseToken?.symbol,
+        name: pair.baseToken?.name,
+        dex: pair.dexId,
+        pairAddress: pair.pairAddress,
+        priceUsd: Number(pair.priceUsd) || null,
+        liquidity: round(pair.liquidity?.usd, 0),
+        volume1h: round(pair.volume?.h1, 0),
+        volume24h: round(pair.volume?.h24, 0),
+        priceChange1h: round(pair.priceChange?.h1, 1),
+        priceChange24h: round(pair.priceChange?.h24, 1),
+        buys24h: pair.txns?.h24?.buys ?? null,
+        sells24h: pair.txns?.h24?.sells ?? null,
+        marketCap: round(pair.marketCap || pair.fdv, 0),
+        ageHours: ageHours(pair.pairCreatedAt)
+    };
+}
+
+function summarizeScanToken(token) {
+    return {
+        address: token.address,
+        symbol: token.symbol,
+        name: token.name,
+        safetyScore: token.safetyScore,
+        riskLevel: token.riskLevel,
+        verdict: token.verdict,
+        bundleDetected: !!token.bundleDetected,
+        marketCap: round(token.mcap, 0),
+        liquidity: round(token.liquidity, 0),
+        volume1h: round(token.volume1h, 0),
+        priceChange1h: round(token.priceChange1h, 1),
+        ageHours: round(token.ageHours, 1),
+        top10Share: token.top10Share ?? null,
+        risks: (token.risks || []).slice(0, 3)
+    };
+}
+
+// Runs one of our function handlers in-process and returns its parsed body
+async function invokeHandler(handler, queryStringParameters = {}) {
+    const response = await handler({ httpMethod: 'GET', queryStringParameters });
+    const body = JSON.parse(response.body || '{}');
+    if (response.statusCode !== 200) {
+        throw new Error(body.error || `Request failed (${response.statusCode})`);
+    }
+    return body;
+}
+
+async function fetchDexScreener(path) {
+    const response = await fetch(`${DEX_SCREENER_URL}${path}`, {
+        headers: { 'Accept': 'application/json' }
+    });
+    if (!response.ok) {
+        throw new Error(`DEX Screener request failed (${response.status})`);
+    }
+    return response.json();
+}
+
+function requireAddress(input) {
+    const address = typeof input?.address === 'string' ? input.address.trim() : '';
+    if (!SolanaRpc.isValidMint(address)) {
+        throw new Error('A valid Solana token address is required');
+    }
+    return address;
+}
+
+const EXECUTORS = {
+    async search_tokens(input) {
+        const query = typeof input?.query === 'string' ? input.query.replace(/^\$/, '').trim().slice(0, 60) : '';
+        if (query.length < 2) {
+            throw new Error('Search query must be at least 2 characters');
+        }
+        const data = await fetchDexScreener(`/latest/dex/search?q=${encodeURIComponent(query)}`);
+        const pairs = (data.pairs || [])
+            .filter(pair => pair.chainId === 'solana')
+            .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))
+            .slice(0, 8)
+            .map(summarizePair);
+        return { query, results: pairs };
+    },
+
+    async get_token_pairs(input) {
+        const address = requireAddress(input);
+        const pairs = await fetchDexScreener(`/tokens/v1/solana/${address}`);
+        const list = Array.isArray(pairs) ? pairs : [];
+        if (list.length === 0) {
+            throw new Error('No pairs found for this token');
+        }
+        return {
+            address,
+            pairCount: list.length,
+            pairs: list
+                .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))
+                .slice(0, 5)
+                .map(summarizePair)
+        };
+    },
+
+    async get_trench_scan() {
+        const scan = await invokeHandler(TrenchAgent.handler);
+        if (scan.error) {
+            throw new Error(scan.error);
+        }
+        return {
+            gems: (scan.gems || []).slice(0, 4).map(summarizeScanToken),
+            watchlist: (scan.watchlist || []).slice(0, 4).map(summarizeScanToken),
+            risky: (scan.risky || []).slice(0, 4).map(summarizeScanToken),
+            scanStats: scan.scanStats || null,
+            lastUpdated: scan.lastUpdated
+        };
+    },
+
+    async get_narrative_radar() {
+        const radar = await invokeHandler(NarrativeRadar.handler);
+        return {
+            narratives: (radar.narratives || []).slice(0, 8).map(n => ({
+                text: n.text,
+                category: n.category,
+                categories: n.categories || [],
+                ctCategory: n.ctCategory,
+                relevanceScore: n.relevanceScore,
+                engagement: n.engagement,
+                sources: n.sources,
+                symbol: n.symbol || null,
+                address: n.address || null,
+                priceChange1h: round(n.priceChange1h, 1),
+                volume24h: round(n.volume24h, 0),
+                phase: n.lifecycle?.phase || null,
+                tickerCollision: n.tickerCollision
+                    ? { count: n.tickerCollision.count, others: n.tickerCollision.others }
+                    : null
+            })),
+            categories: (radar.lifecycle?.categories || []).map(c => ({
+                category: c.category,
+                phase: c.phase,
+                narrativeCount: c.narrativeCount,
+                scoreDelta: c.scoreDelta
+            })),
+            clusters: (radar.clusters || []).slice(0, 4).map(c => ({
+                name: c.name,
+                size: c.size,
+                volume24h: c.volume24h,
+                newLastHour: c.newLastHour,
+                members: (c.members || []).slice(0, 5).map(m => ({ symbol: m.symbol, address: m.address, volume24h: m.volume24h }))
+            })),
+            stale: !!radar.stale,
+            lastUpdated: radar.lastUpdated
+        };
+    },
+
+    async get_holder_data(input) {
+        const address = requireAddress(input);
+        const holders = await invokeHandler(Holders.handler, { mint: address });
+        return {
+            address,
+            holderCount: holders.holderCount,
+            top10Share: holders.top10Share,
+            devWallet: holders.devWallet,
+            devShare: holders.devShare,
+            topHolders: (holders.topHolders || []).slice(0, 5).map(h => ({
+                owner: h.owner,
+                share: h.share,
+                isProgram: h.isProgram
+            }))
+        };
+    }
+};
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Tool timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Never throws - a failed tool is reported back to the model (and the trace) as an error
+async function runTool(name, input) {
+    const started = Date.now();
+    const executor = EXECUTORS[name];
+    if (!executor) {
+        return { ok: false, error: `Unknown tool: ${name}`, ms: 0 };
+    }
+    try {
+        const result = await withTimeout(executor(input || {}), TOOL_TIMEOUT_MS);
+        return { ok: true, result, ms: Date.now() - started };
+    } catch (error) {
+        return { ok: false, error: error.message || 'Tool failed', ms: Date.now() - started };
+    }
+}
+
+// Tool result content for the model
+function toolResultContent(outcome) {
+    const text = outcome.ok ? JSON.stringify(outcome.result) : outcome.error;
+    return text.length > MAX_RESULT_CHARS ? `${text.slice(0, MAX_RESULT_CHARS)}... (truncated)` : text;
+}
+
+module.exports = {
+    TOOLS,
+    runTool,
+    toolResultContent
+};
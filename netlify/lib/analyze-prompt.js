@@ -0,0 +1,144 @@
+// Narrative analysis prompt
+// Shared by analyze.js (JSON) and analyze-stream.mjs (server-sent events);
+// replies are parsed and validated by ai-response.js. With tools, the analysis runs through
+// analyst-agent.js and the prompt tells the model to check live data before it answers.
+// Follow-up questions on an analysis thread (analyze.js with a thread) replay the analysis
+// as conversation history.
+
+const AiSchema = require('../../shared/ai-schema.js');
+
+const MAX_THREAD_TURNS = 10; // Prior follow-ups sent as context - older ones drop off
+
+// Returns an error message, or null when the query is usable
+function validateQuery(query) {
+    if (!query || typeof query !== 'string') {
+        return 'Query is required';
+    }
+    if (query.length < 3 || query.length > 2000) {
+        return 'Query must be between 3 and 2000 characters';
+    }
+    return null;
+}
+
+// Returns an error message, or null when the thread can be continued
+function validateThread(thread) {
+    if (!thread || typeof thread !== 'object') {
+        return 'Thread must be an object';
+    }
+    if (validateQuery(thread.query)) {
+        return 'Thread query is invalid';
+    }
+    if (!thread.result || typeof thread.result !== 'object') {
+        return 'Thread result is required';
+    }
+    if (thread.turns !== undefined && !Array.isArray(thread.turns)) {
+        return 'Thread turns must be an array';
+    }
+    return null;
+}
+
+function buildLiveDataContext(liveData) {
+    if (!liveData || liveData.length === 0) return '';
+
+    let liveDataContext = `\n\nCURRENT LIVE TOKEN DATA (Top movers from DEX Screener):\n`;
+    liveData.forEach((token, i) => {
+        liveDataContext += `${i + 1}. $${token.symbol} (${token.name})\n`;
+        liveDataContext += `   Price: $${token.price} | 1h: ${token.priceChange1h > 0 ? '+' : ''}${token.priceChange1h?.toFixed(1) || 0}% | 24h: ${token.priceChange24h > 0 ? '+' : ''}${token.priceChange24h?.toFixed(1) || 0}%\n`;
+        liveDataContext += `   Vol: $${(token.volume24h || 0).toLocaleString()} | MCap: $${(token.marketCap || 0).toLocaleString()}\n`;
+    });
+    liveDataContext += `\nUse this REAL data to inform your analysis. Reference specific tokens that are actually moving.`;
+    return liveDataContext;
+}
+
+// Added when the model can call the analyst tools (analyst-tools.js)
+const TOOL_GUIDE = `
+LIVE DATA TOOLS: Before answering you can call tools to pull exactly the data you need - search tokens by name or keyword, load a token's pairs, the trench scan of fresh launches, the narrative radar, on-chain holder data.
+- Check the tokens and narratives you are about to call out instead of guessing
+- Only cite numbers that come from the live data or a tool result
+- Don't narrate tool calls; once you have what you need, reply with the JSON only
+`;
+
+// Fields stream in the order listed in the response format - keep the headline fields first
+function buildSystemPrompt(liveData, { tools = false } = {}) {
+    return `You are NarrativeAlpha, an expert AI system specialized in detecting emerging memecoin narratives and crypto market trends. Your role is to analyze social signals, identify potential narrative plays, and provide actionable intelligence.
+
+Your analysis style:
+- Be direct and punchy, like CT (Crypto Twitter) alpha calls
+- Focus on actionable insights, not generic advice
+- Identify specific narrative themes, potential tickers, and timing
+- Assess risk vectors honestly
+- Use crypto-native terminology
+${liveData ? '- When live data is provided, reference ACTUAL tokens that are moving' : ''}
+${tools ? TOOL_GUIDE : ''}
+IMPORTANT: Respond ONLY with valid JSON. No markdown, no code blocks, just raw JSON.
+
+Response format:
+{
+    "narrative_name": "Short catchy name for the narrative",
+    "confidence": 0-100,
+    "velocity_score": 1.0-10.0,
+    "alert_level": "LOW|MEDIUM|HIGH|URGENT",
+    "summary": "2-3 sentence explanation of the narrative and why it matters",
+    "catalysts": ["catalyst 1", "catalyst 2", "catalyst 3"],
+    "suggested_tickers": ["TICKER1", "TICKER2", "TICKER3"],
+    "risk_vectors": ["risk 1", "risk 2", "risk 3"],
+    "timeline": "Expected window for this narrative (e.g., '24-48 hours', '1-2 weeks')",
+    "actionable_intel": "Specific actionable advice for traders"
+}`;
+}
+
+function buildMessages(query, liveData) {
+    return [
+        {
+            role: 'user',
+            content: `Analyze this narrative query and provide intelligence:\n\n${query}${buildLiveDataContext(liveData)}`
+        }
+    ];
+}
+
+function buildFollowUpSystemPrompt(liveData) {
+    return `You are NarrativeAlpha, an expert AI system specialized in detecting emerging memecoin narratives and crypto market trends. You already gave the narrative analysis earlier in this conversation; now you answer the trader's follow-up questions about it.
+
+Your answer style:
+- Be direct and punchy, like CT (Crypto Twitter) alpha calls
+- Stay consistent with your earlier analysis - if the live data contradicts it, say so plainly
+- Only cite numbers (price, liquidity, volume, market cap) that appear in the live data
+- Only reference tokens from your analysis or the live data
+${liveData ? '- The live data is the snapshot taken when the analysis ran - it may be a few minutes old' : ''}
+
+IMPORTANT: Respond ONLY with valid JSON. No markdown, no code blocks, just raw JSON.
+
+Response format:
+{
+    "answer": "Direct answer to the follow-up question (2-5 sentences)",
+    "referenced_tickers": ["TICKER1", "TICKER2"]
+}`;
+}
+
+// Original query + live data, the analysis as the first reply, then each prior follow-up.
+// Earlier replies go back through the schemas so a tampered thread can't smuggle extra text in
+function buildThreadMessages(thread, question, liveData) {
+    const turns = (thread.turns || [])
+        .filter(turn => typeof turn?.question === 'string' && turn.answer && typeof turn.answer === 'object')
+        .slice(-MAX_THREAD_TURNS);
+
+    return [
+        ...buildMessages(thread.query, liveData),
+        { role: 'assistant', content: JSON.stringify(AiSchema.validate(thread.result, AiSchema.NARRATIVE_ANALYSIS).value) },
+        ...turns.flatMap(turn => [
+            { role: 'user', content: turn.question.slice(0, 2000) },
+            { role: 'assistant', content: JSON.stringify(AiSchema.validate(turn.answer, AiSchema.FOLLOW_UP).value) }
+        ]),
+        { role: 'user', content: question }
+    ];
+}
+
+module.exports = {
+    MAX_THREAD_TURNS,
+    validateQuery,
+    buildSystemPrompt,
+    buildMessages,
+    validateThread,
+    buildFollowUpSystemPrompt,
+    buildThreadMessages
+};
@@ -0,0 +1,280 @@
+// On-chain bundle analyzer
+// Reads a token's earliest transactions and flags launch bundles:
+//   - same-slot buys from multiple wallets
+//   - buyer wallets funded by the same source
+//   - buys that tip a Jito block engine account (bundle submission)
+// Returns the wallets involved and the share of supply they bought / still hold, or an
+// inconclusive result (likelihood UNKNOWN) when the launch is too far back in the history.
+
+const SolanaRpc = require('./solana-rpc.js');
+
+// Jito tip payment accounts (mainnet)
+const JITO_TIP_ACCOUNTS = new Set([
+    '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+    'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+    'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+    'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+    'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+    'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+    'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+    '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT'
+]);
+
+const DEFAULTS = {
+    earlyTxns: 40,          // Launch transactions to inspect
+    maxFundingLookups: 15,  // Buyer wallets to trace funding for
+    fundingPages: 2,        // Signature pages (1000 each) walked back to a buyer's first transaction
+    concurrency: 5
+};
+
+// Thresholds for the overall verdict
+const LIKELIHOOD = {
+    HIGH_SAME_SLOT_WALLETS: 3,  // 3+ wallets buying in one slot
+    HIGH_FUNDING_CLUSTER: 3,    // 3+ buyers funded by one wallet
+    HIGH_BUNDLED_SHARE: 10      // Flagged wallets bought 10%+ of supply
+};
+
+// All parsed instructions, including inner (CPI) instructions
+function allInstructions(tx) {
+    const outer = tx?.transaction?.message?.instructions || [];
+    const inner = (tx?.meta?.innerInstructions || []).flatMap(i => i.instructions || []);
+    return [...outer, ...inner];
+}
+
+function findJitoTip(tx) {
+    return allInstructions(tx).find(ix =>
+        ix.program === 'system' &&
+        ix.parsed?.type === 'transfer' &&
+        JITO_TIP_ACCOUNTS.has(ix.parsed.info?.destination)
+    ) || null;
+}
+
+// Per-owner change in the mint's balance within a transaction
+function tokenDeltas(tx, mint) {
+    const deltas = {};
+    const pre = (tx?.meta?.preTokenBalances || []).filter(b => b.mint === mint);
+    const post = (tx?.meta?.postTokenBalances || []).filter(b => b.mint === mint);
+
+    pre.forEach(b => {
+        if (!b.owner) return;
+        deltas[b.owner] = (deltas[b.owner] || 0) - (b.uiTokenAmount?.uiAmount || 0);
+    });
+    post.forEach(b => {
+        if (!b.owner) return;
+        deltas[b.owner] = (deltas[b.owner] || 0) + (b.uiTokenAmount?.uiAmount || 0);
+    });
+
+    return deltas;
+}
+
+// Extract buys from one launch transaction
+function parseLaunchTransaction(tx, signature, mint) {
+    if (!tx || tx.meta?.err) return [];
+
+    const feePayer = SolanaRpc.getFeePayer(tx);
+    const jitoTip = findJitoTip(tx);
+    const deltas = tokenDeltas(tx, mint);
+
+    // The buyer is whoever gained tokens; prefer the fee payer if it gained
+    return Object.entries(deltas)
+        .filter(([, delta]) => delta > 0)
+        .filter(([owner]) => owner === feePayer || !deltas[feePayer] || deltas[feePayer] <= 0)
+        .map(([owner, amount]) => ({
+            wallet: owner,
+            amount,
+            slot: tx.slot,
+            signature,
+            jitoTip: jitoTip ? { account: jitoTip.parsed.info.destination, lamports: jitoTip.parsed.info.lamports } : null
+        }));
+}
+
+// Find the wallet that first sent SOL to `wallet`. Walks back to the start of its history;
+// a wallet with more than `fundingPages` pages of activity is an old wallet, not a fresh
+// bundle wallet, and its funder is reported as unknown (null)
+async function findFundingSource(wallet, options = {}) {
+    const sigs = await SolanaRpc.getEarliestSignatures(wallet, {
+        ...options,
+        count: 3,
+        maxPages: options.fundingPages || DEFAULTS.fundingPages
+    });
+    if (!sigs || sigs.length === 0) return null;
+
+    // Oldest first - the funding transfer is normally the very first one
+    for (const sig of sigs) {
+        const tx = await SolanaRpc.getParsedTransaction(sig.signature, options);
+        const funding = allInstructions(tx).find(ix =>
+            ix.program === 'system' &&
+            ix.parsed?.type === 'transfer' &&
+            ix.parsed.info?.destination === wallet
+        );
+        if (funding) return funding.parsed.info.source;
+    }
+
+    return null;
+}
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+// Same shape as a full analysis, with no verdict
+function inconclusiveResult(mint) {
+    return {
+        mint,
+        creator: null,
+        analyzedTxns: 0,
+        likelihood: 'UNKNOWN',
+        inconclusive: true,
+        bundleDetected: false,
+        bundledShare: 0,
+        currentBundledShare: null,
+        wallets: [],
+        sameSlotBuys: [],
+        fundingClusters: [],
+        jitoBundles: [],
+        evidence: ['Launch transactions out of reach - history too long to check for bundles']
+    };
+}
+
+async function analyzeBundles(mint, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+
+    const [supply, earliest] = await Promise.all([
+        SolanaRpc.getTokenSupply(mint, options),
+        SolanaRpc.getEarliestSignatures(mint, { ...options, count: settings.earlyTxns })
+    ]);
+
+    // History too long to reach the launch - the oldest transactions we could read are
+    // mid-life trades, so there's nothing to judge a launch bundle by
+    if (!earliest) {
+        return inconclusiveResult(mint);
+    }
+
+    // ===== LAUNCH BUYS =====
+    const txResults = await SolanaRpc.mapLimit(earliest, settings.concurrency, sig =>
+        SolanaRpc.getParsedTransaction(sig.signature, options)
+    );
+
+    // Skip the pool / bonding curve receiving the initial supply
+    const seedThreshold = supply.amount * 0.5;
+    const buys = [];
+    txResults.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            buys.push(...parseLaunchTransaction(result.value, earliest[i].signature, mint).filter(b => b.amount < seedThreshold));
+        }
+    });
+
+    const creator = earliest.length > 0 && txResults[0]?.status === 'fulfilled'
+        ? SolanaRpc.getFeePayer(txResults[0].value)
+        : null;
+
+    const wallets = {};
+    buys.forEach(buy => {
+        const entry = wallets[buy.wallet] || (wallets[buy.wallet] = { wallet: buy.wallet, bought: 0, slots: new Set(), flags: new Set() });
+        entry.bought += buy.amount;
+        entry.slots.add(buy.slot);
+        if (buy.jitoTip) entry.flags.add('JITO_TIP');
+        if (buy.wallet === creator) entry.flags.add('CREATOR');
+    });
+
+    // ===== SAME-SLOT BUYS =====
+    const bySlot = {};
+    buys.forEach(buy => (bySlot[buy.slot] = bySlot[buy.slot] || new Set()).add(buy.wallet));
+    const sameSlotBuys = Object.entries(bySlot)
+        .filter(([, set]) => set.size >= 2)
+        .map(([slot, set]) => ({ slot: Number(slot), wallets: [...set] }));
+    sameSlotBuys.forEach(group => group.wallets.forEach(w => wallets[w].flags.add('SAME_SLOT')));
+
+    // ===== JITO BUNDLES =====
+    const jitoBundles = buys
+        .filter(buy => buy.jitoTip)
+        .map(buy => ({ slot: buy.slot, signature: buy.signature, wallet: buy.wallet, tipLamports: buy.jitoTip.lamports }));
+
+    // ===== SHARED FUNDING =====
+    // Trace the earliest / largest buyers first
+    const traceTargets = Object.values(wallets)
+        .sort((a, b) => b.bought - a.bought)
+        .slice(0, settings.maxFundingLookups)
+        .map(w => w.wallet);
+
+    const fundingResults = await SolanaRpc.mapLimit(traceTargets, settings.concurrency, wallet =>
+        findFundingSource(wallet, { ...options, fundingPages: settings.fundingPages })
+    );
+    const byFunder = {};
+    fundingResults.forEach((result, i) => {
+        if (result.status !== 'fulfilled' || !result.value) return;
+        (byFunder[result.value] = byFunder[result.value] || []).push(traceTargets[i]);
+    });
+
+    const fundingClusters = Object.entries(byFunder)
+        .filter(([, funded]) => funded.length >= 2)
+        .map(([funder, funded]) => ({ funder, wallets: funded }));
+    fundingClusters.forEach(cluster => cluster.wallets.forEach(w => wallets[w].flags.add('SHARED_FUNDER')));
+
+    // ===== SUPPLY SHARE =====
+    const flagged = Object.values(wallets).filter(w =>
+        w.flags.has('SAME_SLOT') || w.flags.has('SHARED_FUNDER') || w.flags.has('JITO_TIP')
+    );
+
+    const balanceResults = await SolanaRpc.mapLimit(flagged, settings.concurrency, w =>
+        SolanaRpc.getWalletTokenBalance(w.wallet, mint, options)
+    );
+
+    const toShare = amount => (supply.amount > 0 ? (amount / supply.amount) * 100 : 0);
+    const flaggedWallets = flagged.map((w, i) => ({
+        wallet: w.wallet,
+        boughtShare: round2(toShare(w.bought)),
+        currentShare: balanceResults[i].status === 'fulfilled' ? round2(toShare(balanceResults[i].value)) : null,
+        flags: [...w.flags]
+    })).sort((a, b) => b.boughtShare - a.boughtShare);
+
+    const bundledShare = round2(flaggedWallets.reduce((sum, w) => sum + w.boughtShare, 0));
+    const knownCurrent = flaggedWallets.filter(w => w.currentShare !== null);
+    const currentBundledShare = knownCurrent.length > 0
+        ? round2(knownCurrent.reduce((sum, w) => sum + w.currentShare, 0))
+        : null;
+
+    // ===== VERDICT =====
+    const largestSlotGroup = Math.max(0, ...sameSlotBuys.map(g => g.wallets.length));
+    const largestFundingCluster = Math.max(0, ...fundingClusters.map(c => c.wallets.length));
+
+    let likelihood = 'LOW';
+    if (largestSlotGroup >= LIKELIHOOD.HIGH_SAME_SLOT_WALLETS ||
+        largestFundingCluster >= LIKELIHOOD.HIGH_FUNDING_CLUSTER ||
+        (flaggedWallets.length > 0 && bundledShare >= LIKELIHOOD.HIGH_BUNDLED_SHARE)) {
+        likelihood = 'HIGH';
+    } else if (flaggedWallets.length > 0) {
+        likelihood = 'MEDIUM';
+    }
+
+    const evidence = [];
+    if (largestSlotGroup >= 2) evidence.push(`${largestSlotGroup} wallets bought in the same slot`);
+    if (largestFundingCluster >= 2) evidence.push(`${largestFundingCluster} buyers funded by one wallet`);
+    if (jitoBundles.length > 0) evidence.push(`${jitoBundles.length} launch buys tipped Jito`);
+    if (flaggedWallets.length > 0) {
+        evidence.push(`Bundled wallets bought ${bundledShare.toFixed(1)}% of supply` +
+            (currentBundledShare !== null ? `, still hold ${currentBundledShare.toFixed(1)}%` : ''));
+    }
+
+    return {
+        mint,
+        creator,
+        analyzedTxns: earliest.length,
+        likelihood,
+        bundleDetected: likelihood === 'HIGH',
+        bundledShare,
+        currentBundledShare,
+        wallets: flaggedWallets,
+        sameSlotBuys,
+        fundingClusters,
+        jitoBundles,
+        evidence
+    };
+}
+
+module.exports = {
+    JITO_TIP_ACCOUNTS,
+    parseLaunchTransaction,
+    findFundingSource,
+    analyzeBundles
+};
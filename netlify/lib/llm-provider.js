@@ -0,0 +1,388 @@
+// LLM provider layer
+// One interface for every AI call, configured per task (CONFIG.LLM in config.js, env overrides):
+//   const provider = createProvider('ANALYZE');
+//   await provider.complete({ system, messages, context })   -> full reply text
+//   for await (const delta of provider.stream({ ... }))      -> reply text in pieces
+//   for await (const event of provider.turn({ ..., tools }))  -> one tool-using turn:
+//       { type: 'text', text } | { type: 'tool_use', id, name, input } | { type: 'stop', reason }
+// Providers:
+//   - anthropic: Messages API with a per-request timeout; on a timeout, 429 or 5xx the
+//     request is retried once on the task's fallback model. With budgetMs (synchronous
+//     functions, CONFIG.LLM.SYNC_BUDGET_MS) every request of the provider has to finish inside it
+//   - mock: deterministic canned replies built from context - no key, no network
+//     (LLM_PROVIDER=mock, e.g. for netlify dev / offline runs). Its tool calls are answered by
+//     provider.runTool with canned results too, which analyst-agent.js uses over the live tools
+
+const CONFIG = require('../../config.js');
+const { AiResponseError } = require('./ai-response.js');
+
+const ANTHROPIC_URL = `${CONFIG.API.ANTHROPIC_BASE_URL}/messages`;
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504, 529]);
+const MIN_ATTEMPT_MS = 1500; // Less budget than this left and a request isn't worth starting
+
+// Task settings from config.js, overridden by <TASK>_MODEL etc. An empty
+// <TASK>_FALLBACK_MODEL turns the fallback off. options.maxToolRounds overrides both
+function resolveSettings(task, env = process.env, { budgetMs = null, maxToolRounds } = {}) {
+    const defaults = CONFIG.LLM.TASKS[task];
+    if (!defaults) {
+        throw new Error(`Unknown LLM task: ${task}`);
+    }
+    const fallbackModel = env[`${task}_FALLBACK_MODEL`] !== undefined
+        ? env[`${task}_FALLBACK_MODEL`]
+        : defaults.FALLBACK_MODEL;
+    const model = env[`${task}_MODEL`] || defaults.MODEL;
+
+    return {
+        provider: env.LLM_PROVIDER || CONFIG.LLM.PROVIDER,
+        model,
+        fallbackModel: fallbackModel && fallbackModel !== model ? fallbackModel : null,
+        maxTokens: parseInt(env[`${task}_MAX_TOKENS`]) || defaults.MAX_TOKENS,
+        timeoutMs: parseInt(env[`${task}_TIMEOUT_MS`]) || defaults.TIMEOUT_MS,
+        budgetMs: budgetMs > 0 ? budgetMs : null,
+        maxToolRounds: Number.isInteger(maxToolRounds) ? Math.max(0, maxToolRounds)
+            : Number.isInteger(parseInt(env[`${task}_MAX_TOOL_ROUNDS`]))
+                ? Math.max(0, parseInt(env[`${task}_MAX_TOOL_ROUNDS`]))
+                : (defaults.MAX_TOOL_ROUNDS || 0)
+    };
+}
+
+// Split an SSE buffer into complete frames; returns [frames, remainder]
+function splitSseFrames(buffer) {
+    const parts = buffer.replace(/\r\n/g, '\n').split('\n\n');
+    const remainder = parts.pop();
+    const frames = parts.map(part => {
+        const frame = { event: 'message', data: '' };
+        part.split('\n').forEach(line => {
+            if (line.startsWith('event:')) frame.event = line.slice(6).trim();
+            else if (line.startsWith('data:')) frame.data += line.slice(5).trim();
+        });
+        return frame;
+    });
+    return [frames, remainder];
+}
+
+function isRetryable(error) {
+    return error instanceof AiResponseError && RETRYABLE_STATUS.has(error.status);
+}
+
+// ============================================
+// ANTHROPIC
+// ============================================
+
+function createAnthropicProvider(settings, apiKey) {
+    const deadline = settings.budgetMs ? Date.now() + settings.budgetMs : Infinity;
+    const outOfTime = model => new AiResponseError('AI_REQUEST_FAILED',
+        `Out of time for a model request (${settings.budgetMs}ms budget)`, [model], 504);
+
+    // The timer covers the wait for each chunk, so a long stream that keeps moving isn't cut off -
+    // but never past attemptEnd, the attempt's share of the budget
+    const request = async (model, { system, messages, tools, toolChoice }, stream, attemptEnd = Infinity) => {
+        const controller = new AbortController();
+        const startedAt = Date.now();
+        let timer;
+        const arm = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => controller.abort(), Math.max(0, Math.min(settings.timeoutMs, attemptEnd - Date.now())));
+        };
+        const timeoutError = () => new AiResponseError('AI_REQUEST_FAILED',
+            `Model request timed out after ${Date.now() - startedAt}ms`, [model], 504);
+
+        arm();
+        let response;
+        try {
+            response = await fetch(ANTHROPIC_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': apiKey,
+                    'anthropic-version': '2023-06-01'
+                },
+                body: JSON.stringify({
+                    model,
+                    max_tokens: settings.maxTokens,
+                    messages,
+                    system,
+                    stream,
+                    ...(tools ? { tools, tool_choice: { type: toolChoice || 'auto' } } : {})
+                }),
+                signal: controller.signal
+            });
+        } catch (error) {
+            clearTimeout(timer);
+            if (controller.signal.aborted) throw timeoutError();
+            throw new AiResponseError('AI_REQUEST_FAILED', error.message || 'API request failed', [model], 502);
+        }
+
+        if (!response.ok) {
+            clearTimeout(timer);
+            const error = await response.json().catch(() => ({}));
+            throw new AiResponseError('AI_REQUEST_FAILED', error.error?.message || 'API request failed', [model], response.status);
+        }
+        return { response, controller, arm, timer: () => timer, timeoutError };
+    };
+
+    // Try the primary model, then the fallback when the failure looks transient. Within a
+    // budget the primary leaves half of what's left, so a timed-out primary still has a fallback
+    const withFallback = async (run) => {
+        const left = deadline - Date.now();
+        if (left < MIN_ATTEMPT_MS) throw outOfTime(settings.model);
+        try {
+            return await run(settings.model, settings.fallbackModel ? Date.now() + left / 2 : deadline);
+        } catch (error) {
+            if (!settings.fallbackModel || !isRetryable(error)) throw error;
+            if (deadline - Date.now() < MIN_ATTEMPT_MS) throw error;
+            console.warn(`${settings.model} failed (${error.status}: ${error.message}), retrying on ${settings.fallbackModel}`);
+            return run(settings.fallbackModel, deadline);
+        }
+    };
+
+    return {
+        name: 'anthropic',
+        settings,
+
+        complete(input) {
+            return withFallback(async (model, attemptEnd) => {
+                const { response, controller, timer, timeoutError } = await request(model, input, false, attemptEnd);
+                try {
+                    const data = await response.json();
+                    return data.content?.[0]?.text || '';
+                } catch (error) {
+                    if (controller.signal.aborted) throw timeoutError();
+                    throw error;
+                } finally {
+                    clearTimeout(timer());
+                }
+            });
+        },
+
+        // Falls back only before the first delta - once text has been shown it can't be swapped
+        async *stream(input) {
+            for await (const event of this.turn(input)) {
+                if (event.type === 'text') yield event.text;
+            }
+        },
+
+        // Tool input arrives as JSON fragments; each tool_use is emitted once its block closes
+        async *turn(input) {
+            const open = await withFallback((model, attemptEnd) => request(model, input, true, attemptEnd));
+            const { response, controller, arm, timer, timeoutError } = open;
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            const toolBlocks = {}; // content block index -> { id, name, json }
+            let buffer = '';
+            let stopReason = null;
+
+            try {
+                while (true) {
+                    arm();
+                    let chunk;
+                    try {
+                        chunk = await reader.read();
+                    } catch (error) {
+                        if (controller.signal.aborted) throw timeoutError();
+                        throw error;
+                    }
+                    if (chunk.done) break;
+                    buffer += decoder.decode(chunk.value, { stream: true });
+
+                    const [frames, remainder] = splitSseFrames(buffer);
+                    buffer = remainder;
+                    for (const frame of frames) {
+                        if (!frame.data) continue;
+                        const payload = JSON.parse(frame.data);
+                        if (payload.type === 'error') {
+                            throw new AiResponseError('AI_REQUEST_FAILED', payload.error?.message || 'Stream error');
+                        }
+                        if (payload.type === 'content_block_start' && payload.content_block?.type === 'tool_use') {
+                            const { id, name } = payload.content_block;
+                            toolBlocks[payload.index] = { id, name, json: '' };
+                        } else if (payload.type === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+                            yield { type: 'text', text: payload.delta.text };
+                        } else if (payload.type === 'content_block_delta' && payload.delta?.type === 'input_json_delta') {
+                            if (toolBlocks[payload.index]) toolBlocks[payload.index].json += payload.delta.partial_json || '';
+                        } else if (payload.type === 'content_block_stop' && toolBlocks[payload.index]) {
+                            const { id, name, json } = toolBlocks[payload.index];
+                            let toolInput = {};
+                            try {
+                                toolInput = json ? JSON.parse(json) : {};
+                            } catch (e) {
+                                console.warn(`Malformed input for tool ${name}:`, e.message);
+                            }
+                            yield { type: 'tool_use', id, name, input: toolInput };
+                        } else if (payload.type === 'message_delta' && payload.delta?.stop_reason) {
+                            stopReason = payload.delta.stop_reason;
+                        }
+                    }
+                }
+            } finally {
+                clearTimeout(timer());
+            }
+            yield { type: 'stop', reason: stopReason || 'end_turn' };
+        }
+    };
+}
+
+// ============================================
+// MOCK
+// ============================================
+
+// Deterministic stand-ins for the model, per task - built only from the request context
+const MOCK_RESPONSES = {
+    // context: { query, liveData } - tickers come from the live data that was sent
+    ANALYZE: ({ query = '', liveData } = {}) => {
+        const tickers = (liveData || []).slice(0, 3).map(t => t.symbol).filter(Boolean);
+        return {
+            narrative_name: 'Mock Narrative Rotation',
+            confidence: 72,
+            velocity_score: 6.5,
+            alert_level: 'HIGH',
+            summary: `Offline mock analysis for "${query.slice(0, 80)}". Volume is rotating into a small set of live movers while the broader market chops.`,
+            catalysts: ['Volume rotation into top movers', 'Fresh launches holding bids', 'CT attention shifting'],
+            suggested_tickers: tickers.length > 0 ? tickers : ['MOCK', 'TEST', 'DEMO'],
+            risk_vectors: ['Thin liquidity', 'Early holder concentration', 'Momentum fades fast'],
+            timeline: '24-48 hours',
+            actionable_intel: 'Size small, wait for a volume confirmation before adding.'
+        };
+    },
+
+    // context: { query, liveData, thread } - answers from the liveData snapshot of the thread
+    FOLLOW_UP: ({ query = '', liveData, thread } = {}) => {
+        const deepest = (liveData || [])
+            .filter(t => t.symbol)
+            .sort((a, b) => (b.liquidity || 0) - (a.liquidity || 0))
+            .slice(0, 2);
+        const turn = ((thread?.turns || []).length) + 1;
+        return {
+            answer: `Offline mock answer #${turn} to "${query.slice(0, 80)}". ` + (deepest.length > 0
+                ? `Deepest liquidity in the snapshot: ${deepest.map(t => `$${t.symbol} ($${Math.round(t.liquidity || 0).toLocaleString()})`).join(', ')}.`
+                : 'No live data was attached to this thread.'),
+            referenced_tickers: deepest.map(t => t.symbol)
+        };
+    },
+
+    // context: the token-intel request body - timing follows the token's age
+    TOKEN_INTEL: (token = {}) => {
+        const age = Number(token.ageHours);
+        const timing = !Number.isFinite(age) || token.ageHours === null ? 'UNKNOWN'
+            : age < 24 ? 'EARLY'
+            : age < 168 ? 'MID'
+            : 'LATE';
+        const symbol = token.symbol || 'TOKEN';
+        return {
+            narrative_hook: `Offline mock intel for $${symbol} - ${token.name || 'unknown token'}.`,
+            likely_origin: 'Organic meme launch (mock)',
+            social_signals: [Array.isArray(token.socials) && token.socials.length > 0 ? 'Has linked socials' : 'No social links yet'],
+            narrative_fit: 'Culture meme',
+            timing_read: timing,
+            the_play: 'Scalp the volume wave, trim into strength.',
+            red_flags: Number(token.liquidity) > 0 && Number(token.liquidity) < 1000 ? ['Micro liquidity under $1k'] : [],
+            similar_plays: [],
+            alpha_take: `Mock read: $${symbol} is ${timing.toLowerCase()} - size small and let volume confirm.`
+        };
+    }
+};
+
+// Canned results for the mock's tool calls, in the shape analyst-tools.js returns -
+// built from the request's liveData, so an offline run never touches the network
+const MOCK_TOOL_RESULTS = {
+    search_tokens: (input = {}, { liveData } = {}) => {
+        const query = String(input.query || '').toLowerCase();
+        return {
+            query,
+            results: (liveData || [])
+                .filter(t => t.symbol && `${t.symbol} ${t.name || ''}`.toLowerCase().includes(query))
+                .slice(0, 8)
+                .map(t => ({ symbol: t.symbol, name: t.name || null, priceUsd: t.price ?? null, liquidity: t.liquidity ?? null, volume24h: t.volume24h ?? null }))
+        };
+    },
+
+    get_narrative_radar: (input, { liveData } = {}) => ({
+        narratives: (liveData || []).filter(t => t.symbol).slice(0, 3).map((t, i) => ({
+            text: `$${t.symbol} - mock narrative`,
+            category: 'MEME_CULTURE',
+            relevanceScore: 80 - i * 10,
+            sources: ['mock'],
+            symbol: t.symbol,
+            phase: 'EMERGING'
+        })),
+        categories: [],
+        clusters: [],
+        stale: false,
+        lastUpdated: new Date(0).toISOString()
+    })
+};
+
+function createMockProvider(task, settings, { chunkSize = 24, delayMs = 15 } = {}) {
+    const reply = context => JSON.stringify(MOCK_RESPONSES[task](context), null, 2);
+
+    return {
+        name: 'mock',
+        settings: { ...settings, model: 'mock', fallbackModel: null },
+
+        async complete({ context }) {
+            return reply(context);
+        },
+
+        async *stream({ context }) {
+            const text = reply(context);
+            for (let i = 0; i < text.length; i += chunkSize) {
+                if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+                yield text.slice(i, i + chunkSize);
+            }
+        },
+
+        // With tools: the first turn checks the radar and searches the query's first keyword,
+        // every later turn answers
+        async *turn({ context, messages, tools }) {
+            const hasResults = (messages || []).some(m => Array.isArray(m.content) && m.content.some(b => b.type === 'tool_result'));
+            const names = new Set((tools || []).map(t => t.name));
+            if (!hasResults && names.has('get_narrative_radar') && names.has('search_tokens')) {
+                const keyword = (String(context?.query || '').match(/[a-z]{3,}/i) || ['meme'])[0].toLowerCase();
+                yield { type: 'tool_use', id: 'mock_tool_1', name: 'get_narrative_radar', input: {} };
+                yield { type: 'tool_use', id: 'mock_tool_2', name: 'search_tokens', input: { query: keyword } };
+                yield { type: 'stop', reason: 'tool_use' };
+                return;
+            }
+            for await (const text of this.stream({ context })) {
+                yield { type: 'text', text };
+            }
+            yield { type: 'stop', reason: 'end_turn' };
+        },
+
+        // Same outcome shape as AnalystTools.runTool; context is bound per run by runAnalyst
+        async runTool(name, input, context) {
+            const canned = MOCK_TOOL_RESULTS[name];
+            if (!canned) {
+                return { ok: false, error: `No mock result for tool: ${name}`, ms: 0 };
+            }
+            return { ok: true, result: canned(input || {}, context), ms: 0 };
+        }
+    };
+}
+
+// Picks the provider for a task; throws when the real provider has no key configured.
+// budgetMs / maxToolRounds: see resolveSettings - synchronous functions pass both
+function createProvider(task, { env = process.env, mockOptions, budgetMs, maxToolRounds } = {}) {
+    const settings = resolveSettings(task, env, { budgetMs, maxToolRounds });
+
+    if (settings.provider === 'mock') {
+        return createMockProvider(task, settings, mockOptions);
+    }
+    if (settings.provider !== 'anthropic') {
+        throw new Error(`Unknown LLM provider: ${settings.provider}`);
+    }
+
+    const apiKey = env.ANTHROPIC_API_KEY;
+    if (!apiKey) {
+        throw new Error('API key not configured');
+    }
+    return createAnthropicProvider(settings, apiKey);
+}
+
+module.exports = {
+    resolveSettings,
+    splitSseFrames,
+    MOCK_RESPONSES,
+    MOCK_TOOL_RESULTS,
+    createProvider
+};
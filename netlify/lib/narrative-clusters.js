@@ -0,0 +1,234 @@
+// Emerging narrative clusters
+// Tokens the classifier can't place (category EMERGING) are where new metas start, but one at
+// a time they're just noise. This keeps the last hour of them - from the radar's own sources
+// and the trench scan - and groups tokens that reference the same thing, so "5 new tokens all
+// riffing on the same meme" surfaces as one named cluster with its members and combined volume.
+// Two tokens are similar when their names share words or word pairs, one's name contains a
+// word of the other's ("chill" / "chillguy") or starts the same way ("wobble" / "wobbly"),
+// their names share most character trigrams ("moodeng" / "moodengx"), or - weighted down -
+// their descriptions share a few words / word pairs.
+// Grouping is average-link agglomerative, so one loose link doesn't chain two metas together.
+// Like the lifecycle history, the pool lives in the function instance.
+
+const NarrativeClassifier = require('../../shared/narrative-classifier.js');
+
+const WINDOW_MS = 60 * 60 * 1000;  // Tokens seen in the last hour
+const MAX_POOL = 200;              // Most recently seen kept
+const MIN_MEMBERS = 3;             // Smaller groups aren't a meta yet
+const LINK_THRESHOLD = 0.5;        // Average similarity needed to merge two groups
+const ROOT_MIN_LENGTH = 4;         // Shortest word that counts as a shared root
+const PREFIX_LENGTH = 5;           // Words starting with the same 5 letters share a root
+const ROOT_SIMILARITY = 0.7;
+const DESCRIPTION_TERMS = 3;       // Shared description words / pairs for full description weight
+const DESCRIPTION_WEIGHT = 0.75;
+const MAX_CLUSTERS = 6;
+
+// Launchpad / chain filler that would tie unrelated launches together
+const IGNORED_WORDS = new Set(['sol', 'solana', 'pump', 'pumpfun', 'fun', 'meme', 'memecoin', 'launch',
+    'fair', 'dev', 'inu']);
+
+function createPool() {
+    return { tokens: new Map() };
+}
+
+const tokenKey = token => token.address || `$${String(token.symbol || '').toLowerCase()}`;
+
+// Words (and word pairs) from one field, minus launchpad filler
+function terms(text) {
+    return new Set(NarrativeClassifier.tokenize(text)
+        .filter(term => term.split(' ').every(word => word.length > 2 && !IGNORED_WORDS.has(word))));
+}
+
+function trigrams(text) {
+    const grams = new Set();
+    for (let i = 0; i + 3 <= text.length; i++) {
+        grams.add(text.slice(i, i + 3));
+    }
+    return grams;
+}
+
+function describeToken(token) {
+    const compact = `${token.symbol || ''} ${token.name || ''}`.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const nameTerms = terms(`${token.name || ''} ${token.symbol || ''}`);
+    return {
+        compact,
+        nameTerms,
+        words: [...nameTerms].filter(term => !term.includes(' ')),
+        descriptionTerms: terms(String(token.description || '').slice(0, 200)),
+        grams: trigrams(compact)
+    };
+}
+
+// tokens: radar trends / trench tokens with address or symbol and the source they came from.
+// Only ones the classifier left as EMERGING are kept
+function recordTokens(pool, tokens, now = Date.now()) {
+    (tokens || []).forEach(token => {
+        if (!token || (!token.address && !token.symbol) || (token.category && token.category !== NarrativeClassifier.FALLBACK)) return;
+        const key = tokenKey(token);
+        const existing = pool.tokens.get(key);
+        const sources = new Set(existing?.sources || []);
+        if (token.source) sources.add(token.source);
+        pool.tokens.set(key, {
+            key,
+            address: token.address || existing?.address || null,
+            symbol: token.symbol || existing?.symbol || null,
+            name: token.name || existing?.name || null,
+            description: token.description || existing?.description || null,
+            volume24h: Number(token.volume24h) || existing?.volume24h || 0,
+            volume1h: Number(token.volume1h) || existing?.volume1h || 0,
+            marketCap: Number(token.marketCap || token.mcap) || existing?.marketCap || 0,
+            priceChange1h: Number.isFinite(Number(token.priceChange1h)) ? Number(token.priceChange1h) : (existing?.priceChange1h ?? null),
+            ageHours: Number.isFinite(Number(token.ageHours)) ? Number(token.ageHours) : (existing?.ageHours ?? null),
+            sources: [...sources],
+            firstSeen: existing?.firstSeen || now,
+            lastSeen: now
+        });
+    });
+
+    pool.tokens.forEach((entry, key) => {
+        if (now - entry.lastSeen > WINDOW_MS) pool.tokens.delete(key);
+    });
+    if (pool.tokens.size > MAX_POOL) {
+        [...pool.tokens.values()]
+            .sort((a, b) => a.lastSeen - b.lastSeen)
+            .slice(0, pool.tokens.size - MAX_POOL)
+            .forEach(entry => pool.tokens.delete(entry.key));
+    }
+    return pool;
+}
+
+function sharedCount(a, b) {
+    let shared = 0;
+    a.forEach(item => { if (b.has(item)) shared++; });
+    return shared;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    const shared = sharedCount(a, b);
+    return shared / (a.size + b.size - shared);
+}
+
+function dice(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    return (2 * sharedCount(a, b)) / (a.size + b.size);
+}
+
+// One's name contains a whole word of the other's (pepe / pepelon, chill / chillguy), or two
+// name words start the same way (wobble / wobbly)
+function sharesRoot(a, b) {
+    const contains = (words, compact) => words.some(word => word.length >= ROOT_MIN_LENGTH && compact.includes(word));
+    const prefixes = new Set(a.words.filter(word => word.length >= PREFIX_LENGTH).map(word => word.slice(0, PREFIX_LENGTH)));
+    return contains(a.words, b.compact) || contains(b.words, a.compact) ||
+        b.words.some(word => word.length >= PREFIX_LENGTH && prefixes.has(word.slice(0, PREFIX_LENGTH)));
+}
+
+function similarity(a, b) {
+    if (a.compact && a.compact === b.compact) return 1;
+    return Math.max(
+        jaccard(a.nameTerms, b.nameTerms),
+        sharesRoot(a, b) ? ROOT_SIMILARITY : 0,
+        dice(a.grams, b.grams),
+        Math.min(1, sharedCount(a.descriptionTerms, b.descriptionTerms) / DESCRIPTION_TERMS) * DESCRIPTION_WEIGHT
+    );
+}
+
+// Average-link agglomerative clustering over the similarity matrix.
+// Returns groups of indexes, largest first
+function group(features) {
+    const n = features.length;
+    const sim = features.map((a, i) => features.map((b, j) => (i === j ? 1 : 0)));
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            sim[i][j] = sim[j][i] = similarity(features[i], features[j]);
+        }
+    }
+
+    const groups = features.map((_, i) => [i]);
+    const active = new Set(groups.keys());
+    for (;;) {
+        let best = null;
+        active.forEach(i => active.forEach(j => {
+            if (j <= i || sim[i][j] < LINK_THRESHOLD) return;
+            if (!best || sim[i][j] > best.score) best = { i, j, score: sim[i][j] };
+        }));
+        if (!best) break;
+
+        // Lance-Williams update: similarity to the merged group is the size-weighted average
+        const { i, j } = best;
+        const sizeI = groups[i].length;
+        const sizeJ = groups[j].length;
+        active.forEach(k => {
+            if (k === i || k === j) return;
+            sim[i][k] = sim[k][i] = (sim[i][k] * sizeI + sim[j][k] * sizeJ) / (sizeI + sizeJ);
+        });
+        groups[i] = groups[i].concat(groups[j]);
+        active.delete(j);
+    }
+
+    return [...active].map(i => groups[i]).sort((a, b) => b.length - a.length);
+}
+
+// The word the most members mention (name, description or inside a longer name), preferring
+// name words and then longer ones; a lone mention falls back to the first member's name
+function clusterName(members) {
+    const mentions = (features, word) => features.nameTerms.has(word) || features.descriptionTerms.has(word) ||
+        (word.length >= ROOT_MIN_LENGTH && features.compact.includes(word));
+    const candidates = new Set(members.flatMap(({ features }) => [
+        ...features.words,
+        ...[...features.descriptionTerms].filter(term => !term.includes(' '))
+    ]));
+    const [best] = [...candidates]
+        .map(word => ({
+            word,
+            count: members.filter(({ features }) => mentions(features, word)).length,
+            inName: members.filter(({ features }) => features.words.includes(word)).length
+        }))
+        .sort((a, b) => (b.count - a.count) || (b.inName - a.inName) || (b.word.length - a.word.length));
+    return best && best.count > 1
+        ? best.word
+        : String(members[0].token.name || members[0].token.symbol || 'unnamed').toLowerCase();
+}
+
+// Clusters of at least MIN_MEMBERS tokens, biggest combined volume first:
+// { name, size, volume24h, volume1h, newLastHour, sources, members }
+function findClusters(pool, now = Date.now()) {
+    const tokens = [...pool.tokens.values()].filter(token => now - token.lastSeen <= WINDOW_MS);
+    const features = tokens.map(describeToken);
+
+    return group(features)
+        .filter(indexes => indexes.length >= MIN_MEMBERS)
+        .map(indexes => {
+            const members = indexes.map(i => ({ token: tokens[i], features: features[i] }));
+            const list = members
+                .map(({ token }) => token)
+                .sort((a, b) => b.volume24h - a.volume24h);
+            return {
+                name: clusterName(members),
+                size: list.length,
+                volume24h: Math.round(list.reduce((sum, t) => sum + t.volume24h, 0)),
+                volume1h: Math.round(list.reduce((sum, t) => sum + t.volume1h, 0)),
+                // Launched (or first seen by us) within the window
+                newLastHour: list.filter(t => (t.ageHours !== null ? t.ageHours < 1 : now - t.firstSeen < WINDOW_MS)).length,
+                sources: [...new Set(list.flatMap(t => t.sources))],
+                members: list.map(t => ({
+                    address: t.address,
+                    symbol: t.symbol,
+                    name: t.name,
+                    volume24h: Math.round(t.volume24h),
+                    marketCap: Math.round(t.marketCap),
+                    priceChange1h: t.priceChange1h,
+                    ageHours: t.ageHours,
+                    sources: t.sources
+                }))
+            };
+        })
+        .sort((a, b) => (b.volume24h - a.volume24h) || (b.size - a.size))
+        .slice(0, MAX_CLUSTERS);
+}
+
+module.exports = {
+    createPool,
+    recordTokens,
+    findClusters
+};
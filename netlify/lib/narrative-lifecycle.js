@@ -0,0 +1,335 @@
+// Narrative lifecycle tracking
+// narrative-radar.js scores every scan from scratch; this keeps a short history of each
+// narrative (category + token / text key) and each category across scans, and derives a
+// phase from how relevanceScore, mentions and volume moved:
+//   EMERGING      - just showed up, not enough history to call a trend
+//   ACCELERATING  - score, mentions or volume climbing
+//   PEAKING       - holding near its best score, momentum flat
+//   FADING        - off its peak and dropping, or gone from the latest scan
+// History lives in the function instance (like its response cache), so a cold start
+// begins a fresh history. Clients keep their own copy (exportHistory / importHistory) and
+// send it back, and mergeHistory fills the gaps from it for that client's response.
+
+const MAX_POINTS = 30;                  // ~1h of 2 minute scans per series
+const RETAIN_MS = 6 * 60 * 60 * 1000;   // Forget narratives not seen for 6h
+const MAX_TRACKED = 300;                // Narrative series kept, least recently seen dropped first
+const MIN_SCAN_GAP_MS = 30 * 1000;      // Scans closer than this update the last point instead
+const EXPORT_VERSION = 1;
+
+const PHASES = ['EMERGING', 'ACCELERATING', 'PEAKING', 'FADING'];
+
+// Thresholds, all relative to the average of the previous few points
+const TREND_WINDOW = 3;
+const SCORE_STEP = 8;        // relevanceScore points
+const VOLUME_UP = 1.5;       // x the recent average
+const VOLUME_DOWN = 0.6;
+const NEAR_PEAK = 0.85;      // share of the best score still counted as the peak
+const MIN_TREND_POINTS = 4;  // below this a flat series is still EMERGING
+
+function createHistory() {
+    return { narratives: new Map(), categories: new Map(), scans: 0, trackedSince: null, lastScan: null };
+}
+
+// Token address when there is one, else the ticker / text - so a narrative keeps its key
+// while its wording shifts between sources
+function narrativeKey(narrative) {
+    const category = narrative.category || 'EMERGING';
+    const id = narrative.address ||
+        (narrative.symbol ? `$${String(narrative.symbol).toLowerCase()}` : null) ||
+        String(narrative.text || '').toLowerCase().replace(/[^a-z0-9$]+/g, ' ').trim().slice(0, 48);
+    return `${category}:${id}`;
+}
+
+function appendPoint(series, point) {
+    const last = series.points[series.points.length - 1];
+    if (last && point.time - last.time < MIN_SCAN_GAP_MS) {
+        series.points[series.points.length - 1] = point;
+    } else {
+        series.points.push(point);
+        if (series.points.length > MAX_POINTS) series.points.shift();
+    }
+}
+
+function track(map, key, fields, point) {
+    let series = map.get(key);
+    if (!series) {
+        series = { key, ...fields, firstSeen: point.time, lastSeen: point.time, points: [] };
+        map.set(key, series);
+    }
+    Object.assign(series, fields, { lastSeen: point.time });
+    appendPoint(series, point);
+    return series;
+}
+
+// Series missing from this scan get a zero point (so they read as fading), and are
+// dropped once they've been gone for RETAIN_MS
+function settleMissing(map, seen, now) {
+    map.forEach((series, key) => {
+        if (seen.has(key)) return;
+        if (now - series.lastSeen > RETAIN_MS) {
+            map.delete(key);
+            return;
+        }
+        appendPoint(series, { time: now, score: 0, mentions: 0, volume: 0 });
+    });
+}
+
+// narratives: every scored narrative from one scan (not just the top few), so a narrative
+// sliding down the ranking still has points
+function recordScan(history, narratives, now = Date.now()) {
+    const seenNarratives = new Set();
+    const byCategory = new Map();
+
+    (narratives || []).forEach(n => {
+        const key = narrativeKey(n);
+        if (seenNarratives.has(key)) return;
+        seenNarratives.add(key);
+
+        const category = n.category || 'EMERGING';
+        const point = {
+            time: now,
+            score: n.relevanceScore || 0,
+            mentions: n.mentions || 1,
+            volume: Number(n.volume24h) || 0
+        };
+        track(history.narratives, key, { category, label: n.text || key }, point);
+
+        // Category totals follow the alert rules' narrative ranking (sum of relevanceScore)
+        const total = byCategory.get(category) || { time: now, score: 0, mentions: 0, volume: 0, count: 0 };
+        total.score += point.score;
+        total.mentions += point.mentions;
+        total.volume += point.volume;
+        total.count++;
+        byCategory.set(category, total);
+    });
+
+    byCategory.forEach((total, category) => {
+        const { count, ...point } = total;
+        track(history.categories, category, { category, narrativeCount: count }, point);
+    });
+
+    settleMissing(history.narratives, seenNarratives, now);
+    settleMissing(history.categories, new Set(byCategory.keys()), now);
+
+    dropLeastRecent(history.narratives);
+
+    history.scans++;
+    history.lastScan = now;
+    if (!history.trackedSince) history.trackedSince = now;
+    return history;
+}
+
+function dropLeastRecent(map) {
+    if (map.size <= MAX_TRACKED) return;
+    [...map.values()]
+        .sort((a, b) => a.lastSeen - b.lastSeen)
+        .slice(0, map.size - MAX_TRACKED)
+        .forEach(series => map.delete(series.key));
+}
+
+// Plain-JSON form of a history, for a client to keep between cold starts.
+// Points are [time, score, mentions, volume]
+function exportHistory(history) {
+    const list = map => [...map.values()].map(series => ({
+        key: series.key,
+        category: series.category,
+        label: series.label,
+        narrativeCount: series.narrativeCount,
+        firstSeen: series.firstSeen,
+        lastSeen: series.lastSeen,
+        points: series.points.map(p => [p.time, p.score, p.mentions, Math.round(p.volume)])
+    }));
+    return {
+        version: EXPORT_VERSION,
+        scans: history.scans,
+        trackedSince: history.trackedSince,
+        lastScan: history.lastScan,
+        narratives: list(history.narratives),
+        categories: list(history.categories)
+    };
+}
+
+// Drops the least recently seen narratives, then the oldest points, until the export fits
+// in maxLength characters - a client sends its copy back on every refresh
+function trimHistory(history, maxLength) {
+    const exportLength = () => JSON.stringify(exportHistory(history)).length;
+    let length = exportLength();
+    while (length > maxLength) {
+        if (history.narratives.size > 0) {
+            const drop = Math.ceil(history.narratives.size / 10);
+            [...history.narratives.values()]
+                .sort((a, b) => a.lastSeen - b.lastSeen)
+                .slice(0, drop)
+                .forEach(series => history.narratives.delete(series.key));
+        } else if ([...history.categories.values()].some(series => series.points.length > 1)) {
+            history.categories.forEach(series => {
+                if (series.points.length > 1) series.points.shift();
+            });
+        } else {
+            history.categories.clear();
+        }
+        length = exportLength();
+    }
+    return history;
+}
+
+// Back from exportHistory, as sent by a client - anything malformed is dropped, and an
+// export from another version starts empty. Throws only when data isn't an object
+function importHistory(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Lifecycle history must be an object');
+    }
+    const history = createHistory();
+    if (data.version !== EXPORT_VERSION) return history;
+
+    const time = value => (Number.isFinite(value) && value > 0 ? value : null);
+    const text = (value, max) => (typeof value === 'string' && value.length > 0 ? value.slice(0, max) : null);
+    const load = (map, list) => {
+        (Array.isArray(list) ? list : []).slice(0, MAX_TRACKED * 2).forEach(raw => {
+            const key = text(raw?.key, 120);
+            const points = (Array.isArray(raw?.points) ? raw.points : [])
+                .filter(p => Array.isArray(p) && p.length === 4 && p.every(Number.isFinite) && p[0] > 0)
+                .map(([t, score, mentions, volume]) => ({ time: t, score, mentions, volume }))
+                .sort((a, b) => a.time - b.time)
+                .slice(-MAX_POINTS);
+            if (!key || points.length === 0) return;
+            map.set(key, {
+                key,
+                category: text(raw.category, 64) || 'EMERGING',
+                ...(map === history.narratives
+                    ? { label: text(raw.label, 200) || key }
+                    : { narrativeCount: Number.isInteger(raw.narrativeCount) ? raw.narrativeCount : 0 }),
+                firstSeen: time(raw.firstSeen) || points[0].time,
+                lastSeen: time(raw.lastSeen) || points[points.length - 1].time,
+                points
+            });
+        });
+        dropLeastRecent(map);
+    };
+    load(history.narratives, data.narratives);
+    load(history.categories, data.categories);
+
+    history.scans = Number.isInteger(data.scans) && data.scans > 0 ? data.scans : 0;
+    history.trackedSince = time(data.trackedSince);
+    history.lastScan = time(data.lastScan);
+    return history;
+}
+
+// A new history with the series of both: where both have a point for the same scan,
+// history's wins. Series only in prior that history's latest scan didn't see get a zero
+// point for it (they read as fading), unless they've been gone for RETAIN_MS
+function mergeHistory(history, prior) {
+    const merged = createHistory();
+    const latest = history.lastScan;
+
+    ['narratives', 'categories'].forEach(name => {
+        const keys = new Set([...history[name].keys(), ...prior[name].keys()]);
+        keys.forEach(key => {
+            const own = history[name].get(key);
+            const theirs = prior[name].get(key);
+            if (!theirs) {
+                merged[name].set(key, { ...own, points: [...own.points] });
+                return;
+            }
+            if (!own && latest && latest - theirs.lastSeen > RETAIN_MS) return;
+
+            const points = own ? [...own.points] : [];
+            theirs.points.forEach(point => {
+                if (!points.some(p => Math.abs(p.time - point.time) < MIN_SCAN_GAP_MS)) points.push(point);
+            });
+            points.sort((a, b) => a.time - b.time);
+            const newer = own && own.lastSeen >= theirs.lastSeen ? own : theirs;
+            const series = {
+                ...newer,
+                firstSeen: Math.min(theirs.firstSeen, own ? own.firstSeen : Infinity),
+                lastSeen: Math.max(theirs.lastSeen, own ? own.lastSeen : 0),
+                points: points.slice(-MAX_POINTS)
+            };
+            if (!own && latest && theirs.lastSeen < latest) appendPoint(series, { time: latest, score: 0, mentions: 0, volume: 0 });
+            merged[name].set(key, series);
+        });
+    });
+    dropLeastRecent(merged.narratives);
+
+    merged.scans = Math.max(history.scans, prior.scans);
+    merged.trackedSince = Math.min(history.trackedSince || Infinity, prior.trackedSince || Infinity);
+    if (merged.trackedSince === Infinity) merged.trackedSince = null;
+    merged.lastScan = latest || prior.lastScan;
+    return merged;
+}
+
+const average = (points, field) => points.reduce((sum, p) => sum + p[field], 0) / points.length;
+
+// points: oldest first. Returns { phase, scoreDelta, volumeChange (% vs recent average) }
+function classify(points) {
+    const last = points[points.length - 1];
+    if (!last || points.length < 2) {
+        return { phase: 'EMERGING', scoreDelta: 0, volumeChange: null };
+    }
+
+    const recent = points.slice(-1 - TREND_WINDOW, -1);
+    const scoreDelta = Math.round(last.score - average(recent, 'score'));
+    const recentVolume = average(recent, 'volume');
+    const volumeRatio = recentVolume > 0 ? last.volume / recentVolume : null;
+    const mentionsUp = last.mentions > average(recent, 'mentions');
+    const peak = Math.max(...points.map(p => p.score));
+    const result = phase => ({
+        phase,
+        scoreDelta,
+        volumeChange: volumeRatio === null ? null : Math.round((volumeRatio - 1) * 100)
+    });
+
+    if (last.score === 0 && last.mentions === 0) return result('FADING');
+    if (scoreDelta >= SCORE_STEP || (volumeRatio !== null && volumeRatio >= VOLUME_UP) || (mentionsUp && scoreDelta >= 0)) {
+        return result('ACCELERATING');
+    }
+    if (scoreDelta <= -SCORE_STEP || (volumeRatio !== null && volumeRatio <= VOLUME_DOWN)) {
+        return result('FADING');
+    }
+    if (points.length < MIN_TREND_POINTS) return result('EMERGING');
+    return result(last.score >= peak * NEAR_PEAK ? 'PEAKING' : 'FADING');
+}
+
+// Compact view of one series for the API: phase plus the score sparkline
+function describe(series) {
+    return {
+        ...classify(series.points),
+        firstSeen: series.firstSeen,
+        points: series.points.map(p => p.score)
+    };
+}
+
+// Copies of the narratives with their lifecycle attached
+function annotate(history, narratives) {
+    return (narratives || []).map(n => {
+        const series = history.narratives.get(narrativeKey(n));
+        return series ? { ...n, lifecycle: describe(series) } : n;
+    });
+}
+
+// Strongest first by latest score - categories that just dropped out stay listed as FADING
+function categorySummaries(history, limit = 8) {
+    return [...history.categories.values()]
+        .filter(series => series.points.some(p => p.score > 0))
+        .sort((a, b) => b.points[b.points.length - 1].score - a.points[a.points.length - 1].score)
+        .slice(0, limit)
+        .map(series => ({
+            category: series.category,
+            narrativeCount: series.narrativeCount,
+            ...describe(series)
+        }));
+}
+
+module.exports = {
+    PHASES,
+    createHistory,
+    narrativeKey,
+    recordScan,
+    exportHistory,
+    importHistory,
+    trimHistory,
+    mergeHistory,
+    classify,
+    annotate,
+    categorySummaries
+};
@@ -0,0 +1,120 @@
+// Partial JSON parser
+// Reads the longest usable value from an unfinished JSON document, so streamed model output
+// can be shown before the closing brace arrives:
+//   - unterminated strings are returned as far as they go
+//   - arrays / objects keep their finished members (and a partial trailing string)
+//   - numbers, booleans and null are only returned once terminated ("8" may still become "85")
+// Leading prose or a ```json fence before the first "{" is skipped.
+
+function parsePartialJson(text) {
+    const start = typeof text === 'string' ? text.indexOf('{') : -1;
+    if (start < 0) return { value: undefined, complete: false, fields: {} };
+
+    let i = start;
+    const fields = {}; // top-level key -> finished?
+
+    const skipWhitespace = () => {
+        while (i < text.length && /\s/.test(text[i])) i++;
+    };
+
+    function parseString() {
+        i++; // opening quote
+        let out = '';
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '"') {
+                i++;
+                return { value: out, complete: true };
+            }
+            if (ch === '\\') {
+                const next = text[i + 1];
+                if (next === undefined) break;
+                if (next === 'u') {
+                    const hex = text.slice(i + 2, i + 6);
+                    if (hex.length < 4) break;
+                    out += String.fromCharCode(parseInt(hex, 16));
+                    i += 6;
+                    continue;
+                }
+                out += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }[next] ?? next;
+                i += 2;
+                continue;
+            }
+            out += ch;
+            i++;
+        }
+        i = text.length;
+        return { value: out, complete: false };
+    }
+
+    function parsePrimitive() {
+        const match = /^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)/.exec(text.slice(i));
+        if (!match) return { value: undefined, complete: false };
+        i += match[0].length;
+        // A number running into the end of the text may have more digits coming
+        if (i >= text.length) return { value: undefined, complete: false };
+        return { value: JSON.parse(match[0]), complete: true };
+    }
+
+    function parseArray() {
+        i++; // [
+        const arr = [];
+        while (true) {
+            skipWhitespace();
+            if (i >= text.length) return { value: arr, complete: false };
+            if (text[i] === ']') {
+                i++;
+                return { value: arr, complete: true };
+            }
+            const item = parseValue();
+            if (item.value !== undefined) arr.push(item.value);
+            if (!item.complete) return { value: arr, complete: false };
+            skipWhitespace();
+            if (text[i] === ',') i++;
+        }
+    }
+
+    function parseObject(topLevel) {
+        i++; // {
+        const obj = {};
+        while (true) {
+            skipWhitespace();
+            if (i >= text.length) return { value: obj, complete: false };
+            if (text[i] === '}') {
+                i++;
+                return { value: obj, complete: true };
+            }
+            if (text[i] !== '"') return { value: obj, complete: false };
+            const key = parseString();
+            if (!key.complete) return { value: obj, complete: false };
+            skipWhitespace();
+            if (text[i] !== ':') return { value: obj, complete: false };
+            i++;
+            skipWhitespace();
+            if (i >= text.length) return { value: obj, complete: false };
+
+            const member = parseValue();
+            if (member.value !== undefined) {
+                obj[key.value] = member.value;
+                if (topLevel) fields[key.value] = member.complete;
+            }
+            if (!member.complete) return { value: obj, complete: false };
+            skipWhitespace();
+            if (text[i] === ',') i++;
+        }
+    }
+
+    function parseValue(topLevel = false) {
+        skipWhitespace();
+        const ch = text[i];
+        if (ch === '{') return parseObject(topLevel);
+        if (ch === '[') return parseArray();
+        if (ch === '"') return parseString();
+        return parsePrimitive();
+    }
+
+    const result = parseValue(true);
+    return { value: result.value, complete: result.complete, fields };
+}
+
+module.exports = { parsePartialJson };
@@ -0,0 +1,313 @@
+// Solana JSON-RPC client for Netlify functions
+// Endpoint comes from SOLANA_RPC_URL so a private RPC (or scripts/mock-rpc-server.js) can be used
+
+const DEFAULT_RPC_URL = 'https://api.mainnet-beta.solana.com';
+const DEFAULT_TIMEOUT = 8000;
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+function getRpcUrl() {
+    return process.env.SOLANA_RPC_URL || DEFAULT_RPC_URL;
+}
+
+function isValidMint(address) {
+    return typeof address === 'string' && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address);
+}
+
+// Single JSON-RPC call - throws on HTTP or RPC errors
+// options.signal cancels it (and every call sharing the signal) when the caller gives up
+async function rpcCall(method, params = [], options = {}) {
+    if (options.signal?.aborted) {
+        throw new Error(`RPC ${method} aborted`);
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), options.timeout || DEFAULT_TIMEOUT);
+    const onAbort = () => controller.abort();
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        const response = await fetch(options.url || getRpcUrl(), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`RPC ${method} HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(`RPC ${method}: ${data.error.message || 'Unknown error'}`);
+        }
+
+        return data.result;
+    } finally {
+        clearTimeout(timeoutId);
+        options.signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+// Run async work over items with a concurrency cap
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+            } catch (reason) {
+                results[index] = { status: 'rejected', reason };
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+async function getTokenSupply(mint, options) {
+    const result = await rpcCall('getTokenSupply', [mint], options);
+    return {
+        amount: parseFloat(result.value.uiAmountString || result.value.uiAmount || 0),
+        decimals: result.value.decimals
+    };
+}
+
+async function getTokenLargestAccounts(mint, options) {
+    const result = await rpcCall('getTokenLargestAccounts', [mint], options);
+    return (result.value || []).map(acc => ({
+        tokenAccount: acc.address,
+        amount: parseFloat(acc.uiAmountString || acc.uiAmount || 0)
+    }));
+}
+
+async function getMultipleAccounts(addresses, options) {
+    if (addresses.length === 0) return [];
+    const result = await rpcCall('getMultipleAccounts', [addresses, { encoding: 'jsonParsed' }], options);
+    return result.value || [];
+}
+
+// Program that owns a mint account - the classic token program or Token-2022
+async function getMintProgram(mint, options) {
+    const result = await rpcCall('getAccountInfo', [mint, { encoding: 'base64', dataSlice: { offset: 0, length: 0 } }], options);
+    return result?.value?.owner || null;
+}
+
+// Count token accounts with a non-zero balance (expensive on public RPCs)
+// Only the 8-byte amount field (offset 64) is requested to keep the response small.
+// Token-2022 accounts carry extensions past the base 165 bytes, so there only the mint filter
+// applies (a mint account can't match it - its first bytes are the authority option tag).
+// Returns null when the mint isn't owned by either token program
+async function getHolderCount(mint, options) {
+    const program = await getMintProgram(mint, options);
+    if (program !== TOKEN_PROGRAM && program !== TOKEN_2022_PROGRAM) return null;
+
+    const filters = [{ memcmp: { offset: 0, bytes: mint } }];
+    if (program === TOKEN_PROGRAM) filters.unshift({ dataSize: 165 });
+
+    const result = await rpcCall('getProgramAccounts', [
+        program,
+        {
+            encoding: 'base64',
+            dataSlice: { offset: 64, length: 8 },
+            filters
+        }
+    ], { timeout: 15000, ...options });
+
+    return (result || []).filter(acc => {
+        const raw = Buffer.from(acc.account?.data?.[0] || '', 'base64');
+        return raw.length === 8 && raw.readBigUInt64LE(0) > 0n;
+    }).length;
+}
+
+// Walk signatures back to the start of an address's history; returns the oldest `count`, oldest first.
+// Returns null when the history runs past `maxPages` - the oldest signature reached then is
+// somewhere mid-life, not the launch
+async function getEarliestSignatures(address, options = {}) {
+    const maxPages = options.maxPages || 5;
+    const count = options.count || 1;
+    let before;
+    let lastPage = [];
+    let previousPage = [];
+    let complete = false;
+
+    for (let page = 0; page < maxPages; page++) {
+        const params = { limit: 1000 };
+        if (before) params.before = before;
+
+        const sigs = await rpcCall('getSignaturesForAddress', [address, params], options);
+        if (!sigs || sigs.length === 0) {
+            complete = true;
+            break;
+        }
+
+        previousPage = lastPage;
+        lastPage = sigs;
+        before = sigs[sigs.length - 1].signature;
+        if (sigs.length < 1000) {
+            complete = true;
+            break;
+        }
+    }
+
+    if (!complete) return null;
+
+    // The oldest signatures may straddle the last two pages
+    const combined = [...previousPage, ...lastPage].filter(s => !s.err);
+    return combined.slice(-count).reverse();
+}
+
+async function getParsedTransaction(signature, options) {
+    return rpcCall('getTransaction', [signature, { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }], options);
+}
+
+// Fee payer of a parsed transaction
+function getFeePayer(tx) {
+    const keys = tx?.transaction?.message?.accountKeys || [];
+    const payer = keys.find(k => k.signer) || keys[0];
+    return payer ? (payer.pubkey || payer) : null;
+}
+
+// Oldest signature's fee payer is the deployer; null (unknown) when the launch is out of reach
+async function getCreatorWallet(mint, options = {}) {
+    const earliest = await getEarliestSignatures(mint, { ...options, count: 1 });
+    const oldest = earliest && earliest[0];
+    if (!oldest) return null;
+
+    const tx = await getParsedTransaction(oldest.signature, options);
+    return getFeePayer(tx);
+}
+
+// Sum a wallet's balance of one mint across its token accounts
+async function getWalletTokenBalance(owner, mint, options) {
+    const result = await rpcCall('getTokenAccountsByOwner', [owner, { mint }, { encoding: 'jsonParsed' }], options);
+    return (result.value || []).reduce((sum, acc) => {
+        return sum + (acc.account?.data?.parsed?.info?.tokenAmount?.uiAmount || 0);
+    }, 0);
+}
+
+// Native SOL balance of a wallet, in SOL
+async function getSolBalance(owner, options) {
+    const result = await rpcCall('getBalance', [owner], options);
+    return (result?.value || 0) / 1e9;
+}
+
+// Every mint a wallet holds a non-zero balance of: { mint: uiAmount }
+// Covers both the classic token program and Token-2022 (newer launchpads use it)
+async function getWalletTokenMints(owner, options) {
+    const results = await Promise.all([TOKEN_PROGRAM, TOKEN_2022_PROGRAM].map(programId =>
+        rpcCall('getTokenAccountsByOwner', [owner, { programId }, { encoding: 'jsonParsed' }], options)
+    ));
+
+    const holdings = {};
+    results.forEach(result => {
+        (result.value || []).forEach(acc => {
+            const info = acc.account?.data?.parsed?.info;
+            const amount = info?.tokenAmount?.uiAmount || 0;
+            if (info?.mint && amount > 0) {
+                holdings[info.mint] = (holdings[info.mint] || 0) + amount;
+            }
+        });
+    });
+    return holdings;
+}
+
+// Holder summary for a mint: top holders, top-10 share, holder count and dev wallet share
+// Pool/bonding-curve vaults (token accounts whose owner is a program-owned account) are
+// excluded from the top-10 share so liquidity doesn't read as concentration.
+async function getHolderSummary(mint, options = {}) {
+    const [supplyResult, largestResult] = await Promise.allSettled([
+        getTokenSupply(mint, options),
+        getTokenLargestAccounts(mint, options)
+    ]);
+
+    if (supplyResult.status !== 'fulfilled') throw supplyResult.reason;
+    if (largestResult.status !== 'fulfilled') throw largestResult.reason;
+
+    const supply = supplyResult.value;
+    const largest = largestResult.value;
+
+    // Resolve token accounts -> owner wallets
+    const tokenAccounts = await getMultipleAccounts(largest.map(a => a.tokenAccount), options);
+    const holders = largest.map((acc, i) => ({
+        ...acc,
+        owner: tokenAccounts[i]?.data?.parsed?.info?.owner || null,
+        share: supply.amount > 0 ? (acc.amount / supply.amount) * 100 : 0
+    }));
+
+    // Owners controlled by programs (AMM pools, bonding curves) aren't real holders
+    const owners = [...new Set(holders.map(h => h.owner).filter(Boolean))];
+    const ownerAccounts = await getMultipleAccounts(owners, options).catch(() => []);
+    const programOwned = new Set();
+    owners.forEach((owner, i) => {
+        const info = ownerAccounts[i];
+        if (info && info.owner !== SYSTEM_PROGRAM) programOwned.add(owner);
+    });
+    holders.forEach(h => { h.isProgram = programOwned.has(h.owner); });
+
+    const walletHolders = holders.filter(h => !h.isProgram);
+    const top10Share = walletHolders.slice(0, 10).reduce((sum, h) => sum + h.share, 0);
+
+    const [countResult, creatorResult] = await Promise.allSettled([
+        options.skipHolderCount ? Promise.resolve(null) : getHolderCount(mint, options),
+        options.skipDevWallet ? Promise.resolve(null) : getCreatorWallet(mint, options)
+    ]);
+
+    if (countResult.status === 'rejected') console.warn('Holder count failed:', countResult.reason.message);
+    if (creatorResult.status === 'rejected') console.warn('Creator lookup failed:', creatorResult.reason.message);
+
+    const devWallet = creatorResult.status === 'fulfilled' ? creatorResult.value : null;
+    let devShare = null;
+    if (devWallet) {
+        try {
+            const devBalance = await getWalletTokenBalance(devWallet, mint, options);
+            devShare = supply.amount > 0 ? (devBalance / supply.amount) * 100 : 0;
+        } catch (e) {
+            console.warn('Dev balance failed:', e.message);
+        }
+    }
+
+    return {
+        mint,
+        supply: supply.amount,
+        decimals: supply.decimals,
+        holderCount: countResult.status === 'fulfilled' ? countResult.value : null,
+        top10Share: Math.round(top10Share * 100) / 100,
+        devWallet,
+        devShare: devShare === null ? null : Math.round(devShare * 100) / 100,
+        topHolders: holders.slice(0, 10).map(h => ({
+            owner: h.owner,
+            tokenAccount: h.tokenAccount,
+            amount: h.amount,
+            share: Math.round(h.share * 100) / 100,
+            isProgram: h.isProgram
+        }))
+    };
+}
+
+module.exports = {
+    getRpcUrl,
+    isValidMint,
+    rpcCall,
+    mapLimit,
+    getTokenSupply,
+    getTokenLargestAccounts,
+    getMultipleAccounts,
+    getMintProgram,
+    getHolderCount,
+    getEarliestSignatures,
+    getParsedTransaction,
+    getFeePayer,
+    getCreatorWallet,
+    getWalletTokenBalance,
+    getWalletTokenMints,
+    getSolBalance,
+    getHolderSummary
+};
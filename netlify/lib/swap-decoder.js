@@ -0,0 +1,159 @@
+// Swap decoder
+// Turns a wallet's parsed transaction into a buy / sell of one SPL token by reading
+// balance changes rather than instruction data, so it works across DEXes and aggregators:
+//   - the wallet's native SOL change (fee added back) plus wrapped SOL is the SOL leg
+//   - USDC / USDT changes are the quote leg when no SOL moved
+//   - exactly one other mint must change - transfers, airdrops, SOL <-> stablecoin and
+//     token-to-token routes are skipped
+
+const SolanaRpc = require('./solana-rpc.js');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+const STABLE_MINTS = {
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': 'USDC',
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY8dTH3LL9MEPnHw': 'USDT'
+};
+
+// Program ids used to label where the swap happened
+const VENUES = {
+    '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': 'pumpfun',
+    'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA': 'pumpswap',
+    '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 'raydium',
+    'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': 'raydium',
+    'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': 'raydium',
+    'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': 'orca',
+    'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo': 'meteora',
+    'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB': 'meteora',
+    'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4': 'jupiter'
+};
+
+// Transactions never change once confirmed - cache decoded results by wallet + signature
+const swapCache = new Map();
+const MAX_SWAP_CACHE = 2000;
+
+const LAMPORTS_PER_SOL = 1e9;
+const MIN_SOL_MOVE = 0.0005; // Below this the SOL change is just fees / rent
+
+function accountKeyList(tx) {
+    return (tx?.transaction?.message?.accountKeys || []).map(k => k.pubkey || k);
+}
+
+// Per-mint change in the wallet's token balances within a transaction
+function ownerTokenDeltas(tx, owner) {
+    const deltas = {};
+    const apply = (balances, sign) => (balances || []).forEach(b => {
+        if (b.owner !== owner) return;
+        deltas[b.mint] = (deltas[b.mint] || 0) + sign * (b.uiTokenAmount?.uiAmount || 0);
+    });
+    apply(tx?.meta?.preTokenBalances, -1);
+    apply(tx?.meta?.postTokenBalances, 1);
+    return deltas;
+}
+
+// Native SOL change for the wallet, ignoring the transaction fee it paid
+function nativeSolDelta(tx, wallet) {
+    const index = accountKeyList(tx).indexOf(wallet);
+    if (index < 0) return 0;
+    const pre = tx.meta?.preBalances?.[index] || 0;
+    const post = tx.meta?.postBalances?.[index] || 0;
+    const fee = SolanaRpc.getFeePayer(tx) === wallet ? (tx.meta?.fee || 0) : 0;
+    return (post - pre + fee) / LAMPORTS_PER_SOL;
+}
+
+function detectVenue(tx) {
+    const programs = [
+        ...(tx?.transaction?.message?.instructions || []),
+        ...(tx?.meta?.innerInstructions || []).flatMap(i => i.instructions || [])
+    ].map(ix => ix.programId);
+    // Aggregator wins over the pools it routed through
+    if (programs.some(id => VENUES[id] === 'jupiter')) return 'jupiter';
+    const match = programs.find(id => VENUES[id]);
+    return match ? VENUES[match] : 'unknown';
+}
+
+// Returns { side, mint, tokenAmount, quote, quoteAmount, solAmount, venue, ... } or null
+function decodeSwap(tx, wallet, signature) {
+    if (!tx || tx.meta?.err) return null;
+
+    const deltas = ownerTokenDeltas(tx, wallet);
+    const solDelta = nativeSolDelta(tx, wallet) + (deltas[WSOL_MINT] || 0);
+    delete deltas[WSOL_MINT];
+
+    // Quote leg: SOL if it moved, otherwise a stablecoin
+    let quote = null;
+    let quoteDelta = 0;
+    if (Math.abs(solDelta) >= MIN_SOL_MOVE) {
+        quote = 'SOL';
+        quoteDelta = solDelta;
+    } else {
+        const stable = Object.keys(STABLE_MINTS).find(mint => deltas[mint]);
+        if (stable) {
+            quote = STABLE_MINTS[stable];
+            quoteDelta = deltas[stable];
+        }
+    }
+    // SOL <-> stablecoin swaps aren't token trades
+    Object.keys(STABLE_MINTS).forEach(mint => delete deltas[mint]);
+
+    const changed = Object.entries(deltas).filter(([, delta]) => delta !== 0);
+    if (!quote || changed.length !== 1) return null;
+
+    const [mint, tokenDelta] = changed[0];
+    let side = null;
+    if (tokenDelta > 0 && quoteDelta < 0) side = 'buy';
+    if (tokenDelta < 0 && quoteDelta > 0) side = 'sell';
+    if (!side) return null;
+
+    const quoteAmount = Math.abs(quoteDelta);
+    return {
+        signature,
+        slot: tx.slot,
+        blockTime: tx.blockTime || null,
+        wallet,
+        side,
+        mint,
+        tokenAmount: Math.abs(tokenDelta),
+        quote,
+        quoteAmount,
+        solAmount: quote === 'SOL' ? quoteAmount : null,
+        venue: detectVenue(tx)
+    };
+}
+
+// Recent swaps for one wallet, newest first
+// settings: { limit: signatures to scan, since: unix seconds, concurrency }
+async function fetchWalletSwaps(wallet, settings = {}, options = {}) {
+    const limit = settings.limit || 10;
+    const since = settings.since || 0;
+
+    const sigs = await SolanaRpc.rpcCall('getSignaturesForAddress', [wallet, { limit }], options);
+    const recent = (sigs || []).filter(s => !s.err && (!since || (s.blockTime || 0) > since));
+
+    const decoded = await SolanaRpc.mapLimit(recent, settings.concurrency || 4, async sig => {
+        const cacheKey = `${wallet}:${sig.signature}`;
+        if (swapCache.has(cacheKey)) return swapCache.get(cacheKey);
+
+        const tx = await SolanaRpc.getParsedTransaction(sig.signature, options);
+        const swap = decodeSwap(tx, wallet, sig.signature);
+
+        if (swapCache.size >= MAX_SWAP_CACHE) {
+            swapCache.delete(swapCache.keys().next().value);
+        }
+        swapCache.set(cacheKey, swap);
+        return swap;
+    });
+
+    return decoded
+        .filter(result => result.status === 'fulfilled' && result.value)
+        .map(result => ({ ...result.value }));
+}
+
+module.exports = {
+    WSOL_MINT,
+    STABLE_MINTS,
+    VENUES,
+    ownerTokenDeltas,
+    decodeSwap,
+    fetchWalletSwaps
+};
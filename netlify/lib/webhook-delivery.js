@@ -0,0 +1,272 @@
+// Outbound alert delivery - Discord webhooks, Telegram bot messages and plain JSON webhooks
+// Destinations come from env so secrets stay server-side:
+//   DISCORD_WEBHOOK_URL                  Discord channel webhook
+//   TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID Telegram bot + chat
+//   TELEGRAM_API_BASE                    defaults to https://api.telegram.org (point at a local sink to test)
+//   ALERT_WEBHOOK_URLS                   comma-separated generic JSON endpoints
+
+const DEFAULT_TELEGRAM_API_BASE = 'https://api.telegram.org';
+const REQUEST_TIMEOUT = 5000;
+
+const RETRY = {
+    attempts: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 5000
+};
+
+// Minimum spacing between sends per destination (Discord: 5 req / 2s, Telegram: ~1 msg/s per chat)
+const MIN_INTERVAL_MS = {
+    discord: 400,
+    telegram: 1000,
+    json: 0
+};
+
+// Discord caps embeds per message and their combined text, Telegram caps message length
+const DISCORD_MAX_EMBEDS = 10;
+const DISCORD_MAX_EMBED_TEXT = 6000;
+const TELEGRAM_MAX_LENGTH = 4096;
+
+const SOURCE_COLORS = {
+    token: 0x00f0ff,
+    trench: 0x10b981,
+    narrative: 0xff9500,
+    kol: 0x8b5cf6
+};
+
+const lastSendAt = new Map();
+
+function getDestinations() {
+    const destinations = [];
+
+    if (process.env.DISCORD_WEBHOOK_URL) {
+        destinations.push({ type: 'discord', name: 'discord', url: process.env.DISCORD_WEBHOOK_URL });
+    }
+
+    if (process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID) {
+        const base = (process.env.TELEGRAM_API_BASE || DEFAULT_TELEGRAM_API_BASE).replace(/\/$/, '');
+        destinations.push({
+            type: 'telegram',
+            name: 'telegram',
+            url: `${base}/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+            chatId: process.env.TELEGRAM_CHAT_ID
+        });
+    }
+
+    (process.env.ALERT_WEBHOOK_URLS || '')
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean)
+        .forEach((url, i) => destinations.push({ type: 'json', name: `json-${i + 1}`, url }));
+
+    return destinations;
+}
+
+function tokenUrl(alert) {
+    const address = alert.snapshot?.address;
+    return address ? `https://dexscreener.com/solana/${address}` : null;
+}
+
+function compact(num) {
+    if (typeof num !== 'number' || !isFinite(num)) return null;
+    if (num >= 1e9) return `$${(num / 1e9).toFixed(2)}B`;
+    if (num >= 1e6) return `$${(num / 1e6).toFixed(2)}M`;
+    if (num >= 1e3) return `$${(num / 1e3).toFixed(1)}K`;
+    return `$${num.toFixed(0)}`;
+}
+
+// Key numbers from the token snapshot, as [label, value] pairs
+function snapshotFields(alert) {
+    const snap = alert.snapshot || {};
+    const fields = [];
+    if (typeof snap.solAmount === 'number') fields.push([snap.side === 'sell' ? 'Sold' : 'Bought', `${snap.solAmount.toFixed(2)} SOL`]);
+    if (typeof snap.priceChange5m === 'number') fields.push(['5m', `${snap.priceChange5m >= 0 ? '+' : ''}${snap.priceChange5m.toFixed(1)}%`]);
+    if (typeof snap.priceChange1h === 'number') fields.push(['1h', `${snap.priceChange1h >= 0 ? '+' : ''}${snap.priceChange1h.toFixed(1)}%`]);
+    const mcap = compact(snap.marketCap ?? snap.mcap);
+    if (mcap) fields.push(['MC', mcap]);
+    const volume = compact(snap.volume1h ?? snap.volume24h);
+    if (volume) fields.push([snap.volume1h !== undefined ? 'Vol 1h' : 'Vol 24h', volume]);
+    if (typeof snap.safetyScore === 'number') fields.push(['Safety', String(snap.safetyScore)]);
+    if (typeof snap.rank === 'number') fields.push(['Rank', `#${snap.rank}`]);
+    return fields;
+}
+
+function escapeTelegramHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// ===== FORMATTERS =====
+
+// Characters Discord counts toward the per-message embed limit
+function embedTextLength(embed) {
+    return embed.title.length + embed.description.length + embed.footer.text.length +
+        embed.fields.reduce((sum, field) => sum + field.name.length + field.value.length, 0);
+}
+
+function formatDiscord(alerts) {
+    const embeds = [];
+    let textLength = 0;
+    for (const alert of alerts) {
+        if (embeds.length >= DISCORD_MAX_EMBEDS) break;
+        const embed = {
+            title: String(alert.label).slice(0, 256),
+            description: String(alert.message).slice(0, 2048),
+            url: tokenUrl(alert) || undefined,
+            color: SOURCE_COLORS[alert.source] || SOURCE_COLORS.token,
+            fields: snapshotFields(alert).map(([name, value]) => ({ name, value, inline: true })),
+            footer: { text: `NarrativeAlpha · ${alert.source}` },
+            timestamp: new Date(alert.timestamp).toISOString()
+        };
+        // Keep whole alerts together; drop the tail rather than have Discord reject the message
+        const length = embedTextLength(embed);
+        if (textLength + length > DISCORD_MAX_EMBED_TEXT) break;
+        textLength += length;
+        embeds.push(embed);
+    }
+
+    const payload = { username: 'NarrativeAlpha', embeds };
+    if (embeds.length < alerts.length) {
+        payload.content = `+${alerts.length - embeds.length} more`;
+    }
+    return payload;
+}
+
+function formatTelegram(alerts, chatId) {
+    const blocks = alerts.map(alert => {
+        const url = tokenUrl(alert);
+        const stats = snapshotFields(alert).map(([name, value]) => `${name} ${value}`).join(' · ');
+        return [
+            `<b>${escapeTelegramHtml(alert.label)}</b>`,
+            escapeTelegramHtml(alert.message),
+            stats ? `<i>${escapeTelegramHtml(stats)}</i>` : null,
+            url ? `<a href="${escapeTelegramHtml(url)}">Chart</a>` : null
+        ].filter(Boolean).join('\n');
+    });
+
+    // Keep whole alerts together; drop the tail rather than cut one in half
+    let text = '';
+    let included = 0;
+    for (const block of blocks) {
+        const next = text ? `${text}\n\n${block}` : block;
+        if (next.length > TELEGRAM_MAX_LENGTH - 50) break;
+        text = next;
+        included++;
+    }
+    if (included < blocks.length) {
+        text += `\n\n+${blocks.length - included} more`;
+    }
+
+    return {
+        chat_id: chatId,
+        text,
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+    };
+}
+
+function formatJson(alerts) {
+    return {
+        source: 'narrativealpha',
+        sentAt: new Date().toISOString(),
+        alerts
+    };
+}
+
+function formatFor(destination, alerts) {
+    if (destination.type === 'discord') return formatDiscord(alerts);
+    if (destination.type === 'telegram') return formatTelegram(alerts, destination.chatId);
+    return formatJson(alerts);
+}
+
+// ===== DELIVERY =====
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Wait out the per-destination spacing before sending
+async function throttle(destination) {
+    const minInterval = MIN_INTERVAL_MS[destination.type] || 0;
+    const last = lastSendAt.get(destination.url) || 0;
+    const wait = last + minInterval - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastSendAt.set(destination.url, Date.now());
+}
+
+// Delay before the next attempt - honours Retry-After from 429s (Discord and Telegram both send one)
+async function retryDelay(response, attempt) {
+    let delay = RETRY.baseDelayMs * Math.pow(2, attempt - 1);
+
+    if (response && response.status === 429) {
+        const header = parseFloat(response.headers.get('retry-after'));
+        let body = null;
+        try {
+            body = await response.json();
+        } catch (e) {
+            // Not JSON - fall back to the header
+        }
+        const seconds = body?.retry_after ?? body?.parameters?.retry_after ?? header;
+        if (Number.isFinite(seconds)) delay = seconds * 1000;
+    }
+
+    return Math.min(delay, RETRY.maxDelayMs);
+}
+
+async function post(url, payload) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+    try {
+        return await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal: controller.signal
+        });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// Send to one destination with retries on network errors, 429s and 5xx
+async function deliver(destination, alerts) {
+    const payload = formatFor(destination, alerts);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= RETRY.attempts; attempt++) {
+        await throttle(destination);
+
+        let response = null;
+        try {
+            response = await post(destination.url, payload);
+            if (response.ok) {
+                return { destination: destination.name, ok: true, status: response.status, attempts: attempt };
+            }
+            lastError = `HTTP ${response.status}`;
+            // Other 4xx won't succeed on retry (bad URL, bad chat id, malformed payload)
+            if (response.status !== 429 && response.status < 500) {
+                return { destination: destination.name, ok: false, status: response.status, attempts: attempt, error: lastError };
+            }
+        } catch (error) {
+            lastError = error.name === 'AbortError' ? 'Timed out' : error.message;
+        }
+
+        if (attempt < RETRY.attempts) {
+            await sleep(await retryDelay(response, attempt));
+        }
+    }
+
+    return { destination: destination.name, ok: false, status: null, attempts: RETRY.attempts, error: lastError };
+}
+
+// Fan alerts out to every configured destination in parallel
+async function deliverAll(alerts, destinations = getDestinations()) {
+    return Promise.all(destinations.map(destination => deliver(destination, alerts)));
+}
+
+module.exports = {
+    getDestinations,
+    formatDiscord,
+    formatTelegram,
+    formatJson,
+    deliver,
+    deliverAll
+};
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+/**
+ * NarrativeAlpha Signal Backtest
+ *
+ * Replays recorded token snapshots through the signal engine and reports
+ * forward returns, hit rates and drawdown for each generateSignalEdge() tag.
+ *
+ * Usage:
+ *   node scripts/backtest.js [fixture.json] [--horizons 5m,1h,6h]
+ *                            [--tolerance 0.25] [--thresholds overrides.json] [--json]
+ *
+ * Fixtures are either an array of snapshot rows or an object with a
+ * `snapshots` array (the format produced by liveDataService.exportSnapshots()).
+ * --thresholds merges a JSON object into CONFIG.VALIDATION before replaying,
+ * so threshold changes can be compared offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config.js');
+const SignalEngine = require('../shared/signal-engine.js');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'snapshots-sample.json');
+const DEFAULT_HORIZONS = ['5m', '1h', '6h'];
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function parseArgs(argv) {
+    const args = {
+        fixture: DEFAULT_FIXTURE,
+        horizons: DEFAULT_HORIZONS,
+        tolerance: 0.25,
+        thresholds: null,
+        json: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--horizons') args.horizons = argv[++i].split(',').map(h => h.trim()).filter(Boolean);
+        else if (arg === '--tolerance') args.tolerance = parseFloat(argv[++i]);
+        else if (arg === '--thresholds') args.thresholds = argv[++i];
+        else if (arg === '--json') args.json = true;
+        else if (!arg.startsWith('--')) args.fixture = arg;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+
+    return args;
+}
+
+function parseHorizon(label) {
+    const match = /^(\d+)([mhd])$/.exec(label);
+    if (!match) throw new Error(`Invalid horizon: ${label} (use e.g. 5m, 1h, 6h)`);
+    return parseInt(match[1], 10) * UNIT_MS[match[2]];
+}
+
+function loadSnapshots(file) {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const rows = Array.isArray(raw) ? raw : (raw.snapshots || []);
+    return rows.filter(r => r && r.address && r.timestamp && r.price > 0);
+}
+
+// Rebuild the DEX Screener pair shape that processTokenData() expects
+function snapshotToPair(snap) {
+    const txns24h = snap.txns24h || 0;
+    const buyRatio = snap.buyRatio ?? 0.5;
+    const buys = Math.round(txns24h * buyRatio);
+    const buys1h = Math.round((snap.txns1h || 0) * buyRatio);
+
+    return {
+        chainId: 'solana',
+        dexId: snap.dexId,
+        url: snap.url,
+        pairAddress: snap.pairAddress,
+        pairCreatedAt: snap.createdAt || undefined,
+        baseToken: { address: snap.address, name: snap.name, symbol: snap.symbol },
+        priceUsd: String(snap.price),
+        priceChange: { m5: snap.priceChange5m, h1: snap.priceChange1h, h6: snap.priceChange6h, h24: snap.priceChange24h },
+        volume: { m5: snap.volume5m, h1: snap.volume1h, h6: snap.volume6h, h24: snap.volume24h },
+        liquidity: { usd: snap.liquidity },
+        fdv: snap.marketCap,
+        txns: {
+            h24: { buys, sells: txns24h - buys },
+            h1: { buys: buys1h, sells: (snap.txns1h || 0) - buys1h }
+        }
+    };
+}
+
+// Forward return and worst drawdown from an entry, using the snapshot closest to entry + horizonMs
+function forwardOutcome(series, entryIndex, horizonMs, toleranceMs) {
+    const entry = series[entryIndex];
+    const target = entry.timestamp + horizonMs;
+    let exitIndex = -1;
+
+    for (let i = entryIndex + 1; i < series.length; i++) {
+        const distance = Math.abs(series[i].timestamp - target);
+        if (series[i].timestamp > target + toleranceMs) break;
+        if (distance <= toleranceMs && (exitIndex === -1 || distance < Math.abs(series[exitIndex].timestamp - target))) {
+            exitIndex = i;
+        }
+    }
+
+    if (exitIndex === -1) return null; // No snapshot close enough to the horizon
+
+    let minPrice = entry.price;
+    for (let i = entryIndex + 1; i <= exitIndex; i++) {
+        minPrice = Math.min(minPrice, series[i].price);
+    }
+
+    return {
+        ret: (series[exitIndex].price - entry.price) / entry.price * 100,
+        drawdown: (minPrice - entry.price) / entry.price * 100
+    };
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function runBacktest(snapshots, options = {}) {
+    const horizons = (options.horizons || DEFAULT_HORIZONS).map(label => ({ label, ms: parseHorizon(label) }));
+    const tolerance = options.tolerance ?? 0.25;
+
+    // Per-token price series for forward lookups
+    const seriesByToken = {};
+    snapshots.forEach(s => (seriesByToken[s.address] = seriesByToken[s.address] || []).push(s));
+    Object.values(seriesByToken).forEach(series => series.sort((a, b) => a.timestamp - b.timestamp));
+
+    // Group rows into refresh ticks so each tick replays like one fetchAllData() pass
+    const ticks = {};
+    snapshots.forEach(s => (ticks[s.timestamp] = ticks[s.timestamp] || []).push(s));
+
+    const stats = {};
+    let signalCount = 0;
+
+    Object.keys(ticks).map(Number).sort((a, b) => a - b).forEach(timestamp => {
+        const tokens = SignalEngine.processTokenData(ticks[timestamp].map(snapshotToPair), timestamp);
+
+        tokens.forEach(token => {
+            const { tag } = SignalEngine.generateSignalEdge(token, timestamp);
+            const series = seriesByToken[token.address];
+            const entryIndex = series.findIndex(s => s.timestamp === timestamp);
+            if (entryIndex === -1) return;
+
+            signalCount++;
+            const tagStats = stats[tag] || (stats[tag] = { tag, signals: 0, horizons: {} });
+            tagStats.signals++;
+
+            horizons.forEach(h => {
+                const bucket = tagStats.horizons[h.label] || (tagStats.horizons[h.label] = { returns: [], drawdowns: [] });
+                const outcome = forwardOutcome(series, entryIndex, h.ms, h.ms * tolerance);
+                if (!outcome) return;
+                bucket.returns.push(outcome.ret);
+                bucket.drawdowns.push(outcome.drawdown);
+            });
+        });
+    });
+
+    const tags = Object.values(stats).map(tagStats => {
+        const summary = { tag: tagStats.tag, signals: tagStats.signals, horizons: {} };
+        horizons.forEach(h => {
+            const { returns = [], drawdowns = [] } = tagStats.horizons[h.label] || {};
+            const n = returns.length;
+            summary.horizons[h.label] = {
+                samples: n,
+                avgReturn: n ? returns.reduce((a, b) => a + b, 0) / n : 0,
+                medianReturn: median(returns),
+                hitRate: n ? returns.filter(r => r > 0).length / n * 100 : 0,
+                avgDrawdown: n ? drawdowns.reduce((a, b) => a + b, 0) / n : 0,
+                maxDrawdown: n ? Math.min(...drawdowns) : 0
+            };
+        });
+        return summary;
+    }).sort((a, b) => b.signals - a.signals);
+
+    return {
+        snapshots: snapshots.length,
+        tokens: Object.keys(seriesByToken).length,
+        ticks: Object.keys(ticks).length,
+        signals: signalCount,
+        horizons: horizons.map(h => h.label),
+        tags
+    };
+}
+
+function pct(value) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+function printReport(report) {
+    console.log(`Replayed ${report.snapshots} snapshots | ${report.tokens} tokens | ${report.ticks} ticks | ${report.signals} signals\n`);
+
+    report.horizons.forEach(label => {
+        console.log(`Horizon ${label}`);
+        console.log('  TAG            SIGNALS  SAMPLES   AVG RET   MED RET   HIT RATE   AVG DD    MAX DD');
+        report.tags.forEach(t => {
+            const h = t.horizons[label];
+            console.log('  ' + [
+                t.tag.padEnd(14),
+                String(t.signals).padStart(7),
+                String(h.samples).padStart(8),
+                pct(h.avgReturn).padStart(9),
+                pct(h.medianReturn).padStart(9),
+                `${h.hitRate.toFixed(0)}%`.padStart(10),
+                pct(h.avgDrawdown).padStart(9),
+                pct(h.maxDrawdown).padStart(9)
+            ].join(' '));
+        });
+        console.log('');
+    });
+}
+
+if (require.main === module) {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+
+        if (args.thresholds) {
+            const overrides = JSON.parse(fs.readFileSync(args.thresholds, 'utf8'));
+            Object.assign(CONFIG.VALIDATION, overrides);
+        }
+
+        const report = runBacktest(loadSnapshots(args.fixture), args);
+        if (args.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report);
+        }
+    } catch (e) {
+        console.error('Backtest failed:', e.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { runBacktest, snapshotToPair, loadSnapshots };
@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+/**
+ * Mock Solana JSON-RPC server for local development.
+ *
+ * Serves canned responses for the methods netlify/lib/solana-rpc.js uses, so the
+ * holders function and trench scoring can be exercised without a real RPC.
+ *
+ * Usage:
+ *   node scripts/mock-rpc-server.js [port]          (default 8899)
+ *   SOLANA_RPC_URL=http://localhost:8899 netlify dev
+ *
+ * Every mint gets the same deterministic distribution: one pool vault (owned by
+ * a program account), a dev wallet holding 6% and a long tail of wallets.
+ *
+ * Every mint also gets the same launch: the dev's create transaction, then three
+ * wallets funded by one source buying in the same slot with Jito tips (a bundle),
+ * then a couple of organic buys.
+ *
+ * KOL_WALLET has a short trading history for the followed-wallet feed: a pump.fun buy
+ * of WALLET_MINT for 2.5 SOL, a partial sell for 4 SOL and a plain SOL transfer.
+ */
+
+const http = require('http');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8899', 10);
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const POOL_PROGRAM = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+
+const SUPPLY = 1000000000;
+const DECIMALS = 6;
+const DEV_WALLET = 'DevWa11etMock1111111111111111111111111111111';
+const POOL_AUTHORITY = 'Poo1AuthorityMock111111111111111111111111111';
+const BUNDLE_FUNDER = 'FunderMock111111111111111111111111111111111';
+const BUNDLE_WALLETS = [1, 2, 3].map(i => `Bund1erMock${i}`.padEnd(44, '1'));
+const JITO_TIP_ACCOUNT = '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5';
+const WALLET_MINT = 'Wa11etMintMock11111111111111111111111111111';
+const KOL_WALLET = 'Ko1Wa11etMock111111111111111111111111111111';
+const PUMPFUN_PROGRAM = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+
+// Largest holders: [owner, share of supply]
+const HOLDERS = [
+    [POOL_AUTHORITY, 0.22],
+    [DEV_WALLET, 0.06],
+    ...BUNDLE_WALLETS.map(wallet => [wallet, 0.02]),
+    ...Array.from({ length: 18 }, (_, i) => [`Ho1derMock${String(i + 1).padStart(2, 'A')}`.padEnd(44, '1'), Math.max(0.004, 0.05 - i * 0.0025)])
+];
+const TAIL_HOLDERS = 1240;
+
+function tokenAccountFor(owner) {
+    return `TokAcc${owner.slice(0, 10)}`.padEnd(44, '1');
+}
+
+function uiAmount(share) {
+    const amount = SUPPLY * share;
+    return { amount: String(Math.round(amount * 10 ** DECIMALS)), decimals: DECIMALS, uiAmount: amount, uiAmountString: String(amount) };
+}
+
+// Launch transactions: [kind, slot, fee payer, buyer, share bought, jito tip]
+const LAUNCH = [
+    ['Create', 100, DEV_WALLET, DEV_WALLET, 0.06, false],
+    ...BUNDLE_WALLETS.map((wallet, i) => [`Bundle${i + 1}`, 101, wallet, wallet, 0.04, true]),
+    ['Buy1', 200, HOLDERS[5][0], HOLDERS[5][0], 0.005, false],
+    ['Buy2', 300, HOLDERS[6][0], HOLDERS[6][0], 0.003, false]
+];
+
+// Mock signatures carry the mint so getTransaction knows which token balances to report
+function launchSignature(kind, mint) {
+    return `MockSig${kind}:${mint}`;
+}
+
+function tokenBalance(index, mint, owner, share) {
+    return { accountIndex: index, mint, owner, uiTokenAmount: uiAmount(share) };
+}
+
+function transfer(source, destination, lamports) {
+    return { program: 'system', parsed: { type: 'transfer', info: { source, destination, lamports } } };
+}
+
+function launchTransaction(kind, mint) {
+    const index = LAUNCH.findIndex(([k]) => k === kind);
+    if (index === -1) return null;
+
+    const [, slot, feePayer, buyer, share, jitoTip] = LAUNCH[index];
+    // Pool holds everything not yet bought
+    const poolBefore = 1 - LAUNCH.slice(0, index).reduce((sum, entry) => sum + entry[4], 0);
+    const instructions = jitoTip ? [transfer(feePayer, JITO_TIP_ACCOUNT, 1000000)] : [];
+
+    return {
+        slot,
+        meta: {
+            err: null,
+            preTokenBalances: kind === 'Create' ? [] : [tokenBalance(1, mint, POOL_AUTHORITY, poolBefore)],
+            postTokenBalances: [
+                tokenBalance(1, mint, POOL_AUTHORITY, poolBefore - share),
+                tokenBalance(2, mint, buyer, share)
+            ],
+            innerInstructions: []
+        },
+        transaction: {
+            message: {
+                accountKeys: [
+                    { pubkey: feePayer, signer: true, writable: true },
+                    { pubkey: TOKEN_PROGRAM, signer: false, writable: false }
+                ],
+                instructions
+            }
+        }
+    };
+}
+
+// KOL_WALLET history, newest first: [kind, slot, seconds ago, token share before, after, SOL change]
+const KOL_SWAPS = [
+    ['KolTransfer', 520, 60, 0.002, 0.002, -1],
+    ['KolSell', 510, 300, 0.005, 0.002, 4],
+    ['KolBuy', 500, 900, 0, 0.005, -2.5]
+];
+
+function kolTransaction(kind, wallet) {
+    const swap = KOL_SWAPS.find(([k]) => k === kind);
+    if (!swap) return null;
+
+    const [, slot, secondsAgo, before, after, solChange] = swap;
+    const fee = 5000;
+    const preLamports = 50 * 1e9;
+    const isSwap = before !== after;
+
+    return {
+        slot,
+        blockTime: Math.floor(Date.now() / 1000) - secondsAgo,
+        meta: {
+            err: null,
+            fee,
+            preBalances: [preLamports, 0],
+            postBalances: [preLamports + solChange * 1e9 - fee, 0],
+            preTokenBalances: before > 0 ? [tokenBalance(2, WALLET_MINT, wallet, before)] : [],
+            postTokenBalances: [tokenBalance(2, WALLET_MINT, wallet, after)],
+            innerInstructions: []
+        },
+        transaction: {
+            message: {
+                accountKeys: [
+                    { pubkey: wallet, signer: true, writable: true },
+                    { pubkey: isSwap ? PUMPFUN_PROGRAM : SYSTEM_PROGRAM, signer: false, writable: false }
+                ],
+                instructions: isSwap
+                    ? [{ programId: PUMPFUN_PROGRAM, accounts: [], data: '' }]
+                    : [transfer(wallet, BUNDLE_FUNDER, -solChange * 1e9)]
+            }
+        }
+    };
+}
+
+// First SOL a bundle wallet ever received
+function fundingTransaction(wallet) {
+    return {
+        slot: 90,
+        meta: { err: null, preTokenBalances: [], postTokenBalances: [], innerInstructions: [] },
+        transaction: {
+            message: {
+                accountKeys: [{ pubkey: BUNDLE_FUNDER, signer: true, writable: true }],
+                instructions: [transfer(BUNDLE_FUNDER, wallet, 500000000)]
+            }
+        }
+    };
+}
+
+const tokenAccounts = new Map(HOLDERS.map(([owner, share]) => [tokenAccountFor(owner), { owner, share }]));
+
+const handlers = {
+    getTokenSupply: () => ({ context: { slot: 1 }, value: uiAmount(1) }),
+
+    getTokenLargestAccounts: () => ({
+        context: { slot: 1 },
+        value: HOLDERS.map(([owner, share]) => ({ address: tokenAccountFor(owner), ...uiAmount(share) }))
+    }),
+
+    getMultipleAccounts: ([addresses]) => ({
+        context: { slot: 1 },
+        value: addresses.map(address => {
+            const tokenAccount = tokenAccounts.get(address);
+            if (tokenAccount) {
+                return {
+                    owner: TOKEN_PROGRAM,
+                    lamports: 2039280,
+                    data: { program: 'spl-token', parsed: { type: 'account', info: { owner: tokenAccount.owner, tokenAmount: uiAmount(tokenAccount.share) } } }
+                };
+            }
+            // Wallets are system-owned; the pool authority is owned by the AMM program
+            return { owner: address === POOL_AUTHORITY ? POOL_PROGRAM : SYSTEM_PROGRAM, lamports: 1000000, data: ['', 'base64'] };
+        })
+    }),
+
+    // Every mint is a classic token program mint
+    getAccountInfo: () => ({ context: { slot: 1 }, value: { owner: TOKEN_PROGRAM, lamports: 1461600, data: ['', 'base64'] } }),
+
+    getProgramAccounts: () => {
+        const nonZero = Buffer.alloc(8);
+        nonZero.writeBigUInt64LE(1n);
+        const zero = Buffer.alloc(8);
+        return Array.from({ length: HOLDERS.length + TAIL_HOLDERS + 25 }, (_, i) => ({
+            pubkey: `Acct${i}`.padEnd(44, '1'),
+            // Last 25 accounts are empty and should not be counted
+            account: { data: [(i < HOLDERS.length + TAIL_HOLDERS ? nonZero : zero).toString('base64'), 'base64'] }
+        }));
+    },
+
+    // Newest first, like the real RPC
+    getSignaturesForAddress: ([address]) => {
+        if (address === KOL_WALLET) {
+            return KOL_SWAPS.map(([kind, slot, secondsAgo]) => ({
+                signature: `MockSig${kind}:${address}`,
+                slot,
+                blockTime: Math.floor(Date.now() / 1000) - secondsAgo,
+                err: null
+            }));
+        }
+        if (BUNDLE_WALLETS.includes(address)) {
+            return [{ signature: `MockSigFund:${address}`, slot: 90 }];
+        }
+        if (address === DEV_WALLET || HOLDERS.some(([owner]) => owner === address)) {
+            return [];
+        }
+        return [...LAUNCH].reverse().map(([kind, slot]) => ({ signature: launchSignature(kind, address), slot, err: null }));
+    },
+
+    getTransaction: ([signature]) => {
+        const [tag, subject] = String(signature).split(':');
+        if (tag === 'MockSigFund') return fundingTransaction(subject);
+        if (tag.startsWith('MockSigKol')) return kolTransaction(tag.replace('MockSig', ''), subject);
+        return launchTransaction(tag.replace('MockSig', ''), subject);
+    },
+
+    getBalance: () => ({ context: { slot: 1 }, value: 12.5 * 1e9 }),
+
+    // Filtered by { mint } for a balance, or by { programId } for a wallet's whole portfolio
+    // (holders hold WALLET_MINT under the classic token program, nothing under Token-2022;
+    // the KOL wallet keeps the 2M tokens left after its buy + sell)
+    getTokenAccountsByOwner: ([owner, filter = {}]) => {
+        const mint = filter.mint || (filter.programId === TOKEN_PROGRAM ? WALLET_MINT : null);
+        const owners = [...HOLDERS, [KOL_WALLET, 2000000 / SUPPLY]];
+        return {
+            context: { slot: 1 },
+            value: mint ? owners.filter(([o]) => o === owner).map(([o, share]) => ({
+                pubkey: tokenAccountFor(o),
+                account: { data: { parsed: { info: { mint, owner: o, tokenAmount: uiAmount(share) } } } }
+            })) : []
+        };
+    }
+};
+
+const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end();
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (e) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }));
+            return;
+        }
+
+        const handler = handlers[payload.method];
+        const response = handler
+            ? { jsonrpc: '2.0', id: payload.id, result: handler(payload.params || []) }
+            : { jsonrpc: '2.0', id: payload.id, error: { code: -32601, message: `Method not found: ${payload.method}` } };
+
+        console.log(`[mock-rpc] ${payload.method}${handler ? '' : ' (unsupported)'}`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+    });
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Mock Solana RPC listening on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { server, handlers, DEV_WALLET, BUNDLE_WALLETS, BUNDLE_FUNDER, WALLET_MINT, KOL_WALLET };
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * NarrativeAlpha Classifier Training
+ *
+ * Trains the narrative classifier (shared/narrative-classifier.js) from labeled
+ * past tokens, reports how well it does on held-out examples, then trains on
+ * every example and writes the model narrative-radar.js loads.
+ *
+ * Usage:
+ *   node scripts/train-classifier.js [labeled.json] [--out shared/narrative-model.json]
+ *                                    [--holdout 5] [--no-seed] [--dry-run] [--json]
+ *
+ * Labeled files are either an array of examples or an object with an
+ * `examples` array: { name, symbol, description, labels: ['ANIMAL_DOG', ...] }.
+ * Every --holdout'th example is held out for evaluation (0 skips it).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const NarrativeClassifier = require('../shared/narrative-classifier.js');
+
+const DEFAULT_LABELED = path.join(__dirname, 'fixtures', 'narratives-labeled.json');
+const DEFAULT_OUT = path.join(__dirname, '..', 'shared', 'narrative-model.json');
+
+function parseArgs(argv) {
+    const args = {
+        labeled: DEFAULT_LABELED,
+        out: DEFAULT_OUT,
+        holdout: 5,
+        seed: true,
+        dryRun: false,
+        json: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') args.out = argv[++i];
+        else if (arg === '--holdout') args.holdout = parseInt(argv[++i], 10);
+        else if (arg === '--no-seed') args.seed = false;
+        else if (arg === '--dry-run') args.dryRun = true;
+        else if (arg === '--json') args.json = true;
+        else if (!arg.startsWith('--')) args.labeled = arg;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if (!Number.isInteger(args.holdout) || args.holdout < 0) {
+        throw new Error('--holdout must be a whole number (0 to skip evaluation)');
+    }
+    return args;
+}
+
+function loadExamples(file) {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const rows = Array.isArray(raw) ? raw : (raw.examples || []);
+    return rows.filter(r => r && (r.name || r.symbol || r.description || r.text) &&
+        Array.isArray(r.labels) && r.labels.some(label => NarrativeClassifier.CATEGORIES.includes(label)));
+}
+
+// Top-1 counts when the best label is one of the example's labels, top-2 when either of the
+// two best is; precision / recall are per category on the top-1 label
+function evaluate(model, examples) {
+    const perCategory = {};
+    const bucket = category => perCategory[category] || (perCategory[category] = { category, predicted: 0, actual: 0, correct: 0 });
+    let top1 = 0;
+    let top2 = 0;
+    const misses = [];
+
+    examples.forEach(example => {
+        const result = NarrativeClassifier.classify(example, model, { limit: 2 });
+        const predicted = result.category;
+        const second = result.labels[1]?.category;
+
+        bucket(predicted).predicted++;
+        example.labels.forEach(label => bucket(label).actual++);
+
+        if (example.labels.includes(predicted)) {
+            top1++;
+            bucket(predicted).correct++;
+        } else {
+            misses.push({ symbol: example.symbol, name: example.name, labels: example.labels, predicted, confidence: result.confidence });
+        }
+        if (example.labels.includes(predicted) || example.labels.includes(second)) top2++;
+    });
+
+    const n = examples.length || 1;
+    return {
+        samples: examples.length,
+        top1: top1 / n * 100,
+        top2: top2 / n * 100,
+        categories: Object.values(perCategory)
+            .map(c => ({
+                ...c,
+                precision: c.predicted ? c.correct / c.predicted * 100 : null,
+                recall: c.actual ? c.correct / c.actual * 100 : null
+            }))
+            .sort((a, b) => b.actual - a.actual),
+        misses
+    };
+}
+
+function runTraining(examples, options = {}) {
+    const holdout = options.holdout ?? 5;
+    const seed = options.seed ?? true;
+    const report = { examples: examples.length, evaluation: null };
+
+    if (holdout > 0) {
+        const test = examples.filter((_, i) => i % holdout === holdout - 1);
+        const train = examples.filter((_, i) => i % holdout !== holdout - 1);
+        report.evaluation = evaluate(NarrativeClassifier.train(train, { seed }), test);
+    }
+
+    report.model = NarrativeClassifier.validateModel(NarrativeClassifier.train(examples, { seed }));
+    report.vocabulary = Object.keys(report.model.counts).length;
+    return report;
+}
+
+function pct(value) {
+    return value === null ? '-' : `${value.toFixed(0)}%`;
+}
+
+function printReport(report, args) {
+    console.log(`Trained on ${report.examples} labeled tokens | vocabulary ${report.vocabulary} words\n`);
+
+    const evaluation = report.evaluation;
+    if (evaluation) {
+        console.log(`Holdout (every ${args.holdout}th example, ${evaluation.samples} tokens): top-1 ${pct(evaluation.top1)} | top-2 ${pct(evaluation.top2)}`);
+        console.log('  CATEGORY        ACTUAL  PREDICTED  PRECISION  RECALL');
+        evaluation.categories.forEach(c => {
+            console.log('  ' + [
+                c.category.padEnd(14),
+                String(c.actual).padStart(6),
+                String(c.predicted).padStart(10),
+                pct(c.precision).padStart(10),
+                pct(c.recall).padStart(7)
+            ].join(' '));
+        });
+        if (evaluation.misses.length > 0) {
+            console.log('\n  Misses:');
+            evaluation.misses.forEach(m => {
+                console.log(`    $${m.symbol || '?'} (${m.name || ''}) - labeled ${m.labels.join(', ')}, got ${m.predicted} at ${pct(m.confidence * 100)}`);
+            });
+        }
+        console.log('');
+    }
+}
+
+if (require.main === module) {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const examples = loadExamples(args.labeled);
+        if (examples.length === 0) {
+            throw new Error(`No labeled examples in ${args.labeled}`);
+        }
+
+        const report = runTraining(examples, args);
+        if (args.json) {
+            const { model, ...summary } = report;
+            console.log(JSON.stringify(summary, null, 2));
+        } else {
+            printReport(report, args);
+        }
+
+        if (!args.dryRun) {
+            fs.writeFileSync(args.out, JSON.stringify(report.model) + '\n');
+            if (!args.json) console.log(`Model written to ${path.relative(process.cwd(), args.out)}`);
+        }
+    } catch (e) {
+        console.error('Training failed:', e.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { runTraining, evaluate, loadExamples };
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Local HTTP sink for testing alert webhooks.
+ *
+ * Accepts the requests netlify/functions/alert-webhook.js sends and prints them,
+ * answering like the real services: Discord webhooks get 204, Telegram's
+ * /bot<token>/sendMessage gets { ok: true, result }, anything else gets 200 JSON.
+ *
+ * Usage:
+ *   node scripts/webhook-sink.js [port] [--fail N] [--rate-limit]     (default 9999)
+ *
+ *   DISCORD_WEBHOOK_URL=http://localhost:9999/discord \
+ *   TELEGRAM_BOT_TOKEN=test TELEGRAM_CHAT_ID=1 TELEGRAM_API_BASE=http://localhost:9999 \
+ *   ALERT_WEBHOOK_URLS=http://localhost:9999/json \
+ *   netlify dev
+ *
+ * --fail N      answer the first N requests on each path with 500 (exercises retries)
+ * --rate-limit  answer the first request on each path with 429 + retry_after (exercises backoff)
+ * GET /requests returns everything received so far.
+ */
+
+const http = require('http');
+
+const args = process.argv.slice(2);
+const flag = name => args.indexOf(name);
+
+const positional = args.filter((a, i) => !a.startsWith('--') && args[i - 1] !== '--fail');
+
+const PORT = parseInt(positional[0] || process.env.PORT || '9999', 10);
+const FAIL_COUNT = flag('--fail') >= 0 ? parseInt(args[flag('--fail') + 1], 10) || 1 : 0;
+const RATE_LIMIT_ONCE = flag('--rate-limit') >= 0;
+
+const received = [];
+const hitsByPath = new Map();
+
+function reply(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function summarize(path, payload) {
+    if (payload?.embeds) return `discord: ${payload.embeds.map(e => e.title).join(', ')}`;
+    if (payload?.chat_id !== undefined) return `telegram (chat ${payload.chat_id}): ${String(payload.text).split('\n')[0]}`;
+    if (payload?.alerts) return `json: ${payload.alerts.length} alert(s)`;
+    return `${path}: ${JSON.stringify(payload).slice(0, 80)}`;
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/requests') {
+        reply(res, 200, received);
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        reply(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        let payload = null;
+        try {
+            payload = JSON.parse(body);
+        } catch (e) {
+            reply(res, 400, { error: 'Invalid JSON' });
+            return;
+        }
+
+        const hits = (hitsByPath.get(req.url) || 0) + 1;
+        hitsByPath.set(req.url, hits);
+        const isTelegram = /\/bot[^/]+\/sendMessage$/.test(req.url);
+
+        if (RATE_LIMIT_ONCE && hits === 1) {
+            console.log(`[sink] 429 ${req.url}`);
+            reply(res, 429, isTelegram
+                ? { ok: false, error_code: 429, description: 'Too Many Requests', parameters: { retry_after: 1 } }
+                : { message: 'You are being rate limited.', retry_after: 1 }, { 'Retry-After': '1' });
+            return;
+        }
+
+        const failIndex = hits - (RATE_LIMIT_ONCE ? 1 : 0);
+        if (failIndex <= FAIL_COUNT) {
+            console.log(`[sink] 500 ${req.url} (simulated failure ${failIndex}/${FAIL_COUNT})`);
+            reply(res, 500, { error: 'Simulated failure' });
+            return;
+        }
+
+        received.push({ path: req.url, receivedAt: new Date().toISOString(), payload });
+        console.log(`[sink] ${summarize(req.url, payload)}`);
+
+        if (isTelegram) {
+            reply(res, 200, { ok: true, result: { message_id: received.length, chat: { id: payload.chat_id }, text: payload.text } });
+        } else if (req.url.startsWith('/discord')) {
+            reply(res, 204);
+        } else {
+            reply(res, 200, { ok: true });
+        }
+    });
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Webhook sink listening on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { server, received };
@@ -0,0 +1,158 @@
+/**
+ * NarrativeAlpha AI Schemas
+ *
+ * Shapes of the JSON the model returns for narrative analysis and follow-up answers
+ * (analyze.js) and token intel (token-intel.js), plus a small validator. The functions validate every
+ * response before returning it (repairing once on failure); the browser validates again
+ * before rendering, since results can come from a stream or a cache.
+ *
+ * Schema keywords: type (object|array|string|number), required, properties, items,
+ * enum, enumPrefix (accept "EARLY - fresh launch" as "EARLY"), min, max,
+ * maxLength (longer strings are truncated), maxItems, format: 'ticker'.
+ */
+
+const AiSchema = (function () {
+    const stringList = (maxItems = 10, maxLength = 300) => ({
+        type: 'array',
+        maxItems,
+        items: { type: 'string', maxLength }
+    });
+
+    const NARRATIVE_ANALYSIS = {
+        type: 'object',
+        required: ['narrative_name', 'confidence', 'velocity_score', 'alert_level', 'summary',
+            'catalysts', 'suggested_tickers', 'risk_vectors', 'timeline', 'actionable_intel'],
+        properties: {
+            narrative_name: { type: 'string', maxLength: 120 },
+            confidence: { type: 'number', min: 0, max: 100 },
+            velocity_score: { type: 'number', min: 0, max: 10 },
+            alert_level: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH', 'URGENT'] },
+            summary: { type: 'string', maxLength: 1200 },
+            catalysts: stringList(),
+            suggested_tickers: { type: 'array', maxItems: 10, items: { type: 'string', format: 'ticker' } },
+            risk_vectors: stringList(),
+            timeline: { type: 'string', maxLength: 200 },
+            actionable_intel: { type: 'string', maxLength: 800 }
+        }
+    };
+
+    // Answer to a follow-up question on an analysis thread
+    const FOLLOW_UP = {
+        type: 'object',
+        required: ['answer', 'referenced_tickers'],
+        properties: {
+            answer: { type: 'string', maxLength: 2000 },
+            referenced_tickers: { type: 'array', maxItems: 10, items: { type: 'string', format: 'ticker' } }
+        }
+    };
+
+    const TOKEN_INTEL = {
+        type: 'object',
+        required: ['narrative_hook', 'likely_origin', 'social_signals', 'narrative_fit', 'timing_read',
+            'the_play', 'red_flags', 'similar_plays', 'alpha_take'],
+        properties: {
+            narrative_hook: { type: 'string', maxLength: 400 },
+            likely_origin: { type: 'string', maxLength: 400 },
+            social_signals: stringList(),
+            narrative_fit: { type: 'string', maxLength: 200 },
+            timing_read: { type: 'string', enum: ['EARLY', 'MID', 'LATE', 'UNKNOWN'], enumPrefix: true },
+            the_play: { type: 'string', maxLength: 600 },
+            red_flags: stringList(),
+            similar_plays: stringList(),
+            alpha_take: { type: 'string', maxLength: 800 }
+        }
+    };
+
+    const TICKER_PATTERN = /^[A-Za-z0-9_.-]{1,20}$/;
+
+    function typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        return typeof value;
+    }
+
+    // Returns { valid, errors: [{ path, message }], value } - value is the normalized copy
+    // (trimmed / truncated strings, "$" stripped from tickers, unknown keys dropped)
+    function validate(input, schema, path = '') {
+        const errors = [];
+        const value = check(input, schema, path || '$', errors);
+        return { valid: errors.length === 0, errors, value };
+    }
+
+    function check(value, schema, path, errors) {
+        const actual = typeOf(value);
+        const fail = message => {
+            errors.push({ path, message });
+            return undefined;
+        };
+
+        if (schema.type === 'number') {
+            if (actual !== 'number' || !Number.isFinite(value)) return fail(`expected number, got ${actual}`);
+            if (schema.min !== undefined && value < schema.min) return fail(`must be >= ${schema.min}`);
+            if (schema.max !== undefined && value > schema.max) return fail(`must be <= ${schema.max}`);
+            return value;
+        }
+
+        if (schema.type === 'string') {
+            if (actual !== 'string') return fail(`expected string, got ${actual}`);
+            let str = value.trim();
+
+            if (schema.format === 'ticker') {
+                str = str.replace(/^\$/, '');
+                if (!TICKER_PATTERN.test(str)) return fail('expected a ticker symbol');
+            }
+            if (schema.enum) {
+                const upper = str.toUpperCase();
+                const match = schema.enum.find(option => upper === option ||
+                    (schema.enumPrefix && new RegExp(`^${option}\\b`).test(upper)));
+                if (!match) return fail(`must be one of ${schema.enum.join(', ')}`);
+                str = match;
+            }
+            if (schema.maxLength && str.length > schema.maxLength) {
+                str = str.slice(0, schema.maxLength);
+            }
+            return str;
+        }
+
+        if (schema.type === 'array') {
+            if (actual !== 'array') return fail(`expected array, got ${actual}`);
+            const items = schema.maxItems ? value.slice(0, schema.maxItems) : value;
+            return items.map((item, i) => check(item, schema.items, `${path}[${i}]`, errors));
+        }
+
+        if (schema.type === 'object') {
+            if (actual !== 'object') return fail(`expected object, got ${actual}`);
+            const out = {};
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined || value[key] === null) {
+                    errors.push({ path: `${path}.${key}`, message: 'is required' });
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] === undefined || value[key] === null) return;
+                out[key] = check(value[key], propertySchema, `${path}.${key}`, errors);
+            });
+            return out;
+        }
+
+        return fail(`unsupported schema type ${schema.type}`);
+    }
+
+    // One line per error, for repair prompts and the UI
+    function describeErrors(errors, limit = 8) {
+        return (errors || []).slice(0, limit).map(e => `${e.path} ${e.message}`);
+    }
+
+    return {
+        NARRATIVE_ANALYSIS,
+        FOLLOW_UP,
+        TOKEN_INTEL,
+        validate,
+        describeErrors
+    };
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AiSchema;
+}
@@ -0,0 +1,393 @@
+/**
+ * NarrativeAlpha Alert Rules
+ *
+ * User-defined alerts evaluated against each refresh cycle. A rule is:
+ *   {
+ *     id, label, enabled,
+ *     source: 'token' | 'trench' | 'narrative' | 'kol',
+ *     condition: { all: [{ fact: 'priceChange5m', op: '>=', value: 20 }, ...] },
+ *     cooldownSec: 900,          // per rule + subject (token address / category)
+ *     sound: 'beep' | 'chime' | 'alarm' | 'none',
+ *     style: 'toast' | 'sticky' | 'silent',
+ *     webhook: false,            // also send to the team's Discord / Telegram / JSON webhooks
+ *     message: '{symbol} +{priceChange5m|fixed1}% in 5m'
+ *   }
+ * Conditions and message templates use the same syntax as shared/rule-engine.js.
+ * Each source has a subject builder that flattens its data into facts.
+ */
+
+const AlertRules = (function () {
+    const engine = typeof RuleEngine !== 'undefined' ? RuleEngine : require('./rule-engine.js');
+    const classifier = typeof NarrativeClassifier !== 'undefined' ? NarrativeClassifier : require('./narrative-classifier.js');
+
+    const SOUNDS = ['beep', 'chime', 'alarm', 'none'];
+    const STYLES = ['toast', 'sticky', 'silent'];
+
+    // previousRank for categories that weren't ranked last cycle
+    const UNRANKED = 99;
+
+    // Facts each source exposes to conditions (drives the rule builder, through factsFor)
+    const SOURCES = {
+        token: {
+            label: 'Signals feed',
+            facts: [
+                { fact: 'symbol', label: 'Symbol', type: 'string' },
+                { fact: 'isWatchlisted', label: 'On watchlist', type: 'boolean' },
+                { fact: 'isUrgent', label: 'Urgent signal', type: 'boolean' },
+                { fact: 'signalType', label: 'Signal type', type: 'string' },
+                { fact: 'priceChange5m', label: 'Price change 5m %', type: 'number' },
+                { fact: 'priceChange1h', label: 'Price change 1h %', type: 'number' },
+                { fact: 'priceChange24h', label: 'Price change 24h %', type: 'number' },
+                { fact: 'volume1h', label: 'Volume 1h $', type: 'number' },
+                { fact: 'volume24h', label: 'Volume 24h $', type: 'number' },
+                { fact: 'liquidity', label: 'Liquidity $', type: 'number' },
+                { fact: 'marketCap', label: 'Market cap $', type: 'number' },
+                { fact: 'buyRatio', label: 'Buy ratio (0-1)', type: 'number' },
+                { fact: 'ageHours', label: 'Age (hours)', type: 'number' },
+                { fact: 'heatScore', label: 'Heat score', type: 'number' },
+                { fact: 'scamScore', label: 'Scam score', type: 'number' },
+                { fact: 'riskLevel', label: 'Risk level', type: 'string', options: ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'] }
+            ]
+        },
+        trench: {
+            label: 'Trench Agent',
+            facts: [
+                { fact: 'symbol', label: 'Symbol', type: 'string' },
+                { fact: 'bucket', label: 'Bucket', type: 'string', options: ['gem', 'watch', 'risky'] },
+                { fact: 'isNew', label: 'New in bucket', type: 'boolean' },
+                { fact: 'safetyScore', label: 'Safety score', type: 'number' },
+                { fact: 'riskScore', label: 'Risk score', type: 'number' },
+                { fact: 'riskLevel', label: 'Risk level', type: 'string', options: ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'] },
+                { fact: 'verdict', label: 'Verdict', type: 'string' },
+                { fact: 'bundleDetected', label: 'Bundle detected', type: 'boolean' },
+                { fact: 'ageHours', label: 'Age (hours)', type: 'number' },
+                { fact: 'mcap', label: 'Market cap $', type: 'number' },
+                { fact: 'priceChange1h', label: 'Price change 1h %', type: 'number' },
+                { fact: 'top10Share', label: 'Top 10 share %', type: 'number' },
+                { fact: 'devShare', label: 'Dev share %', type: 'number' }
+            ]
+        },
+        narrative: {
+            label: 'Narrative Radar',
+            facts: [
+                { fact: 'category', label: 'Category', type: 'string', options: [...classifier.CATEGORIES, classifier.FALLBACK] },
+                { fact: 'rank', label: 'Category rank', type: 'number' },
+                { fact: 'previousRank', label: 'Previous rank', type: 'number' },
+                { fact: 'narrativeCount', label: 'Narratives in category', type: 'number' },
+                { fact: 'totalScore', label: 'Total relevance', type: 'number' }
+            ]
+        },
+        kol: {
+            label: 'Followed KOL wallets',
+            facts: [
+                { fact: 'walletName', label: 'Wallet name', type: 'string' },
+                { fact: 'side', label: 'Side', type: 'string', options: ['buy', 'sell'] },
+                { fact: 'symbol', label: 'Symbol', type: 'string' },
+                { fact: 'solAmount', label: 'SOL amount', type: 'number' },
+                { fact: 'usdAmount', label: 'USD amount', type: 'number' },
+                { fact: 'marketCap', label: 'Market cap $', type: 'number' },
+                { fact: 'venue', label: 'Venue', type: 'string', options: ['pumpfun', 'pumpswap', 'raydium', 'orca', 'meteora', 'jupiter', 'unknown'] },
+                { fact: 'minutesAgo', label: 'Minutes ago', type: 'number' }
+            ]
+        }
+    };
+
+    const DEFAULT_RULES = [
+        {
+            id: 'URGENT_SIGNAL',
+            label: 'Urgent signal',
+            enabled: true,
+            source: 'token',
+            condition: { all: [{ fact: 'isUrgent', op: '==', value: true }] },
+            cooldownSec: 30,
+            sound: 'beep',
+            style: 'silent',
+            message: '{symbol} - {signalType}'
+        },
+        {
+            id: 'WATCHLIST_PUMP',
+            label: 'Watchlist pump',
+            enabled: false,
+            source: 'token',
+            condition: {
+                all: [
+                    { fact: 'isWatchlisted', op: '==', value: true },
+                    { fact: 'priceChange5m', op: '>=', value: 20 },
+                    { fact: 'volume1h', op: '>', value: 10000 }
+                ]
+            },
+            cooldownSec: 900,
+            sound: 'chime',
+            style: 'toast',
+            message: '${symbol} +{priceChange5m|fixed1}% in 5m on ${volume1h|compact} 1h volume'
+        },
+        {
+            id: 'TRENCH_GEM',
+            label: 'New Trench gem',
+            enabled: false,
+            source: 'trench',
+            condition: {
+                all: [
+                    { fact: 'bucket', op: '==', value: 'gem' },
+                    { fact: 'isNew', op: '==', value: true },
+                    { fact: 'safetyScore', op: '>=', value: 75 }
+                ]
+            },
+            cooldownSec: 3600,
+            sound: 'chime',
+            style: 'toast',
+            message: 'New gem ${symbol} - safety {safetyScore}'
+        },
+        {
+            id: 'NARRATIVE_TOP3',
+            label: 'AI agents enter top 3',
+            enabled: false,
+            source: 'narrative',
+            condition: {
+                all: [
+                    { fact: 'category', op: '==', value: 'AI_AGENTS' },
+                    { fact: 'rank', op: '<=', value: 3 },
+                    { fact: 'previousRank', op: '>', value: 3 }
+                ]
+            },
+            cooldownSec: 1800,
+            sound: 'chime',
+            style: 'toast',
+            message: '{category} narrative moved to #{rank}'
+        },
+        {
+            id: 'FOLLOWED_KOL_BUY',
+            label: 'Followed KOL buy',
+            enabled: true,
+            source: 'kol',
+            condition: {
+                all: [
+                    { fact: 'side', op: '==', value: 'buy' },
+                    { fact: 'solAmount', op: '>=', value: 0.5 }
+                ]
+            },
+            cooldownSec: 0,
+            sound: 'chime',
+            style: 'toast',
+            message: '{walletName} bought ${symbol} for {solAmount|fixed1} SOL'
+        }
+    ];
+
+    // Facts of a source as the rule builder offers them: narrative categories also list the
+    // user's own (shared/custom-categories.js), which the radar can rank like built-in ones
+    function factsFor(source, { customCategories = [] } = {}) {
+        const facts = SOURCES[source] ? SOURCES[source].facts : [];
+        if (source !== 'narrative') return facts;
+        return facts.map(f => (f.fact === 'category'
+            ? { ...f, options: [...new Set([...f.options, ...customCategories.map(c => c.id)])] }
+            : f));
+    }
+
+    // ===== SUBJECT BUILDERS =====
+    // Each returns [{ key, facts, item }] - key scopes the cooldown
+
+    function tokenSubjects(tokens, context = {}) {
+        const watchlist = new Set((context.watchlist || []).map(t => t.address));
+        return (tokens || []).map(token => ({
+            key: token.address,
+            item: token,
+            facts: {
+                symbol: token.symbol,
+                address: token.address,
+                isWatchlisted: watchlist.has(token.address),
+                isUrgent: !!token.isUrgent,
+                signalType: token.signalType,
+                price: token.price,
+                priceChange5m: token.priceChange5m,
+                priceChange1h: token.priceChange1h,
+                priceChange24h: token.priceChange24h,
+                volume1h: token.volume1h,
+                volume24h: token.volume24h,
+                liquidity: token.liquidity,
+                marketCap: token.marketCap,
+                buyRatio: token.buyRatio,
+                ageHours: token.ageHours,
+                heatScore: token.heatScore,
+                scamScore: token.scamCheck?.scamScore ?? null,
+                riskLevel: token.riskLevel || token.scamCheck?.riskLevel || null
+            }
+        }));
+    }
+
+    // previousBuckets: { address: bucket } from the last scan, or null on the first scan
+    function trenchSubjects(data, previousBuckets) {
+        const buckets = {};
+        const subjects = [];
+
+        [['gem', data?.gems], ['watch', data?.watchlist], ['risky', data?.risky]].forEach(([bucket, tokens]) => {
+            (tokens || []).forEach(token => {
+                buckets[token.address] = bucket;
+                subjects.push({
+                    key: token.address,
+                    item: token,
+                    facts: {
+                        symbol: token.symbol,
+                        address: token.address,
+                        bucket,
+                        // Nothing is "new" on the first scan after page load
+                        isNew: previousBuckets ? previousBuckets[token.address] !== bucket : false,
+                        safetyScore: token.safetyScore,
+                        riskScore: token.riskScore,
+                        riskLevel: token.riskLevel,
+                        verdict: token.verdict,
+                        bundleDetected: !!token.bundleDetected,
+                        ageHours: token.ageHours,
+                        mcap: token.mcap,
+                        priceChange1h: token.priceChange1h,
+                        top10Share: token.metrics?.top10Share ?? null,
+                        devShare: token.metrics?.devShare ?? null
+                    }
+                });
+            });
+        });
+
+        return { subjects, buckets };
+    }
+
+    // Rank categories by combined relevance of their narratives
+    // previousRanks: { category: rank } from the last cycle, or null on the first cycle
+    function narrativeSubjects(narratives, previousRanks) {
+        const byCategory = {};
+        (narratives || []).forEach(n => {
+            const category = n.category || 'EMERGING';
+            const entry = byCategory[category] || (byCategory[category] = { category, totalScore: 0, narrativeCount: 0, top: n });
+            entry.totalScore += n.relevanceScore || 0;
+            entry.narrativeCount++;
+        });
+
+        const ranked = Object.values(byCategory).sort((a, b) => b.totalScore - a.totalScore);
+        const ranks = {};
+        const subjects = ranked.map((entry, i) => {
+            const rank = i + 1;
+            ranks[entry.category] = rank;
+            return {
+                key: entry.category,
+                item: entry.top,
+                facts: {
+                    category: entry.category,
+                    rank,
+                    previousRank: previousRanks ? (previousRanks[entry.category] || UNRANKED) : rank,
+                    narrativeCount: entry.narrativeCount,
+                    totalScore: entry.totalScore,
+                    symbol: entry.top.symbol || null,
+                    address: entry.top.address || null
+                }
+            };
+        });
+
+        return { subjects, ranks };
+    }
+
+    // Swap events from followed wallets; each event fires once (keyed by signature)
+    // names: { wallet: display name }
+    function kolSubjects(events, names = {}, now = Date.now()) {
+        return (events || []).map(event => ({
+            key: `${event.signature}:${event.mint}`,
+            item: event,
+            facts: {
+                walletName: names[event.wallet] || `${event.wallet.slice(0, 4)}...${event.wallet.slice(-4)}`,
+                wallet: event.wallet,
+                side: event.side,
+                symbol: event.symbol || event.mint.slice(0, 6),
+                name: event.name || null,
+                address: event.mint,
+                solAmount: event.solAmount ?? null,
+                usdAmount: event.priceUsd ? event.tokenAmount * event.priceUsd : null,
+                marketCap: event.marketCap ?? null,
+                venue: event.venue,
+                minutesAgo: event.blockTime ? Math.max(0, Math.round((now / 1000 - event.blockTime) / 60)) : null
+            }
+        }));
+    }
+
+    // ===== EVALUATION =====
+
+    // state.lastFired: { 'RULE_ID:subjectKey': timestamp } - mutated in place
+    function evaluate(rules, source, subjects, state, now = Date.now()) {
+        const fired = [];
+        state.lastFired = state.lastFired || {};
+
+        (rules || []).forEach(rule => {
+            if (rule.enabled === false || rule.source !== source) return;
+
+            subjects.forEach(subject => {
+                if (!engine.evaluateCondition(rule.condition, subject.facts)) return;
+
+                const cooldownKey = `${rule.id}:${subject.key}`;
+                const lastFired = state.lastFired[cooldownKey] || 0;
+                if (now - lastFired < (rule.cooldownSec || 0) * 1000) return;
+                state.lastFired[cooldownKey] = now;
+
+                fired.push({
+                    ruleId: rule.id,
+                    label: rule.label || rule.id,
+                    source,
+                    sound: rule.sound,
+                    style: rule.style,
+                    webhook: !!rule.webhook,
+                    subjectKey: subject.key,
+                    message: engine.renderTemplate(rule.message || rule.label, subject.facts),
+                    facts: subject.facts,
+                    item: subject.item,
+                    timestamp: now
+                });
+            });
+        });
+
+        return fired;
+    }
+
+    // Validate persisted rules - drops anything malformed, fills missing settings
+    function sanitizeRules(rules) {
+        if (!Array.isArray(rules)) return null;
+        return rules
+            .filter(rule => rule && typeof rule.id === 'string' && SOURCES[rule.source] && rule.condition && typeof rule.condition === 'object')
+            .map(rule => ({
+                id: rule.id,
+                label: String(rule.label || rule.id),
+                enabled: rule.enabled !== false,
+                source: rule.source,
+                condition: rule.condition,
+                cooldownSec: Math.max(0, Number(rule.cooldownSec) || 0),
+                sound: SOUNDS.includes(rule.sound) ? rule.sound : 'beep',
+                style: STYLES.includes(rule.style) ? rule.style : 'toast',
+                webhook: rule.webhook === true,
+                message: String(rule.message || '')
+            }));
+    }
+
+    // Human-readable summary of a rule's conditions
+    function describeCondition(condition) {
+        if (!condition) return '';
+        if (Array.isArray(condition.all)) return condition.all.map(describeCondition).join(' AND ');
+        if (Array.isArray(condition.any)) return condition.any.map(describeCondition).join(' OR ');
+        if (condition.not) return `NOT (${describeCondition(condition.not)})`;
+        return `${condition.fact} ${condition.op} ${condition.value}`;
+    }
+
+    return {
+        SOUNDS,
+        STYLES,
+        SOURCES,
+        UNRANKED,
+        DEFAULT_RULES,
+        factsFor,
+        tokenSubjects,
+        trenchSubjects,
+        narrativeSubjects,
+        kolSubjects,
+        evaluate,
+        sanitizeRules,
+        describeCondition
+    };
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlertRules;
+}
@@ -0,0 +1,146 @@
+/**
+ * NarrativeAlpha Candles
+ *
+ * Timeframes, OHLCV normalization and chart markers for the Token Analysis chart.
+ * Candles come from GeckoTerminal pool OHLCV (netlify/functions/ohlcv.js) or, when a
+ * pool isn't indexed there yet (fresh launches), are built from our own snapshots.
+ * Markers show where generateSignalEdge() tags changed and where alert rules fired.
+ * Shared by the browser and Node.
+ */
+
+const Candles = (function () {
+    const engine = typeof SignalEngine !== 'undefined' ? SignalEngine : require('./signal-engine.js');
+
+    // Every timeframe GeckoTerminal serves - CONFIG.UI.CHART_TIMEFRAMES picks from these
+    const TIMEFRAMES = {
+        '1m': { ms: 60 * 1000, unit: 'minute', aggregate: 1 },
+        '5m': { ms: 5 * 60 * 1000, unit: 'minute', aggregate: 5 },
+        '15m': { ms: 15 * 60 * 1000, unit: 'minute', aggregate: 15 },
+        '1h': { ms: 60 * 60 * 1000, unit: 'hour', aggregate: 1 },
+        '4h': { ms: 4 * 60 * 60 * 1000, unit: 'hour', aggregate: 4 },
+        '12h': { ms: 12 * 60 * 60 * 1000, unit: 'hour', aggregate: 12 },
+        '1d': { ms: 24 * 60 * 60 * 1000, unit: 'day', aggregate: 1 }
+    };
+
+    // Background tags - a token drifting between these isn't a signal worth marking
+    const QUIET_TAGS = ['ACTIVE', 'WATCHING', 'HOLDING', 'LOW ACTIVITY'];
+    const NEGATIVE_TAGS = ['DISTRIBUTION', 'SELLING', 'DUMPING', 'DEAD', 'VERIFY'];
+
+    function isTimeframe(timeframe) {
+        return Object.prototype.hasOwnProperty.call(TIMEFRAMES, timeframe);
+    }
+
+    // GeckoTerminal ohlcv_list rows: [unixSeconds, open, high, low, close, volume], newest first
+    function fromGecko(list) {
+        return (list || [])
+            .filter(row => Array.isArray(row) && row.length >= 5)
+            .map(([time, open, high, low, close, volume]) => ({
+                time: time * 1000,
+                open: Number(open),
+                high: Number(high),
+                low: Number(low),
+                close: Number(close),
+                volume: Number(volume) || 0
+            }))
+            .filter(c => c.open > 0 && c.close > 0)
+            .sort((a, b) => a.time - b.time);
+    }
+
+    // Bucket snapshot prices into candles, oldest first
+    // Snapshots only carry rolling volumes, so these candles have no volume
+    function fromSnapshots(rows, timeframe) {
+        const interval = TIMEFRAMES[timeframe]?.ms;
+        if (!interval) return [];
+
+        const buckets = new Map();
+        [...(rows || [])]
+            .filter(r => r && r.price > 0 && r.timestamp)
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach(row => {
+                const time = Math.floor(row.timestamp / interval) * interval;
+                const candle = buckets.get(time);
+                if (!candle) {
+                    buckets.set(time, { time, open: row.price, high: row.price, low: row.price, close: row.price, volume: 0 });
+                    return;
+                }
+                candle.high = Math.max(candle.high, row.price);
+                candle.low = Math.min(candle.low, row.price);
+                candle.close = row.price;
+            });
+
+        return [...buckets.values()];
+    }
+
+    // Replay snapshots through generateSignalEdge() (as scripts/backtest.js does)
+    // and mark each change into a non-quiet tag
+    function signalMarkers(rows) {
+        const markers = [];
+        let previousTag = null;
+
+        [...(rows || [])]
+            .filter(r => r && r.timestamp)
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach(row => {
+                const { tag, edge } = engine.generateSignalEdge(row, row.timestamp);
+                if (tag !== previousTag && !QUIET_TAGS.includes(tag)) {
+                    markers.push({
+                        time: row.timestamp,
+                        kind: 'signal',
+                        label: tag,
+                        detail: edge,
+                        tone: NEGATIVE_TAGS.includes(tag) ? 'negative' : 'positive'
+                    });
+                }
+                previousTag = tag;
+            });
+
+        return markers;
+    }
+
+    // Alert inbox entries (newest first) for one token
+    function alertMarkers(inbox, address) {
+        return (inbox || [])
+            .filter(entry => entry?.snapshot?.address === address && entry.timestamp)
+            .map(entry => ({
+                time: entry.timestamp,
+                kind: 'alert',
+                label: entry.label,
+                detail: entry.message,
+                tone: 'alert'
+            }))
+            .reverse();
+    }
+
+    // Attach each marker to the candle it falls in; markers outside the range are dropped
+    function placeMarkers(markers, candles, timeframe) {
+        const interval = TIMEFRAMES[timeframe]?.ms;
+        if (!interval || !candles || candles.length === 0) return [];
+
+        const first = candles[0].time;
+        const last = candles[candles.length - 1].time + interval;
+        return (markers || [])
+            .filter(m => m.time >= first && m.time < last)
+            .map(m => {
+                // Candles can have gaps (no trades), so search rather than divide
+                let index = candles.length - 1;
+                while (index > 0 && candles[index].time > m.time) index--;
+                return { ...m, index };
+            });
+    }
+
+    return {
+        TIMEFRAMES,
+        QUIET_TAGS,
+        isTimeframe,
+        fromGecko,
+        fromSnapshots,
+        signalMarkers,
+        alertMarkers,
+        placeMarkers
+    };
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Candles;
+}
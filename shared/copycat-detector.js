@@ -0,0 +1,140 @@
+/**
+ * NarrativeAlpha Copycat Detector
+ *
+ * A meta that catches on gets cloned within minutes: new tokens on the same ticker, or under
+ * a near-identical name. This groups them and picks out the original - the earliest launch
+ * among the tokens with real liquidity - so the rest can be labeled copycats (ticker squatters).
+ * Used by the Signals feed and the token search.
+ *
+ * Tokens are any objects with { address, symbol, name, createdAt (ms), liquidity }.
+ */
+
+const CopycatDetector = (function () {
+    const identity = typeof TokenIdentity !== 'undefined' ? TokenIdentity : require('./token-identity.js');
+
+    const NEAR_NAME = 0.85;             // Name similarity that counts as the same name ("Pepe" / "Pepe2")
+    const MIN_NAME_LENGTH = 3;          // Shorter names match too much to mean anything
+    const ORIGINAL_MIN_LIQUIDITY = 0.1; // Original needs 10%+ of the group's best liquidity
+
+    const liquidityOf = token => Number(token.liquidity) || 0;
+    const createdAtOf = token => (Number(token.createdAt) > 0 ? Number(token.createdAt) : null);
+    const compactName = name => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    function nearSameName(a, b) {
+        if (compactName(a.name).length < MIN_NAME_LENGTH || compactName(b.name).length < MIN_NAME_LENGTH) return false;
+        return identity.nameSimilarity(a.name, b.name) >= NEAR_NAME;
+    }
+
+    // One entry per address - the most liquid one when a token shows up more than once
+    function uniqueTokens(tokens) {
+        const byAddress = new Map();
+        (tokens || []).forEach(token => {
+            if (!token || !token.address) return;
+            const existing = byAddress.get(token.address);
+            if (!existing || liquidityOf(token) > liquidityOf(existing)) byAddress.set(token.address, token);
+        });
+        return [...byAddress.values()];
+    }
+
+    // Earliest launch among tokens holding a real share of the group's liquidity, so a dead
+    // earlier clone doesn't take the title. Without launch times, the most liquid token
+    function pickOriginal(tokens) {
+        const topLiquidity = Math.max(...tokens.map(liquidityOf));
+        const contenders = tokens.filter(token => liquidityOf(token) >= topLiquidity * ORIGINAL_MIN_LIQUIDITY);
+        const dated = contenders.filter(token => createdAtOf(token) !== null);
+        if (dated.length === 0) {
+            return [...contenders].sort((a, b) => liquidityOf(b) - liquidityOf(a))[0];
+        }
+        return [...dated].sort((a, b) => (createdAtOf(a) - createdAtOf(b)) || (liquidityOf(b) - liquidityOf(a)))[0];
+    }
+
+    function member(token, original) {
+        const createdAt = createdAtOf(token);
+        const originalCreatedAt = createdAtOf(original);
+        return {
+            address: token.address,
+            symbol: token.symbol || null,
+            name: token.name || null,
+            createdAt,
+            liquidity: liquidityOf(token),
+            isOriginal: token === original,
+            // How long after the original this one launched (null when either time is unknown).
+            // Negative for an earlier launch that never drew liquidity
+            launchedAfterMs: token !== original && createdAt !== null && originalCreatedAt !== null
+                ? createdAt - originalCreatedAt
+                : null
+        };
+    }
+
+    // Returns { groups, byAddress }:
+    //   groups    - [{ key, symbol, name, size, matchedBy: 'symbol' | 'name' | 'both', original,
+    //                  copycats }] biggest first; original / copycats are members
+    //                  { address, symbol, name, createdAt, liquidity, isOriginal, launchedAfterMs }
+    //   byAddress - { [address]: { role: 'original' | 'copycat', group } } for grouped tokens only
+    function detect(tokens) {
+        const list = uniqueTokens(tokens);
+
+        // Union-find over the tokens, linked by ticker or near-identical name
+        const parent = list.map((_, i) => i);
+        const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        const linkedBy = list.map(() => new Set());
+        for (let i = 0; i < list.length; i++) {
+            for (let j = i + 1; j < list.length; j++) {
+                const symbol = identity.normalizeSymbol(list[i].symbol);
+                const sameSymbol = !!symbol && symbol === identity.normalizeSymbol(list[j].symbol);
+                const sameName = nearSameName(list[i], list[j]);
+                if (!sameSymbol && !sameName) continue;
+                [i, j].forEach(k => {
+                    if (sameSymbol) linkedBy[k].add('symbol');
+                    if (sameName) linkedBy[k].add('name');
+                });
+                parent[find(i)] = find(j);
+            }
+        }
+
+        const clusters = new Map();
+        list.forEach((token, i) => {
+            const root = find(i);
+            const cluster = clusters.get(root) || [];
+            cluster.push(i);
+            clusters.set(root, cluster);
+        });
+
+        const byAddress = {};
+        const groups = [...clusters.values()]
+            .filter(indexes => indexes.length > 1)
+            .map(indexes => {
+                const tokensInGroup = indexes.map(i => list[i]);
+                const original = pickOriginal(tokensInGroup);
+                const reasons = new Set(indexes.flatMap(i => [...linkedBy[i]]));
+                const group = {
+                    key: `copycat:${original.address}`,
+                    symbol: original.symbol || null,
+                    name: original.name || null,
+                    size: tokensInGroup.length,
+                    matchedBy: reasons.size > 1 ? 'both' : [...reasons][0],
+                    original: member(original, original),
+                    copycats: tokensInGroup
+                        .filter(token => token !== original)
+                        .map(token => member(token, original))
+                        .sort((a, b) => (a.launchedAfterMs ?? Infinity) - (b.launchedAfterMs ?? Infinity))
+                };
+                byAddress[original.address] = { role: 'original', group };
+                group.copycats.forEach(copy => { byAddress[copy.address] = { role: 'copycat', group }; });
+                return group;
+            })
+            .sort((a, b) => b.size - a.size);
+
+        return { groups, byAddress };
+    }
+
+    return {
+        NEAR_NAME,
+        detect
+    };
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CopycatDetector;
+}
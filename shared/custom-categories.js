@@ -0,0 +1,200 @@
+/**
+ * NarrativeAlpha Custom Categories
+ *
+ * Narrative categories defined by the user, layered over the classifier on the narrative
+ * radar so a team can track its own metas without a redeploy. A category is:
+ *   {
+ *     id: 'CUSTOM_WOBBLE',              // derived from the name
+ *     name: 'Wobble',
+ *     keywords: ['wobble', 'wobbl*', 'jelly dog'],  // words or phrases, * = any word starting with
+ *     exclude: ['wobbleswap'],          // any hit here and the category doesn't apply
+ *     priority: 50,                     // 0-100, the highest matching category wins
+ *     scoreBonus: 10,                   // -50..50 added to the narrative's relevanceScore
+ *     enabled: true
+ *   }
+ * Saved in localStorage (na_custom_categories), sent to narrative-radar.js as the
+ * `categories` query parameter (toParam / parseParam) and shared as JSON packs
+ * (toPack / fromPack). Keywords match on word boundaries, using the classifier's tokenizer.
+ */
+
+const CustomCategories = (function () {
+    const classifier = typeof NarrativeClassifier !== 'undefined' ? NarrativeClassifier : require('./narrative-classifier.js');
+
+    const PACK_TYPE = 'narrativealpha-category-pack';
+    const PACK_VERSION = 1;
+    const ID_PREFIX = 'CUSTOM_';
+
+    const LIMITS = {
+        categories: 20,
+        keywords: 30,       // per category, keywords and exclusions each
+        keywordLength: 40,
+        nameLength: 32,
+        paramLength: 8000   // Serialized query parameter
+    };
+
+    const clamp = (value, min, max, fallback) => {
+        const n = Number(value);
+        return Number.isFinite(n) ? Math.max(min, Math.min(max, Math.round(n))) : fallback;
+    };
+
+    function categoryId(name) {
+        const slug = String(name || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 24);
+        return slug ? ID_PREFIX + slug : null;
+    }
+
+    const isCustom = category => typeof category === 'string' && category.startsWith(ID_PREFIX);
+
+    function cleanKeywords(list) {
+        const source = Array.isArray(list) ? list : String(list || '').split(',');
+        const seen = new Set();
+        return source
+            .map(keyword => String(keyword || '').toLowerCase().replace(/\s+/g, ' ').trim().slice(0, LIMITS.keywordLength))
+            .filter(keyword => keyword && keyword !== '*' && !seen.has(keyword) && seen.add(keyword))
+            .slice(0, LIMITS.keywords);
+    }
+
+    // Drops anything unusable (no name or no keywords), clamps numbers, first of a duplicate id wins
+    function sanitizeCategories(categories) {
+        if (!Array.isArray(categories)) return [];
+        const ids = new Set();
+        return categories
+            .map(category => {
+                if (!category || typeof category !== 'object') return null;
+                const name = String(category.name || '').trim().slice(0, LIMITS.nameLength);
+                const id = categoryId(name);
+                const keywords = cleanKeywords(category.keywords);
+                if (!id || keywords.length === 0 || ids.has(id)) return null;
+                ids.add(id);
+                return {
+                    id,
+                    name,
+                    keywords,
+                    exclude: cleanKeywords(category.exclude),
+                    priority: clamp(category.priority, 0, 100, 50),
+                    scoreBonus: clamp(category.scoreBonus, -50, 50, 0),
+                    enabled: category.enabled !== false
+                };
+            })
+            .filter(Boolean)
+            .slice(0, LIMITS.categories);
+    }
+
+    // A keyword as words; prefix set when it ends in * (one word, 3+ letters)
+    function compileKeyword(keyword) {
+        const prefix = /^[a-z0-9]{3,}\*$/.test(keyword);
+        const words = classifier.tokenize(keyword.replace(/\*$/, '')).filter(term => !term.includes(' '));
+        return { words, prefix: prefix && words.length === 1 ? words[0] : null };
+    }
+
+    // Single words need the word, phrases need each adjacent pair (the tokenizer emits pairs)
+    function keywordHits(keyword, terms) {
+        const { words, prefix } = compileKeyword(keyword);
+        if (prefix) return [...terms].some(term => !term.includes(' ') && term.startsWith(prefix));
+        if (words.length === 0) return false;
+        if (words.length === 1) return terms.has(words[0]);
+        return words.slice(1).every((word, i) => terms.has(`${words[i]} ${word}`));
+    }
+
+    function fieldTerms(fields) {
+        const input = typeof fields === 'string' ? { text: fields } : (fields || {});
+        return new Set(['name', 'symbol', 'description', 'text']
+            .flatMap(field => classifier.tokenize(input[field])));
+    }
+
+    // Best enabled category for { name, symbol, description, text }: highest priority, then
+    // biggest bonus, then list order. Returns { category, keyword } or null
+    function match(fields, categories) {
+        const terms = fieldTerms(fields);
+        if (terms.size === 0) return null;
+
+        let best = null;
+        (categories || []).forEach(category => {
+            if (category.enabled === false) return;
+            if (category.exclude.some(keyword => keywordHits(keyword, terms))) return;
+            const keyword = category.keywords.find(k => keywordHits(k, terms));
+            if (!keyword) return;
+            if (!best || category.priority > best.category.priority ||
+                (category.priority === best.category.priority && category.scoreBonus > best.category.scoreBonus)) {
+                best = { category, keyword };
+            }
+        });
+        return best;
+    }
+
+    // Query parameter for the radar: enabled categories only
+    function toParam(categories) {
+        const enabled = sanitizeCategories(categories).filter(category => category.enabled);
+        if (enabled.length === 0) return null;
+        return JSON.stringify(enabled.map(({ enabled: _, ...category }) => category));
+    }
+
+    // Server side - throws with a message fit for a 400 response
+    function parseParam(raw) {
+        if (!raw) return [];
+        if (raw.length > LIMITS.paramLength) {
+            throw new Error('Custom categories are too large');
+        }
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (e) {
+            throw new Error('Custom categories must be a JSON array');
+        }
+        if (!Array.isArray(parsed)) {
+            throw new Error('Custom categories must be a JSON array');
+        }
+        return sanitizeCategories(parsed);
+    }
+
+    function toPack(categories, name = 'Narrative categories') {
+        return {
+            type: PACK_TYPE,
+            version: PACK_VERSION,
+            name: String(name),
+            exportedAt: new Date().toISOString(),
+            categories: sanitizeCategories(categories)
+        };
+    }
+
+    // Accepts a pack or a bare array of categories. Throws when nothing usable is in it
+    function fromPack(json) {
+        const raw = typeof json === 'string' ? JSON.parse(json) : json;
+        if (raw && !Array.isArray(raw) && raw.type && raw.type !== PACK_TYPE) {
+            throw new Error('Not a NarrativeAlpha category pack');
+        }
+        const categories = sanitizeCategories(Array.isArray(raw) ? raw : raw?.categories);
+        if (categories.length === 0) {
+            throw new Error('No valid categories in this pack (each needs a name and keywords)');
+        }
+        return categories;
+    }
+
+    // Imported categories replace ones with the same id, the rest are appended
+    function merge(existing, incoming) {
+        const byId = new Map(incoming.map(category => [category.id, category]));
+        const merged = existing.map(category => byId.get(category.id) || category);
+        incoming.forEach(category => {
+            if (!existing.some(c => c.id === category.id)) merged.push(category);
+        });
+        return sanitizeCategories(merged);
+    }
+
+    return {
+        LIMITS,
+        ID_PREFIX,
+        categoryId,
+        isCustom,
+        sanitizeCategories,
+        match,
+        toParam,
+        parseParam,
+        toPack,
+        fromPack,
+        merge
+    };
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CustomCategories;
+}
@@ -0,0 +1,59 @@
+/**
+ * NarrativeAlpha Intel Cache Keys
+ *
+ * Token intel is cached by token address plus a bucketed market-state fingerprint, so a
+ * token that hasn't really moved reuses its last read while a repricing, a volume spike
+ * or a new age bracket gets a fresh one. The function (netlify/functions/token-intel.js)
+ * and the browser build the same key from the same request body.
+ * Shared by the browser and Node.
+ */
+
+const IntelCache = (function () {
+    const TTL_MS = 30 * 60 * 1000; // Even an unchanged market gets a fresh read after 30 min
+
+    // Hours - "fresh launch" reads change fastest early on
+    const AGE_BANDS = [1, 6, 24, 72, 168, 720];
+
+    // Price band: one per doubling / halving
+    function priceBand(price) {
+        const value = Number(price);
+        return value > 0 ? Math.floor(Math.log2(value)) : 'na';
+    }
+
+    // Volume band: half a decade (~3.2x) per step
+    function volumeBand(volume) {
+        const value = Number(volume);
+        return value > 0 ? Math.floor(Math.log10(value) * 2) : 0;
+    }
+
+    function ageBand(ageHours) {
+        if (ageHours === null || ageHours === undefined || !Number.isFinite(Number(ageHours))) return 'na';
+        const band = AGE_BANDS.findIndex(limit => Number(ageHours) < limit);
+        return band < 0 ? AGE_BANDS.length : band;
+    }
+
+    // token: the token-intel request body (price, volume24h, ageHours)
+    function fingerprint(token) {
+        return `p${priceBand(token?.price)}.v${volumeBand(token?.volume24h)}.a${ageBand(token?.ageHours)}`;
+    }
+
+    function cacheKey(address, token) {
+        return `${address}:${fingerprint(token)}`;
+    }
+
+    function isFresh(entry, now = Date.now()) {
+        return !!entry && (now - entry.generatedAt) < TTL_MS;
+    }
+
+    return {
+        TTL_MS,
+        fingerprint,
+        cacheKey,
+        isFresh
+    };
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IntelCache;
+}
@@ -0,0 +1,246 @@
+/**
+ * NarrativeAlpha Narrative Classifier
+ *
+ * Multi-label naive Bayes over token names, tickers and descriptions. Text is split on
+ * word boundaries (so "cat" no longer matches "catalyst"), tickers and CamelCase names are
+ * broken into words, emoji become the word they stand for, and adjacent words also count
+ * as a phrase ("mr beast"). Every category gets a score; the strongest ones come back with
+ * a confidence instead of the first keyword hit deciding the label.
+ *
+ * A model is plain JSON: word counts per category, seeded from SEED_KEYWORDS and trained on
+ * labeled tokens with scripts/train-classifier.js (writes shared/narrative-model.json).
+ * Used by narrative-radar.js and the trainer.
+ */
+
+const NarrativeClassifier = (function () {
+    const MODEL_VERSION = 1;
+    const FALLBACK = 'EMERGING';      // Nothing recognisable in the text
+    const MIN_CONFIDENCE = 0.2;       // Top score below this = EMERGING
+    const ALPHA = 0.1;                // Additive smoothing for unseen word / category pairs
+    const SEED_WEIGHT = 3;            // A seed keyword counts like this many labeled mentions
+
+    // Symbol and name say more about a token than its description
+    const FIELD_WEIGHTS = { symbol: 2, name: 1.5, description: 1, text: 1 };
+
+    // CT-native categories and their starting vocabulary
+    const SEED_KEYWORDS = {
+        // AI/Tech Meta
+        AI_AGENTS: ['ai', 'agent', 'agents', 'gpt', 'llm', 'neural', 'virtual', 'autonomous', 'sentient', 'claude', 'openai', 'terminal', 'truth terminal', 'zerebro', 'goat', 'act', 'fartcoin', 'arc', 'bot', 'robot'],
+        // Political/Culture War
+        POLITICAL: ['trump', 'biden', 'maga', 'election', 'president', 'melania', 'barron', 'political', 'america', 'freedom', 'patriot', 'government', 'congress', 'vote'],
+        // Celebrity/Influencer plays
+        CELEBRITY: ['elon', 'musk', 'kanye', 'ye', 'drake', 'snoop', 'celebrity', 'famous', 'influencer', 'andrew', 'tate', 'logan', 'paul', 'mr beast', 'pewdiepie', 'iggy'],
+        // Classic CT Meme Culture
+        MEME_CULTURE: ['meme', 'viral', 'based', 'cope', 'wojak', 'pepe', 'npc', 'degen', 'ape', 'moon', 'pump', 'wagmi', 'ngmi', 'gm', 'ser', 'anon', 'fren', 'jeet', 'rug', 'chad', 'gigachad', 'sigma', 'ratio', 'chill', 'guy'],
+        // Animal Coins
+        ANIMAL_DOG: ['dog', 'doge', 'shib', 'shiba', 'inu', 'wif', 'bonk', 'pup', 'puppy', 'doggo', 'floki', 'cheems', 'dogwifhat'],
+        ANIMAL_CAT: ['cat', 'cats', 'kitty', 'meow', 'popcat', 'mew', 'nyan', 'kitten', 'felix'],
+        ANIMAL_FROG: ['frog', 'pepe', 'kek', 'ribbit', 'toad', 'rare pepe', 'feels'],
+        ANIMAL_OTHER: ['monkey', 'ape', 'gorilla', 'bear', 'bull', 'penguin', 'bird', 'owl', 'eagle', 'lion', 'tiger', 'dragon', 'fish', 'whale', 'shark', 'crab', 'hippo', 'squirrel'],
+        // Food/Object memes
+        FOOD_OBJECT: ['pizza', 'burger', 'banana', 'apple', 'peanut', 'butter', 'bread', 'cheese', 'taco', 'sushi', 'ramen', 'coffee', 'beer', 'water', 'rock', 'paper', 'hat', 'glasses'],
+        // Gaming/Metaverse
+        GAMING: ['game', 'gaming', 'esports', 'twitch', 'streamer', 'play', 'gamer', 'pixel', 'retro', '8bit', 'arcade', 'minecraft', 'fortnite', 'roblox'],
+        // DeFi/Infrastructure
+        DEFI: ['swap', 'yield', 'stake', 'farm', 'lend', 'borrow', 'vault', 'protocol', 'bridge', 'liquid', 'staking', 'dex', 'perp'],
+        // Breaking News/Events
+        NEWS_EVENT: ['breaking', 'just in', 'happening', 'news', 'announcement', 'revealed', 'confirmed', 'leaked', 'exclusive', 'urgent'],
+        // CT Insider/Alpha terms
+        ALPHA_CALL: ['alpha', 'call', 'gem', 'lowcap', 'microcap', 'early', '100x', '1000x', 'moonshot', 'hidden', 'stealth', 'presale', 'fairlaunch', 'cabal'],
+        // Solana specific
+        SOLANA_META: ['sol', 'solana', 'raydium', 'jupiter', 'jup', 'jito', 'marinade', 'orca', 'phantom', 'backpack']
+    };
+
+    const CATEGORIES = Object.keys(SEED_KEYWORDS);
+
+    const EMOJI_WORDS = {
+        '🐶': 'dog', '🐕': 'dog', '🦮': 'dog', '🐩': 'dog',
+        '🐱': 'cat', '🐈': 'cat', '😺': 'cat', '😸': 'cat',
+        '🐸': 'frog',
+        '🐒': 'monkey', '🐵': 'monkey', '🦍': 'ape', '🐻': 'bear', '🐂': 'bull', '🐧': 'penguin',
+        '🦅': 'eagle', '🦁': 'lion', '🐯': 'tiger', '🐉': 'dragon', '🐟': 'fish', '🐋': 'whale',
+        '🐳': 'whale', '🦈': 'shark', '🦀': 'crab', '🦛': 'hippo', '🐿': 'squirrel',
+        '🤖': 'robot', '🧠': 'ai',
+        '🇺🇸': 'america',
+        '🍕': 'pizza', '🍔': 'burger', '🍌': 'banana', '🍎': 'apple', '🥜': 'peanut', '🍞': 'bread',
+        '🧀': 'cheese', '🌮': 'taco', '🍣': 'sushi', '🍜': 'ramen', '☕': 'coffee', '🍺': 'beer',
+        '🎩': 'hat', '🪨': 'rock', '👓': 'glasses',
+        '🎮': 'game', '🕹': 'arcade',
+        '🚀': 'moon', '🌕': 'moon', '💎': 'gem', '📰': 'news', '🚨': 'breaking'
+    };
+
+    // Filler that shows up in every category
+    const STOPWORDS = new Set(['the', 'a', 'an', 'of', 'on', 'in', 'to', 'is', 'and', 'or', 'for', 'with', 'by', 'at',
+        'it', 'its', 'this', 'that', 'we', 'you', 'our', 'your', 'be', 'are', 'was', 'from', 'as', 'all', 'just',
+        'token', 'tokens', 'coin', 'coins', 'official', 'community', 'first', 'only', 'new', 'best', 'get']);
+
+    const EMOJI_PATTERN = new RegExp(Object.keys(EMOJI_WORDS).sort((a, b) => b.length - a.length).join('|'), 'gu');
+
+    // Words and two-word phrases; "$PopCat" -> popcat, pop, cat; "AI16Z" -> ai16z, ai
+    function tokenize(text) {
+        if (!text) return [];
+        const words = [];
+        String(text)
+            .replace(EMOJI_PATTERN, match => ` ${EMOJI_WORDS[match]} `)
+            .replace(/[$#@]/g, ' ')
+            .split(/[^A-Za-z0-9]+/)
+            .filter(Boolean)
+            .forEach(raw => {
+                const lower = raw.toLowerCase();
+                words.push(lower);
+                // CamelCase / letter-digit parts of tickers and names
+                const parts = raw.split(/(?<=[a-z])(?=[A-Z])|(?<=[A-Za-z])(?=[0-9])|(?<=[0-9])(?=[A-Za-z])/)
+                    .map(part => part.toLowerCase())
+                    .filter(part => part.length > 1 && part !== lower && !/^[0-9]+$/.test(part));
+                words.push(...parts);
+            });
+
+        const kept = words.filter(word => !STOPWORDS.has(word) && (word.length > 1 || /[0-9]/.test(word)));
+        const phrases = [];
+        for (let i = 0; i < kept.length - 1; i++) {
+            phrases.push(`${kept[i]} ${kept[i + 1]}`);
+        }
+        return [...kept, ...phrases];
+    }
+
+    // input: a string, or { name, symbol, description } - returns [{ token, weight }]
+    function features(input) {
+        const fields = typeof input === 'string' ? { text: input } : (input || {});
+        const weights = new Map();
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            tokenize(fields[field]).forEach(token => {
+                weights.set(token, Math.max(weights.get(token) || 0, weight));
+            });
+        });
+        return [...weights].map(([token, weight]) => ({ token, weight }));
+    }
+
+    function createModel() {
+        const model = { version: MODEL_VERSION, alpha: ALPHA, categories: [...CATEGORIES], docs: {}, totals: {}, counts: {}, examples: 0 };
+        CATEGORIES.forEach(category => {
+            model.docs[category] = 0;
+            model.totals[category] = 0;
+        });
+        return model;
+    }
+
+    function addCounts(model, category, tokens, amount) {
+        tokens.forEach(token => {
+            const row = model.counts[token] || (model.counts[token] = {});
+            row[category] = (row[category] || 0) + amount;
+            model.totals[category] += amount;
+        });
+    }
+
+    // examples: [{ name, symbol, description | text, labels: ['ANIMAL_DOG', ...] }]
+    // Unknown labels are skipped; seed: start from SEED_KEYWORDS
+    function train(examples, { seed = true } = {}) {
+        const model = createModel();
+
+        if (seed) {
+            CATEGORIES.forEach(category => {
+                const tokens = SEED_KEYWORDS[category].flatMap(keyword => tokenize(keyword));
+                addCounts(model, category, [...new Set(tokens)], SEED_WEIGHT);
+                model.docs[category] += 1;
+            });
+        }
+
+        (examples || []).forEach(example => {
+            const labels = (example.labels || []).filter(label => CATEGORIES.includes(label));
+            if (labels.length === 0) return;
+            const tokens = features(example);
+            labels.forEach(label => {
+                tokens.forEach(({ token, weight }) => addCounts(model, label, [token], weight));
+                model.docs[label] += 1 / labels.length;
+            });
+            model.examples++;
+        });
+
+        model.trainedAt = new Date().toISOString();
+        return model;
+    }
+
+    // Log probabilities are derived once per model object
+    const prepared = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
+    function prepare(model) {
+        if (prepared?.has(model)) return prepared.get(model);
+        const vocabSize = Object.keys(model.counts).length || 1;
+        const totalDocs = model.categories.reduce((sum, c) => sum + (model.docs[c] || 0), 0) || 1;
+        const table = {
+            logPrior: {},
+            logUnseen: {},
+            logDenominator: {}
+        };
+        model.categories.forEach(category => {
+            table.logPrior[category] = Math.log(((model.docs[category] || 0) + 1) / (totalDocs + model.categories.length));
+            table.logDenominator[category] = Math.log((model.totals[category] || 0) + model.alpha * vocabSize);
+            table.logUnseen[category] = Math.log(model.alpha) - table.logDenominator[category];
+        });
+        prepared?.set(model, table);
+        return table;
+    }
+
+    // Returns { category, confidence, labels: [{ category, confidence }] strongest first }
+    function classify(input, model, { limit = 3 } = {}) {
+        const known = features(input).filter(({ token }) => model.counts[token]);
+        if (known.length === 0) {
+            return { category: FALLBACK, confidence: 0, labels: [] };
+        }
+
+        const table = prepare(model);
+        // Long descriptions would otherwise push every score to 0 or 1
+        const totalWeight = known.reduce((sum, f) => sum + f.weight, 0);
+        const scale = 1 / Math.sqrt(Math.max(1, totalWeight));
+
+        const scores = model.categories.map(category => {
+            let likelihood = 0;
+            known.forEach(({ token, weight }) => {
+                const count = model.counts[token][category];
+                const logP = count
+                    ? Math.log(count + model.alpha) - table.logDenominator[category]
+                    : table.logUnseen[category];
+                likelihood += weight * logP;
+            });
+            return { category, score: table.logPrior[category] + likelihood * scale };
+        });
+
+        // Softmax into confidences
+        const max = Math.max(...scores.map(s => s.score));
+        const exps = scores.map(s => ({ category: s.category, value: Math.exp(s.score - max) }));
+        const sum = exps.reduce((total, e) => total + e.value, 0);
+        const labels = exps
+            .map(e => ({ category: e.category, confidence: Math.round((e.value / sum) * 1000) / 1000 }))
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, limit);
+
+        const top = labels[0];
+        return top.confidence < MIN_CONFIDENCE
+            ? { category: FALLBACK, confidence: top.confidence, labels }
+            : { category: top.category, confidence: top.confidence, labels };
+    }
+
+    // Throws when a model file can't be used
+    function validateModel(model) {
+        if (!model || model.version !== MODEL_VERSION || !Array.isArray(model.categories) ||
+            typeof model.counts !== 'object' || typeof model.totals !== 'object' || typeof model.docs !== 'object') {
+            throw new Error(`Not a narrative model (version ${MODEL_VERSION})`);
+        }
+        return model;
+    }
+
+    return {
+        CATEGORIES,
+        SEED_KEYWORDS,
+        FALLBACK,
+        tokenize,
+        features,
+        train,
+        classify,
+        validateModel
+    };
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NarrativeClassifier;
+}
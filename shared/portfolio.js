@@ -0,0 +1,125 @@
+/**
+ * NarrativeAlpha Portfolio
+ *
+ * Cost basis and PnL for a wallet from its decoded swaps (netlify/lib/swap-decoder.js).
+ * Average-cost method, tracked in SOL:
+ *   - buys add their SOL cost to the position's basis
+ *   - sells release basis pro rata and realize proceeds minus released basis
+ *   - sells of tokens bought before the scanned history have no known basis and are skipped
+ * Stablecoin-quoted trades are converted at the current SOL price (approximation).
+ * Shared by the browser (Portfolio section) and Node.
+ */
+
+const Portfolio = (function () {
+    // Replay trades (any order) into per-mint ledgers
+    function buildLedger(trades, solPriceUsd) {
+        const ledger = {};
+        [...(trades || [])]
+            .sort((a, b) => (a.blockTime || 0) - (b.blockTime || 0))
+            .forEach(trade => {
+                const entry = ledger[trade.mint] || (ledger[trade.mint] = {
+                    mint: trade.mint,
+                    heldTokens: 0,
+                    costSol: 0,
+                    realizedSol: 0,
+                    buys: 0,
+                    sells: 0,
+                    untrackedSold: 0,
+                    lastTradeAt: null
+                });
+
+                const solAmount = trade.quote === 'SOL'
+                    ? trade.quoteAmount
+                    : (solPriceUsd > 0 ? trade.quoteAmount / solPriceUsd : 0);
+                entry.lastTradeAt = trade.blockTime ? trade.blockTime * 1000 : entry.lastTradeAt;
+
+                if (trade.side === 'buy') {
+                    entry.heldTokens += trade.tokenAmount;
+                    entry.costSol += solAmount;
+                    entry.buys++;
+                    return;
+                }
+
+                entry.sells++;
+                const matched = Math.min(trade.tokenAmount, entry.heldTokens);
+                entry.untrackedSold += trade.tokenAmount - matched;
+                if (matched <= 0) return;
+
+                const releasedBasis = entry.costSol * (matched / entry.heldTokens);
+                const proceeds = solAmount * (matched / trade.tokenAmount);
+                entry.realizedSol += proceeds - releasedBasis;
+                entry.costSol -= releasedBasis;
+                entry.heldTokens -= matched;
+            });
+        return ledger;
+    }
+
+    /**
+     * holdings: { mint: balance }, trades: decoded swaps,
+     * prices: { mint: { priceUsd, symbol, name } }, solPriceUsd: number
+     * Returns { positions, totals } - positions sorted by value, largest first
+     */
+    function buildPositions({ holdings = {}, trades = [], prices = {}, solPriceUsd = 0 } = {}) {
+        const ledger = buildLedger(trades, solPriceUsd);
+        const mints = new Set([
+            ...Object.keys(holdings).filter(mint => holdings[mint] > 0),
+            ...Object.values(ledger).filter(e => e.realizedSol !== 0).map(e => e.mint)
+        ]);
+
+        const positions = [...mints].map(mint => {
+            const balance = holdings[mint] || 0;
+            const entry = ledger[mint];
+            const priceUsd = prices[mint]?.priceUsd ?? null;
+            const valueUsd = priceUsd !== null ? balance * priceUsd : null;
+            const valueSol = valueUsd !== null && solPriceUsd > 0 ? valueUsd / solPriceUsd : null;
+
+            // Only the part of the balance the scanned trades explain has a known basis
+            const coveredTokens = entry ? Math.min(entry.heldTokens, balance) : 0;
+            const coveredCost = coveredTokens > 0 ? entry.costSol * (coveredTokens / entry.heldTokens) : 0;
+            const coveredValue = valueSol !== null && balance > 0 ? valueSol * (coveredTokens / balance) : null;
+            const unrealizedSol = coveredTokens > 0 && coveredValue !== null ? coveredValue - coveredCost : null;
+
+            return {
+                mint,
+                symbol: prices[mint]?.symbol || null,
+                name: prices[mint]?.name || null,
+                balance,
+                priceUsd,
+                valueUsd,
+                valueSol,
+                costSol: coveredTokens > 0 ? coveredCost : null,
+                avgCostSol: coveredTokens > 0 ? coveredCost / coveredTokens : null,
+                realizedSol: entry ? entry.realizedSol : 0,
+                unrealizedSol,
+                unrealizedPct: unrealizedSol !== null && coveredCost > 0 ? (unrealizedSol / coveredCost) * 100 : null,
+                basisCoverage: balance > 0 ? coveredTokens / balance : 0,
+                buys: entry ? entry.buys : 0,
+                sells: entry ? entry.sells : 0,
+                lastTradeAt: entry ? entry.lastTradeAt : null
+            };
+        }).sort((a, b) => (b.valueUsd || 0) - (a.valueUsd || 0));
+
+        const sum = key => positions.reduce((total, p) => total + (p[key] || 0), 0);
+        const totals = {
+            valueUsd: sum('valueUsd'),
+            costSol: sum('costSol'),
+            realizedSol: sum('realizedSol'),
+            unrealizedSol: sum('unrealizedSol'),
+            positions: positions.filter(p => p.balance > 0).length
+        };
+        totals.realizedUsd = totals.realizedSol * solPriceUsd;
+        totals.unrealizedUsd = totals.unrealizedSol * solPriceUsd;
+
+        return { positions, totals };
+    }
+
+    return {
+        buildLedger,
+        buildPositions
+    };
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Portfolio;
+}
@@ -0,0 +1,119 @@
+/**
+ * NarrativeAlpha Rule Engine
+ *
+ * Evaluates data-defined rules against a flat object of facts. A rule is:
+ *   {
+ *     id, label, enabled, severity, score,
+ *     condition: { all: [...] } | { any: [...] } | { not: {...} }
+ *                | { fact: 'buyRatio', op: '>', value: 0.9 }
+ *                | { fact: 'mcapLiqRatio', op: '>', value: { threshold: 'MCAP_LIQ_CRITICAL' } },
+ *     message: 'MC/Liq {mcapLiqRatio|fixed0}x - thin liquidity'
+ *   }
+ * Threshold references resolve against CONFIG.VALIDATION (or a passed map).
+ * Message placeholders accept pipe filters: abs, pct, fixed0, fixed1, compact.
+ */
+
+const RuleEngine = (function () {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : require('../config.js');
+
+    const OPERATORS = {
+        '>': (a, b) => a > b,
+        '>=': (a, b) => a >= b,
+        '<': (a, b) => a < b,
+        '<=': (a, b) => a <= b,
+        '==': (a, b) => a === b,
+        '!=': (a, b) => a !== b
+    };
+
+    const FILTERS = {
+        abs: v => Math.abs(v),
+        pct: v => Math.round(v * 100),
+        fixed0: v => Number(v).toFixed(0),
+        fixed1: v => Number(v).toFixed(1),
+        compact: v => {
+            if (v >= 1e9) return (v / 1e9).toFixed(2) + 'B';
+            if (v >= 1e6) return (v / 1e6).toFixed(2) + 'M';
+            if (v >= 1e3) return (v / 1e3).toFixed(1) + 'K';
+            return Number(v).toFixed(0);
+        }
+    };
+
+    function resolveValue(value, thresholds) {
+        if (value && typeof value === 'object' && 'threshold' in value) {
+            const resolved = thresholds[value.threshold];
+            return resolved !== undefined ? resolved : value.fallback;
+        }
+        return value;
+    }
+
+    function evaluateCondition(condition, facts, thresholds = config.VALIDATION) {
+        if (!condition) return false;
+        if (Array.isArray(condition.all)) return condition.all.every(c => evaluateCondition(c, facts, thresholds));
+        if (Array.isArray(condition.any)) return condition.any.some(c => evaluateCondition(c, facts, thresholds));
+        if (condition.not) return !evaluateCondition(condition.not, facts, thresholds);
+
+        const compare = OPERATORS[condition.op];
+        if (!compare) return false;
+
+        const actual = facts[condition.fact];
+        if (actual === undefined || actual === null) return false;
+        return compare(actual, resolveValue(condition.value, thresholds));
+    }
+
+    // Fill {fact|filter|filter} placeholders from facts
+    function renderTemplate(template, facts) {
+        return String(template || '').replace(/\{([a-zA-Z0-9_]+)((?:\|[a-z0-9]+)*)\}/g, (match, fact, pipes) => {
+            let value = facts[fact];
+            if (value === undefined || value === null) return match;
+            pipes.split('|').filter(Boolean).forEach(name => {
+                if (FILTERS[name]) value = FILTERS[name](value);
+            });
+            return String(value);
+        });
+    }
+
+    // Run every enabled rule; returns the ones that fired with rendered messages
+    function evaluate(rules, facts, thresholds = config.VALIDATION) {
+        const fired = [];
+        (rules || []).forEach(rule => {
+            if (rule.enabled === false) return;
+            if (!evaluateCondition(rule.condition, facts, thresholds)) return;
+            fired.push({
+                id: rule.id,
+                label: rule.label || rule.id,
+                severity: rule.severity,
+                score: rule.score || 0,
+                flags: rule.flags || [],
+                message: renderTemplate(rule.message, facts)
+            });
+        });
+        return fired;
+    }
+
+    // Apply per-rule overrides ({ [id]: { enabled, score, severity } }) to a default rule set
+    function mergeRules(defaults, overrides = {}) {
+        return defaults.map(rule => {
+            const override = overrides[rule.id];
+            if (!override) return { ...rule };
+            const merged = { ...rule };
+            if (typeof override.enabled === 'boolean') merged.enabled = override.enabled;
+            if (Number.isFinite(override.score)) merged.score = override.score;
+            if (override.severity) merged.severity = override.severity;
+            return merged;
+        });
+    }
+
+    return {
+        OPERATORS,
+        FILTERS,
+        evaluateCondition,
+        renderTemplate,
+        evaluate,
+        mergeRules
+    };
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleEngine;
+}
@@ -0,0 +1,709 @@
+/**
+ * NarrativeAlpha Risk Scoring
+ *
+ * One risk report per token, shared by the Signals feed (browser) and the
+ * Trench Agent (Netlify function) so both views agree on how risky a token is.
+ * Accepts either token shape: LiveDataService tokens (marketCap, txns24h,
+ * buyRatio) or trench tokens (mcap, buys24h/sells24h). All thresholds come
+ * from CONFIG.VALIDATION. Scam checks are data (SCAM_RULES) evaluated by
+ * shared/rule-engine.js, so callers can pass user-tuned rule sets.
+ */
+
+const RiskScoring = (function () {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : require('../config.js');
+    const engine = typeof RuleEngine !== 'undefined' ? RuleEngine : require('./rule-engine.js');
+
+    // Risk scoring weights
+    const RISK_WEIGHTS = {
+        BUNDLE_DETECTED: 35,        // Multiple buys in same slot = major red flag
+        HIGH_HOLDER_CONCENTRATION: 25, // Top 10 hold >50%
+        DEV_DUMPING: 30,            // Dev wallet selling
+        FRESH_WALLET_BUYS: 15,      // Many buys from new wallets
+        ONE_SIDED_BUYS: 20,         // >90% buys = setup for dump
+        RAPID_PUMP: 10,             // >500% in 1h = likely manipulation
+        NO_ACTIVITY: 10             // Dead volume / no recent trades
+    };
+
+    // Positive signals
+    const LEGIT_SIGNALS = {
+        ORGANIC_DISTRIBUTION: 20,   // Good holder spread
+        HEALTHY_TRADING: 15,        // Balanced buy/sell
+        GROWING_COMMUNITY: 15,      // Increasing unique traders
+        HAS_SOCIALS: 10,            // Twitter/TG presence
+        GOOD_LIQUIDITY: 15,         // MC/Liq below healthy threshold
+        STABLE_GROWTH: 10,          // Steady price action
+        DEV_HOLDING: 15             // Dev still holding (skin in game)
+    };
+
+    // Default scam detection rules - users can toggle and re-weight these in the UI
+    const SCAM_RULES = [
+        {
+            id: 'EXTREME_MCAP_LIQ',
+            label: 'MC/LIQ EXTREME',
+            description: 'Market cap far above liquidity - exits impossible (potential rug)',
+            enabled: true,
+            severity: 'critical',
+            score: 40,
+            flags: ['isHighRisk'],
+            condition: { fact: 'mcapLiqRatio', op: '>', value: { threshold: 'MCAP_LIQ_CRITICAL' } },
+            message: 'MC/Liq {mcapLiqRatio|fixed0}x - EXIT IMPOSSIBLE'
+        },
+        {
+            id: 'HIGH_MCAP_LIQ',
+            label: 'THIN LIQ',
+            description: 'Market cap high relative to liquidity',
+            enabled: true,
+            severity: 'warning',
+            score: 20,
+            condition: {
+                all: [
+                    { fact: 'mcapLiqRatio', op: '>', value: { threshold: 'MCAP_LIQ_WARNING' } },
+                    { fact: 'mcapLiqRatio', op: '<=', value: { threshold: 'MCAP_LIQ_CRITICAL' } }
+                ]
+            },
+            message: 'MC/Liq {mcapLiqRatio|fixed0}x - thin liquidity'
+        },
+        {
+            id: 'HONEYPOT_PATTERN',
+            label: 'HONEYPOT',
+            description: 'High buys but no price movement',
+            enabled: true,
+            severity: 'critical',
+            score: 50,
+            flags: ['isPotentialHoneypot'],
+            condition: {
+                all: [
+                    { fact: 'buyRatio', op: '>', value: { threshold: 'HONEYPOT_BUY_RATIO' } },
+                    { fact: 'absPriceChange1h', op: '<', value: 2 },
+                    { fact: 'txns24h', op: '>', value: 100 }
+                ]
+            },
+            message: '{buyRatio|pct}% buys but price flat - HONEYPOT'
+        },
+        {
+            id: 'ZERO_ACTIVITY',
+            label: 'NO TXNS',
+            description: 'No transactions or volume in the last hour',
+            enabled: true,
+            severity: 'warning',
+            score: 15,
+            condition: {
+                all: [
+                    { fact: 'txns1h', op: '==', value: 0 },
+                    { fact: 'volume1h', op: '==', value: 0 },
+                    { fact: 'mcap', op: '>', value: 10000 }
+                ]
+            },
+            message: 'No transactions in last hour'
+        },
+        {
+            id: 'SELL_BLOCKED',
+            label: 'SELLS BLOCKED',
+            description: 'Extreme buy/sell imbalance with real volume',
+            enabled: true,
+            severity: 'critical',
+            score: 35,
+            flags: ['isPotentialHoneypot'],
+            condition: {
+                all: [
+                    { fact: 'buyRatio', op: '>', value: 0.98 },
+                    { fact: 'volume24h', op: '>', value: 10000 }
+                ]
+            },
+            message: '99%+ buys - sells blocked'
+        },
+        {
+            id: 'FAKE_MCAP',
+            label: 'FAKE MCAP',
+            description: 'Micro liquidity with a high market cap claim',
+            enabled: true,
+            severity: 'critical',
+            score: 45,
+            flags: ['isHighRisk'],
+            condition: {
+                all: [
+                    { fact: 'liquidity', op: '<', value: 1000 },
+                    { fact: 'mcap', op: '>', value: 100000 }
+                ]
+            },
+            message: '${mcap|compact} MC but ${liquidity|compact} liq'
+        },
+        {
+            id: 'COORDINATED_PUMP',
+            label: 'COORD PUMP',
+            description: 'Instant pump in the first 30 minutes (coordinated launch)',
+            enabled: true,
+            severity: 'warning',
+            score: 25,
+            condition: {
+                all: [
+                    { fact: 'ageHours', op: '<', value: 0.5 },
+                    { fact: 'priceChange1h', op: '>', value: 500 },
+                    { fact: 'buyRatio', op: '>', value: 0.9 }
+                ]
+            },
+            message: 'Coordinated launch pump'
+        },
+        {
+            id: 'SLOW_BLEED',
+            label: 'SLOW BLEED',
+            description: 'High buys but consistent price decline (sell tax honeypot)',
+            enabled: true,
+            severity: 'critical',
+            score: 25,
+            flags: ['isPotentialHoneypot'],
+            condition: {
+                all: [
+                    { fact: 'buyRatio', op: '>', value: 0.55 },
+                    { fact: 'priceChange1h', op: '<', value: -5 },
+                    { fact: 'priceChange6h', op: '<', value: -10 },
+                    { fact: 'priceChange24h', op: '<', value: -15 }
+                ]
+            },
+            message: '{buyRatio|pct}% buys but -{priceChange24h|abs|fixed0}% 24h - sell tax likely'
+        },
+        {
+            id: 'SELL_TAX',
+            label: 'SELL TAX',
+            description: 'Very high buys with a significant 1h price drop',
+            enabled: true,
+            severity: 'warning',
+            score: 20,
+            condition: {
+                all: [
+                    { fact: 'buyRatio', op: '>', value: 0.75 },
+                    { fact: 'priceChange1h', op: '<', value: -10 },
+                    { fact: 'txns24h', op: '>', value: 50 }
+                ]
+            },
+            message: '{buyRatio|pct}% buys but -{priceChange1h|abs|fixed0}% 1h - potential sell tax'
+        }
+    ];
+
+    const SEVERITY_RANK = { CRITICAL: 4, HIGH: 3, MEDIUM: 2, LOW: 1 };
+
+    function thresholds() {
+        return config.VALIDATION;
+    }
+
+    function formatCompact(num) {
+        if (num >= 1e9) return (num / 1e9).toFixed(2) + 'B';
+        if (num >= 1e6) return (num / 1e6).toFixed(2) + 'M';
+        if (num >= 1e3) return (num / 1e3).toFixed(1) + 'K';
+        return num.toFixed(0);
+    }
+
+    // Split a total transaction count into buys/sells using a buy ratio
+    function splitTxns(total, ratio) {
+        const buys = Math.round(total * ratio);
+        return { buys, sells: total - buys };
+    }
+
+    // Bring either token shape onto one set of field names
+    function normalizeToken(token, now = Date.now()) {
+        const hasSides24h = token.buys24h !== undefined || token.sells24h !== undefined;
+        const txns24h = hasSides24h ? (token.buys24h || 0) + (token.sells24h || 0) : (token.txns24h || 0);
+        const buyRatio = token.buyRatio !== undefined
+            ? token.buyRatio
+            : (txns24h > 0 ? (token.buys24h || 0) / txns24h : 0.5);
+
+        const sides24h = hasSides24h
+            ? { buys: token.buys24h || 0, sells: token.sells24h || 0 }
+            : splitTxns(txns24h, buyRatio);
+
+        const hasSides1h = token.buys1h !== undefined || token.sells1h !== undefined;
+        const txns1h = token.txns1h || (hasSides1h ? (token.buys1h || 0) + (token.sells1h || 0) : Math.floor(txns24h / 24));
+        const sides1h = hasSides1h
+            ? { buys: token.buys1h || 0, sells: token.sells1h || 0 }
+            : splitTxns(txns1h, buyRatio);
+
+        let ageHours = token.ageHours;
+        if (!ageHours && token.createdAt) ageHours = (now - token.createdAt) / 3600000;
+        if (!ageHours && ageHours !== 0) ageHours = 999;
+
+        return {
+            marketCap: token.marketCap ?? token.mcap ?? 0,
+            liquidity: token.liquidity || 0,
+            volume24h: token.volume24h || 0,
+            volume1h: token.volume1h || 0,
+            volume5m: token.volume5m || 0,
+            priceChange5m: token.priceChange5m || 0,
+            priceChange1h: token.priceChange1h || 0,
+            priceChange6h: token.priceChange6h || 0,
+            priceChange24h: token.priceChange24h || 0,
+            txns24h,
+            txns1h,
+            buys24h: sides24h.buys,
+            sells24h: sides24h.sells,
+            buys1h: sides1h.buys,
+            sells1h: sides1h.sells,
+            buys5m: token.buys5m || 0,
+            sells5m: token.sells5m || 0,
+            buyRatio,
+            ageHours,
+            confidence: token.confidence,
+            // On-chain holder data (holders function) when available
+            holderCount: token.holderCount ?? null,
+            top10Share: token.top10Share ?? null,
+            devShare: token.devShare ?? null,
+            bundleAnalysis: token.bundleAnalysis || null,
+            hasSocials: !!(token.hasSocials || token.hasWebsite || token.info?.socials?.length || token.info?.websites?.length)
+        };
+    }
+
+    // Validate if a token has genuine trading activity (not dead)
+    function validateTokenActivity(token) {
+        const t = thresholds();
+        const volume1h = token.volume1h || 0;
+        const txns1h = token.txns1h || (token.txns24h ? Math.floor(token.txns24h / 24) : 0);
+        const buyRatio = token.buyRatio || 0.5;
+        const priceChange1h = token.priceChange1h || 0;
+
+        const result = {
+            isValid: true,
+            isDead: false,
+            isLowActivity: false,
+            warnings: [],
+            adjustedConfidence: token.confidence || 50
+        };
+
+        // Check for dead token (price moving but no volume/activity)
+        if (volume1h < t.DEAD_VOLUME_THRESHOLD || txns1h < t.DEAD_TXNS_THRESHOLD) {
+            result.isDead = true;
+            result.isValid = false;
+            result.warnings.push('NO_ACTIVITY');
+            result.adjustedConfidence = Math.max(10, result.adjustedConfidence - 40);
+        }
+        // Check for low activity
+        else if (volume1h < t.MIN_VOLUME_1H || txns1h < t.MIN_TXNS_1H) {
+            result.isLowActivity = true;
+            result.warnings.push('LOW_ACTIVITY');
+            result.adjustedConfidence = Math.max(20, result.adjustedConfidence - 20);
+        }
+
+        // Cross-validate buy ratio with price direction
+        if (priceChange1h > 20 && buyRatio < 0.4) {
+            result.warnings.push('BUY_PRICE_MISMATCH');
+            result.adjustedConfidence = Math.max(15, result.adjustedConfidence - 25);
+        }
+
+        if (priceChange1h < -20 && buyRatio > 0.7) {
+            result.warnings.push('SELL_PRICE_MISMATCH');
+            result.adjustedConfidence = Math.max(15, result.adjustedConfidence - 25);
+        }
+
+        return result;
+    }
+
+    // Facts the scam rules can reference
+    function buildScamFacts(token, now = Date.now()) {
+        const mcap = token.marketCap ?? token.mcap ?? 0;
+        const liquidity = token.liquidity || 0;
+        const txns24h = token.txns24h || 0;
+        const priceChange1h = token.priceChange1h || 0;
+
+        return {
+            mcap,
+            liquidity,
+            mcapLiqRatio: mcap > 0 && liquidity > 0 ? mcap / liquidity : null,
+            volume24h: token.volume24h || 0,
+            volume1h: token.volume1h || 0,
+            buyRatio: token.buyRatio || 0.5,
+            txns24h,
+            txns1h: token.txns1h || Math.floor(txns24h / 24),
+            priceChange1h,
+            absPriceChange1h: Math.abs(priceChange1h),
+            priceChange6h: token.priceChange6h || 0,
+            priceChange24h: token.priceChange24h || 0,
+            ageHours: token.ageHours || (token.createdAt ? (now - token.createdAt) / 3600000 : 999)
+        };
+    }
+
+    // Detect potential honeypot/scam tokens by running the scam rule set
+    function detectScamIndicators(token, now = Date.now(), rules = SCAM_RULES) {
+        const t = thresholds();
+        const fired = engine.evaluate(rules, buildScamFacts(token, now), t);
+
+        const result = {
+            isScam: false,
+            isPotentialHoneypot: fired.some(r => r.flags.includes('isPotentialHoneypot')),
+            isHighRisk: fired.some(r => r.flags.includes('isHighRisk')),
+            scamScore: fired.reduce((sum, r) => sum + r.score, 0),
+            warnings: fired.map(r => ({ type: r.id, severity: r.severity, message: r.message })),
+            firedRules: fired.map(r => ({ id: r.id, label: r.label, severity: r.severity, score: r.score, message: r.message })),
+            shouldFilter: false
+        };
+
+        // Determine overall status
+        if (result.scamScore >= t.SCAM_SCORE_FILTER) {
+            result.isScam = true;
+            result.shouldFilter = true;
+        } else if (result.scamScore >= t.SCAM_SCORE_HIGH_RISK) {
+            result.isHighRisk = true;
+        }
+
+        return result;
+    }
+
+    // Detect bundle patterns - on-chain launch analysis when present, otherwise txn heuristics
+    // (also when the on-chain analysis couldn't reach the launch)
+    function detectBundlePatterns(token) {
+        if (token.bundleAnalysis && !token.bundleAnalysis.inconclusive) {
+            const analysis = token.bundleAnalysis;
+            return {
+                likelihood: analysis.likelihood,
+                reason: (analysis.evidence || []).join(' | '),
+                indicators: analysis.evidence || [],
+                onChain: true,
+                bundledShare: analysis.bundledShare,
+                currentBundledShare: analysis.currentBundledShare,
+                wallets: (analysis.wallets || []).slice(0, 5)
+            };
+        }
+
+        const result = { likelihood: 'LOW', reason: '', indicators: [] };
+        const mcap = token.marketCap ?? token.mcap ?? 0;
+
+        // Pattern 1: Extremely high early buying with minimal sells
+        // Bundles typically show 95%+ buy ratio in first few hours
+        if (token.ageHours < 2) {
+            const buyRatio = token.buys24h / Math.max(1, token.buys24h + token.sells24h);
+            if (buyRatio > 0.95 && token.buys24h > 10) {
+                result.indicators.push('Near-100% buy ratio');
+                result.likelihood = 'HIGH';
+            }
+        }
+
+        // Pattern 2: Very high volume but low transaction count
+        // Bundles = few large coordinated buys vs organic = many small buys
+        const avgTxnSize = token.volume24h / Math.max(1, token.buys24h + token.sells24h);
+        const mcapPct = mcap > 0 ? (avgTxnSize / mcap) * 100 : 0;
+
+        if (mcapPct > 2 && token.buys24h < 50) {
+            // Avg transaction > 2% of mcap with few txns = suspicious
+            result.indicators.push(`Avg txn ${mcapPct.toFixed(1)}% of mcap`);
+            if (result.likelihood !== 'HIGH') result.likelihood = 'MEDIUM';
+        }
+
+        // Pattern 3: 5m snapshot shows burst buying
+        // Bundles happen in same slot (0.4s), so 5m window should catch multiple
+        if (token.buys5m > 5 && token.sells5m === 0 && token.ageHours < 0.5) {
+            result.indicators.push(`${token.buys5m} buys, 0 sells in 5m`);
+            result.likelihood = 'HIGH';
+        }
+
+        // Pattern 4: MC jumped way above typical for age
+        // Bundled tokens often have inflated MC early
+        if (token.ageHours < 1 && mcap > 500000 && token.buys24h < 30) {
+            result.indicators.push('High MC with few buyers');
+            if (result.likelihood !== 'HIGH') result.likelihood = 'MEDIUM';
+        }
+
+        // Build reason string
+        if (result.indicators.length > 0) {
+            result.reason = result.indicators.join(' | ');
+        }
+
+        return result;
+    }
+
+    // Analyze for fresh wallet activity
+    function analyzeFreshWalletActivity(token) {
+        const result = { suspicious: false, reason: '' };
+        const mcap = token.marketCap ?? token.mcap ?? 0;
+
+        // Fresh wallet indicator: many buys but very low volume diversity
+        // Real organic = varied buy sizes, fresh wallets = similar sized buys
+
+        const avgBuySize = token.volume24h / Math.max(1, token.buys24h);
+        const avgBuyPct = mcap > 0 ? (avgBuySize / mcap) * 100 : 0;
+
+        // If most buys are suspiciously similar size (within tight range of mcap %)
+        // This is a heuristic - real detection would need on-chain data
+        if (token.buys24h > 20 && avgBuyPct > 0.5 && avgBuyPct < 3) {
+            // Suspiciously uniform buy sizes
+            if (token.sells24h < token.buys24h * 0.1) {
+                result.suspicious = true;
+                result.reason = 'Uniform buy sizes, minimal sells';
+            }
+        }
+
+        // Very new token with high holder count implied = likely fresh wallets
+        if (token.ageHours < 1 && token.buys24h > 50 && token.sells24h < 5) {
+            result.suspicious = true;
+            result.reason = '50+ buys in first hour, minimal sells';
+        }
+
+        return result;
+    }
+
+    // Analyze holder concentration - real on-chain shares when present, otherwise a txn-size heuristic
+    function analyzeHolderConcentration(token) {
+        const t = thresholds();
+
+        if (typeof token.top10Share === 'number') {
+            const result = { high: false, moderate: false, reason: '', onChain: true };
+
+            if (token.top10Share > t.TOP10_SHARE_HIGH) {
+                result.high = true;
+                result.reason = `Top 10 wallets hold ${token.top10Share.toFixed(0)}%`;
+            } else if (token.top10Share > t.TOP10_SHARE_MODERATE) {
+                result.moderate = true;
+                result.reason = `Top 10 wallets hold ${token.top10Share.toFixed(0)}%`;
+            }
+
+            if (typeof token.devShare === 'number' && token.devShare > t.DEV_SHARE_HIGH) {
+                result.high = true;
+                result.reason = [result.reason, `Dev wallet holds ${token.devShare.toFixed(0)}%`].filter(Boolean).join(' | ');
+            }
+
+            return result;
+        }
+
+        const result = { high: false, moderate: false, reason: '' };
+        const mcap = token.marketCap ?? token.mcap ?? 0;
+
+        // Heuristic: If very high volume but few transactions, concentration is high
+        const txnCount = token.buys24h + token.sells24h;
+        const avgTxn = token.volume24h / Math.max(1, txnCount);
+
+        // If average transaction is > 5% of mcap, top holders are concentrated
+        const avgTxnPct = mcap > 0 ? (avgTxn / mcap) * 100 : 0;
+
+        if (avgTxnPct > 10) {
+            result.high = true;
+            result.reason = `Large avg txn (${avgTxnPct.toFixed(0)}% of MC) suggests top holder concentration`;
+        } else if (avgTxnPct > 5) {
+            result.moderate = true;
+            result.reason = 'Moderate holder concentration indicated';
+        }
+
+        // Low txn count for token age = concentration
+        if (token.ageHours > 6 && token.ageHours < 999 && txnCount < 50) {
+            result.moderate = true;
+            result.reason = 'Low trader count for token age';
+        }
+
+        return result;
+    }
+
+    // Analyze dev behavior patterns
+    function analyzeDevBehavior(token) {
+        const result = { dumping: false, holding: true, reason: '' };
+
+        // Pattern: High sell pressure in first hours = dev dumping
+        if (token.ageHours < 6) {
+            const sellRatio = token.sells24h / Math.max(1, token.buys24h + token.sells24h);
+
+            if (sellRatio > 0.4 && token.priceChange1h < -30) {
+                result.dumping = true;
+                result.holding = false;
+                result.reason = 'High early sells with price drop';
+            } else if (sellRatio < 0.15) {
+                result.holding = true;
+                result.reason = 'Minimal selling, devs likely holding';
+            }
+        }
+
+        // If price dropped significantly but buy ratio is high = insider sold large
+        if (token.priceChange24h < -50 && token.buys24h > token.sells24h * 2) {
+            result.dumping = true;
+            result.holding = false;
+            result.reason = 'Price dumped despite more buys (large insider sell)';
+        }
+
+        return result;
+    }
+
+    // Full risk report - scam checks, activity, bundle and holder heuristics in one pass
+    function assessRisk(input, now = Date.now(), options = {}) {
+        const t = thresholds();
+        const token = normalizeToken(input, now);
+        const activity = validateTokenActivity(token);
+        const scam = detectScamIndicators(token, now, options.scamRules || SCAM_RULES);
+
+        let riskScore = scam.scamScore;
+        let safetyScore = 50; // Start neutral
+        const risks = [];
+        const positives = [];
+
+        // ===== SCAM INDICATORS =====
+        scam.warnings.forEach(w => {
+            risks.push({ type: w.type, severity: w.severity === 'critical' ? 'CRITICAL' : 'HIGH', detail: w.message });
+        });
+
+        // ===== ACTIVITY =====
+        if (activity.isDead && token.ageHours >= 1) {
+            riskScore += RISK_WEIGHTS.NO_ACTIVITY;
+            risks.push({ type: 'NO_ACTIVITY', severity: 'MEDIUM', detail: `$${formatCompact(token.volume1h)} vol, ${token.txns1h} txns in 1h` });
+        }
+
+        // ===== BUNDLE DETECTION =====
+        // Detect coordinated buying patterns (bundle indicator)
+        const bundleAnalysis = detectBundlePatterns(token);
+        let bundleDetected = false;
+
+        if (bundleAnalysis.likelihood === 'HIGH') {
+            riskScore += RISK_WEIGHTS.BUNDLE_DETECTED;
+            risks.push({ type: 'BUNDLE', severity: 'CRITICAL', detail: bundleAnalysis.reason });
+            bundleDetected = true;
+        } else if (bundleAnalysis.likelihood === 'MEDIUM') {
+            riskScore += Math.round(RISK_WEIGHTS.BUNDLE_DETECTED * 0.5);
+            risks.push({ type: 'BUNDLE_SUSPECT', severity: 'HIGH', detail: bundleAnalysis.reason });
+        }
+
+        // ===== FRESH WALLET INDICATOR =====
+        // High buy count with low unique traders = fresh wallets/insiders
+        const freshWalletIndicator = analyzeFreshWalletActivity(token);
+        if (freshWalletIndicator.suspicious) {
+            riskScore += RISK_WEIGHTS.FRESH_WALLET_BUYS;
+            risks.push({ type: 'FRESH_WALLETS', severity: 'MEDIUM', detail: freshWalletIndicator.reason });
+        }
+
+        // ===== HOLDER CONCENTRATION =====
+        // Estimate based on transaction patterns
+        const concentrationRisk = analyzeHolderConcentration(token);
+        if (concentrationRisk.high) {
+            riskScore += RISK_WEIGHTS.HIGH_HOLDER_CONCENTRATION;
+            risks.push({ type: 'CONCENTRATION', severity: 'HIGH', detail: concentrationRisk.reason });
+        } else if (concentrationRisk.moderate) {
+            riskScore += Math.round(RISK_WEIGHTS.HIGH_HOLDER_CONCENTRATION * 0.4);
+            risks.push({ type: 'CONCENTRATION', severity: 'MEDIUM', detail: concentrationRisk.reason });
+        } else {
+            safetyScore += LEGIT_SIGNALS.ORGANIC_DISTRIBUTION;
+            positives.push('Good distribution');
+        }
+
+        // ===== DEV BEHAVIOR =====
+        const devAnalysis = analyzeDevBehavior(token);
+        if (devAnalysis.dumping) {
+            riskScore += RISK_WEIGHTS.DEV_DUMPING;
+            risks.push({ type: 'DEV_DUMP', severity: 'CRITICAL', detail: devAnalysis.reason });
+        } else if (devAnalysis.holding) {
+            safetyScore += LEGIT_SIGNALS.DEV_HOLDING;
+            positives.push('Dev holding');
+        }
+
+        // ===== BUY/SELL RATIO =====
+        const totalTxns = (token.buys24h + token.sells24h) || 1;
+        const buyRatio = token.buys24h / totalTxns;
+
+        if (buyRatio > t.ONE_SIDED_BUY_RATIO) {
+            // Almost all buys = setup for dump (insiders loading before dump)
+            riskScore += RISK_WEIGHTS.ONE_SIDED_BUYS;
+            risks.push({ type: 'ONE_SIDED', severity: 'HIGH', detail: `${Math.round(buyRatio * 100)}% buys - potential dump setup` });
+        } else if (buyRatio >= 0.3 && buyRatio <= 0.75) {
+            safetyScore += LEGIT_SIGNALS.HEALTHY_TRADING;
+            positives.push('Healthy trading');
+        } else if (buyRatio < 0.2) {
+            risks.push({ type: 'HEAVY_SELLS', severity: 'MEDIUM', detail: 'Heavy sell pressure' });
+        }
+
+        // ===== LIQUIDITY RATIO =====
+        // Thin liquidity is scored by the MC/Liq scam checks above
+        const mcLiqRatio = token.liquidity > 0 ? token.marketCap / token.liquidity : 999;
+        if (mcLiqRatio < t.MCAP_LIQ_HEALTHY) {
+            safetyScore += LEGIT_SIGNALS.GOOD_LIQUIDITY;
+            positives.push('Good liquidity');
+        }
+
+        // ===== PRICE ACTION =====
+        if (token.priceChange1h > 500) {
+            riskScore += RISK_WEIGHTS.RAPID_PUMP;
+            risks.push({ type: 'RAPID_PUMP', severity: 'MEDIUM', detail: `+${Math.round(token.priceChange1h)}% 1h - manipulation risk` });
+        } else if (token.priceChange1h >= -20 && token.priceChange1h <= 100) {
+            safetyScore += LEGIT_SIGNALS.STABLE_GROWTH;
+            positives.push('Stable growth');
+        }
+
+        // ===== SOCIAL PRESENCE =====
+        if (token.hasSocials) {
+            safetyScore += LEGIT_SIGNALS.HAS_SOCIALS;
+            positives.push('Has socials');
+        } else if (token.ageHours > 6 && token.ageHours < 999) {
+            risks.push({ type: 'NO_SOCIALS', severity: 'LOW', detail: 'No social presence' });
+        }
+
+        // ===== COMMUNITY GROWTH =====
+        const recentActivity = (token.buys1h + token.sells1h) || 0;
+        if (recentActivity > 20 && token.volume1h > 1000) {
+            safetyScore += LEGIT_SIGNALS.GROWING_COMMUNITY;
+            positives.push('Active community');
+        }
+
+        // ===== FINAL SCORING =====
+        // Adjust safety score based on risk
+        safetyScore = Math.max(0, Math.min(100, safetyScore - riskScore));
+
+        // Determine risk level
+        let riskLevel = 'LOW';
+        if (bundleDetected || scam.isScam || riskScore >= 50) riskLevel = 'CRITICAL';
+        else if (scam.isHighRisk || scam.isPotentialHoneypot || riskScore >= 35) riskLevel = 'HIGH';
+        else if (riskScore >= 20) riskLevel = 'MEDIUM';
+
+        // Verdict
+        let verdict = 'RISKY';
+        if (safetyScore >= 70 && riskLevel === 'LOW') verdict = 'GEM';
+        else if (safetyScore >= 55 && riskLevel !== 'CRITICAL' && riskLevel !== 'HIGH') verdict = 'PROMISING';
+        else if (safetyScore >= 40 && riskLevel !== 'CRITICAL') verdict = 'WATCH';
+        else if (riskLevel === 'CRITICAL') verdict = 'AVOID';
+
+        // Most severe first so compact views show what matters
+        risks.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+
+        return {
+            // Scam check fields (consumed by the Signals feed)
+            isScam: scam.isScam,
+            isPotentialHoneypot: scam.isPotentialHoneypot,
+            isHighRisk: riskLevel === 'HIGH' || riskLevel === 'CRITICAL',
+            scamScore: scam.scamScore,
+            shouldFilter: scam.shouldFilter,
+            firedRules: scam.firedRules,
+            warnings: [
+                ...scam.warnings,
+                ...risks
+                    .filter(r => !scam.warnings.some(w => w.type === r.type) && SEVERITY_RANK[r.severity] >= SEVERITY_RANK.HIGH)
+                    .map(r => ({ type: r.type, severity: r.severity === 'CRITICAL' ? 'critical' : 'warning', message: r.detail }))
+            ],
+            // Trench fields
+            riskScore,
+            safetyScore,
+            riskLevel,
+            verdict,
+            bundleDetected,
+            bundleRisk: bundleAnalysis,
+            risks,
+            positives,
+            activity,
+            metrics: {
+                buyRatio: Math.round(buyRatio * 100),
+                mcLiqRatio: Math.round(mcLiqRatio),
+                totalTxns,
+                recentActivity,
+                holderCount: token.holderCount,
+                top10Share: token.top10Share,
+                devShare: token.devShare
+            }
+        };
+    }
+
+    return {
+        RISK_WEIGHTS,
+        LEGIT_SIGNALS,
+        SCAM_RULES,
+        normalizeToken,
+        validateTokenActivity,
+        detectScamIndicators,
+        detectBundlePatterns,
+        analyzeFreshWalletActivity,
+        analyzeHolderConcentration,
+        analyzeDevBehavior,
+        buildScamFacts,
+        assessRisk
+    };
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RiskScoring;
+}
@@ -0,0 +1,357 @@
+/**
+ * NarrativeAlpha Signal Engine
+ *
+ * Token processing and signal tagging. Risk checks live in shared/scoring.js.
+ * Shared by the browser (LiveDataService) and Node (scripts/backtest.js).
+ * Functions that depend on token age accept an optional `now` timestamp so
+ * recorded snapshots can be replayed as of the moment they were captured.
+ */
+
+const SignalEngine = (function () {
+    const scoring = typeof RiskScoring !== 'undefined' ? RiskScoring : require('./scoring.js');
+
+    function formatCompact(num) {
+        if (num >= 1e9) return (num / 1e9).toFixed(2) + 'B';
+        if (num >= 1e6) return (num / 1e6).toFixed(2) + 'M';
+        if (num >= 1e3) return (num / 1e3).toFixed(1) + 'K';
+        return num.toFixed(0);
+    }
+
+    // Flat token fields from one DEX Screener pair - no filtering, tagging or risk scoring
+    function pairMetrics(pair, now = Date.now()) {
+        const txns24h = (pair.txns?.h24?.buys || 0) + (pair.txns?.h24?.sells || 0);
+        const txns1h = (pair.txns?.h1?.buys || 0) + (pair.txns?.h1?.sells || 0);
+        const buyRatio = pair.txns?.h24?.buys && pair.txns?.h24?.sells
+            ? pair.txns.h24.buys / (pair.txns.h24.buys + pair.txns.h24.sells)
+            : 0.5;
+        const ageMs = pair.pairCreatedAt ? (now - pair.pairCreatedAt) : Infinity;
+
+        return {
+            address: pair.baseToken?.address,
+            name: pair.baseToken?.name || 'Unknown',
+            symbol: pair.baseToken?.symbol || '???',
+            price: parseFloat(pair.priceUsd || 0),
+            priceChange24h: parseFloat(pair.priceChange?.h24 || 0),
+            priceChange6h: parseFloat(pair.priceChange?.h6 || 0),
+            priceChange1h: parseFloat(pair.priceChange?.h1 || 0),
+            priceChange5m: parseFloat(pair.priceChange?.m5 || 0),
+            volume24h: parseFloat(pair.volume?.h24 || 0),
+            volume6h: parseFloat(pair.volume?.h6 || 0),
+            volume1h: parseFloat(pair.volume?.h1 || 0),
+            volume5m: parseFloat(pair.volume?.m5 || 0),
+            liquidity: parseFloat(pair.liquidity?.usd || 0),
+            marketCap: parseFloat(pair.fdv || pair.marketCap || 0),
+            txns24h,
+            txns1h,
+            buys24h: pair.txns?.h24?.buys || 0,
+            sells24h: pair.txns?.h24?.sells || 0,
+            buys1h: pair.txns?.h1?.buys || 0,
+            sells1h: pair.txns?.h1?.sells || 0,
+            buys5m: pair.txns?.m5?.buys || 0,
+            sells5m: pair.txns?.m5?.sells || 0,
+            buyRatio,
+            pairAddress: pair.pairAddress,
+            dexId: pair.dexId,
+            ageHours: ageMs / (1000 * 60 * 60),
+            createdAt: pair.pairCreatedAt,
+            url: pair.url,
+            info: pair.info || {}
+        };
+    }
+
+    // Turn raw DEX Screener pairs into scored token objects
+    // options.scamRules overrides the default scam rule set (user-tuned rules)
+    function processTokenData(pairs, now = Date.now(), options = {}) {
+        // Filter for Solana pairs and deduplicate by base token
+        const seenTokens = new Set();
+        const processed = [];
+
+        for (const pair of pairs) {
+            if (!pair.baseToken || seenTokens.has(pair.baseToken.address)) continue;
+
+            // Only include Solana tokens
+            if (pair.chainId !== 'solana') continue;
+
+            seenTokens.add(pair.baseToken.address);
+
+            const metrics = pairMetrics(pair, now);
+            const { priceChange24h, priceChange6h, priceChange1h, priceChange5m, volume24h, volume1h, liquidity, marketCap, txns24h, buyRatio, ageHours } = metrics;
+
+            // Detect PumpFun tokens early (before filtering)
+            const dexIdLower = (pair.dexId || '').toLowerCase();
+            const isPumpFunToken = (
+                dexIdLower === 'pumpfun' ||
+                dexIdLower === 'pumpswap' ||
+                (pair.url || '').toLowerCase().includes('pump.fun') ||
+                (pair.baseToken?.address || '').endsWith('pump')
+            );
+
+            // MC/Liq ratio check - filter out extremely high ratios (likely manipulation)
+            const mcLiqRatio = liquidity > 0 ? marketCap / liquidity : 0;
+            if (mcLiqRatio > 500) continue; // Skip tokens with MC 500x+ liquidity
+
+            // Skip tokens with very low liquidity or no volume
+            // PumpFun tokens get lighter filtering to show more signals
+            if (isPumpFunToken) {
+                // Minimal filters for PumpFun - show most tokens
+                if (volume24h < 500 && volume1h < 100) continue;
+            } else {
+                if (liquidity < 1000 || volume24h < 500) continue;
+            }
+
+            // Calculate signal type based on metrics
+            let signalType = 'neutral';
+            let isUrgent = false;
+
+            // Bullish: Price up with good volume and buy pressure
+            if (priceChange24h > 10 && volume24h > 50000 && buyRatio > 0.45) {
+                signalType = 'bullish';
+                // Urgent: Massive moves or very high volume with recent momentum
+                if ((priceChange24h > 50 && priceChange1h > 5) || volume24h > 500000 || (priceChange5m > 10 && volume1h > 50000)) {
+                    isUrgent = true;
+                }
+            } else if (priceChange24h < -15 || (priceChange24h < -5 && buyRatio < 0.35)) {
+                signalType = 'bearish';
+            }
+
+            // Calculate confidence based on multiple factors
+            let confidence = 45;
+
+            // Liquidity score (safety)
+            if (liquidity > 500000) confidence += 25;
+            else if (liquidity > 100000) confidence += 18;
+            else if (liquidity > 50000) confidence += 10;
+
+            // Volume score (interest)
+            if (volume24h > 500000) confidence += 15;
+            else if (volume24h > 100000) confidence += 10;
+            else if (volume24h > 50000) confidence += 5;
+
+            // Market cap score (maturity)
+            if (marketCap > 10000000) confidence += 10;
+            else if (marketCap > 1000000) confidence += 5;
+
+            // Transaction count score (real activity)
+            if (txns24h > 5000) confidence += 5;
+            else if (txns24h > 1000) confidence += 3;
+
+            // Buy pressure bonus
+            if (buyRatio > 0.6) confidence += 5;
+
+            confidence = Math.min(confidence, 95);
+
+            // Calculate velocity (volume/liquidity ratio weighted by recent momentum)
+            const baseVelocity = liquidity > 0 ? volume24h / liquidity : 0;
+            const momentumMultiplier = priceChange1h > 0 ? 1 + (priceChange1h / 100) : 1;
+            const velocity = Math.min(baseVelocity * momentumMultiplier * 2, 10).toFixed(1);
+
+            // Calculate a "heat score" for sorting - prioritizes recent momentum
+            const heatScore = (
+                (Math.abs(priceChange5m) * 5) +
+                (Math.abs(priceChange1h) * 3) +
+                (Math.abs(priceChange6h) * 1.5) +
+                (volume24h / 10000) +
+                (txns24h / 100) +
+                (liquidity > 100000 ? 20 : 0) +
+                (isUrgent ? 50 : 0)
+            );
+
+            // Detect if this is a PumpFun-style token (includes graduated tokens)
+            const isPumpFunStyle = (
+                isPumpFunToken || // Direct PumpFun listing (detected earlier)
+                (dexIdLower === 'raydium' && ageHours < 168 && liquidity < 500000) // Graduated from PumpFun
+            );
+
+            const tokenData = {
+                ...metrics,
+                isPumpFunStyle,
+                signalType,
+                isUrgent,
+                confidence,
+                velocity,
+                heatScore
+            };
+
+            // Run shared risk scoring (same report the Trench Agent uses)
+            const scamCheck = scoring.assessRisk(tokenData, now, options);
+
+            // Filter obvious scams entirely
+            if (scamCheck.shouldFilter) {
+                continue;
+            }
+
+            // Add scam info to token data
+            tokenData.scamCheck = scamCheck;
+            tokenData.isHighRisk = scamCheck.isHighRisk;
+            tokenData.isPotentialHoneypot = scamCheck.isPotentialHoneypot;
+            tokenData.riskLevel = scamCheck.riskLevel;
+
+            // Adjust confidence based on scam score - tiered reduction
+            if (scamCheck.scamScore >= 60) {
+                tokenData.confidence = Math.max(10, tokenData.confidence - 50);
+            } else if (scamCheck.scamScore >= 40) {
+                tokenData.confidence = Math.max(10, tokenData.confidence - 35);
+            } else if (scamCheck.scamScore >= 20) {
+                tokenData.confidence = Math.max(10, tokenData.confidence - 20);
+            } else if (scamCheck.scamScore > 0) {
+                tokenData.confidence = Math.max(10, tokenData.confidence - 10);
+            }
+
+            processed.push(tokenData);
+        }
+
+        // Sort by heat score (most momentum first) - this prioritizes active pumps
+        return processed.sort((a, b) => b.heatScore - a.heatScore).slice(0, 50);
+    }
+
+    // Validate if a token has genuine trading activity (not dead)
+    function validateTokenActivity(token) {
+        return scoring.validateTokenActivity(token);
+    }
+
+    // Detect potential honeypot/scam tokens - returns the full shared risk report
+    function detectScamIndicators(token, now = Date.now(), options = {}) {
+        return scoring.assessRisk(token, now, options);
+    }
+
+    // Generate specific, actionable signal description based on data patterns
+    function generateSignalEdge(token, now = Date.now()) {
+        const { priceChange5m, priceChange1h, priceChange24h, volume24h, volume1h, liquidity, buyRatio, txns24h, marketCap } = token;
+
+        const ageHours = token.createdAt ? (now - token.createdAt) / (1000 * 60 * 60) : 999;
+        const volumeVelocity = liquidity > 0 ? volume24h / liquidity : 0;
+        const avgTxSize = txns24h > 0 ? volume24h / txns24h : 0;
+        const txns1h = token.txns1h || Math.floor(txns24h / 24);
+
+        // Validate token activity first
+        const validation = validateTokenActivity(token);
+
+        // DEAD TOKEN CHECK - Override any positive signal
+        if (validation.isDead) {
+            if (Math.abs(priceChange1h) > 10) {
+                return {
+                    edge: `${priceChange1h > 0 ? '+' : ''}${priceChange1h.toFixed(0)}% but no volume ($${formatCompact(volume1h || 0)} 1h) - suspicious`,
+                    tag: 'DEAD',
+                    confidence: validation.adjustedConfidence
+                };
+            }
+            return {
+                edge: `Dead: $${formatCompact(volume1h || 0)} vol, ${txns1h} txns - no activity`,
+                tag: 'DEAD',
+                confidence: validation.adjustedConfidence
+            };
+        }
+
+        // LOW ACTIVITY CHECK
+        if (validation.isLowActivity && Math.abs(priceChange1h) < 20) {
+            return {
+                edge: `Low activity: $${formatCompact(volume1h || 0)} vol, ${txns1h} txns/h - illiquid`,
+                tag: 'LOW ACTIVITY',
+                confidence: validation.adjustedConfidence
+            };
+        }
+
+        // Priority-ordered pattern detection
+
+        // LAUNCH SIGNALS
+        if (ageHours < 1) {
+            if (priceChange5m > 20 && (volume1h || 0) > 1000) return { edge: `Just launched +${priceChange5m.toFixed(0)}% in 5m`, tag: 'NEW LAUNCH' };
+            if (liquidity > 50000) return { edge: `Fresh launch, $${formatCompact(liquidity)} liquidity`, tag: 'NEW LAUNCH' };
+            return { edge: `${Math.round(ageHours * 60)}m old - early entry`, tag: 'NEW LAUNCH' };
+        }
+
+        if (ageHours < 6 && priceChange1h > 30) {
+            return { edge: `Young token +${priceChange1h.toFixed(0)}% 1h - still early`, tag: 'EARLY MOVER' };
+        }
+
+        // MOMENTUM SIGNALS - validate with volume
+        if (priceChange5m > 15 && priceChange1h > 20) {
+            // Validate with volume before PUMPING tag
+            if ((volume1h || 0) > 5000 && txns1h > 20 && buyRatio > 0.45) {
+                return { edge: `Accelerating +${priceChange5m.toFixed(0)}% 5m, +${priceChange1h.toFixed(0)}% 1h | $${formatCompact(volume1h || 0)} vol`, tag: 'PUMPING' };
+            } else {
+                // Price spiking without volume
+                return { edge: `+${priceChange1h.toFixed(0)}% but weak vol ($${formatCompact(volume1h || 0)}) - verify`, tag: 'VERIFY' };
+            }
+        }
+
+        if (priceChange1h > 50) {
+            // Validate mooning with volume
+            if ((volume1h || 0) > 10000 && txns1h > 30) {
+                return { edge: `Parabolic +${priceChange1h.toFixed(0)}% 1h | $${formatCompact(volume1h || 0)} vol`, tag: 'MOONING' };
+            } else {
+                return { edge: `+${priceChange1h.toFixed(0)}% spike, low vol ($${formatCompact(volume1h || 0)}) - verify`, tag: 'VERIFY' };
+            }
+        }
+
+        if (priceChange24h > 100 && priceChange1h > 5) {
+            return { edge: `Runner +${priceChange24h.toFixed(0)}% day, +${priceChange1h.toFixed(0)}% 1h`, tag: 'RUNNER' };
+        }
+
+        // REVERSAL SIGNALS
+        if (priceChange24h < -25 && priceChange1h > 10 && buyRatio > 0.55) {
+            return { edge: `Bouncing +${priceChange1h.toFixed(0)}% off ${priceChange24h.toFixed(0)}% drop`, tag: 'REVERSAL' };
+        }
+
+        if (priceChange24h < -20 && priceChange5m > 5 && buyRatio > 0.6) {
+            return { edge: `Dip buying: ${Math.round(buyRatio*100)}% buys after ${priceChange24h.toFixed(0)}% drop`, tag: 'DIP BUY' };
+        }
+
+        // ACCUMULATION SIGNALS
+        if (buyRatio > 0.65 && priceChange1h < 5 && priceChange1h > -5) {
+            return { edge: `${Math.round(buyRatio*100)}% buys, price flat - accumulation`, tag: 'ACCUMULATING' };
+        }
+
+        if (volumeVelocity > 5 && priceChange1h < 10 && priceChange1h > -10) {
+            return { edge: `High rotation ${volumeVelocity.toFixed(1)}x vol/liq - consolidating`, tag: 'COILING' };
+        }
+
+        // VOLUME SIGNALS
+        if (volume1h > 100000 && priceChange1h > 10) {
+            return { edge: `Volume spike $${formatCompact(volume1h)} 1h, +${priceChange1h.toFixed(0)}%`, tag: 'VOL SURGE' };
+        }
+
+        if (avgTxSize > 5000 && priceChange1h > 5) {
+            return { edge: `Large buys: $${formatCompact(avgTxSize)} avg tx, +${priceChange1h.toFixed(0)}%`, tag: 'WHALES' };
+        }
+
+        // WARNING SIGNALS
+        if (priceChange24h > 50 && priceChange1h < -10) {
+            return { edge: `Profit taking: -${Math.abs(priceChange1h).toFixed(0)}% 1h after +${priceChange24h.toFixed(0)}% run`, tag: 'DISTRIBUTION' };
+        }
+
+        if (buyRatio < 0.35 && priceChange1h < -5) {
+            return { edge: `Sell pressure: ${Math.round(buyRatio*100)}% buys, down ${Math.abs(priceChange1h).toFixed(0)}%`, tag: 'SELLING' };
+        }
+
+        if (priceChange1h < -15) {
+            return { edge: `Dumping ${priceChange1h.toFixed(0)}% 1h`, tag: 'DUMPING' };
+        }
+
+        // STABLE/HOLDING SIGNALS
+        if (priceChange24h > 30 && Math.abs(priceChange1h) < 5) {
+            return { edge: `Holding gains: +${priceChange24h.toFixed(0)}% 24h, consolidating`, tag: 'HOLDING' };
+        }
+
+        // DEFAULT
+        if (priceChange1h > 0) {
+            return { edge: `+${priceChange1h.toFixed(0)}% 1h | ${Math.round(buyRatio*100)}% buys | $${formatCompact(volume24h)} vol`, tag: 'ACTIVE' };
+        } else {
+            return { edge: `${priceChange1h.toFixed(0)}% 1h | ${Math.round(buyRatio*100)}% buys | $${formatCompact(volume24h)} vol`, tag: 'WATCHING' };
+        }
+    }
+
+    return {
+        processTokenData,
+        pairMetrics,
+        validateTokenActivity,
+        detectScamIndicators,
+        generateSignalEdge,
+        formatCompact
+    };
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SignalEngine;
+}
@@ -0,0 +1,168 @@
+/**
+ * NarrativeAlpha Token Identity
+ *
+ * Works out which entries from different sources (PumpFun, DEX Screener, CoinGecko, X) are
+ * the same token. Contract address decides first. Entries without one join a token with the
+ * same ticker only when the names agree, so two tokens sharing a ticker stay apart. A ticker
+ * held by more than one token is reported as a collision - usually a copycat launch.
+ *
+ * Entries are any objects with some of { address, symbol, name, text }.
+ */
+
+const TokenIdentity = (function () {
+    const NAME_MATCH = 0.6;       // Name similarity needed to link an entry without an address
+    const AMBIGUOUS_MARGIN = 0.1; // Best candidate must beat the runner-up by this much
+    const TEXT_KEY_LENGTH = 25;   // Text-only entries (no ticker) key on their opening words
+
+    const normalizeSymbol = symbol => String(symbol || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const normalizeName = name => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    function bigrams(text) {
+        const grams = new Map();
+        for (let i = 0; i + 2 <= text.length; i++) {
+            const gram = text.slice(i, i + 2);
+            grams.set(gram, (grams.get(gram) || 0) + 1);
+        }
+        return grams;
+    }
+
+    // Dice coefficient over character bigrams of the compacted names: 1 = same name
+    function nameSimilarity(a, b) {
+        const left = normalizeName(a);
+        const right = normalizeName(b);
+        if (!left || !right) return 0;
+        if (left === right) return 1;
+        if (left.length < 2 || right.length < 2) return 0;
+
+        const gramsA = bigrams(left);
+        const gramsB = bigrams(right);
+        let shared = 0;
+        gramsA.forEach((count, gram) => { shared += Math.min(count, gramsB.get(gram) || 0); });
+        return (2 * shared) / (left.length - 1 + right.length - 1);
+    }
+
+    function createGroup(key, resolvedBy, entry) {
+        return {
+            key,
+            resolvedBy,
+            address: entry.address || null,
+            symbol: entry.symbol || null,
+            name: entry.name || null,
+            members: [],
+            ambiguous: false,
+            collision: null
+        };
+    }
+
+    function addMember(group, entry) {
+        group.members.push(entry);
+        // Profiles carry an address but no ticker / name - the other sources fill them in
+        if (!group.symbol && entry.symbol) group.symbol = entry.symbol;
+        if (!group.name && entry.name) group.name = entry.name;
+    }
+
+    // Best token for an entry without an address, among groups with its ticker.
+    // Returns { group } when one clearly matches, { ambiguous: true } when several could
+    function pickCandidate(entry, candidates) {
+        if (candidates.length === 0) return {};
+        if (!entry.name) {
+            return candidates.length === 1 ? { group: candidates[0] } : { ambiguous: true };
+        }
+
+        const scored = candidates
+            .map(group => ({ group, score: group.name ? nameSimilarity(entry.name, group.name) : NAME_MATCH }))
+            .sort((a, b) => b.score - a.score);
+        const [best, runnerUp] = scored;
+        if (best.score < NAME_MATCH) return {};
+        if (runnerUp && best.score - runnerUp.score < AMBIGUOUS_MARGIN) return { ambiguous: true };
+        return { group: best.group };
+    }
+
+    // Returns { groups, collisions }:
+    //   groups     - [{ key, resolvedBy: 'address' | 'symbol' | 'text', address, symbol, name,
+    //                   members, ambiguous, collision }] in first-seen order
+    //   collisions - [{ symbol, tokens: [{ key, address, name }] }] tickers held by 2+ tokens
+    function resolve(entries) {
+        const groups = [];
+        const byAddress = new Map();
+        const bySymbol = new Map();   // symbol -> groups holding it
+        const byText = new Map();
+
+        const indexSymbol = group => {
+            const symbol = normalizeSymbol(group.symbol);
+            if (!symbol) return;
+            const list = bySymbol.get(symbol) || [];
+            if (!list.includes(group)) list.push(group);
+            bySymbol.set(symbol, list);
+        };
+
+        // Contract address first, so ticker matching below sees every addressed token
+        (entries || []).forEach(entry => {
+            if (!entry || !entry.address) return;
+            let group = byAddress.get(entry.address);
+            if (!group) {
+                group = createGroup(`address:${entry.address}`, 'address', entry);
+                byAddress.set(entry.address, group);
+                groups.push(group);
+            }
+            addMember(group, entry);
+        });
+        groups.forEach(indexSymbol);
+
+        (entries || []).forEach(entry => {
+            if (!entry || entry.address) return;
+            const symbol = normalizeSymbol(entry.symbol);
+
+            if (symbol) {
+                const candidates = bySymbol.get(symbol) || [];
+                const { group, ambiguous } = pickCandidate(entry, candidates);
+                if (group) {
+                    addMember(group, entry);
+                    return;
+                }
+                // A different token on the same ticker, or one we can't tell apart
+                const created = createGroup(`symbol:${symbol}:${normalizeName(entry.name) || groups.length}`, 'symbol', entry);
+                created.ambiguous = !!ambiguous;
+                addMember(created, entry);
+                groups.push(created);
+                indexSymbol(created);
+                return;
+            }
+
+            const text = String(entry.text || entry.name || '').slice(0, TEXT_KEY_LENGTH).toLowerCase().replace(/[^a-z0-9]/g, '');
+            if (!text) return;
+            let group = byText.get(text);
+            if (!group) {
+                group = createGroup(`text:${text}`, 'text', entry);
+                byText.set(text, group);
+                groups.push(group);
+            }
+            addMember(group, entry);
+        });
+
+        const collisions = [];
+        bySymbol.forEach(list => {
+            if (list.length < 2) return;
+            const collision = {
+                symbol: list[0].symbol,
+                tokens: list.map(group => ({ key: group.key, address: group.address, name: group.name }))
+            };
+            list.forEach(group => { group.collision = collision; });
+            collisions.push(collision);
+        });
+
+        return { groups, collisions };
+    }
+
+    return {
+        NAME_MATCH,
+        normalizeSymbol,
+        nameSimilarity,
+        resolve
+    };
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TokenIdentity;
+}